@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPool.sol";
+import "./IPricingStrategy.sol";
+
+/**
+ * @title DutchAuctionPricing
+ * @dev Descending price that falls linearly from startPrice to floorPrice over a fixed duration
+ * after the pool's start time. Each purchase reserves tokens at the price it paid, and every
+ * buyer settles at the clearing price: the price of the purchase that sold out the hard cap,
+ * or the price at the end time otherwise. Pools refund the difference when tokens are claimed.
+ */
+contract DutchAuctionPricing is IPricingStrategy {
+    uint256 public immutable startPrice;  // Price when the sale opens
+    uint256 public immutable floorPrice;  // Lowest price, reached after duration
+    uint256 public immutable duration;    // Seconds for the price to fall from startPrice to floorPrice
+
+    /**
+     * @dev Constructor to set the price curve
+     * The curve is measured from the pool's start time, which cannot move once the sale
+     * opens, so extending the sale never raises the price again.
+     * @param _startPrice Price when the sale opens, in payment token base units
+     * @param _floorPrice Lowest price, in payment token base units
+     * @param _duration Seconds for the price to fall from _startPrice to _floorPrice
+     */
+    constructor(uint256 _startPrice, uint256 _floorPrice, uint256 _duration) {
+        require(_floorPrice > 0, "Token price must be greater than zero");
+        require(_startPrice >= _floorPrice, "Start price below floor price");
+        require(_duration > 0, "Duration must be greater than zero");
+
+        startPrice = _startPrice;
+        floorPrice = _floorPrice;
+        duration = _duration;
+    }
+
+    /**
+     * @dev Converts a payment into tokens at the current auction price
+     * Pools that have not started have no start time yet and are priced at the floor price.
+     */
+    function getTokenAmount(address _pool, uint256 _paymentAmount) external view override returns (uint256) {
+        return _paymentAmount * 10**IDOPool(_pool).offeringDecimals() / getCurrentPrice(_pool);
+    }
+
+    /**
+     * @dev Returns the auction price right now
+     */
+    function getCurrentPrice(address _pool) public view override returns (uint256) {
+        return getPriceAt(_pool, block.timestamp);
+    }
+
+    /**
+     * @dev Returns the price of the purchase that sold out the hard cap, or the price at the
+     * end time when the sale did not sell out. No purchase paid less.
+     */
+    function getClearingPrice(address _pool) external view override returns (uint256) {
+        IDOPool pool = IDOPool(_pool);
+        bool soldOut = pool.totalRaised() >= pool.hardCap();
+        return getPriceAt(_pool, soldOut ? pool.lastPurchaseAt() : pool.endTime());
+    }
+
+    /**
+     * @dev Calculates the auction price of a pool at a given time
+     * @param _pool Pool being priced
+     * @param _timestamp Time to price at
+     * @return Price of one whole offering token in payment token base units
+     */
+    function getPriceAt(address _pool, uint256 _timestamp) public view returns (uint256) {
+        uint256 poolStart = IDOPool(_pool).startTime();
+        if (_timestamp <= poolStart) {
+            return startPrice;
+        }
+
+        uint256 elapsed = _timestamp - poolStart;
+        if (elapsed >= duration) {
+            return floorPrice;
+        }
+        return startPrice - (startPrice - floorPrice) * elapsed / duration;
+    }
+}
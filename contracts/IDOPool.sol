@@ -1,72 +1,31 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "./MockERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Address.sol";
+import "./IDOPoolConfig.sol";
+import "./IDOPoolLens.sol";
 
 /**
  * @title IDOPool
  * @dev A contract for Initial DEX Offering (IDO) that accepts payments in ERC-20 tokens
- * and provides refund mechanisms for both users and admin.
+ * or the chain's native currency and provides refund mechanisms for both users and admin.
+ * The owner holds DEFAULT_ADMIN_ROLE and grants the operator, treasury and pauser roles.
+ * State lives in IDOPoolStorage, and owner configuration runs in IDOPoolConfig.
  */
-contract IDOPool is Ownable, ReentrancyGuard {
+contract IDOPool is IDOPoolStorage {
     using SafeERC20 for MockERC20;
     using Address for address;
-
-    // IDO State
-    enum PoolState {
-        Pending,
-        Active,
-        Completed,
-        Cancelled,
-        Refunding
-    }
-
-    // Pool configuration
-    MockERC20 public paymentToken;    // The token users will pay with
-    MockERC20 public offeringToken;   // The token being sold in the IDO
-    uint256 public tokenPrice;     // Price of offering token in payment token units
-    uint256 public softCap;        // Minimum amount to raise
-    uint256 public hardCap;        // Maximum amount to raise
-    uint256 public minContribution;// Minimum contribution per user
-    uint256 public maxContribution;// Maximum contribution per user
-    
-    // IDO timing
-    uint256 public startTime;
-    uint256 public endTime;
-    uint256 public refundEndTime;  // Deadline for claiming refunds
-    
-    // IDO state
-    PoolState public poolState;
-    uint256 public totalRaised;
-    uint256 public totalDistributed;
-    
-    // User contributions
-    mapping(address => uint256) public contributions;
-    mapping(address => bool) public hasClaimedTokens;
-    mapping(address => bool) public hasClaimedRefund;
-    
-    // Admin tracking
-    address public admin;
-    bool public tokensDeposited;
-    
-    // Events
-    event PoolStateChanged(PoolState state);
-    event TokensPurchased(address indexed buyer, uint256 paymentAmount, uint256 tokenAmount);
-    event TokensClaimed(address indexed user, uint256 amount);
-    event RefundClaimed(address indexed user, uint256 amount);
-    event TokensDeposited(uint256 amount);
-    event AdminRefundEnabled();
-    event ParametersUpdated();
-
+    
+    // Owner configuration, created with the pool so clones and proxies of it share one
+    IDOPoolConfig private immutable config = new IDOPoolConfig();
+    
+    // Aggregate views, created the same way
+    IDOPoolLens private immutable lens = new IDOPoolLens();
+    
     /**
      * @dev Constructor to initialize the IDO pool
-     * @param _paymentToken Address of the ERC-20 token used for payment
+     * @param _paymentToken Address of the ERC-20 token used for payment, or zero to pay in native currency
      * @param _offeringToken Address of the token being sold
-     * @param _tokenPrice Price of one offering token in payment token units
+     * @param _tokenPrice Price of one whole offering token in payment token base units
      * @param _softCap Minimum amount to raise
      * @param _hardCap Maximum amount to raise
      * @param _minContribution Minimum contribution per user
@@ -81,84 +40,201 @@ contract IDOPool is Ownable, ReentrancyGuard {
         uint256 _minContribution,
         uint256 _maxContribution
     ) {
-        require(_paymentToken != address(0), "Payment token cannot be zero address");
+        _initialize(
+            msg.sender,
+            _paymentToken,
+            _offeringToken,
+            _tokenPrice,
+            _softCap,
+            _hardCap,
+            _minContribution,
+            _maxContribution
+        );
+    }
+    
+    /**
+     * @dev Initializes a pool deployed as a minimal proxy clone (see IDOPoolFactory)
+     * Reverts on pools deployed through the constructor, including the clone implementation.
+     * @param _owner Address that will own the pool
+     * @param _paymentToken Address of the ERC-20 token used for payment, or zero to pay in native currency
+     * @param _offeringToken Address of the token being sold
+     * @param _tokenPrice Price of one whole offering token in payment token base units
+     * @param _softCap Minimum amount to raise
+     * @param _hardCap Maximum amount to raise
+     * @param _minContribution Minimum contribution per user
+     * @param _maxContribution Maximum contribution per user
+     */
+    function initialize(
+        address _owner,
+        address _paymentToken,
+        address _offeringToken,
+        uint256 _tokenPrice,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minContribution,
+        uint256 _maxContribution
+    ) external {
+        _initialize(
+            _owner,
+            _paymentToken,
+            _offeringToken,
+            _tokenPrice,
+            _softCap,
+            _hardCap,
+            _minContribution,
+            _maxContribution
+        );
+    }
+    
+    /**
+     * @dev Validates the pool configuration and sets up the initial state
+     */
+    function _initialize(
+        address _owner,
+        address _paymentToken,
+        address _offeringToken,
+        uint256 _tokenPrice,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minContribution,
+        uint256 _maxContribution
+    ) private {
+        require(!initialized, "Pool already initialized");
+        require(_owner != address(0), "Owner cannot be zero address");
         require(_offeringToken != address(0), "Offering token cannot be zero address");
-        require(_tokenPrice > 0, "Token price must be greater than zero");
-        require(_softCap > 0, "Soft cap must be greater than zero");
-        require(_hardCap >= _softCap, "Hard cap must be >= soft cap");
-        require(_minContribution > 0, "Min contribution must be greater than zero");
-        require(_maxContribution >= _minContribution, "Max contribution must be >= min contribution");
+        _validateParameters(_tokenPrice, _softCap, _hardCap, _minContribution, _maxContribution);
         
-        // Validate that addresses are actually contracts
-        require(_paymentToken.isContract(), "Payment token is not a contract");
-        require(_offeringToken.isContract(), "Offering token is not a contract");
+        // A zero payment token configures the pool for native currency
+        bool nativePayment = _paymentToken == address(0);
         
-        // Validate the ERC20 interface by calling a method
-        try MockERC20(_paymentToken).totalSupply() returns (uint256) {
-            // Success, it's a valid ERC20
-        } catch {
-            revert("Payment token does not implement ERC20 interface");
+        // Read decimals once so every conversion uses the real token units
+        uint8 paymentTokenDecimals = 18;
+        if (!nativePayment) {
+            paymentTokenDecimals = _readDecimals(_paymentToken, "Payment token");
         }
+        uint8 offeringTokenDecimals = _readDecimals(_offeringToken, "Offering token");
         
-        try MockERC20(_offeringToken).totalSupply() returns (uint256) {
-            // Success, it's a valid ERC20
-        } catch {
-            revert("Offering token does not implement ERC20 interface");
-        }
+        initialized = true;
         
         paymentToken = MockERC20(_paymentToken);
+        isNativePayment = nativePayment;
         offeringToken = MockERC20(_offeringToken);
+        paymentDecimals = paymentTokenDecimals;
+        offeringDecimals = offeringTokenDecimals;
         tokenPrice = _tokenPrice;
         softCap = _softCap;
         hardCap = _hardCap;
         minContribution = _minContribution;
         maxContribution = _maxContribution;
+        tgePercentage = PERCENTAGE_DENOMINATOR;
         
-        admin = msg.sender;
+        if (_owner != owner()) {
+            _transferOwnership(_owner);
+        }
+        _grantRole(OPERATOR_ROLE, _owner);
+        _grantRole(TREASURY_ROLE, _owner);
+        _grantRole(PAUSER_ROLE, _owner);
         poolState = PoolState.Pending;
     }
     
     /**
-     * @dev Updates the IDO parameters (only owner)
-     * @param _tokenPrice New token price
-     * @param _softCap New soft cap
-     * @param _hardCap New hard cap
-     * @param _minContribution New minimum contribution
-     * @param _maxContribution New maximum contribution
+     * @dev Checks that a token is an ERC-20 contract and returns its decimals
+     * @param _token Token to check
+     * @param _name Name of the token in revert reasons
      */
-    function updateParameters(
-        uint256 _tokenPrice,
-        uint256 _softCap,
-        uint256 _hardCap,
-        uint256 _minContribution,
-        uint256 _maxContribution
-    ) external onlyOwner {
-        require(poolState == PoolState.Pending, "Cannot update parameters after IDO has started");
-        require(_tokenPrice > 0, "Token price must be greater than zero");
-        require(_softCap > 0, "Soft cap must be greater than zero");
-        require(_hardCap >= _softCap, "Hard cap must be >= soft cap");
-        require(_minContribution > 0, "Min contribution must be greater than zero");
-        require(_maxContribution >= _minContribution, "Max contribution must be >= min contribution");
+    function _readDecimals(address _token, string memory _name) private view returns (uint8 tokenDecimals) {
+        require(_token.isContract(), string.concat(_name, " is not a contract"));
         
-        tokenPrice = _tokenPrice;
-        softCap = _softCap;
-        hardCap = _hardCap;
-        minContribution = _minContribution;
-        maxContribution = _maxContribution;
+        // Validate the ERC20 interface by calling a method
+        try MockERC20(_token).totalSupply() returns (uint256) {
+            // Success, it's a valid ERC20
+        } catch {
+            revert(string.concat(_name, " does not implement ERC20 interface"));
+        }
         
-        emit ParametersUpdated();
+        try MockERC20(_token).decimals() returns (uint8 result) {
+            tokenDecimals = result;
+        } catch {
+            revert(string.concat(_name, " does not implement decimals"));
+        }
+    }
+    
+    /**
+     * @dev Updates the IDO parameters (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function updateParameters(uint256, uint256, uint256, uint256, uint256) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Updates the vesting schedule for token claims (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function updateVestingSchedule(uint256, uint256, uint256) external {
+        _delegateToConfig();
     }
     
     /**
-     * @dev Deposits offering tokens to the pool (only owner)
+     * @dev Enables or disables oversubscription beyond the hard cap (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setOverflowMode(bool) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Sets how the offering token is priced (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setPricingStrategy(IPricingStrategy) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Commits the raise to a liquidity seeder before the sale (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setLiquiditySeeder(address) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Replaces the public maximum contribution with staking tiers (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setStakingTiers(IStakingTiers) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Limits how many times the sale can be extended once it starts (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setMaxExtensions(uint256) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Lets contributors withdraw while the sale is active (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setWithdrawalPolicy(IWithdrawalPolicy, address) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Deposits offering tokens to the pool (only operator)
+     * Later deposits top up the balance, such as after a pricing change raises what the
+     * hard cap needs.
      * @param _amount Amount of tokens to deposit
      */
-    function depositOfferingTokens(uint256 _amount) external onlyOwner {
-        require(poolState == PoolState.Pending, "Can only deposit before IDO starts");
+    function depositOfferingTokens(uint256 _amount) external onlyRole(OPERATOR_ROLE) {
+        _requirePending("Can only deposit before IDO starts");
         require(_amount > 0, "Amount must be greater than zero");
         
-        uint256 requiredTokens = hardCap / tokenPrice;
-        require(_amount >= requiredTokens, "Insufficient tokens for hard cap");
+        uint256 requiredTokens = getTokenAmount(hardCap);
+        require(_tokenBalance() + _amount >= requiredTokens, "Insufficient tokens for hard cap");
         
         offeringToken.safeTransferFrom(msg.sender, address(this), _amount);
         tokensDeposited = true;
@@ -167,7 +243,9 @@ contract IDOPool is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Starts the IDO (only owner)
+     * @dev Starts the IDO (only operator)
+     * The deposit is checked again against the hard cap, since the price, the hard cap and
+     * the pricing strategy can still change after it.
      * @param _startTime Start time of the IDO
      * @param _endTime End time of the IDO
      * @param _refundEndTime End time for claiming refunds
@@ -176,59 +254,271 @@ contract IDOPool is Ownable, ReentrancyGuard {
         uint256 _startTime,
         uint256 _endTime,
         uint256 _refundEndTime
-    ) external onlyOwner {
-        require(poolState == PoolState.Pending, "Pool must be in pending state");
+    ) external onlyRole(OPERATOR_ROLE) {
+        _requirePending("Pool must be in pending state");
         require(tokensDeposited, "Offering tokens must be deposited first");
-        require(_startTime > block.timestamp, "Start time must be in the future");
-        require(_endTime > _startTime, "End time must be after start time");
-        require(_refundEndTime > _endTime, "Refund end time must be after end time");
+        require(_tokenBalance() >= getTokenAmount(hardCap), "Insufficient tokens for hard cap");
+        require(liquiditySeeder == address(0) || ILiquiditySeeder(liquiditySeeder).isFunded(),
+                "Liquidity tokens must be escrowed first");
+        _validateStartTime(_startTime, _endTime, _refundEndTime);
         
         startTime = _startTime;
         endTime = _endTime;
         refundEndTime = _refundEndTime;
+        if (address(stakingTiers) != address(0)) {
+            stakingTiers.snapshot();
+        }
         
         poolState = PoolState.Active;
         emit PoolStateChanged(PoolState.Active);
     }
     
     /**
-     * @dev Allows users to buy tokens using the payment token
+     * @dev Moves the start time of an active pool that has not opened yet (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function updateStartTime(uint256) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Extends or shortens the sale of an active pool (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function updateEndTime(uint256) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Moves the refund deadline of an active pool (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function updateRefundEndTime(uint256) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Sets the root of the allowlist Merkle tree (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setMerkleRoot(bytes32) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Switches between the allowlist-only phase and the public phase (only owner)
+     * Implemented in IDOPoolConfig.
+     */
+    function setAllowlistOnly(bool) external {
+        _delegateToConfig();
+    }
+    
+    /**
+     * @dev Allows users to buy tokens using the payment token during the public phase
+     * Native currency pools expect msg.value to equal _amount.
+     * @param _amount Amount of payment tokens to contribute
+     */
+    function buyTokens(uint256 _amount) external payable nonReentrant {
+        _buyTokens(_amount, _publicCap());
+    }
+    
+    /**
+     * @dev Buys tokens in a single transaction by approving the pool with an EIP-2612 permit
+     * A permit that fails, for example because it was already used, falls back to the
+     * existing allowance, so tokens without permit support can still use a plain approve.
+     * @param _amount Amount of payment tokens to contribute
+     * @param _deadline Timestamp after which the permit signature expires
+     * @param _v Recovery byte of the permit signature
+     * @param _r First 32 bytes of the permit signature
+     * @param _s Second 32 bytes of the permit signature
+     */
+    function buyTokensWithPermit(
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant {
+        uint256 cap = _publicCap();
+        _permit(_amount, _deadline, _v, _r, _s);
+        _buyTokens(_amount, cap);
+    }
+    
+    /**
+     * @dev Allows allowlisted users to buy tokens up to their own allocation
+     * Native currency pools expect msg.value to equal _amount.
+     * @param _amount Amount of payment tokens to contribute
+     * @param _maxAllocation Maximum total contribution allowed for the caller
+     * @param _proof Merkle proof of the caller's (address, maxAllocation) leaf
+     */
+    function buyTokensWithProof(
+        uint256 _amount,
+        uint256 _maxAllocation,
+        bytes32[] calldata _proof
+    ) external payable nonReentrant {
+        _verifyAllocation(_maxAllocation, _proof);
+        _buyTokens(_amount, _maxAllocation);
+    }
+    
+    /**
+     * @dev Buys tokens up to the caller's allowlist allocation, approving the pool with an
+     * EIP-2612 permit in the same transaction
+     * The proof is checked as in buyTokensWithProof and the permit is used as in buyTokensWithPermit.
+     * @param _amount Amount of payment tokens to contribute
+     * @param _maxAllocation Maximum total contribution allowed for the caller
+     * @param _proof Merkle proof of the caller's (address, maxAllocation) leaf
+     * @param _deadline Timestamp after which the permit signature expires
+     * @param _v Recovery byte of the permit signature
+     * @param _r First 32 bytes of the permit signature
+     * @param _s Second 32 bytes of the permit signature
+     */
+    function buyTokensWithPermitAndProof(
+        uint256 _amount,
+        uint256 _maxAllocation,
+        bytes32[] calldata _proof,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant {
+        _verifyAllocation(_maxAllocation, _proof);
+        _permit(_amount, _deadline, _v, _r, _s);
+        _buyTokens(_amount, _maxAllocation);
+    }
+    
+    /**
+     * @dev Checks the caller's allowlist leaf against the Merkle root
+     * @param _maxAllocation Maximum total contribution allowed for the caller
+     * @param _proof Merkle proof of the caller's (address, maxAllocation) leaf
+     */
+    function _verifyAllocation(uint256 _maxAllocation, bytes32[] calldata _proof) private view {
+        require(merkleRoot != bytes32(0), "Allowlist not set");
+        
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, _maxAllocation))));
+        require(MerkleProof.verify(_proof, merkleRoot, leaf), "Invalid allowlist proof");
+    }
+    
+    /**
+     * @dev Approves the pool for the caller's payment tokens with an EIP-2612 permit
+     * A permit that fails, for example because it was already used, falls back to the
+     * existing allowance.
+     */
+    function _permit(uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) private {
+        require(!isNativePayment, "Permit not available for native currency");
+        
+        try IERC20Permit(address(paymentToken)).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s) {
+            // Allowance granted by the signature
+        } catch {
+            // Rely on an allowance set by approve or a permit submitted by someone else
+        }
+    }
+    
+    /**
+     * @dev Collects the payment from the caller and records the amount that arrived
+     * Fee-on-transfer tokens are credited with what the pool received after the fee, and the
+     * caps are checked against that. Tokens that deliver more than was sent are rejected.
      * @param _amount Amount of payment tokens to contribute
+     * @param _cap Maximum total contribution allowed for the caller
      */
-    function buyTokens(uint256 _amount) external nonReentrant {
-        require(poolState == PoolState.Active, "Pool is not active");
+    function _buyTokens(uint256 _amount, uint256 _cap) private whenNotPaused {
+        _requireActive();
         require(block.timestamp >= startTime, "IDO has not started yet");
-        require(block.timestamp <= endTime, "IDO has ended");
-        require(_amount >= minContribution, "Contribution below minimum");
+        _requireNotEnded();
         
-        uint256 newContribution = contributions[msg.sender] + _amount;
-        require(newContribution <= maxContribution, "Exceeds maximum contribution");
+        // Collect payment from user, measuring the balance change for ERC-20 tokens
+        uint256 received = _amount;
+        if (isNativePayment) {
+            require(msg.value == _amount, "Incorrect native amount sent");
+        } else {
+            require(msg.value == 0, "Pool does not accept native currency");
+            uint256 balanceBefore = _paymentBalance();
+            paymentToken.safeTransferFrom(msg.sender, address(this), _amount);
+            received = _paymentBalance() - balanceBefore;
+            require(received <= _amount, "Unsupported payment token");
+        }
+        require(received >= minContribution, "Contribution below minimum");
+        
+        uint256 newContribution = contributions[msg.sender] + received;
+        require(newContribution <= _cap, "Exceeds maximum contribution");
         
-        uint256 newTotalRaised = totalRaised + _amount;
-        require(newTotalRaised <= hardCap, "Hard cap reached");
+        uint256 newTotalRaised = totalRaised + received;
+        require(overflowMode || newTotalRaised <= hardCap, "Hard cap reached");
         
-        // Update state before external calls
+        // Priced before totalRaised moves, so tiers start from the current tranche
+        uint256 tokens = getTokenAmount(received);
+        if (!_isFixedPrice()) {
+            purchasedTokens[msg.sender] += tokens;
+            totalTokensPurchased += tokens;
+            lastPurchaseAt = block.timestamp;
+        }
+        
+        // Contributors who withdrew everything are already listed
+        if (contributions[msg.sender] == 0 && withdrawnContributions[msg.sender] == 0) {
+            contributors.push(msg.sender);
+        }
         contributions[msg.sender] = newContribution;
         totalRaised = newTotalRaised;
         
-        // Calculate tokens to receive
-        uint256 tokensToReceive = _amount * 10**18 / tokenPrice;
+        emit TokensPurchased(msg.sender, received, tokens);
+    }
+    
+    /**
+     * @dev Withdraws part or all of the caller's contribution while the sale is active
+     * The penalty is sent to the penalty recipient or stays in the pool, where it is paid
+     * out with the raised funds. Refund-like, so it stays available while paused.
+     * @param _amount Amount of the contribution to withdraw, before the penalty
+     */
+    function withdrawContribution(uint256 _amount) external nonReentrant {
+        require(address(withdrawalPolicy) != address(0), "Withdrawals not enabled");
+        _requireActive();
+        // Reverts once withdrawals have closed
+        uint256 penalty = withdrawalPolicy.getPenalty(address(this), _amount);
+        uint256 contribution = contributions[msg.sender];
+        require(_amount > 0 && _amount <= contribution, "Invalid withdrawal amount");
+        
+        uint256 remaining = contribution - _amount;
+        require(remaining == 0 || remaining >= minContribution, "Remaining contribution below minimum");
         
-        // Transfer payment tokens from user
-        paymentToken.safeTransferFrom(msg.sender, address(this), _amount);
+        // A shortfall in the pool's balance cuts withdrawals like refunds
+        uint256 payout = _owedShare(_amount - penalty);
+        penalty = _owedShare(penalty);
         
-        emit TokensPurchased(msg.sender, _amount, tokensToReceive);
+        // Tokens bought at strategy prices shrink in proportion, rounded down
+        uint256 remainingTokens = purchasedTokens[msg.sender] * remaining / contribution;
+        totalTokensPurchased -= purchasedTokens[msg.sender] - remainingTokens;
+        purchasedTokens[msg.sender] = remainingTokens;
+        
+        contributions[msg.sender] = remaining;
+        withdrawnContributions[msg.sender] += _amount;
+        totalRaised -= _amount;
+        
+        _sendPayment(msg.sender, payout);
+        if (penalty > 0 && penaltyRecipient != address(0)) {
+            _sendPayment(penaltyRecipient, penalty);
+        }
+        
+        emit ContributionWithdrawn(msg.sender, _amount, penalty);
     }
     
     /**
-     * @dev Finalizes the IDO (only owner)
+     * @dev Finalizes the IDO (only operator)
      */
-    function finalize() external onlyOwner {
-        require(poolState == PoolState.Active, "Pool is not active");
-        require(block.timestamp > endTime || totalRaised >= hardCap, "IDO not yet ended");
+    function finalize() external onlyRole(OPERATOR_ROLE) {
+        _requireActive();
+        // Overflow pools keep accepting commitments until the end time
+        require(block.timestamp > endTime || (!overflowMode && totalRaised >= hardCap), "IDO not yet ended");
+        
+        // Settlement uses the price the strategy reports now, whatever it reports later
+        if (!_isFixedPrice()) {
+            clearingPrice = pricingStrategy.getClearingPrice(address(this));
+        }
         
-        if (totalRaised >= softCap) {
+        // The soft cap counts only what is kept once excess contributions are returned
+        if (_settledRaise() >= softCap) {
             poolState = PoolState.Completed;
+            finalizedAt = block.timestamp;
+            // Reserve the tokens bought, capped at the hard cap for oversubscribed pools
+            totalTokensSold = _isFixedPrice() ? getTokenAmount(Math.min(totalRaised, hardCap)) : totalTokensPurchased;
         } else {
             poolState = PoolState.Refunding;
         }
@@ -238,10 +528,14 @@ contract IDOPool is Ownable, ReentrancyGuard {
     
     /**
      * @dev Enables refund mode (only owner)
+     * Users who already claimed tokens keep claiming them; everyone else can refund.
+     * Completed pools can only switch while refunds are still open.
      */
     function enableRefund() external onlyOwner {
         require(poolState == PoolState.Active || poolState == PoolState.Completed, 
                 "Can only enable refund in active or completed state");
+        require(!raisedFundsWithdrawn, "Raised funds already withdrawn");
+        require(poolState == PoolState.Active || block.timestamp <= refundEndTime, "Refund period ended");
         
         poolState = PoolState.Refunding;
         emit PoolStateChanged(PoolState.Refunding);
@@ -249,70 +543,386 @@ contract IDOPool is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Allows users to claim their tokens if IDO is successful
+     * @dev Cancels the IDO and returns the deposited offering tokens (only owner)
+     * Contributors can reclaim their full contribution through claimRefund
+     * without being bound by the refund deadline.
+     * @param _reason Human-readable reason for the cancellation
      */
-    function claimTokens() external nonReentrant {
-        require(poolState == PoolState.Completed, "Pool is not completed");
-        require(contributions[msg.sender] > 0, "No contribution found");
-        require(!hasClaimedTokens[msg.sender], "Tokens already claimed");
+    function cancelPool(string calldata _reason) external onlyOwner nonReentrant {
+        require(poolState == PoolState.Pending || poolState == PoolState.Active,
+                "Can only cancel in pending or active state");
+        
+        poolState = PoolState.Cancelled;
         
-        uint256 userContribution = contributions[msg.sender];
-        uint256 tokensToReceive = userContribution * 10**18 / tokenPrice;
+        uint256 balance = _tokenBalance();
+        if (balance > 0) {
+            _sendTokens(balance);
+        }
+        
+        emit PoolStateChanged(PoolState.Cancelled);
+        emit PoolCancelled(_reason);
+    }
+    
+    /**
+     * @dev Freezes purchases and token claims during an incident (only pauser)
+     * Refunds stay available while the pool is paused.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Resumes purchases and token claims (only pauser)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @dev Allows users to claim their vested tokens if IDO is successful
+     * Can be called repeatedly as more tokens vest. The first claim of an
+     * oversubscribed pool also returns the unused part of the contribution.
+     * Users who started claiming before refunds were enabled can finish vesting.
+     */
+    function claimTokens() external nonReentrant whenNotPaused {
+        require(poolState == PoolState.Completed ||
+                (poolState == PoolState.Refunding && hasClaimedTokens[msg.sender]),
+                "Pool is not completed");
+        require(!unclaimedSwept, "Unclaimed balances swept");
+        _requireContribution();
         
-        hasClaimedTokens[msg.sender] = true;
+        uint256 excessToRefund = hasClaimedExcess[msg.sender] ? 0 : getUserRefundAmount(msg.sender);
+        require(claimedTokens[msg.sender] < getUserTokenAmount(msg.sender) || excessToRefund > 0,
+                "Tokens already claimed");
+        
+        uint256 tokensToReceive = claimableAmount(msg.sender);
+        require(tokensToReceive > 0 || excessToRefund > 0, "No tokens vested yet");
+        
+        uint256 excessPaid = _owedShare(excessToRefund);
+        
+        if (!hasClaimedTokens[msg.sender]) {
+            // The contribution is now spent, so it stays reserved as tokens rather than a refund
+            hasClaimedTokens[msg.sender] = true;
+            claimedContributions += contributions[msg.sender];
+            claimedAllocations += getUserTokenAmount(msg.sender);
+        }
+        claimedTokens[msg.sender] += tokensToReceive;
         totalDistributed += tokensToReceive;
+        if (excessToRefund > 0) {
+            hasClaimedExcess[msg.sender] = true;
+            totalExcessRefunded += excessToRefund;
+        }
         
-        offeringToken.safeTransfer(msg.sender, tokensToReceive);
+        if (tokensToReceive > 0) {
+            _sendTokens(tokensToReceive);
+            emit TokensClaimed(msg.sender, tokensToReceive);
+        }
         
-        emit TokensClaimed(msg.sender, tokensToReceive);
+        if (excessToRefund > 0) {
+            _sendPayment(msg.sender, excessPaid);
+            emit ExcessRefunded(msg.sender, excessPaid);
+        }
     }
     
     /**
-     * @dev Allows users to claim refunds if IDO is in refunding state
+     * @dev Allows users to claim refunds if IDO is in refunding or cancelled state
      */
     function claimRefund() external nonReentrant {
-        require(poolState == PoolState.Refunding, "Refunds not available");
-        require(block.timestamp <= refundEndTime, "Refund period ended");
-        require(contributions[msg.sender] > 0, "No contribution found");
+        require(poolState == PoolState.Refunding || poolState == PoolState.Cancelled, "Refunds not available");
+        // A cancelled pool stays refundable for as long as contributions remain
+        if (poolState == PoolState.Refunding) {
+            require(block.timestamp <= refundEndTime, "Refund period ended");
+        }
+        _requireContribution();
         require(!hasClaimedRefund[msg.sender], "Refund already claimed");
         require(!hasClaimedTokens[msg.sender], "Cannot refund after claiming tokens");
         
-        uint256 refundAmount = contributions[msg.sender];
+        uint256 refundAmount = _owedShare(contributions[msg.sender]);
         
         // Update state before external call
         hasClaimedRefund[msg.sender] = true;
+        totalRefunded += contributions[msg.sender];
         
         // Send refund
-        paymentToken.safeTransfer(msg.sender, refundAmount);
+        _sendPayment(msg.sender, refundAmount);
         
         emit RefundClaimed(msg.sender, refundAmount);
     }
     
     /**
-     * @dev Allows owner to withdraw raised funds after IDO is completed
+     * @dev Sends the raised funds to the calling treasury, or the liquidity seeder, after IDO is completed
+     * Oversubscription still owed to contributors stays in the pool. Cancelled pools
+     * only release what is not owed as refunds, such as withdrawal penalties.
      */
-    function withdrawRaisedFunds() external onlyOwner {
-        require(poolState == PoolState.Completed, "IDO not completed");
-        require(block.timestamp > refundEndTime, "Wait until refund period ends");
+    function withdrawRaisedFunds() external onlyRole(TREASURY_ROLE) nonReentrant {
+        require(poolState == PoolState.Completed || poolState == PoolState.Cancelled, "IDO not completed");
+        _requireRefundPeriodOver();
+        require(!raisedFundsWithdrawn, "Funds already withdrawn");
+        
+        uint256 amount = _surplus(_paymentBalance(), getOutstandingPayments());
+        require(amount > 0, "No funds to withdraw");
         
-        uint256 balance = paymentToken.balanceOf(address(this));
-        require(balance > 0, "No funds to withdraw");
+        raisedFundsWithdrawn = true;
         
-        paymentToken.safeTransfer(msg.sender, balance);
+        // A liquidity seeder receives the raise and forwards what it does not seed
+        _sendPayment(liquiditySeeder == address(0) ? msg.sender : liquiditySeeder, amount);
+        emit RaisedFundsWithdrawn(amount);
     }
     
     /**
-     * @dev Allows owner to recover any unsold tokens after IDO
+     * @dev Allows owner to recover unsold tokens after IDO
+     * Tokens allocated to buyers stay in the pool until they are claimed or swept.
      */
-    function withdrawUnsoldTokens() external onlyOwner {
+    function withdrawUnsoldTokens() external onlyOwner nonReentrant {
         require(poolState == PoolState.Completed || poolState == PoolState.Cancelled || poolState == PoolState.Refunding, 
                 "IDO must be completed, cancelled or refunding");
-        require(block.timestamp > refundEndTime, "Wait until refund period ends");
+        _requireRefundPeriodOver();
+        
+        uint256 amount = _surplus(_tokenBalance(), getOutstandingTokens());
+        require(amount > 0, "No tokens to withdraw");
+        
+        _sendTokens(amount);
+        emit UnsoldTokensWithdrawn(amount);
+    }
+    
+    /**
+     * @dev Sweeps every remaining balance once the grace period is over (only owner)
+     * This is the only way to recover unclaimed tokens, expired refunds and rounding
+     * dust. Claims are closed afterwards. Cancelled pools stay refundable indefinitely
+     * and cannot be swept. With a liquidity seeder, the payment balance goes to the seeder,
+     * which releases it to its treasury, rather than to the owner.
+     */
+    function sweepUnclaimed() external onlyOwner nonReentrant {
+        require(poolState == PoolState.Completed || poolState == PoolState.Refunding,
+                "IDO must be completed or refunding");
+        require(block.timestamp > getSweepTime(), "Grace period not over");
+        require(!unclaimedSwept, "Unclaimed balances already swept");
+        
+        unclaimedSwept = true;
+        // Whatever is left of the raise goes with the sweep
+        raisedFundsWithdrawn = true;
+        
+        uint256 paymentAmount = _paymentBalance();
+        uint256 tokenAmount = _tokenBalance();
+        
+        if (paymentAmount > 0) {
+            _sendPayment(liquiditySeeder == address(0) ? msg.sender : liquiditySeeder, paymentAmount);
+        }
+        if (tokenAmount > 0) {
+            _sendTokens(tokenAmount);
+        }
         
-        uint256 balance = offeringToken.balanceOf(address(this));
-        require(balance > 0, "No tokens to withdraw");
+        emit UnclaimedSwept(paymentAmount, tokenAmount);
+    }
+    
+    /**
+     * @dev Scales a refund owed to a contributor by any shortfall in the pool's balance
+     * Fees or a negative rebase can leave the pool holding less than it owes. Every refund
+     * is then cut by the same fraction, so contributors get the same share whenever they
+     * claim. Call it before the refund is recorded as claimed.
+     * @param _amount Refund owed
+     * @return Amount to send
+     */
+    function _owedShare(uint256 _amount) private view returns (uint256) {
+        uint256 owed = getOutstandingPayments();
+        uint256 balance = _paymentBalance();
+        return balance < owed ? _amount * balance / owed : _amount;
+    }
+    
+    /**
+     * @dev Sends payment tokens or native currency from the pool
+     * @param _to Recipient of the payment
+     * @param _amount Amount to send
+     */
+    function _sendPayment(address _to, uint256 _amount) private {
+        // Fees or negative rebases can leave the pool short of what it owes
+        require(_paymentBalance() >= _amount, "Insufficient pool balance");
+        if (isNativePayment) {
+            Address.sendValue(payable(_to), _amount);
+        } else {
+            paymentToken.safeTransfer(_to, _amount);
+        }
+    }
+    
+    /**
+     * @dev Runs the current call in IDOPoolConfig against the pool's storage and returns its result
+     */
+    function _delegateToConfig() private {
+        address target = address(config);
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+    
+    /**
+     * @dev Runs a view in IDOPoolLens for this pool and returns its result
+     * @param _selector Lens function to call
+     * @param _user User to pass after the pool, ignored by views that only take the pool
+     */
+    function _viewFromLens(bytes4 _selector, address _user) private view {
+        address target = address(lens);
+        assembly {
+            mstore(0, _selector)
+            mstore(4, address())
+            mstore(36, _user)
+            let success := staticcall(gas(), target, 0, 68, 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+    
+    /**
+     * @dev Grants a role (only the role's admin)
+     * DEFAULT_ADMIN_ROLE follows ownership, so it can only be granted to the owner.
+     * @param _role Role to grant
+     * @param _account Account receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) public override {
+        require(_role != DEFAULT_ADMIN_ROLE || _account == owner(), "Admin role follows ownership");
+        super.grantRole(_role, _account);
+    }
+    
+    /**
+     * @dev Moves the role admin rights along with ownership
+     * Operator, treasury and pauser roles stay with their holders until revoked.
+     */
+    function _transferOwnership(address _newOwner) internal override {
+        address oldOwner = owner();
+        super._transferOwnership(_newOwner);
         
-        offeringToken.safeTransfer(msg.sender, balance);
+        if (oldOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, oldOwner);
+        }
+        if (_newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, _newOwner);
+        }
+    }
+    
+    /**
+     * @dev Checks that the pool has not started yet
+     * @param _message Revert reason naming what can no longer happen
+     */
+    function _requirePending(string memory _message) private view {
+        require(poolState == PoolState.Pending, _message);
+    }
+    
+    /**
+     * @dev Checks that the caller has a contribution to claim against
+     */
+    function _requireContribution() private view {
+        require(contributions[msg.sender] > 0, "No contribution found");
+    }
+    
+    /**
+     * @dev Checks that purchases without an allowlist proof are open
+     * @return The caller's maximum contribution, from their staking tier if the pool uses one
+     */
+    function _publicCap() private view returns (uint256) {
+        require(!allowlistOnly, "Allowlist-only phase");
+        return address(stakingTiers) == address(0) ? maxContribution : stakingTiers.getAllocation(address(this), msg.sender);
+    }
+    
+    /**
+     * @dev Checks that refunds have closed before the owner takes what is left
+     */
+    function _requireRefundPeriodOver() private view {
+        require(block.timestamp > refundEndTime, "Wait until refund period ends");
+    }
+    
+    /**
+     * @dev Returns the pool's balance of the payment token or native currency
+     */
+    function _paymentBalance() private view returns (uint256) {
+        return isNativePayment ? address(this).balance : paymentToken.balanceOf(address(this));
+    }
+    
+    /**
+     * @dev Returns the pool's balance of the offering token
+     */
+    function _tokenBalance() private view returns (uint256) {
+        return offeringToken.balanceOf(address(this));
+    }
+    
+    /**
+     * @dev Sends offering tokens from the pool to the caller
+     */
+    function _sendTokens(uint256 _amount) private {
+        offeringToken.safeTransfer(msg.sender, _amount);
+    }
+    
+    /**
+     * @dev Returns the part of a balance not needed to cover what is owed
+     */
+    function _surplus(uint256 _balance, uint256 _owed) private pure returns (uint256) {
+        return _balance > _owed ? _balance - _owed : 0;
+    }
+    
+    /**
+     * @dev Calculates the offering tokens still owed to buyers
+     * @return Allocated tokens that have not been claimed yet
+     */
+    function getOutstandingTokens() public view returns (uint256) {
+        if (unclaimedSwept) {
+            return 0;
+        }
+        if (poolState == PoolState.Completed) {
+            return totalTokensSold - totalDistributed;
+        }
+        if (poolState == PoolState.Refunding) {
+            // Only users who already started claiming keep their allocation
+            return claimedAllocations - totalDistributed;
+        }
+        return 0;
+    }
+    
+    /**
+     * @dev Calculates the payment still owed to contributors as refunds
+     * Every contribution can still be withdrawn or refunded until the pool completes.
+     * @return Refunds and oversubscription excess that have not been claimed yet
+     */
+    function getOutstandingPayments() public view returns (uint256) {
+        if (unclaimedSwept) {
+            return 0;
+        }
+        if (poolState == PoolState.Completed) {
+            return totalRaised - _settledRaise() - totalExcessRefunded;
+        }
+        return totalRaised - totalRefunded - claimedContributions;
+    }
+    
+    /**
+     * @dev Calculates when unclaimed balances can be swept by the owner
+     * The grace period starts once refunds close and every allocation is fully vested.
+     * @return Timestamp after which sweepUnclaimed is allowed
+     */
+    function getSweepTime() public view returns (uint256) {
+        uint256 claimsOpenUntil = refundEndTime;
+        if (finalizedAt > 0) {
+            claimsOpenUntil = Math.max(claimsOpenUntil, finalizedAt + cliffDuration + vestingDuration);
+        }
+        return claimsOpenUntil + UNCLAIMED_GRACE_PERIOD;
+    }
+    
+    /**
+     * @dev Converts a payment amount into offering tokens at the current price
+     * With a pricing strategy this is what the next purchase of that amount would receive.
+     * @param _paymentAmount Amount in payment token base units
+     * @return Amount in offering token base units
+     */
+    function getTokenAmount(uint256 _paymentAmount) public view returns (uint256) {
+        if (!_isFixedPrice()) {
+            return pricingStrategy.getTokenAmount(address(this), _paymentAmount);
+        }
+        return _paymentAmount * 10**offeringDecimals / tokenPrice;
     }
     
     /**
@@ -320,11 +930,107 @@ contract IDOPool is Ownable, ReentrancyGuard {
      * @param _user Address of the user
      * @return Amount of tokens the user would receive
      */
-    function getUserTokenAmount(address _user) external view returns (uint256) {
+    function getUserTokenAmount(address _user) public view returns (uint256) {
         if (contributions[_user] == 0) {
             return 0;
         }
-        return contributions[_user] * 10**18 / tokenPrice;
+        
+        uint256 fullAmount = _isFixedPrice() ? getTokenAmount(contributions[_user]) : purchasedTokens[_user];
+        if (!_isOversubscribed()) {
+            return fullAmount;
+        }
+        
+        // Pro-rata share of the hard cap, rounded down so the deposit always covers every claim
+        return fullAmount * hardCap / totalRaised;
+    }
+    
+    /**
+     * @dev Calculates the unused part of a user's contribution in an oversubscribed pool,
+     * or what a Dutch auction buyer paid above the clearing price
+     * @param _user Address of the user
+     * @return Amount of payment tokens returned to the user when claiming
+     */
+    function getUserRefundAmount(address _user) public view returns (uint256) {
+        // Rounded down so the pool always holds enough for every excess refund
+        if (_isOversubscribed()) {
+            return contributions[_user] * (totalRaised - hardCap) / totalRaised;
+        }
+        uint256 price = _clearingPrice();
+        if (price > 0) {
+            uint256 unit = 10**offeringDecimals;
+            return contributions[_user] - (purchasedTokens[_user] * price + unit - 1) / unit;
+        }
+        return 0;
+    }
+    
+    /**
+     * @dev Calculates the contributions the pool keeps once excess contributions are returned
+     */
+    function _settledRaise() private view returns (uint256) {
+        if (_isOversubscribed()) {
+            return hardCap;
+        }
+        uint256 price = _clearingPrice();
+        if (price > 0) {
+            return totalTokensPurchased * price / 10**offeringDecimals;
+        }
+        return totalRaised;
+    }
+    
+    /**
+     * @dev Returns the price every purchase settles at, which only Dutch auctions set
+     * Until the pool is finalized this is the strategy's estimate.
+     */
+    function _clearingPrice() private view returns (uint256) {
+        if (_isFixedPrice() || poolState != PoolState.Active) {
+            return clearingPrice;
+        }
+        return pricingStrategy.getClearingPrice(address(this));
+    }
+    
+    /**
+     * @dev Checks if an overflow pool has received more than its hard cap
+     */
+    function _isOversubscribed() private view returns (bool) {
+        return overflowMode && totalRaised > hardCap;
+    }
+    
+    /**
+     * @dev Calculates the amount of a user's tokens vested so far
+     * @param _user Address of the user
+     * @return Amount of tokens vested, including those already claimed
+     */
+    function vestedAmount(address _user) public view returns (uint256) {
+        bool stillVesting = poolState == PoolState.Refunding && hasClaimedTokens[_user];
+        if (poolState != PoolState.Completed && !stillVesting) {
+            return 0;
+        }
+        
+        uint256 totalTokens = getUserTokenAmount(_user);
+        uint256 tgeTokens = totalTokens * tgePercentage / PERCENTAGE_DENOMINATOR;
+        uint256 cliffEnd = finalizedAt + cliffDuration;
+        
+        if (block.timestamp < cliffEnd) {
+            return tgeTokens;
+        }
+        if (block.timestamp >= cliffEnd + vestingDuration) {
+            return totalTokens;
+        }
+        
+        return tgeTokens + (totalTokens - tgeTokens) * (block.timestamp - cliffEnd) / vestingDuration;
+    }
+    
+    /**
+     * @dev Calculates the amount of tokens a user can claim right now
+     * @param _user Address of the user
+     * @return Amount of vested tokens not yet claimed
+     */
+    function claimableAmount(address _user) public view returns (uint256) {
+        uint256 vested = vestedAmount(_user);
+        if (vested <= claimedTokens[_user]) {
+            return 0;
+        }
+        return vested - claimedTokens[_user];
     }
     
     /**
@@ -342,4 +1048,46 @@ contract IDOPool is Ownable, ReentrancyGuard {
     function isHardCapReached() public view returns (bool) {
         return totalRaised >= hardCap;
     }
+    
+    /**
+     * @dev Returns the whole pool configuration and state in a single call
+     * Implemented in IDOPoolLens, which also serves any pool by address.
+     */
+    function getPoolInfo() external view returns (IDOPoolLens.PoolInfo memory) {
+        _viewFromLens(IDOPoolLens.getPoolInfo.selector, address(0));
+    }
+    
+    /**
+     * @dev Returns a user's contribution, allocation, vesting and balances in a single call
+     * Implemented in IDOPoolLens, which also serves any pool by address.
+     * @param _user Address of the user
+     */
+    function getUserInfo(address _user) external view returns (IDOPoolLens.UserInfo memory) {
+        _viewFromLens(IDOPoolLens.getUserInfo.selector, _user);
+    }
+    
+    /**
+     * @dev Returns the number of addresses that have contributed
+     */
+    function getContributorCount() external view returns (uint256) {
+        return contributors.length;
+    }
+    
+    /**
+     * @dev Returns a page of contributors in order of their first purchase
+     * @param _offset Index of the first contributor to return
+     * @param _limit Maximum number of contributors to return
+     * @return page Contributor addresses, shorter than _limit at the end of the list
+     */
+    function getContributors(uint256 _offset, uint256 _limit) external view returns (address[] memory page) {
+        if (_offset >= contributors.length) {
+            return new address[](0);
+        }
+        
+        uint256 end = Math.min(_offset + _limit, contributors.length);
+        page = new address[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = contributors[i];
+        }
+    }
 }
\ No newline at end of file
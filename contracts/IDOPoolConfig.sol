@@ -0,0 +1,241 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPoolStorage.sol";
+
+/**
+ * @title IDOPoolConfig
+ * @dev Owner configuration of IDOPool, kept out of the pool to stay under the contract size limit.
+ * Each pool creates one when it is deployed and runs it with delegatecall, so these functions
+ * check the pool's roles and update the pool's storage. Called directly, a config contract only
+ * changes its own unused storage.
+ */
+contract IDOPoolConfig is IDOPoolStorage {
+    /**
+     * @dev Updates the IDO parameters (only owner)
+     * @param _tokenPrice New token price
+     * @param _softCap New soft cap
+     * @param _hardCap New hard cap
+     * @param _minContribution New minimum contribution
+     * @param _maxContribution New maximum contribution
+     */
+    function updateParameters(
+        uint256 _tokenPrice,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minContribution,
+        uint256 _maxContribution
+    ) external onlyOwner {
+        _requireSetup("parameters");
+        _validateParameters(_tokenPrice, _softCap, _hardCap, _minContribution, _maxContribution);
+        
+        tokenPrice = _tokenPrice;
+        softCap = _softCap;
+        hardCap = _hardCap;
+        minContribution = _minContribution;
+        maxContribution = _maxContribution;
+        
+        emit ParametersUpdated();
+    }
+    
+    /**
+     * @dev Updates the vesting schedule for token claims (only owner)
+     * @param _tgePercentage Share of tokens unlocked at finalization, in basis points
+     * @param _cliffDuration Delay after finalization before linear vesting starts
+     * @param _vestingDuration Length of the linear vesting after the cliff
+     */
+    function updateVestingSchedule(
+        uint256 _tgePercentage,
+        uint256 _cliffDuration,
+        uint256 _vestingDuration
+    ) external onlyOwner {
+        _requireSetup("vesting");
+        require(_tgePercentage <= PERCENTAGE_DENOMINATOR, "TGE percentage exceeds 100%");
+        require(_tgePercentage == PERCENTAGE_DENOMINATOR || _cliffDuration > 0 || _vestingDuration > 0,
+                "Locked tokens need a cliff or vesting duration");
+        
+        tgePercentage = _tgePercentage;
+        cliffDuration = _cliffDuration;
+        vestingDuration = _vestingDuration;
+        
+        emit VestingScheduleUpdated(_tgePercentage, _cliffDuration, _vestingDuration);
+    }
+    
+    /**
+     * @dev Enables or disables oversubscription beyond the hard cap (only owner)
+     * In overflow mode each user receives contribution * hardCap / totalRaised worth of
+     * tokens and gets the unused part of their contribution back when claiming.
+     * @param _overflowMode True to accept commitments beyond the hard cap
+     */
+    function setOverflowMode(bool _overflowMode) external onlyOwner {
+        _requireSetup("overflow mode");
+        
+        overflowMode = _overflowMode;
+        _checkPricingMode();
+        emit OverflowModeUpdated(_overflowMode);
+    }
+    
+    /**
+     * @dev Sets how the offering token is priced (only owner)
+     * Tiered and Dutch auction strategies price each purchase when it is made, and
+     * tokenPrice only applies to fixed pricing.
+     * @param _pricingStrategy Pricing strategy contract, or zero for the fixed tokenPrice
+     */
+    function setPricingStrategy(IPricingStrategy _pricingStrategy) external onlyOwner {
+        _requireSetup("pricing");
+        
+        pricingStrategy = _pricingStrategy;
+        _checkPricingMode();
+        emit PricingStrategyUpdated(address(_pricingStrategy));
+    }
+    
+    /**
+     * @dev Commits the raise to a liquidity seeder before the sale (only owner)
+     * Once set, withdrawRaisedFunds sends the raise to the seeder instead of the calling
+     * treasury, so buyers can check where it goes before contributing.
+     * @param _liquiditySeeder IDOPoolLiquidity contract for this pool, or zero to pay the treasury
+     */
+    function setLiquiditySeeder(address _liquiditySeeder) external onlyOwner {
+        _requireSetup("liquidity");
+        
+        liquiditySeeder = _liquiditySeeder;
+        emit LiquiditySeederUpdated(_liquiditySeeder);
+    }
+    
+    /**
+     * @dev Replaces the public maximum contribution with staking tiers (only owner)
+     * Stakes are snapshotted when the pool starts, and the tiers decide how much and from
+     * when each address can buy outside the allowlist.
+     * @param _stakingTiers Staking contract assigning the tiers, or zero for maxContribution
+     */
+    function setStakingTiers(IStakingTiers _stakingTiers) external onlyOwner {
+        _requireSetup("staking tiers");
+        
+        stakingTiers = _stakingTiers;
+        emit StakingTiersUpdated(address(_stakingTiers));
+    }
+    
+    /**
+     * @dev Limits how many times the sale can be extended once it starts (only owner)
+     * @param _maxExtensions Maximum number of end time extensions, zero for no limit
+     */
+    function setMaxExtensions(uint256 _maxExtensions) external onlyOwner {
+        _requireSetup("extension limit");
+        
+        maxExtensions = _maxExtensions;
+        emit MaxExtensionsUpdated(_maxExtensions);
+    }
+    
+    /**
+     * @dev Lets contributors withdraw while the sale is active (only owner)
+     * The policy decides until when withdrawals are open and the penalty they pay.
+     * @param _withdrawalPolicy Withdrawal policy contract, or zero to disable withdrawals
+     * @param _penaltyRecipient Treasury that receives penalties, or zero to keep them in the pool
+     */
+    function setWithdrawalPolicy(IWithdrawalPolicy _withdrawalPolicy, address _penaltyRecipient) external onlyOwner {
+        _requireSetup("withdrawals");
+        require(_penaltyRecipient == address(0) || hasRole(TREASURY_ROLE, _penaltyRecipient),
+                "Penalty recipient is not a treasury");
+        
+        withdrawalPolicy = _withdrawalPolicy;
+        penaltyRecipient = _penaltyRecipient;
+        emit WithdrawalPolicyUpdated(address(_withdrawalPolicy), _penaltyRecipient);
+    }
+    
+    /**
+     * @dev Moves the start time of an active pool that has not opened yet (only owner)
+     * @param _startTime New start time of the IDO
+     */
+    function updateStartTime(uint256 _startTime) external onlyOwner {
+        _requireActive();
+        require(block.timestamp < startTime, "IDO has already started");
+        _validateStartTime(_startTime, endTime, refundEndTime);
+        
+        emit StartTimeUpdated(startTime, _startTime);
+        startTime = _startTime;
+    }
+    
+    /**
+     * @dev Extends or shortens the sale of an active pool (only owner)
+     * Each extension counts towards maxExtensions; shortening is always allowed. Pools with
+     * staking tiers cannot be extended, as their tiers only count stakes locked until the
+     * end time the pool started with.
+     * @param _endTime New end time of the IDO
+     */
+    function updateEndTime(uint256 _endTime) external onlyOwner {
+        _requireActive();
+        _requireNotEnded();
+        require(_endTime >= block.timestamp, "End time cannot be in the past");
+        _validateSchedule(startTime, _endTime, refundEndTime);
+        
+        if (_endTime > endTime) {
+            require(address(stakingTiers) == address(0), "Cannot extend a pool with staking tiers");
+            require(maxExtensions == 0 || extensionCount < maxExtensions, "Maximum extensions reached");
+            extensionCount++;
+        }
+        
+        emit EndTimeUpdated(endTime, _endTime);
+        endTime = _endTime;
+    }
+    
+    /**
+     * @dev Moves the refund deadline of an active pool (only owner)
+     * @param _refundEndTime New end time for claiming refunds
+     */
+    function updateRefundEndTime(uint256 _refundEndTime) external onlyOwner {
+        _requireActive();
+        _validateSchedule(startTime, endTime, _refundEndTime);
+        require(_refundEndTime > block.timestamp, "Refund end time cannot be in the past");
+        
+        emit RefundEndTimeUpdated(refundEndTime, _refundEndTime);
+        refundEndTime = _refundEndTime;
+    }
+    
+    /**
+     * @dev Sets the root of the allowlist Merkle tree (only owner)
+     * Leaves are keccak256(bytes.concat(keccak256(abi.encode(account, maxAllocation)))).
+     * @param _merkleRoot New Merkle root
+     */
+    function setMerkleRoot(bytes32 _merkleRoot) external onlyOwner {
+        _requireAllowlistEditable();
+        
+        merkleRoot = _merkleRoot;
+        emit MerkleRootUpdated(_merkleRoot);
+    }
+    
+    /**
+     * @dev Switches between the allowlist-only phase and the public phase (only owner)
+     * @param _allowlistOnly True to restrict purchases to allowlisted addresses
+     */
+    function setAllowlistOnly(bool _allowlistOnly) external onlyOwner {
+        _requireAllowlistEditable();
+        
+        allowlistOnly = _allowlistOnly;
+        emit AllowlistPhaseUpdated(_allowlistOnly);
+    }
+    
+    /**
+     * @dev Checks that overflow mode is only combined with fixed pricing
+     */
+    function _checkPricingMode() private view {
+        require(!overflowMode || _isFixedPrice(), "Overflow mode requires fixed pricing");
+    }
+    
+    /**
+     * @dev Checks that the allowlist can still change, which is until the sale ends
+     */
+    function _requireAllowlistEditable() private view {
+        require(poolState == PoolState.Pending || poolState == PoolState.Active,
+                "Can only update allowlist before IDO ends");
+    }
+    
+    /**
+     * @dev Checks that a setting can still change because the pool has not started
+     * @param _setting Name of the setting in the revert reason
+     */
+    function _requireSetup(string memory _setting) private view {
+        if (poolState != PoolState.Pending) {
+            revert(string.concat("Cannot update ", _setting, " after IDO has started"));
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPool.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title IDOPoolFactory
+ * @dev Deploys IDOPool instances as minimal proxy clones or upgradeable transparent
+ * proxies and keeps an on-chain registry of every pool it has launched.
+ */
+contract IDOPoolFactory {
+    using Address for address;
+
+    // Pool used as the code template for every clone and the first implementation of upgradeable pools
+    address public immutable implementation;
+
+    // Registry
+    address[] public allPools;
+    mapping(address => bool) public isPool;
+    mapping(address => address[]) private poolsByCreator;
+    mapping(address => address[]) private poolsByPaymentToken;
+    mapping(address => address[]) private poolsByOfferingToken;
+
+    // Events
+    event PoolCreated(
+        address indexed pool,
+        address indexed creator,
+        address indexed paymentToken,
+        address offeringToken,
+        uint256 index
+    );
+
+    /**
+     * @dev Constructor to set the clone implementation
+     * @param _implementation Address of a deployed IDOPool used as the clone template
+     */
+    constructor(address _implementation) {
+        require(_implementation != address(0), "Implementation cannot be zero address");
+        require(_implementation.isContract(), "Implementation is not a contract");
+
+        implementation = _implementation;
+    }
+
+    /**
+     * @dev Deploys a new IDO pool owned by the caller
+     * @param _paymentToken Address of the ERC-20 token used for payment, or zero to pay in native currency
+     * @param _offeringToken Address of the token being sold
+     * @param _tokenPrice Price of one whole offering token in payment token base units
+     * @param _softCap Minimum amount to raise
+     * @param _hardCap Maximum amount to raise
+     * @param _minContribution Minimum contribution per user
+     * @param _maxContribution Maximum contribution per user
+     * @return pool Address of the new pool
+     */
+    function createPool(
+        address _paymentToken,
+        address _offeringToken,
+        uint256 _tokenPrice,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minContribution,
+        uint256 _maxContribution
+    ) external returns (address pool) {
+        pool = Clones.clone(implementation);
+        IDOPool(pool).initialize(
+            msg.sender,
+            _paymentToken,
+            _offeringToken,
+            _tokenPrice,
+            _softCap,
+            _hardCap,
+            _minContribution,
+            _maxContribution
+        );
+
+        _register(pool, _paymentToken, _offeringToken);
+    }
+
+    /**
+     * @dev Deploys a new IDO pool owned by the caller behind a transparent proxy that can be upgraded
+     * The pool is initialized in the proxy's constructor, so nobody can initialize it first.
+     * @param _proxyAdmin Contract allowed to upgrade the pool, such as an IDOPoolProxyAdmin
+     * @param _paymentToken Address of the ERC-20 token used for payment, or zero to pay in native currency
+     * @param _offeringToken Address of the token being sold
+     * @param _tokenPrice Price of one whole offering token in payment token base units
+     * @param _softCap Minimum amount to raise
+     * @param _hardCap Maximum amount to raise
+     * @param _minContribution Minimum contribution per user
+     * @param _maxContribution Maximum contribution per user
+     * @return pool Address of the new pool
+     */
+    function createUpgradeablePool(
+        address _proxyAdmin,
+        address _paymentToken,
+        address _offeringToken,
+        uint256 _tokenPrice,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minContribution,
+        uint256 _maxContribution
+    ) external returns (address pool) {
+        // The proxy admin cannot call the pool, so an account as admin would lock itself out
+        require(_proxyAdmin.isContract(), "Proxy admin is not a contract");
+
+        bytes memory initData = abi.encodeCall(
+            IDOPool.initialize,
+            (msg.sender, _paymentToken, _offeringToken, _tokenPrice, _softCap, _hardCap, _minContribution, _maxContribution)
+        );
+        pool = address(new TransparentUpgradeableProxy(implementation, _proxyAdmin, initData));
+
+        _register(pool, _paymentToken, _offeringToken);
+    }
+
+    /**
+     * @dev Returns the number of pools created by this factory
+     * @return Number of pools
+     */
+    function allPoolsLength() external view returns (uint256) {
+        return allPools.length;
+    }
+
+    /**
+     * @dev Returns the pools created by an address
+     * @param _creator Address of the creator
+     * @return Pool addresses in creation order
+     */
+    function getPoolsByCreator(address _creator) external view returns (address[] memory) {
+        return poolsByCreator[_creator];
+    }
+
+    /**
+     * @dev Returns the pools raising funds in a payment token
+     * @param _paymentToken Address of the payment token, or zero for native currency pools
+     * @return Pool addresses in creation order
+     */
+    function getPoolsByPaymentToken(address _paymentToken) external view returns (address[] memory) {
+        return poolsByPaymentToken[_paymentToken];
+    }
+
+    /**
+     * @dev Returns the pools selling an offering token
+     * @param _offeringToken Address of the offering token
+     * @return Pool addresses in creation order
+     */
+    function getPoolsByOfferingToken(address _offeringToken) external view returns (address[] memory) {
+        return poolsByOfferingToken[_offeringToken];
+    }
+
+    /**
+     * @dev Adds a new pool to the registry
+     * @param _pool Address of the pool
+     * @param _paymentToken Address of the payment token, or zero for native currency pools
+     * @param _offeringToken Address of the offering token
+     */
+    function _register(address _pool, address _paymentToken, address _offeringToken) private {
+        allPools.push(_pool);
+        isPool[_pool] = true;
+        poolsByCreator[msg.sender].push(_pool);
+        poolsByPaymentToken[_paymentToken].push(_pool);
+        poolsByOfferingToken[_offeringToken].push(_pool);
+
+        emit PoolCreated(_pool, msg.sender, _paymentToken, _offeringToken, allPools.length - 1);
+    }
+}
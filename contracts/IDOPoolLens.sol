@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPoolStorage.sol";
+import "./IDOPool.sol";
+
+/**
+ * @title IDOPoolLens
+ * @dev Stateless reader that gathers a pool's configuration and a user's position in one call.
+ * It lives outside IDOPool to keep the pool under the contract size limit, and works with any pool.
+ * Each pool creates one and forwards its own getPoolInfo and getUserInfo views to it.
+ */
+contract IDOPoolLens {
+
+    // Snapshot of a pool returned by getPoolInfo
+    struct PoolInfo {
+        IDOPoolStorage.PoolState state;
+        address paymentToken;
+        address offeringToken;
+        string paymentSymbol;
+        string offeringSymbol;
+        uint8 paymentDecimals;
+        uint8 offeringDecimals;
+        bool isNativePayment;
+        uint256 tokenPrice;
+        uint256 softCap;
+        uint256 hardCap;
+        uint256 minContribution;
+        uint256 maxContribution;
+        uint256 totalRaised;
+        uint256 totalDistributed;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 refundEndTime;
+        uint256 finalizedAt;
+        uint256 tgePercentage;
+        uint256 cliffDuration;
+        uint256 vestingDuration;
+        bool overflowMode;
+        bool allowlistOnly;
+        bool paused;
+        uint256 contributorCount;
+        uint256 extensionCount;
+        uint256 maxExtensions;
+        bool withdrawalsEnabled;
+        address withdrawalPolicy;
+        uint256 withdrawalPenalty;
+        uint256 withdrawalPenaltyStart;
+        uint256 withdrawalPenaltyEnd;
+        uint256 withdrawalDeadline;
+        address penaltyRecipient;
+        address pricingStrategy;
+        uint256 currentPrice;
+        uint256 clearingPrice;
+        address liquiditySeeder;
+        address stakingTiers;
+    }
+
+    // Snapshot of a user's position returned by getUserInfo
+    struct UserInfo {
+        uint256 contribution;
+        uint256 tokenAmount;
+        uint256 refundAmount;
+        uint256 vestedAmount;
+        uint256 claimedTokens;
+        uint256 claimableAmount;
+        bool hasClaimedTokens;
+        bool hasClaimedRefund;
+        bool hasClaimedExcess;
+        uint256 withdrawnContribution;
+        uint256 paymentBalance;
+        uint256 offeringBalance;
+        uint256 stakingTier;
+        uint256 remainingAllocation;
+    }
+
+    /**
+     * @dev Returns the whole pool configuration and state in a single call
+     * Native currency pools report an empty payment symbol. Withdrawal penalties are rates
+     * in basis points: the current one, and those at the start time and the deadline.
+     * The current price is what the next purchase pays. The clearing price is only set by
+     * pricing strategies that settle every purchase at one price, and is the stored one once
+     * the pool is finalized.
+     * @param _pool Pool to read
+     */
+    function getPoolInfo(IDOPool _pool) external view returns (PoolInfo memory info) {
+        info.state = _pool.poolState();
+        info.paymentToken = address(_pool.paymentToken());
+        info.offeringToken = address(_pool.offeringToken());
+        info.isNativePayment = _pool.isNativePayment();
+        if (!info.isNativePayment) {
+            info.paymentSymbol = _pool.paymentToken().symbol();
+        }
+        info.offeringSymbol = _pool.offeringToken().symbol();
+        info.paymentDecimals = _pool.paymentDecimals();
+        info.offeringDecimals = _pool.offeringDecimals();
+        info.tokenPrice = _pool.tokenPrice();
+        info.softCap = _pool.softCap();
+        info.hardCap = _pool.hardCap();
+        info.minContribution = _pool.minContribution();
+        info.maxContribution = _pool.maxContribution();
+        info.totalRaised = _pool.totalRaised();
+        info.totalDistributed = _pool.totalDistributed();
+        info.startTime = _pool.startTime();
+        info.endTime = _pool.endTime();
+        info.refundEndTime = _pool.refundEndTime();
+        info.finalizedAt = _pool.finalizedAt();
+        info.tgePercentage = _pool.tgePercentage();
+        info.cliffDuration = _pool.cliffDuration();
+        info.vestingDuration = _pool.vestingDuration();
+        info.overflowMode = _pool.overflowMode();
+        info.allowlistOnly = _pool.allowlistOnly();
+        info.paused = _pool.paused();
+        info.contributorCount = _pool.getContributorCount();
+        info.extensionCount = _pool.extensionCount();
+        info.maxExtensions = _pool.maxExtensions();
+        IWithdrawalPolicy withdrawalPolicy = _pool.withdrawalPolicy();
+        info.withdrawalsEnabled = address(withdrawalPolicy) != address(0);
+        if (info.withdrawalsEnabled) {
+            uint256 rateBase = _pool.PERCENTAGE_DENOMINATOR();
+            info.withdrawalPolicy = address(withdrawalPolicy);
+            info.withdrawalDeadline = withdrawalPolicy.getWithdrawalDeadline(address(_pool));
+            info.withdrawalPenalty = withdrawalPolicy.getPenaltyAt(address(_pool), rateBase, block.timestamp);
+            info.withdrawalPenaltyStart = withdrawalPolicy.getPenaltyAt(address(_pool), rateBase, info.startTime);
+            info.withdrawalPenaltyEnd = withdrawalPolicy.getPenaltyAt(address(_pool), rateBase, info.withdrawalDeadline);
+        }
+        info.penaltyRecipient = _pool.penaltyRecipient();
+        info.pricingStrategy = address(_pool.pricingStrategy());
+        if (info.pricingStrategy == address(0)) {
+            info.currentPrice = info.tokenPrice;
+        } else {
+            info.currentPrice = IPricingStrategy(info.pricingStrategy).getCurrentPrice(address(_pool));
+            info.clearingPrice = info.state == IDOPoolStorage.PoolState.Active
+                ? IPricingStrategy(info.pricingStrategy).getClearingPrice(address(_pool))
+                : _pool.clearingPrice();
+        }
+        info.liquiditySeeder = _pool.liquiditySeeder();
+        info.stakingTiers = address(_pool.stakingTiers());
+    }
+
+    /**
+     * @dev Returns a user's contribution, allocation, vesting and balances in a single call
+     * The staking tier is a one-based index into the staking contract's tiers, zero without one.
+     * The remaining allocation is what the user can still contribute outside the allowlist
+     * right now, zero when their staking tier does not let them buy yet.
+     * @param _pool Pool to read
+     * @param _user Address of the user
+     */
+    function getUserInfo(IDOPool _pool, address _user) external view returns (UserInfo memory info) {
+        info.contribution = _pool.contributions(_user);
+        info.tokenAmount = _pool.getUserTokenAmount(_user);
+        info.refundAmount = _pool.getUserRefundAmount(_user);
+        info.vestedAmount = _pool.vestedAmount(_user);
+        info.claimedTokens = _pool.claimedTokens(_user);
+        info.claimableAmount = _pool.claimableAmount(_user);
+        info.hasClaimedTokens = _pool.hasClaimedTokens(_user);
+        info.hasClaimedRefund = _pool.hasClaimedRefund(_user);
+        info.hasClaimedExcess = _pool.hasClaimedExcess(_user);
+        info.withdrawnContribution = _pool.withdrawnContributions(_user);
+        info.paymentBalance = _pool.isNativePayment() ? _user.balance : _pool.paymentToken().balanceOf(_user);
+        info.offeringBalance = _pool.offeringToken().balanceOf(_user);
+
+        uint256 allocation = _pool.maxContribution();
+        IStakingTiers stakingTiers = _pool.stakingTiers();
+        if (address(stakingTiers) != address(0)) {
+            info.stakingTier = stakingTiers.getTier(address(_pool), _user);
+            try stakingTiers.getAllocation(address(_pool), _user) returns (uint256 result) {
+                allocation = result;
+            } catch {
+                allocation = 0;
+            }
+        }
+        info.remainingAllocation = allocation > info.contribution ? allocation - info.contribution : 0;
+    }
+}
@@ -0,0 +1,272 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPool.sol";
+import "./IUniswapV2.sol";
+import "./ILiquiditySeeder.sol";
+
+/**
+ * @title IDOPoolLiquidity
+ * @dev Seeds a DEX pair with part of a pool's raise once the sale completes, and locks the LP tokens.
+ * A pool that sets this contract as its liquidity seeder sends the raise here, and anyone can then
+ * call seedLiquidity, so the owner only receives the rest of the raise after liquidity is added.
+ * The offering tokens to pair with are escrowed here before the pool starts, and nothing goes
+ * to the treasury without seeding unless the pool is cancelled or refunding, or the seeding
+ * period ends without liquidity being added.
+ * It lives outside IDOPool to keep the pool under the contract size limit.
+ */
+contract IDOPoolLiquidity is ILiquiditySeeder, ReentrancyGuard {
+    using SafeERC20 for MockERC20;
+
+    uint256 public constant PERCENTAGE_DENOMINATOR = 10000;
+    uint256 public constant SLIPPAGE_TOLERANCE = 500;  // Share of either amount the pair's price can leave out, in basis points
+    uint256 public constant SEEDING_PERIOD = 30 days;  // Seconds after the refund period to seed before the raise can be released
+
+    IDOPool public immutable pool;
+    IUniswapV2Router02 public immutable router;
+    uint256 public immutable liquidityPercentage; // Share of the settled raise paired with offering tokens, in basis points
+    uint256 public immutable lockDuration;        // Seconds the LP tokens stay locked after seeding
+    address public immutable treasury;            // Receives the rest of the raise, leftovers and unlocked LP tokens
+
+    address public lpToken;
+    uint256 public lockedLiquidity;
+    uint256 public seededAt;
+    bool public liquiditySeeded;
+
+    // Events
+    event LiquiditySeeded(address indexed lpToken, uint256 paymentAmount, uint256 tokenAmount, uint256 liquidity);
+    event LiquidityWithdrawn(uint256 liquidity);
+    event FundsReleased(uint256 paymentAmount, uint256 tokenAmount);
+
+    /**
+     * @dev Constructor to set the pool, the router and the lock
+     * @param _pool Pool whose raise is seeded
+     * @param _router Uniswap V2 style router to add liquidity through
+     * @param _liquidityPercentage Share of the settled raise to add as liquidity, in basis points
+     * @param _lockDuration Seconds the LP tokens stay locked after seeding
+     * @param _treasury Address that receives the rest of the raise and the LP tokens once unlocked
+     */
+    constructor(
+        IDOPool _pool,
+        IUniswapV2Router02 _router,
+        uint256 _liquidityPercentage,
+        uint256 _lockDuration,
+        address _treasury
+    ) {
+        require(address(_pool) != address(0), "Pool cannot be zero address");
+        require(address(_router) != address(0), "Router cannot be zero address");
+        require(_liquidityPercentage > 0 && _liquidityPercentage <= PERCENTAGE_DENOMINATOR, "Invalid liquidity percentage");
+        require(_lockDuration > 0, "Lock duration must be greater than zero");
+        require(_treasury != address(0), "Treasury cannot be zero address");
+
+        pool = _pool;
+        router = _router;
+        liquidityPercentage = _liquidityPercentage;
+        lockDuration = _lockDuration;
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Receives the raise of native currency pools
+     */
+    receive() external payable {}
+
+    /**
+     * @dev Returns the price of the last token sold, which liquidity is added at
+     * Fixed price pools use tokenPrice, Dutch auctions their clearing price and tiered pools
+     * the price of the tier the sale ended in.
+     * @return Price of one whole offering token in payment token base units
+     */
+    function getSalePrice() public view returns (uint256) {
+        IPricingStrategy strategy = pool.pricingStrategy();
+        if (address(strategy) == address(0)) {
+            return pool.tokenPrice();
+        }
+
+        // Stored when the pool is finalized
+        uint256 clearingPrice = pool.clearingPrice();
+        return clearingPrice > 0 ? clearingPrice : strategy.getCurrentPrice(address(pool));
+    }
+
+    /**
+     * @dev Returns when the LP tokens unlock, zero until liquidity is seeded
+     */
+    function unlockTime() public view returns (uint256) {
+        return liquiditySeeded ? seededAt + lockDuration : 0;
+    }
+
+    /**
+     * @dev Returns when seeding closes and a completed pool's raise can go to the treasury instead
+     */
+    function seedingDeadline() public view returns (uint256) {
+        return pool.refundEndTime() + SEEDING_PERIOD;
+    }
+
+    /**
+     * @dev Calculates the offering tokens the most liquidity the pool can need pairs with
+     * Before the sale the pool prices its whole hard cap at the most tokens it can sell,
+     * which no sale price paired with the settled raise exceeds.
+     * @return Amount in offering token base units
+     */
+    function getRequiredTokens() public view returns (uint256) {
+        return pool.getTokenAmount(pool.hardCap()) * liquidityPercentage / PERCENTAGE_DENOMINATOR;
+    }
+
+    /**
+     * @dev Checks that the required offering tokens are escrowed here
+     */
+    function isFunded() external view override returns (bool) {
+        return pool.offeringToken().balanceOf(address(this)) >= getRequiredTokens();
+    }
+
+    /**
+     * @dev Calculates the payment and offering tokens that would be added as liquidity
+     * The share is taken from the settled raise, which the pool sends here: totalRaised less
+     * the excess owed or returned to oversubscribed and Dutch auction buyers.
+     * @return paymentAmount The configured share of the settled raise
+     * @return tokenAmount Offering tokens matching it at the sale price
+     */
+    function getLiquidityAmounts() public view returns (uint256 paymentAmount, uint256 tokenAmount) {
+        uint256 settledRaise = pool.totalRaised() - pool.getOutstandingPayments() - pool.totalExcessRefunded();
+        paymentAmount = settledRaise * liquidityPercentage / PERCENTAGE_DENOMINATOR;
+        tokenAmount = _tokensFor(paymentAmount);
+    }
+
+    /**
+     * @dev Withdraws the raise from a completed pool and adds the configured share as liquidity
+     * The offering tokens were escrowed here before the pool started. The pair is created
+     * if it does not exist. A pair that already trades is added to at its own price, as long as
+     * neither amount drops more than SLIPPAGE_TOLERANCE below the amounts at the sale price.
+     * The rest of the raise goes to the treasury.
+     */
+    function seedLiquidity() external nonReentrant {
+        require(!liquiditySeeded, "Liquidity already seeded");
+        require(pool.liquiditySeeder() == address(this), "Pool does not use this seeder");
+        require(pool.poolState() == IDOPoolStorage.PoolState.Completed, "IDO not completed");
+        require(block.timestamp <= seedingDeadline(), "Seeding period over");
+        if (!pool.raisedFundsWithdrawn()) {
+            pool.withdrawRaisedFunds();
+        }
+
+        // Fees or a negative rebase can leave less than the settled raise
+        (uint256 paymentAmount, ) = getLiquidityAmounts();
+        paymentAmount = Math.min(paymentAmount, _paymentBalance());
+        uint256 tokenAmount = _tokensFor(paymentAmount);
+        MockERC20 offeringToken = pool.offeringToken();
+        require(offeringToken.balanceOf(address(this)) >= tokenAmount, "Insufficient offering tokens for liquidity");
+
+        liquiditySeeded = true;
+        seededAt = block.timestamp;
+
+        offeringToken.forceApprove(address(router), tokenAmount);
+        uint256 liquidity;
+        address paymentAddress;
+        if (pool.isNativePayment()) {
+            (tokenAmount, paymentAmount, liquidity) = router.addLiquidityETH{value: paymentAmount}(
+                address(offeringToken),
+                tokenAmount,
+                _minAmount(tokenAmount),
+                _minAmount(paymentAmount),
+                address(this),
+                block.timestamp
+            );
+            paymentAddress = router.WETH();
+        } else {
+            MockERC20 paymentToken = pool.paymentToken();
+            paymentToken.forceApprove(address(router), paymentAmount);
+            (paymentAmount, tokenAmount, liquidity) = router.addLiquidity(
+                address(paymentToken),
+                address(offeringToken),
+                paymentAmount,
+                tokenAmount,
+                _minAmount(paymentAmount),
+                _minAmount(tokenAmount),
+                address(this),
+                block.timestamp
+            );
+            paymentAddress = address(paymentToken);
+        }
+        lpToken = IUniswapV2Factory(router.factory()).getPair(paymentAddress, address(offeringToken));
+        lockedLiquidity = liquidity;
+
+        emit LiquiditySeeded(lpToken, paymentAmount, tokenAmount, liquidity);
+
+        _release(0);
+    }
+
+    /**
+     * @dev Sends the LP tokens to the treasury once they unlock
+     */
+    function withdrawLiquidity() external nonReentrant {
+        require(lockedLiquidity > 0, "No liquidity to withdraw");
+        require(block.timestamp >= unlockTime(), "Liquidity is locked");
+
+        uint256 liquidity = lockedLiquidity;
+        lockedLiquidity = 0;
+
+        MockERC20(lpToken).safeTransfer(treasury, liquidity);
+        emit LiquidityWithdrawn(liquidity);
+    }
+
+    /**
+     * @dev Sends the payment and offering tokens held here to the treasury
+     * Available after seeding, for pools that did not complete, and to pools that no longer
+     * use this seeder, which can only change before the sale. A completed pool that is not
+     * seeded by the seeding deadline, such as one whose pair trades too far from the sale
+     * price, has its raise withdrawn and released here too.
+     */
+    function releaseFunds() external nonReentrant {
+        IDOPoolStorage.PoolState state = pool.poolState();
+        bool seedingMissed = state == IDOPoolStorage.PoolState.Completed && block.timestamp > seedingDeadline();
+        require(
+            liquiditySeeded || seedingMissed || state == IDOPoolStorage.PoolState.Cancelled ||
+                state == IDOPoolStorage.PoolState.Refunding || pool.liquiditySeeder() != address(this),
+            "Liquidity not seeded yet"
+        );
+        if (seedingMissed && !pool.raisedFundsWithdrawn() && pool.liquiditySeeder() == address(this)) {
+            pool.withdrawRaisedFunds();
+        }
+
+        _release(pool.offeringToken().balanceOf(address(this)));
+    }
+
+    /**
+     * @dev Sends the whole payment balance and some offering tokens to the treasury
+     */
+    function _release(uint256 _tokenAmount) private {
+        uint256 paymentAmount = _paymentBalance();
+        if (paymentAmount > 0) {
+            if (pool.isNativePayment()) {
+                Address.sendValue(payable(treasury), paymentAmount);
+            } else {
+                pool.paymentToken().safeTransfer(treasury, paymentAmount);
+            }
+        }
+        if (_tokenAmount > 0) {
+            pool.offeringToken().safeTransfer(treasury, _tokenAmount);
+        }
+
+        emit FundsReleased(paymentAmount, _tokenAmount);
+    }
+
+    /**
+     * @dev Returns the least of an amount the router may add, SLIPPAGE_TOLERANCE below it
+     */
+    function _minAmount(uint256 _amount) private pure returns (uint256) {
+        return _amount * (PERCENTAGE_DENOMINATOR - SLIPPAGE_TOLERANCE) / PERCENTAGE_DENOMINATOR;
+    }
+
+    /**
+     * @dev Converts a payment amount into offering tokens at the sale price
+     */
+    function _tokensFor(uint256 _paymentAmount) private view returns (uint256) {
+        return _paymentAmount * 10**pool.offeringDecimals() / getSalePrice();
+    }
+
+    /**
+     * @dev Returns this contract's balance of the payment token or native currency
+     */
+    function _paymentBalance() private view returns (uint256) {
+        return pool.isNativePayment() ? address(this).balance : pool.paymentToken().balanceOf(address(this));
+    }
+}
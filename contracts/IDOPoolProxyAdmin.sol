@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title IDOPoolProxyAdmin
+ * @dev Admin of upgradeable IDO pools deployed behind transparent proxies.
+ * Upgrades are limited to UPGRADER_ROLE and go through a schedule, so an optional delay
+ * gives contributors time to review a new implementation before it goes live.
+ */
+contract IDOPoolProxyAdmin is AccessControl {
+    using Address for address;
+
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    // Upgrade waiting to be executed on a proxy
+    struct PendingUpgrade {
+        address implementation;
+        bytes data;
+        uint256 readyAt;
+    }
+
+    uint256 public upgradeDelay;   // Seconds between scheduling and executing an upgrade, zero for none
+    mapping(address => PendingUpgrade) public pendingUpgrades;
+
+    // Events
+    event UpgradeDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event UpgradeScheduled(address indexed proxy, address indexed implementation, uint256 readyAt);
+    event UpgradeCancelled(address indexed proxy, address indexed implementation);
+    event UpgradeExecuted(address indexed proxy, address indexed implementation);
+
+    /**
+     * @dev Constructor to set the admin and the upgrade delay
+     * @param _admin Address granted DEFAULT_ADMIN_ROLE and UPGRADER_ROLE
+     * @param _upgradeDelay Seconds an upgrade waits after it is scheduled, zero for no timelock
+     */
+    constructor(address _admin, uint256 _upgradeDelay) {
+        require(_admin != address(0), "Admin cannot be zero address");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(UPGRADER_ROLE, _admin);
+        upgradeDelay = _upgradeDelay;
+    }
+
+    /**
+     * @dev Lengthens the upgrade delay
+     * The delay can never be shortened, so the timelock cannot be lifted to rush an upgrade through.
+     * @param _upgradeDelay New delay in seconds
+     */
+    function setUpgradeDelay(uint256 _upgradeDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_upgradeDelay >= upgradeDelay, "Upgrade delay can only increase");
+
+        uint256 oldDelay = upgradeDelay;
+        upgradeDelay = _upgradeDelay;
+        emit UpgradeDelayUpdated(oldDelay, _upgradeDelay);
+    }
+
+    /**
+     * @dev Schedules a proxy upgrade that can be executed once the delay has passed
+     * @param _proxy Proxy to upgrade
+     * @param _implementation New implementation contract
+     * @param _data Call to make on the proxy after upgrading, such as a migration, or empty for none
+     */
+    function scheduleUpgrade(
+        address _proxy,
+        address _implementation,
+        bytes calldata _data
+    ) external onlyRole(UPGRADER_ROLE) {
+        require(_implementation.isContract(), "Implementation is not a contract");
+        require(pendingUpgrades[_proxy].implementation == address(0), "Upgrade already scheduled");
+
+        uint256 readyAt = block.timestamp + upgradeDelay;
+        pendingUpgrades[_proxy] = PendingUpgrade(_implementation, _data, readyAt);
+
+        emit UpgradeScheduled(_proxy, _implementation, readyAt);
+    }
+
+    /**
+     * @dev Cancels the upgrade scheduled for a proxy
+     * @param _proxy Proxy with a scheduled upgrade
+     */
+    function cancelUpgrade(address _proxy) external onlyRole(UPGRADER_ROLE) {
+        address implementation = pendingUpgrades[_proxy].implementation;
+        require(implementation != address(0), "No upgrade scheduled");
+
+        delete pendingUpgrades[_proxy];
+        emit UpgradeCancelled(_proxy, implementation);
+    }
+
+    /**
+     * @dev Upgrades a proxy to its scheduled implementation once the delay has passed
+     * @param _proxy Proxy with a scheduled upgrade
+     */
+    function executeUpgrade(address _proxy) external onlyRole(UPGRADER_ROLE) {
+        PendingUpgrade memory upgrade = pendingUpgrades[_proxy];
+        require(upgrade.implementation != address(0), "No upgrade scheduled");
+        require(block.timestamp >= upgrade.readyAt, "Upgrade is still timelocked");
+
+        delete pendingUpgrades[_proxy];
+        if (upgrade.data.length > 0) {
+            ITransparentUpgradeableProxy(_proxy).upgradeToAndCall(upgrade.implementation, upgrade.data);
+        } else {
+            ITransparentUpgradeableProxy(_proxy).upgradeTo(upgrade.implementation);
+        }
+
+        emit UpgradeExecuted(_proxy, upgrade.implementation);
+    }
+}
@@ -0,0 +1,200 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+import "./IPricingStrategy.sol";
+import "./IStakingTiers.sol";
+import "./IWithdrawalPolicy.sol";
+import "./ILiquiditySeeder.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title IDOPoolStorage
+ * @dev State, events and shared checks of IDOPool. IDOPoolConfig inherits it as well, so the
+ * configuration that the pool runs with delegatecall reads and writes the pool's own slots.
+ * New state is only ever appended, since pools behind proxies keep their storage.
+ */
+abstract contract IDOPoolStorage is Ownable2Step, AccessControl, Pausable, ReentrancyGuard {
+    // Roles
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE"); // Deposits, starts and finalizes
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE"); // Receives the raised funds
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");     // Freezes purchases and claims
+    
+    // IDO State
+    enum PoolState {
+        Pending,
+        Active,
+        Completed,
+        Cancelled,
+        Refunding
+    }
+    
+    // Pool configuration
+    MockERC20 public paymentToken;    // The token users will pay with, zero for native currency
+    MockERC20 public offeringToken;   // The token being sold in the IDO
+    uint256 public tokenPrice;     // Price of one whole offering token in payment token base units
+    uint8 public paymentDecimals;  // Decimals of the payment token (18 for native currency)
+    uint8 public offeringDecimals; // Decimals of the offering token
+    uint256 public softCap;        // Minimum amount to raise
+    uint256 public hardCap;        // Maximum amount to raise
+    uint256 public minContribution;// Minimum contribution per user
+    uint256 public maxContribution;// Maximum contribution per user
+    
+    // IDO timing
+    uint256 public startTime;
+    uint256 public endTime;
+    uint256 public refundEndTime;  // Deadline for claiming refunds
+    uint256 public maxExtensions;  // Maximum number of sale extensions, zero for no limit
+    uint256 public extensionCount; // Number of times the end time has been pushed back
+    
+    // IDO state
+    PoolState public poolState;
+    uint256 public totalRaised;    // Total committed, which can exceed the hard cap in overflow mode
+    uint256 public totalDistributed;
+    bool public overflowMode;      // True when users can commit beyond the hard cap for a pro-rata allocation
+    bool public raisedFundsWithdrawn;
+    
+    // Amounts still owed to contributors, which owner withdrawals can never touch
+    uint256 public totalTokensSold;      // Offering tokens allocated to buyers at finalization
+    uint256 public totalRefunded;        // Contributions returned through claimRefund
+    uint256 public totalExcessRefunded;  // Oversubscription returned through claimTokens
+    uint256 public claimedContributions; // Contributions of users who claimed tokens and can no longer refund
+    uint256 public claimedAllocations;   // Token allocations of those users
+    
+    // Balances left unclaimed this long after the last claim window closes can be swept
+    uint256 public constant UNCLAIMED_GRACE_PERIOD = 180 days;
+    bool public unclaimedSwept;
+    
+    // Vesting, measured from finalization
+    uint256 public constant PERCENTAGE_DENOMINATOR = 10000;
+    uint256 public tgePercentage;  // Share unlocked at finalization, in basis points
+    uint256 public cliffDuration;  // Delay after finalization before linear vesting starts
+    uint256 public vestingDuration;// Length of the linear vesting after the cliff
+    uint256 public finalizedAt;    // Timestamp the pool was finalized as completed
+    
+    // Allowlist
+    bytes32 public merkleRoot;     // Root of the (address, maxAllocation) allowlist tree
+    bool public allowlistOnly;     // True while only allowlisted addresses can buy
+    
+    // User contributions
+    mapping(address => uint256) public contributions;
+    mapping(address => bool) public hasClaimedTokens;
+    mapping(address => uint256) public claimedTokens;
+    mapping(address => bool) public hasClaimedRefund;
+    mapping(address => bool) public hasClaimedExcess;
+    address[] internal contributors; // Every address that has contributed, in order of first purchase
+    
+    // Admin tracking
+    bool public tokensDeposited;
+    bool public isNativePayment;   // True when contributions are paid in the native currency
+    bool internal initialized;
+    
+    // Early withdrawals, appended so upgradeable pools keep their storage layout
+    IWithdrawalPolicy public withdrawalPolicy; // Penalty and deadline for withdrawals, zero to disable them
+    address public penaltyRecipient;      // Treasury that receives penalties, zero to keep them in the pool
+    mapping(address => uint256) public withdrawnContributions;
+    
+    // Pricing, appended for the same reason
+    IPricingStrategy public pricingStrategy; // Tiered or Dutch auction pricing, zero for the fixed tokenPrice
+    uint256 public lastPurchaseAt;       // Timestamp of the latest purchase
+    uint256 internal totalTokensPurchased; // Offering tokens bought at the pricing strategy's prices
+    mapping(address => uint256) internal purchasedTokens;
+    
+    // Liquidity seeding, appended for the same reason
+    address public liquiditySeeder;      // Receives the raised funds instead of the treasury, zero for none
+    
+    // Staking tiers, appended for the same reason
+    IStakingTiers public stakingTiers;   // Sets each buyer's maximum contribution, zero for maxContribution
+    
+    // Settlement price, appended for the same reason
+    uint256 public clearingPrice;        // Price every purchase settles at, stored by finalize for Dutch auctions
+    
+    // Events
+    event PoolStateChanged(PoolState state);
+    event TokensPurchased(address indexed buyer, uint256 paymentAmount, uint256 tokenAmount);
+    event TokensClaimed(address indexed user, uint256 amount);
+    event RefundClaimed(address indexed user, uint256 amount);
+    event ExcessRefunded(address indexed user, uint256 amount);
+    event TokensDeposited(uint256 amount);
+    event AdminRefundEnabled();
+    event PoolCancelled(string reason);
+    event MerkleRootUpdated(bytes32 merkleRoot);
+    event AllowlistPhaseUpdated(bool allowlistOnly);
+    event ParametersUpdated();
+    event VestingScheduleUpdated(uint256 tgePercentage, uint256 cliffDuration, uint256 vestingDuration);
+    event OverflowModeUpdated(bool overflowMode);
+    event MaxExtensionsUpdated(uint256 maxExtensions);
+    event StartTimeUpdated(uint256 oldStartTime, uint256 newStartTime);
+    event EndTimeUpdated(uint256 oldEndTime, uint256 newEndTime);
+    event RefundEndTimeUpdated(uint256 oldRefundEndTime, uint256 newRefundEndTime);
+    event RaisedFundsWithdrawn(uint256 amount);
+    event UnsoldTokensWithdrawn(uint256 amount);
+    event UnclaimedSwept(uint256 paymentAmount, uint256 tokenAmount);
+    event WithdrawalPolicyUpdated(address withdrawalPolicy, address penaltyRecipient);
+    event ContributionWithdrawn(address indexed user, uint256 amount, uint256 penalty);
+    event PricingStrategyUpdated(address pricingStrategy);
+    event LiquiditySeederUpdated(address liquiditySeeder);
+    event StakingTiersUpdated(address stakingTiers);
+
+    /**
+     * @dev Checks that the pricing, caps and contribution limits are consistent
+     */
+    function _validateParameters(
+        uint256 _tokenPrice,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minContribution,
+        uint256 _maxContribution
+    ) internal pure {
+        require(_tokenPrice > 0, "Token price must be greater than zero");
+        require(_softCap > 0, "Soft cap must be greater than zero");
+        require(_hardCap >= _softCap, "Hard cap must be >= soft cap");
+        require(_minContribution > 0, "Min contribution must be greater than zero");
+        require(_maxContribution >= _minContribution, "Max contribution must be >= min contribution");
+    }
+    
+    /**
+     * @dev Checks a schedule whose start time is still to come
+     */
+    function _validateStartTime(uint256 _startTime, uint256 _endTime, uint256 _refundEndTime) internal view {
+        require(_startTime > block.timestamp, "Start time must be in the future");
+        _validateSchedule(_startTime, _endTime, _refundEndTime);
+    }
+    
+    /**
+     * @dev Checks that the sale ends after it starts and refunds close after the sale ends
+     */
+    function _validateSchedule(uint256 _startTime, uint256 _endTime, uint256 _refundEndTime) internal pure {
+        require(_endTime > _startTime, "End time must be after start time");
+        require(_refundEndTime > _endTime, "Refund end time must be after end time");
+    }
+    
+    /**
+     * @dev Checks that the pool is active, which is shared by every sale-time action
+     */
+    function _requireActive() internal view {
+        require(poolState == PoolState.Active, "Pool is not active");
+    }
+    
+    /**
+     * @dev Checks that the sale has not passed its end time
+     */
+    function _requireNotEnded() internal view {
+        require(block.timestamp <= endTime, "IDO has ended");
+    }
+    
+    /**
+     * @dev Checks if the pool sells at the fixed tokenPrice
+     */
+    function _isFixedPrice() internal view returns (bool) {
+        return address(pricingStrategy) == address(0);
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ILiquiditySeeder
+ * @dev Receives the raise of an IDOPool and adds part of it as DEX liquidity after the sale.
+ * The offering tokens it pairs with are escrowed before the pool starts.
+ */
+interface ILiquiditySeeder {
+    /**
+     * @dev Checks that the offering tokens for the most liquidity the pool can need are escrowed
+     * IDOPool calls it from startPool.
+     * @return True when the escrowed tokens cover any outcome of the sale
+     */
+    function isFunded() external view returns (bool);
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IPricingStrategy
+ * @dev Prices the offering token of an IDOPool that does not sell at a fixed tokenPrice.
+ * Strategies are read-only and take every input from the pool they are asked about.
+ */
+interface IPricingStrategy {
+    /**
+     * @dev Converts a payment into the offering tokens the next purchase in a pool receives
+     * Before a pool starts, pricing its whole hard cap must give the most tokens it can sell,
+     * since that is what the pool requires to be deposited.
+     * @param _pool Pool being priced
+     * @param _paymentAmount Amount in payment token base units
+     * @return Amount in offering token base units
+     */
+    function getTokenAmount(address _pool, uint256 _paymentAmount) external view returns (uint256);
+
+    /**
+     * @dev Returns the price of the next purchase in a pool
+     * @param _pool Pool being priced
+     * @return Price of one whole offering token in payment token base units
+     */
+    function getCurrentPrice(address _pool) external view returns (uint256);
+
+    /**
+     * @dev Returns the price every purchase settles at once a pool's sale is over
+     * @param _pool Pool being priced
+     * @return Price of one whole offering token, or zero to keep the price each purchase paid
+     */
+    function getClearingPrice(address _pool) external view returns (uint256);
+}
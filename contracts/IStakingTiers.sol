@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IStakingTiers
+ * @dev Assigns stakers allocation tiers for the IDOPools that use it.
+ * Tiers are fixed by a snapshot each pool takes when it starts.
+ */
+interface IStakingTiers {
+    /**
+     * @dev Takes the calling pool's snapshot of every stake
+     */
+    function snapshot() external;
+
+    /**
+     * @dev Returns the most a user can have contributed to a pool right now
+     * Reverts with the reason when the user cannot buy yet.
+     * @param _pool Pool being bought from
+     * @param _user Address of the buyer
+     * @return Maximum total contribution in payment token base units
+     */
+    function getAllocation(address _pool, address _user) external view returns (uint256);
+
+    /**
+     * @dev Returns a user's tier in a pool
+     * @param _pool Pool to look up
+     * @param _user Address of the staker
+     * @return One-based tier index, or zero without a tier
+     */
+    function getTier(address _pool, address _user) external view returns (uint256);
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IWithdrawalPolicy
+ * @dev Decides when contributors of an IDOPool can withdraw during the sale and what it costs.
+ * Policies are read-only and take every input from the pool they are asked about.
+ */
+interface IWithdrawalPolicy {
+    /**
+     * @dev Calculates the penalty for withdrawing from a pool right now
+     * Reverts once withdrawals have closed.
+     * @param _pool Pool being withdrawn from
+     * @param _amount Amount of the contribution to withdraw
+     * @return Part of the amount kept as a penalty
+     */
+    function getPenalty(address _pool, uint256 _amount) external view returns (uint256);
+
+    /**
+     * @dev Calculates the penalty for withdrawing from a pool at a given time
+     * @param _pool Pool being withdrawn from
+     * @param _amount Amount of the contribution to withdraw
+     * @param _timestamp Time of the withdrawal
+     * @return Part of the amount kept as a penalty
+     */
+    function getPenaltyAt(address _pool, uint256 _amount, uint256 _timestamp) external view returns (uint256);
+
+    /**
+     * @dev Returns when withdrawals from a pool close
+     * @param _pool Pool being withdrawn from
+     * @return Last timestamp at which contributions can be withdrawn
+     */
+    function getWithdrawalDeadline(address _pool) external view returns (uint256);
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPool.sol";
+import "./IWithdrawalPolicy.sol";
+
+/**
+ * @title LinearWithdrawalPenalty
+ * @dev Penalty that falls linearly from penaltyStart at the pool's start time to penaltyEnd
+ * when withdrawals close, cutoff seconds before the pool's end time.
+ */
+contract LinearWithdrawalPenalty is IWithdrawalPolicy {
+    uint256 public constant PERCENTAGE_DENOMINATOR = 10000;
+
+    uint256 public immutable penaltyStart; // Penalty at the start of the sale, in basis points
+    uint256 public immutable penaltyEnd;   // Penalty when withdrawals close, in basis points
+    uint256 public immutable cutoff;       // Time before the end time when withdrawals close
+
+    /**
+     * @dev Constructor to set the penalty curve
+     * @param _penaltyStart Penalty at the start of the sale, in basis points
+     * @param _penaltyEnd Penalty when withdrawals close, in basis points
+     * @param _cutoff Time before the end time when withdrawals close, zero to allow them until the end
+     */
+    constructor(uint256 _penaltyStart, uint256 _penaltyEnd, uint256 _cutoff) {
+        require(_penaltyStart <= PERCENTAGE_DENOMINATOR, "Penalty exceeds 100%");
+        require(_penaltyEnd <= _penaltyStart, "Penalty cannot increase over time");
+
+        penaltyStart = _penaltyStart;
+        penaltyEnd = _penaltyEnd;
+        cutoff = _cutoff;
+    }
+
+    /**
+     * @dev Calculates the penalty at the current rate
+     */
+    function getPenalty(address _pool, uint256 _amount) external view override returns (uint256) {
+        require(block.timestamp <= getWithdrawalDeadline(_pool), "Withdrawal period ended");
+        return getPenaltyAt(_pool, _amount, block.timestamp);
+    }
+
+    /**
+     * @dev Calculates the penalty at the rate of a given time, rounded down
+     * The rate stays at penaltyEnd after withdrawals close.
+     */
+    function getPenaltyAt(address _pool, uint256 _amount, uint256 _timestamp) public view override returns (uint256) {
+        uint256 poolStart = IDOPool(_pool).startTime();
+        uint256 deadline = getWithdrawalDeadline(_pool);
+        uint256 rate = penaltyStart;
+        if (deadline > poolStart && _timestamp > poolStart) {
+            uint256 elapsed = Math.min(_timestamp, deadline) - poolStart;
+            rate -= (penaltyStart - penaltyEnd) * elapsed / (deadline - poolStart);
+        }
+        return _amount * rate / PERCENTAGE_DENOMINATOR;
+    }
+
+    /**
+     * @dev Returns the pool's end time minus the cutoff
+     */
+    function getWithdrawalDeadline(address _pool) public view override returns (uint256) {
+        uint256 poolEnd = IDOPool(_pool).endTime();
+        return poolEnd > cutoff ? poolEnd - cutoff : 0;
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+contract MockERC20Permit is MockERC20, ERC20Permit {
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimalsValue,
+        uint256 initialSupply
+    ) MockERC20(name, symbol, decimalsValue, initialSupply) ERC20Permit(name) {}
+
+    function decimals() public view virtual override(ERC20, MockERC20) returns (uint8) {
+        return MockERC20.decimals();
+    }
+}
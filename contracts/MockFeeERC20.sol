@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockFeeERC20
+ * @dev Mock token that burns a fee on every transfer, so recipients get less than was sent
+ */
+contract MockFeeERC20 is MockERC20 {
+    uint256 public feeBps;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimalsValue,
+        uint256 initialSupply,
+        uint256 feeBpsValue
+    ) MockERC20(name, symbol, decimalsValue, initialSupply) {
+        feeBps = feeBpsValue;
+    }
+
+    function setFee(uint256 feeBpsValue) public onlyOwner {
+        feeBps = feeBpsValue;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal virtual override {
+        uint256 fee = (amount * feeBps) / 10000;
+        if (fee > 0) {
+            _burn(from, fee);
+        }
+        super._transfer(from, to, amount - fee);
+    }
+}
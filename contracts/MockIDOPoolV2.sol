@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPool.sol";
+
+/**
+ * @title MockIDOPoolV2
+ * @dev Mock upgrade of IDOPool that appends a variable and a migration function
+ */
+contract MockIDOPoolV2 is IDOPool {
+    uint256 public migratedAt;
+
+    constructor(
+        address _paymentToken,
+        address _offeringToken,
+        uint256 _tokenPrice,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minContribution,
+        uint256 _maxContribution
+    ) IDOPool(_paymentToken, _offeringToken, _tokenPrice, _softCap, _hardCap, _minContribution, _maxContribution) {}
+
+    function migrate() external {
+        require(migratedAt == 0, "Already migrated");
+        migratedAt = block.timestamp;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockRebasingERC20
+ * @dev Mock token whose balances are shares scaled by a multiplier the owner can change.
+ * A rebase can also be queued to apply on the next transfer, like interest that accrues
+ * when the token is touched, so the recipient ends up with more than was sent.
+ */
+contract MockRebasingERC20 is MockERC20 {
+    uint256 private constant ONE = 1e18;
+
+    uint256 public multiplier = ONE;
+    uint256 public pendingMultiplier;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimalsValue,
+        uint256 initialSupply
+    ) MockERC20(name, symbol, decimalsValue, initialSupply) {}
+
+    function rebase(uint256 multiplierValue) public onlyOwner {
+        multiplier = multiplierValue;
+    }
+
+    function rebaseOnNextTransfer(uint256 multiplierValue) public onlyOwner {
+        pendingMultiplier = multiplierValue;
+    }
+
+    function balanceOf(address account) public view virtual override returns (uint256) {
+        return (super.balanceOf(account) * multiplier) / ONE;
+    }
+
+    function totalSupply() public view virtual override returns (uint256) {
+        return (super.totalSupply() * multiplier) / ONE;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal virtual override {
+        super._transfer(from, to, (amount * ONE) / multiplier);
+        if (pendingMultiplier != 0) {
+            multiplier = pendingMultiplier;
+            pendingMultiplier = 0;
+        }
+    }
+}
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title MockUniswapV2Pair
+ * @dev Mock liquidity pair that mints LP tokens like Uniswap V2, without swaps or fees
+ */
+contract MockUniswapV2Pair is ERC20 {
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address private constant DEAD = 0x000000000000000000000000000000000000dEaD;
+
+    address public immutable factory;
+    address public token0;
+    address public token1;
+    uint112 private reserve0;
+    uint112 private reserve1;
+
+    constructor() ERC20("Uniswap V2", "UNI-V2") {
+        factory = msg.sender;
+    }
+
+    function initialize(address _token0, address _token1) external {
+        require(msg.sender == factory, "UniswapV2: FORBIDDEN");
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (reserve0, reserve1, 0);
+    }
+
+    function mint(address to) external returns (uint256 liquidity) {
+        uint256 balance0 = ERC20(token0).balanceOf(address(this));
+        uint256 balance1 = ERC20(token1).balanceOf(address(this));
+        uint256 amount0 = balance0 - reserve0;
+        uint256 amount1 = balance1 - reserve1;
+
+        if (totalSupply() == 0) {
+            liquidity = Math.sqrt(amount0 * amount1) - MINIMUM_LIQUIDITY;
+            _mint(DEAD, MINIMUM_LIQUIDITY);
+        } else {
+            liquidity = Math.min(amount0 * totalSupply() / reserve0, amount1 * totalSupply() / reserve1);
+        }
+        require(liquidity > 0, "UniswapV2: INSUFFICIENT_LIQUIDITY_MINTED");
+        _mint(to, liquidity);
+
+        reserve0 = uint112(balance0);
+        reserve1 = uint112(balance1);
+    }
+}
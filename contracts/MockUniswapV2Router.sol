@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IUniswapV2.sol";
+import "./MockUniswapV2Pair.sol";
+import "./MockWETH.sol";
+
+/**
+ * @title MockUniswapV2Router
+ * @dev Mock Uniswap V2 router that adds liquidity at the pair's current ratio, creating the pair if needed
+ */
+contract MockUniswapV2Router is IUniswapV2Router02 {
+    address public immutable override factory;
+    address public immutable override WETH;
+
+    constructor(address _factory, address _weth) {
+        factory = _factory;
+        WETH = _weth;
+    }
+
+    function addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) external override returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+        require(deadline >= block.timestamp, "UniswapV2Router: EXPIRED");
+        address pair;
+        (amountA, amountB, pair) = _addLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin);
+        ERC20(tokenA).transferFrom(msg.sender, pair, amountA);
+        ERC20(tokenB).transferFrom(msg.sender, pair, amountB);
+        liquidity = MockUniswapV2Pair(pair).mint(to);
+    }
+
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external payable override returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        require(deadline >= block.timestamp, "UniswapV2Router: EXPIRED");
+        address pair;
+        (amountToken, amountETH, pair) = _addLiquidity(token, WETH, amountTokenDesired, msg.value, amountTokenMin, amountETHMin);
+        ERC20(token).transferFrom(msg.sender, pair, amountToken);
+        MockWETH(WETH).deposit{value: amountETH}();
+        MockWETH(WETH).transfer(pair, amountETH);
+        liquidity = MockUniswapV2Pair(pair).mint(to);
+        if (msg.value > amountETH) {
+            payable(msg.sender).transfer(msg.value - amountETH);
+        }
+    }
+
+    function _addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin
+    ) private returns (uint256 amountA, uint256 amountB, address pair) {
+        pair = IUniswapV2Factory(factory).getPair(tokenA, tokenB);
+        if (pair == address(0)) {
+            pair = IUniswapV2Factory(factory).createPair(tokenA, tokenB);
+        }
+
+        (uint112 reserve0, uint112 reserve1, ) = MockUniswapV2Pair(pair).getReserves();
+        (uint256 reserveA, uint256 reserveB) = tokenA < tokenB ? (reserve0, reserve1) : (reserve1, reserve0);
+        if (reserveA == 0 && reserveB == 0) {
+            return (amountADesired, amountBDesired, pair);
+        }
+
+        uint256 amountBOptimal = amountADesired * reserveB / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            require(amountBOptimal >= amountBMin, "UniswapV2Router: INSUFFICIENT_B_AMOUNT");
+            return (amountADesired, amountBOptimal, pair);
+        }
+        uint256 amountAOptimal = amountBDesired * reserveA / reserveB;
+        require(amountAOptimal >= amountAMin, "UniswapV2Router: INSUFFICIENT_A_AMOUNT");
+        return (amountAOptimal, amountBDesired, pair);
+    }
+}
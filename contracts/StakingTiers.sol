@@ -0,0 +1,203 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPool.sol";
+import "./IStakingTiers.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+
+/**
+ * @title StakingTiers
+ * @dev Lets users lock a governance token to earn allocation tiers in the IDOPools that use it.
+ * Each pool snapshots the stakes when it starts, and every staker whose lock at the snapshot
+ * lasts until the pool's end time gets the highest tier their stake reaches. A tier guarantees
+ * its allocation from the pool's start time until its window closes. Once the longest window
+ * is over the sale is public and everyone can buy up to the pool's maxContribution, or their
+ * tier allocation if that is higher.
+ */
+contract StakingTiers is IStakingTiers, ReentrancyGuard {
+    using SafeERC20 for MockERC20;
+    using Checkpoints for Checkpoints.History;
+
+    // Allocation tier, such as Bronze, Silver or Gold
+    struct Tier {
+        string name;
+        uint256 minStake;      // Stake needed at the snapshot
+        uint256 maxAllocation; // Maximum total contribution with ALLOCATION_DECIMALS, scaled to each pool's payment token
+        uint256 window;        // Seconds after the pool's start time during which the allocation is guaranteed
+    }
+
+    uint8 public constant ALLOCATION_DECIMALS = 18;
+
+    MockERC20 public immutable stakingToken;
+    uint256 public immutable lockDuration;     // Seconds a stake stays locked after each deposit
+    uint256 public immutable guaranteedPeriod; // Longest tier window, after which the sale is public
+
+    Tier[] private tiers;
+    mapping(address => Checkpoints.History) private stakes;
+    mapping(address => Checkpoints.History) private locks;
+    mapping(address => uint256) public snapshotBlocks;
+    uint256 public totalStaked;
+
+    // Events
+    event Staked(address indexed user, uint256 amount, uint256 lockedUntil);
+    event Unstaked(address indexed user, uint256 amount);
+    event SnapshotTaken(address indexed pool, uint256 blockNumber);
+
+    /**
+     * @dev Constructor to set the staking token and the tiers
+     * @param _stakingToken Governance token that is staked
+     * @param _lockDuration Seconds a stake stays locked after each deposit
+     * @param _tiers Tiers in ascending order of minimum stake
+     */
+    constructor(MockERC20 _stakingToken, uint256 _lockDuration, Tier[] memory _tiers) {
+        require(address(_stakingToken) != address(0), "Staking token cannot be zero address");
+        require(_tiers.length > 0, "Staking needs at least one tier");
+
+        uint256 longestWindow;
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            require(_tiers[i].minStake > (i == 0 ? 0 : _tiers[i - 1].minStake), "Tiers must be in ascending order of stake");
+            require(_tiers[i].maxAllocation > 0, "Max allocation must be greater than zero");
+            longestWindow = Math.max(longestWindow, _tiers[i].window);
+            tiers.push(_tiers[i]);
+        }
+
+        stakingToken = _stakingToken;
+        lockDuration = _lockDuration;
+        guaranteedPeriod = longestWindow;
+    }
+
+    /**
+     * @dev Stakes governance tokens and locks the whole stake for lockDuration from now
+     * @param _amount Amount of tokens to stake
+     */
+    function stake(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Amount must be greater than zero");
+
+        stakingToken.safeTransferFrom(msg.sender, address(this), _amount);
+        stakes[msg.sender].push(stakedBalance(msg.sender) + _amount);
+        totalStaked += _amount;
+        locks[msg.sender].push(block.timestamp + lockDuration);
+
+        emit Staked(msg.sender, _amount, block.timestamp + lockDuration);
+    }
+
+    /**
+     * @dev Withdraws staked tokens once the lock is over
+     * @param _amount Amount of tokens to withdraw
+     */
+    function unstake(uint256 _amount) external nonReentrant {
+        require(block.timestamp >= lockedUntil(msg.sender), "Stake is locked");
+        uint256 balance = stakedBalance(msg.sender);
+        require(_amount > 0 && _amount <= balance, "Invalid unstake amount");
+
+        stakes[msg.sender].push(balance - _amount);
+        totalStaked -= _amount;
+        stakingToken.safeTransfer(msg.sender, _amount);
+
+        emit Unstaked(msg.sender, _amount);
+    }
+
+    /**
+     * @dev Takes the calling pool's snapshot, which counts stakes made before this block
+     * IDOPool calls it from startPool.
+     */
+    function snapshot() external override {
+        require(snapshotBlocks[msg.sender] == 0, "Snapshot already taken");
+
+        snapshotBlocks[msg.sender] = block.number;
+        emit SnapshotTaken(msg.sender, block.number);
+    }
+
+    /**
+     * @dev Returns the most a user can have contributed to a pool right now
+     * Reverts during the guaranteed period for users without a tier, or whose tier window closed.
+     */
+    function getAllocation(address _pool, address _user) external view override returns (uint256) {
+        uint256 tier = getTier(_pool, _user);
+        uint256 poolStart = IDOPool(_pool).startTime();
+        uint256 elapsed = block.timestamp > poolStart ? block.timestamp - poolStart : 0;
+
+        if (elapsed < guaranteedPeriod) {
+            require(tier > 0, "No staking tier");
+            require(elapsed < tiers[tier - 1].window, "Tier window closed");
+            return getTierAllocation(_pool, tier);
+        }
+
+        uint256 publicAllocation = IDOPool(_pool).maxContribution();
+        return tier > 0 ? Math.max(publicAllocation, getTierAllocation(_pool, tier)) : publicAllocation;
+    }
+
+    /**
+     * @dev Returns a tier's allocation in a pool's payment token base units
+     * @param _pool Pool to look up
+     * @param _tier One-based tier index
+     */
+    function getTierAllocation(address _pool, uint256 _tier) public view returns (uint256) {
+        return tiers[_tier - 1].maxAllocation * 10 ** IDOPool(_pool).paymentDecimals() / 10 ** ALLOCATION_DECIMALS;
+    }
+
+    /**
+     * @dev Returns a user's tier in a pool, as a one-based index into getTiers
+     * Until the pool takes its snapshot this is the tier of the current stake. Stakes whose
+     * lock ends before the pool does have no tier, as they could be withdrawn during the sale.
+     */
+    function getTier(address _pool, address _user) public view override returns (uint256) {
+        if (getLockAt(_pool, _user) < IDOPool(_pool).endTime()) {
+            return 0;
+        }
+
+        uint256 staked = getStakeAt(_pool, _user);
+        uint256 tier = tiers.length;
+        while (tier > 0 && staked < tiers[tier - 1].minStake) {
+            tier--;
+        }
+        return tier;
+    }
+
+    /**
+     * @dev Returns the stake a user's tier in a pool is based on
+     * @param _pool Pool to look up
+     * @param _user Address of the staker
+     */
+    function getStakeAt(address _pool, address _user) public view returns (uint256) {
+        uint256 snapshotBlock = snapshotBlocks[_pool];
+        if (snapshotBlock == 0) {
+            return stakedBalance(_user);
+        }
+        return stakes[_user].getAtProbablyRecentBlock(snapshotBlock - 1);
+    }
+
+    /**
+     * @dev Returns the end of the lock a user's tier in a pool is based on
+     * @param _pool Pool to look up
+     * @param _user Address of the staker
+     */
+    function getLockAt(address _pool, address _user) public view returns (uint256) {
+        uint256 snapshotBlock = snapshotBlocks[_pool];
+        if (snapshotBlock == 0) {
+            return lockedUntil(_user);
+        }
+        return locks[_user].getAtProbablyRecentBlock(snapshotBlock - 1);
+    }
+
+    /**
+     * @dev Returns when a user's stake can be withdrawn
+     */
+    function lockedUntil(address _user) public view returns (uint256) {
+        return locks[_user].latest();
+    }
+
+    /**
+     * @dev Returns a user's current stake
+     */
+    function stakedBalance(address _user) public view returns (uint256) {
+        return stakes[_user].latest();
+    }
+
+    /**
+     * @dev Returns every tier in ascending order of minimum stake
+     */
+    function getTiers() external view returns (Tier[] memory) {
+        return tiers;
+    }
+}
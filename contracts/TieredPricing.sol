@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IDOPool.sol";
+import "./IPricingStrategy.sol";
+
+/**
+ * @title TieredPricing
+ * @dev Stepped pricing where the price rises each time the pool's totalRaised crosses a tier cap.
+ * A purchase that crosses a cap is split, and each part is priced at its own tier.
+ */
+contract TieredPricing is IPricingStrategy {
+    uint256[] private tierCaps;    // totalRaised at which each tier but the last sells out
+    uint256[] private tierPrices;  // Price of one whole offering token in each tier
+
+    /**
+     * @dev Constructor to set the tiers
+     * @param _tierCaps totalRaised at which each tier sells out, one fewer than the prices
+     * @param _tierPrices Price of each tier in payment token base units; the last one has no cap
+     */
+    constructor(uint256[] memory _tierCaps, uint256[] memory _tierPrices) {
+        require(_tierPrices.length > 0 && _tierCaps.length == _tierPrices.length - 1, "Invalid tier count");
+        require(_tierPrices[0] > 0, "Token price must be greater than zero");
+        for (uint256 i = 0; i < _tierCaps.length; i++) {
+            require(_tierCaps[i] > (i == 0 ? 0 : _tierCaps[i - 1]), "Tier caps must increase");
+            require(_tierPrices[i + 1] >= _tierPrices[i], "Tier prices cannot decrease");
+        }
+
+        tierCaps = _tierCaps;
+        tierPrices = _tierPrices;
+    }
+
+    /**
+     * @dev Returns every tier cap and price
+     */
+    function getTiers() external view returns (uint256[] memory caps, uint256[] memory prices) {
+        return (tierCaps, tierPrices);
+    }
+
+    /**
+     * @dev Converts a payment into tokens, starting at the tier of the pool's totalRaised
+     */
+    function getTokenAmount(address _pool, uint256 _paymentAmount) external view override returns (uint256) {
+        return _tokensFrom(IDOPool(_pool).totalRaised(), _paymentAmount, 10**IDOPool(_pool).offeringDecimals());
+    }
+
+    /**
+     * @dev Returns the price of the tier the pool's totalRaised is in
+     */
+    function getCurrentPrice(address _pool) external view override returns (uint256) {
+        uint256 raised = IDOPool(_pool).totalRaised();
+        uint256 tier = 0;
+        while (tier < tierCaps.length && raised >= tierCaps[tier]) {
+            tier++;
+        }
+        return tierPrices[tier];
+    }
+
+    /**
+     * @dev Tiered purchases keep the price they paid
+     */
+    function getClearingPrice(address) external pure override returns (uint256) {
+        return 0;
+    }
+
+    /**
+     * @dev Prices a payment made when _raised has already been raised
+     * Every part is rounded down, so all purchases together never receive more than pricing
+     * the whole hard cap from zero, which is what the pool requires to be deposited.
+     */
+    function _tokensFrom(uint256 _raised, uint256 _paymentAmount, uint256 _unit) private view returns (uint256 tokens) {
+        for (uint256 i = 0; i < tierPrices.length && _paymentAmount > 0; i++) {
+            uint256 part = _paymentAmount;
+            if (i < tierCaps.length) {
+                if (_raised >= tierCaps[i]) {
+                    continue;
+                }
+                part = Math.min(part, tierCaps[i] - _raised);
+            }
+
+            tokens += part * _unit / tierPrices[i];
+            _paymentAmount -= part;
+            _raised += part;
+        }
+    }
+}
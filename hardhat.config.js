@@ -1,5 +1,6 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
+require("./tasks/pool");
 
 module.exports = {
   solidity: {
@@ -8,6 +9,12 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // Storage layouts let the upgrade script check that new implementations keep the old slots
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
@@ -0,0 +1,98 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const {
+  listPools,
+  getPoolSummary,
+  getUserHistory,
+  getContributors,
+  contributorsCsv,
+  eventsCsv
+} = require("./queries");
+
+// Routes:
+//   GET /status                           last indexed block and store size
+//   GET /pools                            totals for every pool
+//   GET /pools/:pool                      totals for one pool
+//   GET /pools/:pool/contributors         aggregated position of every contributor
+//   GET /pools/:pool/contributors.csv     the same as CSV
+//   GET /pools/:pool/events.csv           every indexed event of the pool as CSV
+//   GET /pools/:pool/users/:user          one user's totals and event history
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+};
+
+const sendCsv = (response, filename, body) => {
+  response.writeHead(200, {
+    "Content-Type": "text/csv",
+    "Content-Disposition": `attachment; filename="${filename}"`
+  });
+  response.end(body);
+};
+
+/**
+ * Creates the HTTP server for the indexed data
+ * @param {{state: Object}} store Store shared with the indexer
+ * @returns {http.Server} Server that still needs to listen on a port
+ */
+function createApiServer(store) {
+  return http.createServer((request, response) => {
+    const { state } = store;
+    const parts = new URL(request.url, "http://localhost").pathname.split("/").filter(Boolean);
+
+    if (request.method !== "GET") {
+      return sendJson(response, 405, { error: "Method not allowed" });
+    }
+
+    if (parts.length === 1 && parts[0] === "status") {
+      return sendJson(response, 200, {
+        lastBlock: state.lastBlock,
+        poolCount: listPools(state).length,
+        eventCount: state.events.length
+      });
+    }
+
+    if (parts[0] !== "pools") {
+      return sendJson(response, 404, { error: "Not found" });
+    }
+
+    if (parts.length === 1) {
+      return sendJson(response, 200, listPools(state).map((pool) => getPoolSummary(state, pool)));
+    }
+
+    let pool;
+    try {
+      pool = ethers.utils.getAddress(parts[1]);
+    } catch (error) {
+      return sendJson(response, 400, { error: "Invalid pool address" });
+    }
+    if (!listPools(state).includes(pool)) {
+      return sendJson(response, 404, { error: "Pool not indexed" });
+    }
+
+    if (parts.length === 2) {
+      return sendJson(response, 200, getPoolSummary(state, pool));
+    }
+    if (parts.length === 3 && parts[2] === "contributors") {
+      return sendJson(response, 200, getContributors(state, pool));
+    }
+    if (parts.length === 3 && parts[2] === "contributors.csv") {
+      return sendCsv(response, `${pool}-contributors.csv`, contributorsCsv(state, pool));
+    }
+    if (parts.length === 3 && parts[2] === "events.csv") {
+      return sendCsv(response, `${pool}-events.csv`, eventsCsv(state, pool));
+    }
+    if (parts.length === 4 && parts[2] === "users") {
+      try {
+        return sendJson(response, 200, getUserHistory(state, pool, parts[3]));
+      } catch (error) {
+        return sendJson(response, 400, { error: "Invalid user address" });
+      }
+    }
+
+    return sendJson(response, 404, { error: "Not found" });
+  });
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,64 @@
+const { ethers } = require("ethers");
+const { createStore } = require("./store");
+const { createIndexer } = require("./indexer");
+const { createApiServer } = require("./api");
+
+// Usage: node indexer/index.js
+//
+// Configuration comes from the environment:
+//   RPC_URL          JSON-RPC endpoint (default http://127.0.0.1:8545, i.e. `npx hardhat node`)
+//   FACTORY_ADDRESS  factory whose pools are indexed automatically
+//   POOL_ADDRESSES   comma-separated pools to index in addition to the factory's
+//   START_BLOCK      first block to index for a new store (default 0)
+//   CONFIRMATIONS    blocks to stay behind the chain head (default 0)
+//   STORE_PATH       JSON file holding the indexed data (default indexer-data.json)
+//   HOST             interface the HTTP API listens on (default 127.0.0.1, 0.0.0.0 for every interface)
+//   PORT             HTTP API port (default 3001)
+//   POLL_INTERVAL    milliseconds between syncs (default 5000)
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const poolAddresses = (process.env.POOL_ADDRESSES || "").split(",").filter(Boolean);
+  if (!process.env.FACTORY_ADDRESS && poolAddresses.length === 0) {
+    throw new Error("Set FACTORY_ADDRESS or POOL_ADDRESSES");
+  }
+
+  const store = createStore(process.env.STORE_PATH || "indexer-data.json", Number(process.env.START_BLOCK || 0));
+  const indexer = createIndexer({
+    provider,
+    store,
+    factoryAddress: process.env.FACTORY_ADDRESS,
+    poolAddresses,
+    confirmations: Number(process.env.CONFIRMATIONS || 0)
+  });
+
+  const host = process.env.HOST || "127.0.0.1";
+  const port = Number(process.env.PORT || 3001);
+  createApiServer(store).listen(port, host, () => {
+    console.log(`Indexer API listening on http://${host}:${port}`);
+  });
+
+  const pollInterval = Number(process.env.POLL_INTERVAL || 5000);
+  const poll = async () => {
+    try {
+      const result = await indexer.sync();
+      if (result.reorgedTo !== null) {
+        console.log(`Reorg detected, rolled back to block ${result.reorgedTo}`);
+      }
+      if (result.fromBlock <= result.toBlock) {
+        console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events`);
+      }
+    } catch (error) {
+      console.error("Sync failed:", error.message);
+    }
+    setTimeout(poll, pollInterval);
+  };
+  poll();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
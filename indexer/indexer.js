@@ -0,0 +1,175 @@
+const { ethers } = require("ethers");
+
+// Events replayed from every pool
+const poolInterface = new ethers.utils.Interface([
+  "event TokensPurchased(address indexed buyer, uint256 paymentAmount, uint256 tokenAmount)",
+  "event TokensClaimed(address indexed user, uint256 amount)",
+  "event RefundClaimed(address indexed user, uint256 amount)",
+  "event ContributionWithdrawn(address indexed user, uint256 amount, uint256 penalty)",
+  "event ExcessRefunded(address indexed user, uint256 amount)",
+  "event TokensDeposited(uint256 amount)",
+  "event PoolStateChanged(uint8 state)",
+  "event PoolCancelled(string reason)"
+]);
+
+// Pools launched through the factory are discovered from its registry events
+const factoryInterface = new ethers.utils.Interface([
+  "event PoolCreated(address indexed pool, address indexed creator, address indexed paymentToken, address offeringToken, uint256 index)"
+]);
+
+const POOL_TOPICS = Object.values(poolInterface.events).map((event) => poolInterface.getEventTopic(event));
+const POOL_CREATED_TOPIC = factoryInterface.getEventTopic("PoolCreated");
+
+// Turns a raw log into the stored event shape, with every argument as a string
+const decodeLog = (contractInterface, log) => {
+  const parsed = contractInterface.parseLog(log);
+  const args = {};
+  parsed.eventFragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : String(value);
+  });
+
+  return {
+    pool: ethers.utils.getAddress(parsed.name === "PoolCreated" ? args.pool : log.address),
+    event: parsed.name,
+    blockNumber: ethers.BigNumber.from(log.blockNumber).toNumber(),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: ethers.BigNumber.from(log.logIndex).toNumber(),
+    args
+  };
+};
+
+/**
+ * Creates an indexer that replays pool events into a store
+ * @param {Object} options
+ * @param {ethers.providers.JsonRpcProvider} options.provider JSON-RPC provider for the chain
+ * @param {{state: Object, save: Function}} options.store Store opened with createStore
+ * @param {string} [options.factoryAddress] Factory whose pools are indexed automatically
+ * @param {string[]} [options.poolAddresses] Pools to index in addition to the factory's
+ * @param {number} [options.batchSize] Maximum number of blocks per log query
+ * @param {number} [options.confirmations] Blocks to stay behind the chain head
+ * @param {number} [options.reorgDepth] Number of recent block hashes kept to detect reorgs
+ */
+function createIndexer({
+  provider,
+  store,
+  factoryAddress,
+  poolAddresses = [],
+  batchSize = 2000,
+  confirmations = 0,
+  reorgDepth = 64
+}) {
+  const { state } = store;
+  const configuredPools = poolAddresses.map((address) => ethers.utils.getAddress(address));
+
+  // Seeded into the store so the API serves configured pools before they have any events
+  state.pools = [...new Set([...state.pools, ...configuredPools])];
+
+  const getPools = () => {
+    const discovered = state.events
+      .filter((event) => event.event === "PoolCreated")
+      .map((event) => event.pool);
+    return [...new Set([...state.pools, ...discovered])];
+  };
+
+  const getLogs = (address, topics, fromBlock, toBlock) =>
+    provider.send("eth_getLogs", [{
+      address,
+      topics,
+      fromBlock: ethers.utils.hexValue(fromBlock),
+      toBlock: ethers.utils.hexValue(toBlock)
+    }]);
+
+  // Drops everything indexed after the given block
+  const rollback = (blockNumber) => {
+    state.events = state.events.filter((event) => event.blockNumber <= blockNumber);
+    for (const number of Object.keys(state.blockHashes)) {
+      if (Number(number) > blockNumber) {
+        delete state.blockHashes[number];
+      }
+    }
+    state.lastBlock = blockNumber;
+  };
+
+  // Walks back through the recorded hashes to the newest block still on the chain
+  const handleReorg = async () => {
+    const numbers = Object.keys(state.blockHashes).map(Number).sort((a, b) => b - a);
+    for (const number of numbers) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === state.blockHashes[number]) {
+        if (number === state.lastBlock) {
+          return null;
+        }
+        rollback(number);
+        return number;
+      }
+    }
+
+    // No common ancestor within the window, so start over
+    if (numbers.length > 0) {
+      rollback(state.startBlock - 1);
+      return state.startBlock - 1;
+    }
+    return null;
+  };
+
+  const indexRange = async (fromBlock, toBlock) => {
+    const newEvents = [];
+
+    // Discover new pools first so their events in the same range are picked up
+    if (factoryAddress) {
+      const logs = await getLogs(factoryAddress, [POOL_CREATED_TOPIC], fromBlock, toBlock);
+      logs.forEach((log) => newEvents.push(decodeLog(factoryInterface, log)));
+      state.events.push(...newEvents);
+    }
+
+    const pools = getPools();
+    if (pools.length > 0) {
+      const logs = await getLogs(pools, [POOL_TOPICS], fromBlock, toBlock);
+      const poolEvents = logs.map((log) => decodeLog(poolInterface, log));
+      state.events.push(...poolEvents);
+      newEvents.push(...poolEvents);
+    }
+
+    state.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // Remember hashes of every block with events and of the range end
+    newEvents.forEach((event) => {
+      state.blockHashes[event.blockNumber] = event.blockHash;
+    });
+    const lastBlock = await provider.getBlock(toBlock);
+    state.blockHashes[toBlock] = lastBlock.hash;
+    for (const number of Object.keys(state.blockHashes)) {
+      if (Number(number) < toBlock - reorgDepth) {
+        delete state.blockHashes[number];
+      }
+    }
+
+    state.lastBlock = toBlock;
+    return newEvents.length;
+  };
+
+  /**
+   * Indexes every block from the last indexed one up to the chain head
+   * @param {number} [toBlock] Last block to index, defaults to the confirmed head
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorgedTo: number|null}>}
+   */
+  const sync = async (toBlock) => {
+    const reorgedTo = await handleReorg();
+    const head = toBlock !== undefined ? toBlock : (await provider.getBlockNumber()) - confirmations;
+    const fromBlock = state.lastBlock + 1;
+
+    let events = 0;
+    for (let from = fromBlock; from <= head; from += batchSize) {
+      events += await indexRange(from, Math.min(from + batchSize - 1, head));
+    }
+
+    store.save();
+    return { fromBlock, toBlock: state.lastBlock, events, reorgedTo };
+  };
+
+  return { sync, getPools };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,187 @@
+const { ethers } = require("ethers");
+
+// Must match IDOPool.PoolState
+const POOL_STATES = ["Pending", "Active", "Completed", "Cancelled", "Refunding"];
+
+// Account each event belongs to, if any
+const eventAccount = (event) => event.args.buyer || event.args.user || null;
+
+const poolEvents = (state, pool) =>
+  state.events.filter((event) => event.pool === pool && event.event !== "PoolCreated");
+
+/**
+ * Lists every indexed pool, including configured and factory pools that have no activity yet
+ * @param {Object} state Indexer store state
+ * @returns {string[]} Pool addresses, configured pools first and the rest in discovery order
+ */
+function listPools(state) {
+  return [...new Set([...(state.pools || []), ...state.events.map((event) => event.pool)])];
+}
+
+/**
+ * Aggregates a user's activity in a pool
+ * Contributions withdrawn during the sale, penalties included, and the excess of an
+ * oversubscribed pool refunded with the claim are subtracted from contributed.
+ * @param {Object} state Indexer store state
+ * @param {string} pool Pool address
+ * @param {string} user User address
+ */
+function getUserHistory(state, pool, user) {
+  const account = ethers.utils.getAddress(user);
+  const events = poolEvents(state, pool).filter((event) => eventAccount(event) === account);
+
+  let contributed = 0n;
+  let tokensPurchased = 0n;
+  let tokensClaimed = 0n;
+  let refunded = 0n;
+  let withdrawn = 0n;
+  let penalties = 0n;
+  let excessRefunded = 0n;
+  for (const event of events) {
+    if (event.event === "TokensPurchased") {
+      contributed += BigInt(event.args.paymentAmount);
+      tokensPurchased += BigInt(event.args.tokenAmount);
+    } else if (event.event === "TokensClaimed") {
+      tokensClaimed += BigInt(event.args.amount);
+    } else if (event.event === "RefundClaimed") {
+      refunded += BigInt(event.args.amount);
+    } else if (event.event === "ContributionWithdrawn") {
+      withdrawn += BigInt(event.args.amount);
+      penalties += BigInt(event.args.penalty);
+    } else if (event.event === "ExcessRefunded") {
+      excessRefunded += BigInt(event.args.amount);
+    }
+  }
+
+  return {
+    pool,
+    address: account,
+    contributed: (contributed - withdrawn - excessRefunded).toString(),
+    tokensPurchased: tokensPurchased.toString(),
+    tokensClaimed: tokensClaimed.toString(),
+    refunded: refunded.toString(),
+    withdrawn: withdrawn.toString(),
+    penalties: penalties.toString(),
+    excessRefunded: excessRefunded.toString(),
+    events
+  };
+}
+
+/**
+ * Lists the aggregated position of every address that contributed to a pool
+ * @param {Object} state Indexer store state
+ * @param {string} pool Pool address
+ */
+function getContributors(state, pool) {
+  const accounts = poolEvents(state, pool)
+    .filter((event) => event.event === "TokensPurchased")
+    .map(eventAccount);
+
+  return [...new Set(accounts)].map((account) => {
+    const { events, ...totals } = getUserHistory(state, pool, account);
+    return totals;
+  });
+}
+
+/**
+ * Aggregates the totals of a pool
+ * @param {Object} state Indexer store state
+ * @param {string} pool Pool address
+ */
+function getPoolSummary(state, pool) {
+  const events = poolEvents(state, pool);
+  const total = (name, field) => events
+    .filter((event) => event.event === name)
+    .reduce((sum, event) => sum + BigInt(event.args[field]), 0n);
+  const sum = (name, field) => total(name, field).toString();
+  const accounts = (name) => new Set(events.filter((event) => event.event === name).map(eventAccount)).size;
+
+  const stateChanges = events.filter((event) => event.event === "PoolStateChanged");
+  const lastState = stateChanges.length > 0 ? Number(stateChanges[stateChanges.length - 1].args.state) : 0;
+  const cancellation = events.find((event) => event.event === "PoolCancelled");
+
+  return {
+    address: pool,
+    state: POOL_STATES[lastState],
+    cancelReason: cancellation ? cancellation.args.reason : null,
+    // Matches the pool's totalRaised, which drops when contributions are withdrawn
+    totalRaised: (total("TokensPurchased", "paymentAmount") - total("ContributionWithdrawn", "amount")).toString(),
+    tokensPurchased: sum("TokensPurchased", "tokenAmount"),
+    tokensDeposited: sum("TokensDeposited", "amount"),
+    tokensClaimed: sum("TokensClaimed", "amount"),
+    totalRefunded: sum("RefundClaimed", "amount"),
+    totalWithdrawn: sum("ContributionWithdrawn", "amount"),
+    withdrawalPenalties: sum("ContributionWithdrawn", "penalty"),
+    // Part of totalRaised returned to the buyers of an oversubscribed pool as they claim
+    excessRefunded: sum("ExcessRefunded", "amount"),
+    contributorCount: accounts("TokensPurchased"),
+    claimerCount: accounts("TokensClaimed"),
+    refundCount: accounts("RefundClaimed"),
+    eventCount: events.length
+  };
+}
+
+// Quotes CSV fields only when needed
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+
+/**
+ * Exports the contributors of a pool as CSV, with amounts in base units
+ * @param {Object} state Indexer store state
+ * @param {string} pool Pool address
+ */
+function contributorsCsv(state, pool) {
+  return toCsv(
+    ["address", "contributed", "tokensPurchased", "tokensClaimed", "refunded", "withdrawn", "excessRefunded"],
+    getContributors(state, pool).map((contributor) => [
+      contributor.address,
+      contributor.contributed,
+      contributor.tokensPurchased,
+      contributor.tokensClaimed,
+      contributor.refunded,
+      contributor.withdrawn,
+      contributor.excessRefunded
+    ])
+  );
+}
+
+/**
+ * Exports every indexed event of a pool as CSV, with amounts in base units
+ * @param {Object} state Indexer store state
+ * @param {string} pool Pool address
+ */
+function eventsCsv(state, pool) {
+  return toCsv(
+    ["blockNumber", "transactionHash", "logIndex", "event", "account", "paymentAmount", "tokenAmount", "state"],
+    poolEvents(state, pool).map((event) => {
+      const { args } = event;
+      const isPurchase = event.event === "TokensPurchased";
+      const isTokenEvent = event.event === "TokensClaimed" || event.event === "TokensDeposited";
+      const isPaymentEvent = ["RefundClaimed", "ContributionWithdrawn", "ExcessRefunded"].includes(event.event);
+      return [
+        event.blockNumber,
+        event.transactionHash,
+        event.logIndex,
+        event.event,
+        eventAccount(event),
+        isPurchase ? args.paymentAmount : isPaymentEvent ? args.amount : "",
+        isPurchase ? args.tokenAmount : isTokenEvent ? args.amount : "",
+        event.event === "PoolStateChanged" ? POOL_STATES[Number(args.state)] : ""
+      ];
+    })
+  );
+}
+
+module.exports = {
+  listPools,
+  getPoolSummary,
+  getUserHistory,
+  getContributors,
+  contributorsCsv,
+  eventsCsv
+};
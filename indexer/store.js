@@ -0,0 +1,44 @@
+const fs = require("fs");
+
+// The indexer keeps everything in one JSON document:
+//   startBlock   first block the indexer looks at
+//   lastBlock    last block fully indexed
+//   blockHashes  block number => hash for recently indexed blocks, used to detect reorgs
+//   pools        configured pools, listed before they have any events
+//   events       decoded pool and factory events in chain order
+
+/**
+ * Opens the indexer store, starting fresh when the file does not exist yet
+ * @param {string|null} filePath JSON file to persist to, or null to keep the store in memory
+ * @param {number} startBlock First block to index for a new store
+ * @returns {{state: Object, save: Function}}
+ */
+function createStore(filePath, startBlock = 0) {
+  let state = {
+    startBlock,
+    lastBlock: startBlock - 1,
+    blockHashes: {},
+    pools: [],
+    events: []
+  };
+
+  if (filePath && fs.existsSync(filePath)) {
+    // Stores written before pools were recorded have none
+    state = { pools: [], ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+  }
+
+  const save = () => {
+    if (!filePath) {
+      return;
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written store
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return { state, save };
+}
+
+module.exports = { createStore };
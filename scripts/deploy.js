@@ -1,57 +1,440 @@
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
+const { parseTime } = require("../tasks/pool");
+const { abiHash, readManifest, writeManifest, storageLayout, readImplementation } = require("./manifest");
 
-async function main() {
-  
-  const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-  
-  console.log("Deploying Payment Token...");
-  const paymentToken = await MockERC20.deploy(
-    "Payment Token",
-    "PAY",
-    18,
-    1000000
-  );
-  await paymentToken.deployed();
-  console.log("Payment Token deployed to:", paymentToken.address);
-  
-  console.log("Deploying Offering Token...");
-  const offeringToken = await MockERC20.deploy(
-    "Offering Token",
-    "OFF",
-    18,
-    1000000
-  );
-  await offeringToken.deployed();
-  console.log("Offering Token deployed to:", offeringToken.address);
-  
-  // IDO parameters
-  const tokenPrice = hre.ethers.utils.parseUnits("0.1", 18); // 0.1 payment token per offering token
-  const softCap = hre.ethers.utils.parseUnits("50", 18);     // 50 payment tokens
-  const hardCap = hre.ethers.utils.parseUnits("100", 18);    // 100 payment tokens
-  const minContribution = hre.ethers.utils.parseUnits("1", 18); // 1 payment token
-  const maxContribution = hre.ethers.utils.parseUnits("20", 18); // 20 payment tokens
-  
-  // Deploy IDO Pool
-  const IDOPool = await hre.ethers.getContractFactory("IDOPool");
-  console.log("Deploying IDO Pool...");
-  const idoPool = await IDOPool.deploy(
-    paymentToken.address,
+// Usage: npx hardhat run scripts/deploy.js --network <network>
+//
+// Reads config/<network>.json (or DEPLOY_CONFIG) and records every deployed
+// address and transaction in deployments/<network>.json (or DEPLOY_MANIFEST).
+// Re-running resumes from the manifest and skips work that is already done.
+//
+// Config fields:
+//   paymentToken   "native", an existing token address, or { "deploy": { name, symbol, decimals, supply } }
+//   offeringToken  an existing token address, or { "deploy": { ... } }
+//   factory        optional existing IDOPoolFactory to launch the pool through
+//   upgradeable    optional: true, or { "delay": seconds } to timelock upgrades, to launch the pool behind a proxy
+//   proxyAdmin     optional existing IDOPoolProxyAdmin for upgradeable pools
+//   pool           tokenPrice, softCap, hardCap, minContribution and maxContribution in whole payment tokens
+//   pricing        optional { "mode": "tiered", "tiers": [{ cap, price }, ..., { price }] } or
+//                  { "mode": "dutch", startPrice, floorPrice, duration } in whole payment tokens and seconds
+//   liquidity      optional { router, percentage, lock, treasury, deposit } to seed a DEX pair after the sale:
+//                  percentage in basis points, lock in seconds after seeding, deposit true for the tokens the
+//                  seeder needs or whole offering tokens
+//   staking        optional existing StakingTiers, or { token, lock, tiers: [{ name, minStake, maxAllocation, window }] }:
+//                  token like offeringToken, lock and window in seconds, minStake in whole staking tokens and
+//                  maxAllocation in whole payment tokens, scaled to each pool's payment decimals
+//   deposit        optional: true for the hard cap allocation, or whole offering tokens to deposit
+//   schedule       optional: start, end and refundEnd as unix seconds, ISO 8601 or offsets such as +10m
+
+const PARAMETERS = ["tokenPrice", "softCap", "hardCap", "minContribution", "maxContribution"];
+
+/**
+ * Checks pool parameters with the same rules as the IDOPool constructor
+ * @param {Object<string, ethers.BigNumber>} params Parameters in payment token base units
+ */
+function validateParameters(params) {
+  for (const name of PARAMETERS) {
+    if (params[name] === undefined) {
+      throw new Error(`Missing pool parameter: ${name}`);
+    }
+  }
+  if (params.tokenPrice.lte(0)) throw new Error("Token price must be greater than zero");
+  if (params.softCap.lte(0)) throw new Error("Soft cap must be greater than zero");
+  if (params.hardCap.lt(params.softCap)) throw new Error("Hard cap must be >= soft cap");
+  if (params.minContribution.lte(0)) throw new Error("Min contribution must be greater than zero");
+  if (params.maxContribution.lt(params.minContribution)) {
+    throw new Error("Max contribution must be >= min contribution");
+  }
+}
+
+/**
+ * Resolves the pricing strategy contract and constructor arguments described by a config
+ * @param {Object} pricing The config's pricing entry
+ * @param {number} paymentDecimals Decimals prices and caps are parsed with
+ * @returns {{ contract: string, args: Array }} Contract name and constructor arguments
+ */
+function pricingStrategy(pricing, paymentDecimals) {
+  const { ethers } = hre;
+  const parse = (value) => ethers.utils.parseUnits(String(value), paymentDecimals);
+
+  if (pricing.mode === "tiered") {
+    const tiers = pricing.tiers || [];
+    if (tiers.length === 0) throw new Error("Tiered pricing needs at least one tier");
+    if (tiers.slice(0, -1).some((tier) => tier.cap === undefined)) {
+      throw new Error("Every tier but the last needs a cap");
+    }
+    return {
+      contract: "TieredPricing",
+      args: [tiers.slice(0, -1).map((tier) => parse(tier.cap)), tiers.map((tier) => parse(tier.price))]
+    };
+  }
+  if (pricing.mode === "dutch") {
+    return {
+      contract: "DutchAuctionPricing",
+      args: [parse(pricing.startPrice), parse(pricing.floorPrice), pricing.duration]
+    };
+  }
+  throw new Error(`Unknown pricing mode: ${pricing.mode}`);
+}
+
+/**
+ * Deploys or resumes a pool launch described by a config
+ * @param {Object} config Parsed deployment config
+ * @param {string} manifestPath File the manifest is read from and written to
+ * @returns {Promise<Object>} The manifest
+ */
+async function deploy(config, manifestPath) {
+  const { ethers, network } = hre;
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  // Entries from another chain, or whose contracts are gone (e.g. a restarted node), are redone
+  let manifest = readManifest(manifestPath);
+  if (!manifest || manifest.chainId !== chainId) {
+    manifest = { network: network.name, chainId, contracts: {}, transactions: {} };
+  }
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    if ((await ethers.provider.getCode(entry.address)) === "0x") {
+      console.log(`${name} at ${entry.address} no longer exists, redeploying`);
+      manifest.contracts = {};
+      manifest.transactions = {};
+      break;
+    }
+  }
+  const save = () => writeManifest(manifestPath, manifest);
+
+  const record = (name, contract, extra = {}) => {
+    manifest.contracts[name] = {
+      address: contract.address,
+      transactionHash: contract.deployTransaction ? contract.deployTransaction.hash : null,
+      ...extra
+    };
+    save();
+  };
+
+  // Deploys a mock token or validates an existing one
+  const resolveToken = async (name, tokenConfig) => {
+    if (manifest.contracts[name]) {
+      const { address } = manifest.contracts[name];
+      if (typeof tokenConfig === "string" && ethers.utils.getAddress(tokenConfig) !== address) {
+        throw new Error(`Config ${name} ${tokenConfig} differs from ${address} in the manifest`);
+      }
+      console.log(`Using ${name} from manifest: ${manifest.contracts[name].address}`);
+      return ethers.getContractAt("MockERC20", manifest.contracts[name].address);
+    }
+
+    if (typeof tokenConfig === "string") {
+      const address = ethers.utils.getAddress(tokenConfig);
+      if ((await ethers.provider.getCode(address)) === "0x") {
+        throw new Error(`${name} ${address} is not a contract`);
+      }
+      const token = await ethers.getContractAt("MockERC20", address);
+      try {
+        await token.totalSupply();
+        await token.decimals();
+      } catch (error) {
+        throw new Error(`${name} ${address} does not implement ERC20 with decimals`);
+      }
+      console.log(`Using existing ${name}: ${address}`);
+      record(name, token, { existing: true });
+      return token;
+    }
+
+    if (!tokenConfig || !tokenConfig.deploy) {
+      throw new Error(`Config ${name} must be an address or { "deploy": { ... } }`);
+    }
+    const { name: tokenName, symbol, decimals, supply } = tokenConfig.deploy;
+    console.log(`Deploying ${name} ${symbol}...`);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy(tokenName, symbol, decimals, supply);
+    await token.deployed();
+    console.log(`${name} deployed to: ${token.address}`);
+    record(name, token);
+    return token;
+  };
+
+  const nativePayment = config.paymentToken === "native";
+  const paymentToken = nativePayment ? null : await resolveToken("paymentToken", config.paymentToken);
+  const offeringToken = await resolveToken("offeringToken", config.offeringToken);
+  const paymentTokenAddress = nativePayment ? ethers.constants.AddressZero : paymentToken.address;
+  if (nativePayment) {
+    console.log("Using native currency for payment");
+  }
+
+  // Parameters are given in whole payment tokens and stored in base units
+  const paymentDecimals = nativePayment ? 18 : await paymentToken.decimals();
+  const offeringDecimals = await offeringToken.decimals();
+  const params = {};
+  for (const name of PARAMETERS) {
+    if (config.pool && config.pool[name] !== undefined) {
+      params[name] = ethers.utils.parseUnits(String(config.pool[name]), paymentDecimals);
+    }
+  }
+  validateParameters(params);
+  const args = [
+    paymentTokenAddress,
     offeringToken.address,
-    tokenPrice,
-    softCap,
-    hardCap,
-    minContribution,
-    maxContribution
-  );
-  await idoPool.deployed();
-  console.log("IDO Pool deployed to:", idoPool.address);
-  
+    ...PARAMETERS.map((name) => params[name])
+  ];
+
+  // The implementation is only used as the code behind clones and upgradeable proxies
+  const IDOPool = await ethers.getContractFactory("IDOPool");
+  const IDOPoolFactory = await ethers.getContractFactory("IDOPoolFactory");
+  let factory;
+  if (manifest.contracts.factory) {
+    factory = IDOPoolFactory.attach(manifest.contracts.factory.address);
+    console.log(`Using IDO Pool Factory from manifest: ${factory.address}`);
+  } else if (config.factory) {
+    factory = IDOPoolFactory.attach(ethers.utils.getAddress(config.factory));
+    console.log(`Using IDO Pool Factory at: ${factory.address}`);
+    record("factory", factory, { existing: true, abiHash: abiHash(IDOPoolFactory) });
+  } else {
+    let implementation;
+    if (manifest.contracts.implementation) {
+      implementation = IDOPool.attach(manifest.contracts.implementation.address);
+      console.log(`Using IDO Pool implementation from manifest: ${implementation.address}`);
+    } else {
+      console.log("Deploying IDO Pool implementation...");
+      implementation = await IDOPool.deploy(...args);
+      await implementation.deployed();
+      console.log(`IDO Pool implementation deployed to: ${implementation.address}`);
+      record("implementation", implementation, { abiHash: abiHash(IDOPool) });
+    }
+
+    console.log("Deploying IDO Pool Factory...");
+    factory = await IDOPoolFactory.deploy(implementation.address);
+    await factory.deployed();
+    console.log(`IDO Pool Factory deployed to: ${factory.address}`);
+    record("factory", factory, { abiHash: abiHash(IDOPoolFactory) });
+  }
+
+  // Upgradeable pools are administered by an IDOPoolProxyAdmin, which gates and timelocks upgrades
+  const IDOPoolProxyAdmin = await ethers.getContractFactory("IDOPoolProxyAdmin");
+  let proxyAdmin = null;
+  if (manifest.contracts.proxyAdmin) {
+    proxyAdmin = IDOPoolProxyAdmin.attach(manifest.contracts.proxyAdmin.address);
+    console.log(`Using IDO Pool Proxy Admin from manifest: ${proxyAdmin.address}`);
+  } else if (config.upgradeable && config.proxyAdmin) {
+    proxyAdmin = IDOPoolProxyAdmin.attach(ethers.utils.getAddress(config.proxyAdmin));
+    console.log(`Using IDO Pool Proxy Admin at: ${proxyAdmin.address}`);
+    record("proxyAdmin", proxyAdmin, { existing: true });
+  } else if (config.upgradeable) {
+    const delay = config.upgradeable.delay || 0;
+    console.log(`Deploying IDO Pool Proxy Admin with a ${delay}s upgrade delay...`);
+    proxyAdmin = await IDOPoolProxyAdmin.deploy(deployer.address, delay);
+    await proxyAdmin.deployed();
+    console.log(`IDO Pool Proxy Admin deployed to: ${proxyAdmin.address}`);
+    record("proxyAdmin", proxyAdmin);
+  }
+
+  // A pool that already exists must match the config it was created with
+  const stringParams = Object.fromEntries(PARAMETERS.map((name) => [name, params[name].toString()]));
+  if (manifest.contracts.pool) {
+    const changed = PARAMETERS.filter((name) => manifest.params[name] !== stringParams[name]);
+    if (changed.length > 0) {
+      throw new Error(`Pool parameters changed since it was created (${changed.join(", ")}), remove it from the manifest to launch a new pool`);
+    }
+    console.log(`Using IDO Pool from manifest: ${manifest.contracts.pool.address}`);
+  } else {
+    console.log(proxyAdmin ? "Creating upgradeable IDO Pool..." : "Creating IDO Pool...");
+    const tx = proxyAdmin
+      ? await factory.createUpgradeablePool(proxyAdmin.address, ...args)
+      : await factory.createPool(...args);
+    const receipt = await tx.wait();
+    const created = receipt.events.find((event) => event.event === "PoolCreated");
+    console.log(`IDO Pool deployed to: ${created.args.pool}`);
+
+    manifest.params = stringParams;
+    manifest.contracts.pool = {
+      address: created.args.pool,
+      transactionHash: tx.hash,
+      abiHash: abiHash(IDOPool)
+    };
+    // The layout is what later upgrades are checked against
+    if (proxyAdmin) {
+      Object.assign(manifest.contracts.pool, {
+        proxy: true,
+        implementation: await readImplementation(created.args.pool),
+        storageLayout: await storageLayout("IDOPool")
+      });
+    }
+    save();
+  }
+  const pool = IDOPool.attach(manifest.contracts.pool.address);
+
+  // The strategy has to be set before the deposit, which is checked against its prices
+  if (config.pricing) {
+    const { contract, args: pricingArgs } = pricingStrategy(config.pricing, paymentDecimals);
+    const PricingStrategy = await ethers.getContractFactory(contract);
+    let strategy;
+    if (manifest.contracts.pricing) {
+      strategy = PricingStrategy.attach(manifest.contracts.pricing.address);
+      console.log(`Using ${contract} from manifest: ${strategy.address}`);
+    } else {
+      console.log(`Deploying ${contract}...`);
+      strategy = await PricingStrategy.deploy(...pricingArgs);
+      await strategy.deployed();
+      console.log(`${contract} deployed to: ${strategy.address}`);
+      record("pricing", strategy, { abiHash: abiHash(PricingStrategy) });
+    }
+
+    if ((await pool.pricingStrategy()) === strategy.address) {
+      console.log("Pricing strategy already set");
+    } else {
+      console.log("Setting pricing strategy...");
+      const tx = await pool.setPricingStrategy(strategy.address);
+      await tx.wait();
+      manifest.transactions.pricing = { hash: tx.hash, strategy: strategy.address };
+      save();
+    }
+  }
+
+  // The seeder has to be set while the pool is pending, so buyers can check it before the sale
+  if (config.liquidity) {
+    const { router, percentage, lock, treasury, deposit } = config.liquidity;
+    const IDOPoolLiquidity = await ethers.getContractFactory("IDOPoolLiquidity");
+    let seeder;
+    if (manifest.contracts.liquidity) {
+      seeder = IDOPoolLiquidity.attach(manifest.contracts.liquidity.address);
+      console.log(`Using IDO Pool Liquidity from manifest: ${seeder.address}`);
+    } else {
+      console.log("Deploying IDO Pool Liquidity...");
+      seeder = await IDOPoolLiquidity.deploy(
+        pool.address,
+        ethers.utils.getAddress(router),
+        percentage,
+        lock,
+        treasury ? ethers.utils.getAddress(treasury) : deployer.address
+      );
+      await seeder.deployed();
+      console.log(`IDO Pool Liquidity deployed to: ${seeder.address}`);
+      record("liquidity", seeder, { abiHash: abiHash(IDOPoolLiquidity) });
+    }
+
+    if ((await pool.liquiditySeeder()) === seeder.address) {
+      console.log("Liquidity seeder already set");
+    } else {
+      console.log("Setting liquidity seeder...");
+      await (await pool.grantRole(await pool.TREASURY_ROLE(), seeder.address)).wait();
+      const tx = await pool.setLiquiditySeeder(seeder.address);
+      await tx.wait();
+      manifest.transactions.liquidity = { hash: tx.hash, seeder: seeder.address };
+      save();
+    }
+
+    // The escrow has to be in place before the pool starts
+    if (deposit && !manifest.transactions.liquidityDeposit) {
+      const amount = deposit === true
+        ? await seeder.getRequiredTokens()
+        : ethers.utils.parseUnits(String(deposit), offeringDecimals);
+      console.log(`Sending ${ethers.utils.formatUnits(amount, offeringDecimals)} offering tokens for liquidity...`);
+      const tx = await offeringToken.transfer(seeder.address, amount);
+      await tx.wait();
+      manifest.transactions.liquidityDeposit = { hash: tx.hash, amount: amount.toString() };
+      save();
+    }
+  }
+
+  // Staking contracts are shared, so an existing one is reused rather than deployed per pool
+  if (config.staking) {
+    const StakingTiers = await ethers.getContractFactory("StakingTiers");
+    let staking;
+    if (manifest.contracts.staking) {
+      staking = StakingTiers.attach(manifest.contracts.staking.address);
+      console.log(`Using Staking Tiers from manifest: ${staking.address}`);
+    } else if (typeof config.staking === "string") {
+      staking = StakingTiers.attach(ethers.utils.getAddress(config.staking));
+      console.log(`Using Staking Tiers at: ${staking.address}`);
+      record("staking", staking, { existing: true, abiHash: abiHash(StakingTiers) });
+    } else {
+      const stakingToken = await resolveToken("stakingToken", config.staking.token);
+      const stakingDecimals = await stakingToken.decimals();
+      const tiers = (config.staking.tiers || []).map((tier) => ({
+        name: tier.name,
+        minStake: ethers.utils.parseUnits(String(tier.minStake), stakingDecimals),
+        // Allocations have 18 decimals and are scaled to each pool's payment token
+        maxAllocation: ethers.utils.parseEther(String(tier.maxAllocation)),
+        window: tier.window
+      }));
+      console.log("Deploying Staking Tiers...");
+      staking = await StakingTiers.deploy(stakingToken.address, config.staking.lock || 0, tiers);
+      await staking.deployed();
+      console.log(`Staking Tiers deployed to: ${staking.address}`);
+      record("staking", staking, { abiHash: abiHash(StakingTiers) });
+    }
+
+    if ((await pool.stakingTiers()) === staking.address) {
+      console.log("Staking tiers already set");
+    } else {
+      console.log("Setting staking tiers...");
+      const tx = await pool.setStakingTiers(staking.address);
+      await tx.wait();
+      manifest.transactions.staking = { hash: tx.hash, staking: staking.address };
+      save();
+    }
+  }
+
+  if (config.deposit) {
+    if (await pool.tokensDeposited()) {
+      console.log("Offering tokens already deposited");
+    } else {
+      const amount = config.deposit === true
+        ? await pool.getTokenAmount(params.hardCap)
+        : ethers.utils.parseUnits(String(config.deposit), offeringDecimals);
+      if ((await offeringToken.allowance(deployer.address, pool.address)).lt(amount)) {
+        await (await offeringToken.approve(pool.address, amount)).wait();
+      }
+
+      console.log(`Depositing ${ethers.utils.formatUnits(amount, offeringDecimals)} offering tokens...`);
+      const tx = await pool.depositOfferingTokens(amount);
+      await tx.wait();
+      manifest.transactions.deposit = { hash: tx.hash, amount: amount.toString() };
+      save();
+    }
+  }
+
+  if (config.schedule) {
+    if ((await pool.poolState()) !== 0) {
+      console.log("IDO Pool already started");
+    } else {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const startTime = parseTime(String(config.schedule.start), now);
+      const endTime = parseTime(String(config.schedule.end), now);
+      const refundEndTime = parseTime(String(config.schedule.refundEnd), now);
+
+      console.log("Starting IDO Pool...");
+      const tx = await pool.startPool(startTime, endTime, refundEndTime);
+      await tx.wait();
+      manifest.transactions.start = { hash: tx.hash, startTime, endTime, refundEndTime };
+      save();
+    }
+  }
+
+  console.log(`Manifest written to: ${manifestPath}`);
+  return manifest;
+}
+
+async function main() {
+  const configPath = process.env.DEPLOY_CONFIG || path.join("config", `${hre.network.name}.json`);
+  const manifestPath = process.env.DEPLOY_MANIFEST || path.join("deployments", `${hre.network.name}.json`);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`No deployment config at ${configPath}`);
+  }
+
+  console.log(`Deploying to ${hre.network.name} with ${configPath}`);
+  await deploy(JSON.parse(fs.readFileSync(configPath, "utf8")), manifestPath);
   console.log("Deployment complete!");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deploy, validateParameters, pricingStrategy, PARAMETERS };
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Usage: node scripts/generate-allowlist.js <input.csv> <output.json> [decimals]
+//
+// The frontend reads each pool's proofs from /allowlists/<pool address>.json, so
+// write the output there, with the checksummed pool address.
+//
+// The CSV holds one "address,maxAllocation" row per user, with allocations in
+// human-readable payment token units (e.g. "250.5"). A header row is optional.
+// The output JSON holds the Merkle root for IDOPool.setMerkleRoot and a proof
+// per address for IDOPool.buyTokensWithProof.
+
+// Leaf hash matching IDOPool.buyTokensWithProof
+const hashLeaf = (account, maxAllocation) =>
+  ethers.utils.keccak256(
+    ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [account, maxAllocation])
+    )
+  );
+
+// Sorted pair hash matching OpenZeppelin's MerkleProof
+const hashPair = (a, b) =>
+  ethers.utils.keccak256(
+    ethers.BigNumber.from(a).lt(b)
+      ? ethers.utils.concat([a, b])
+      : ethers.utils.concat([b, a])
+  );
+
+/**
+ * Builds the allowlist Merkle tree
+ * @param {Array<{address: string, maxAllocation: ethers.BigNumber}>} entries Allowlist entries
+ * @returns {{root: string, claims: Object<string, {maxAllocation: string, proof: string[]}>}}
+ */
+function buildAllowlist(entries) {
+  if (entries.length === 0) {
+    throw new Error("Allowlist is empty");
+  }
+
+  const leaves = entries.map((entry) => ({
+    address: ethers.utils.getAddress(entry.address),
+    maxAllocation: ethers.BigNumber.from(entry.maxAllocation),
+    hash: hashLeaf(entry.address, entry.maxAllocation)
+  }));
+
+  const seen = new Set();
+  for (const leaf of leaves) {
+    if (seen.has(leaf.address)) {
+      throw new Error(`Duplicate address in allowlist: ${leaf.address}`);
+    }
+    seen.add(leaf.address);
+  }
+
+  // Build the tree bottom-up, carrying odd nodes up unchanged
+  const layers = [leaves.map((leaf) => leaf.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    layers.push(next);
+  }
+
+  const claims = {};
+  leaves.forEach((leaf, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (let level = 0; level < layers.length - 1; level++) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layers[level].length) {
+        proof.push(layers[level][sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    claims[leaf.address] = {
+      maxAllocation: leaf.maxAllocation.toString(),
+      proof
+    };
+  });
+
+  return {
+    root: layers[layers.length - 1][0],
+    claims
+  };
+}
+
+/**
+ * Parses an allowlist CSV
+ * @param {string} csv CSV contents
+ * @param {number} decimals Payment token decimals
+ * @returns {Array<{address: string, maxAllocation: ethers.BigNumber}>}
+ */
+function parseAllowlistCsv(csv, decimals) {
+  return csv
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .filter((line, index) => !(index === 0 && /^address\s*,/i.test(line)))
+    .map((line) => {
+      const [address, maxAllocation] = line.split(",").map((field) => field.trim());
+      if (!ethers.utils.isAddress(address)) {
+        throw new Error(`Invalid address in allowlist: ${address}`);
+      }
+      return {
+        address,
+        maxAllocation: ethers.utils.parseUnits(maxAllocation, decimals)
+      };
+    });
+}
+
+async function main() {
+  const [input, output, decimals = "18"] = process.argv.slice(2);
+  if (!input || !output) {
+    throw new Error("Usage: node scripts/generate-allowlist.js <input.csv> <output.json> [decimals]");
+  }
+
+  const entries = parseAllowlistCsv(fs.readFileSync(input, "utf8"), Number(decimals));
+  const allowlist = buildAllowlist(entries);
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(allowlist, null, 2));
+  console.log("Allowlist entries:", entries.length);
+  console.log("Merkle root:", allowlist.root);
+  console.log("Proofs written to:", output);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { buildAllowlist, parseAllowlistCsv, hashLeaf };
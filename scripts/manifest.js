@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+// Helpers shared by the deploy and upgrade scripts for the deployments/<network>.json manifest
+
+// ERC-1967 slot holding a proxy's implementation address
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Hash of a contract ABI, so the frontend can tell when its copy is stale
+const abiHash = (contractFactory) => hre.ethers.utils.id(contractFactory.interface.format("json"));
+
+const readManifest = (manifestPath) =>
+  fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, "utf8")) : null;
+
+const writeManifest = (manifestPath, manifest) => {
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+};
+
+/**
+ * Returns the storage layout of a compiled contract, one entry per variable
+ * AST ids are dropped from type names because they change between compilations.
+ * @param {string} contractName Name of the contract
+ * @returns {Promise<Object[]>} Entries with label, slot, offset and type
+ */
+async function storageLayout(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { storage } = buildInfo.output.contracts[artifact.sourceName][contractName].storageLayout;
+
+  return storage.map(({ label, slot, offset, type }) => ({
+    label,
+    slot: Number(slot),
+    offset,
+    type: type.replace(/\)\d+/g, ")")
+  }));
+}
+
+/**
+ * Checks whether an address runs the compiled code of a contract
+ * Immutable values are set at deployment, so they are ignored in the comparison.
+ * @param {string} contractName Name of the contract
+ * @param {string} address Address to check
+ * @returns {Promise<boolean>} True if the deployed code matches the artifact
+ */
+async function runsCompiledCode(contractName, address) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { immutableReferences } = buildInfo.output.contracts[artifact.sourceName][contractName].evm.deployedBytecode;
+
+  const code = hre.ethers.utils.arrayify(await hre.ethers.provider.getCode(address));
+  for (const { start, length } of Object.values(immutableReferences || {}).flat()) {
+    code.fill(0, start, start + length);
+  }
+  return hre.ethers.utils.hexlify(code) === artifact.deployedBytecode;
+}
+
+/**
+ * Reads the implementation a proxy currently delegates to
+ * @param {string} proxy Address of the proxy
+ * @returns {Promise<string>} Implementation address
+ */
+async function readImplementation(proxy) {
+  const value = await hre.ethers.provider.getStorageAt(proxy, IMPLEMENTATION_SLOT);
+  return hre.ethers.utils.getAddress(hre.ethers.utils.hexDataSlice(value, 12));
+}
+
+module.exports = { abiHash, readManifest, writeManifest, storageLayout, runsCompiledCode, readImplementation };
@@ -0,0 +1,147 @@
+const path = require("path");
+const hre = require("hardhat");
+const { PARAMETERS } = require("./deploy");
+const { abiHash, readManifest, writeManifest, storageLayout, runsCompiledCode } = require("./manifest");
+
+// Usage: npx hardhat run scripts/upgrade.js --network <network>
+//
+// Upgrades the proxied pool in deployments/<network>.json (or DEPLOY_MANIFEST) to the
+// compiled IDOPool, or to UPGRADE_CONTRACT. The new storage layout is checked against the
+// one recorded in the manifest before anything is deployed. UPGRADE_CALL names a function
+// to call on the pool as part of the upgrade, such as a migration.
+//
+// When the proxy admin has an upgrade delay the upgrade is only scheduled; re-running the
+// script once the delay has passed executes it.
+
+const describeEntry = (entry) => `${entry.label} (${entry.type}) at slot ${entry.slot}, offset ${entry.offset}`;
+
+/**
+ * Compares two storage layouts for upgrade safety
+ * Every existing variable must keep its name, type and position; new variables may only be appended.
+ * @param {Object[]} previous Layout of the deployed implementation
+ * @param {Object[]} next Layout of the new implementation
+ * @returns {string[]} Descriptions of every incompatibility
+ */
+function checkStorageLayout(previous, next) {
+  const problems = [];
+  for (const entry of previous) {
+    const match = next.find((other) => other.slot === entry.slot && other.offset === entry.offset);
+    if (!match) {
+      problems.push(`${describeEntry(entry)} was removed or moved`);
+    } else if (match.type !== entry.type) {
+      problems.push(`${entry.label} at slot ${entry.slot} changed type from ${entry.type} to ${match.type}`);
+    } else if (match.label !== entry.label) {
+      problems.push(`${entry.label} at slot ${entry.slot} was renamed to ${match.label}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Upgrades, or schedules the upgrade of, the pool recorded in a manifest
+ * @param {string} manifestPath Manifest written by scripts/deploy.js
+ * @param {Object} [options]
+ * @param {string} [options.contract] Implementation contract name, IDOPool by default
+ * @param {string} [options.call] Function without arguments to call on the pool after upgrading
+ * @returns {Promise<Object>} The manifest
+ */
+async function upgrade(manifestPath, { contract = "IDOPool", call } = {}) {
+  const { ethers } = hre;
+  const manifest = readManifest(manifestPath);
+  const entry = manifest && manifest.contracts.pool;
+  if (!entry || !entry.proxy) {
+    throw new Error(`No upgradeable pool in ${manifestPath}`);
+  }
+  const save = () => writeManifest(manifestPath, manifest);
+  const complete = (upgraded) => {
+    entry.implementation = upgraded.implementation;
+    entry.abiHash = upgraded.abiHash;
+    entry.storageLayout = upgraded.storageLayout;
+    delete manifest.pendingUpgrade;
+    save();
+    console.log(`IDO Pool upgraded to: ${upgraded.implementation}`);
+    return manifest;
+  };
+  const IDOPoolProxyAdmin = await ethers.getContractFactory("IDOPoolProxyAdmin");
+  const proxyAdmin = IDOPoolProxyAdmin.attach(manifest.contracts.proxyAdmin.address);
+
+  // Finish an upgrade scheduled by an earlier run
+  const pending = manifest.pendingUpgrade;
+  if (pending) {
+    const { readyAt } = await proxyAdmin.pendingUpgrades(entry.address);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    if (readyAt.isZero()) {
+      throw new Error(`Upgrade to ${pending.implementation} is no longer scheduled, remove pendingUpgrade from the manifest`);
+    }
+    if (readyAt.gt(now)) {
+      console.log(`Upgrade to ${pending.implementation} is timelocked until ${new Date(readyAt.toNumber() * 1000).toISOString()}`);
+      return manifest;
+    }
+
+    console.log(`Executing upgrade to ${pending.contract} at ${pending.implementation}...`);
+    await (await proxyAdmin.executeUpgrade(entry.address)).wait();
+    return complete(pending);
+  }
+
+  const layout = await storageLayout(contract);
+  const problems = checkStorageLayout(entry.storageLayout, layout);
+  if (problems.length > 0) {
+    throw new Error(`${contract} is not storage compatible with the deployed pool:\n  ${problems.join("\n  ")}`);
+  }
+
+  const Implementation = await ethers.getContractFactory(contract);
+  if (await runsCompiledCode(contract, entry.implementation)) {
+    console.log(`IDO Pool already runs the current ${contract}`);
+    return manifest;
+  }
+
+  // The implementation is deployed with the pool's own parameters so its constructor checks pass
+  console.log(`Deploying ${contract} implementation...`);
+  const implementation = await Implementation.deploy(
+    manifest.contracts.paymentToken ? manifest.contracts.paymentToken.address : ethers.constants.AddressZero,
+    manifest.contracts.offeringToken.address,
+    ...PARAMETERS.map((name) => manifest.params[name])
+  );
+  await implementation.deployed();
+  console.log(`${contract} implementation deployed to: ${implementation.address}`);
+
+  const data = call ? Implementation.interface.encodeFunctionData(call) : "0x";
+  const tx = await proxyAdmin.scheduleUpgrade(entry.address, implementation.address, data);
+  const receipt = await tx.wait();
+  const { readyAt } = receipt.events.find((event) => event.event === "UpgradeScheduled").args;
+
+  const upgraded = {
+    contract,
+    implementation: implementation.address,
+    abiHash: abiHash(Implementation),
+    storageLayout: layout
+  };
+  if ((await proxyAdmin.upgradeDelay()).gt(0)) {
+    manifest.pendingUpgrade = { ...upgraded, transactionHash: tx.hash, readyAt: readyAt.toNumber() };
+    save();
+    console.log(`Upgrade scheduled, re-run after ${new Date(readyAt.toNumber() * 1000).toISOString()} to execute it`);
+    return manifest;
+  }
+
+  await (await proxyAdmin.executeUpgrade(entry.address)).wait();
+  return complete(upgraded);
+}
+
+async function main() {
+  const manifestPath = process.env.DEPLOY_MANIFEST || path.join("deployments", `${hre.network.name}.json`);
+  const contract = process.env.UPGRADE_CONTRACT || "IDOPool";
+
+  console.log(`Upgrading the IDO Pool on ${hre.network.name} to ${contract}`);
+  await upgrade(manifestPath, { contract, call: process.env.UPGRADE_CALL });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { upgrade, checkStorageLayout };
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import ERC20ABI from '../artifacts/contracts/MockERC20.sol/MockERC20.json';
+import ILiquiditySeederABI from '../artifacts/contracts/ILiquiditySeeder.sol/ILiquiditySeeder.json';
+import { runTransaction } from './transactions';
+
+const STATES = ['Pending', 'Active', 'Completed', 'Cancelled', 'Refunding'];
+
+const PARAMETERS = [
+  ['tokenPrice', 'Token Price'],
+  ['softCap', 'Soft Cap'],
+  ['hardCap', 'Hard Cap'],
+  ['minContribution', 'Min Contribution'],
+  ['maxContribution', 'Max Contribution']
+];
+
+// Converts unix seconds to the local time shown by a datetime-local input
+const toInputTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp * 1000);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromInputTime = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : 0);
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// Parses a decimal amount, or returns null when the input is not a valid amount
+const parseAmount = (value, decimals) => {
+  try {
+    const amount = ethers.utils.parseUnits(value, decimals);
+    return amount.isNegative() ? null : amount;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Mirrors the parameter checks of the IDOPool constructor and updateParameters
+const validateParameters = (params) => {
+  if (Object.values(params).some((value) => value === null)) return 'Enter a valid amount for every parameter';
+  if (params.tokenPrice.isZero()) return 'Token price must be greater than zero';
+  if (params.softCap.isZero()) return 'Soft cap must be greater than zero';
+  if (params.hardCap.lt(params.softCap)) return 'Hard cap must be >= soft cap';
+  if (params.minContribution.isZero()) return 'Min contribution must be greater than zero';
+  if (params.maxContribution.lt(params.minContribution)) return 'Max contribution must be >= min contribution';
+  return null;
+};
+
+// Returns the message of the first failed check, or null when every check passes
+const firstFailure = (checks) => {
+  const failed = checks.find(([passed]) => !passed);
+  return failed ? failed[1] : null;
+};
+
+/**
+ * Explains why each admin action would revert given the pool state and the latest block time
+ * @param {Object} admin Pool data loaded by AdminPanel
+ * @param {Object} form Current values of the admin inputs
+ * @returns {Object<string, string|null>} Reason per action, or null when it can be sent
+ */
+export const getPreflight = (admin, form) => {
+  const { info, now } = admin;
+  const state = STATES[info.state];
+  const inState = (...states) => [states.includes(state), `Pool is ${state}, this needs ${states.join(' or ')}`];
+  const refundWindowOver = [
+    now > info.refundEndTime.toNumber(),
+    `Refund period ends ${formatTime(info.refundEndTime.toNumber())}`
+  ];
+  
+  const params = Object.fromEntries(PARAMETERS.map(([name]) => [name, parseAmount(form[name], info.paymentDecimals)]));
+  const parameterError = validateParameters(params);
+  
+  const depositAmount = parseAmount(form.depositAmount, info.offeringDecimals);
+  const start = fromInputTime(form.startTime);
+  const end = fromInputTime(form.endTime);
+  const refundEnd = fromInputTime(form.refundEndTime);
+  const saleOver = now > info.endTime.toNumber() || (!info.overflowMode && info.totalRaised.gte(info.hardCap));
+  
+  return {
+    updateParameters: firstFailure([
+      inState('Pending'),
+      [!parameterError, parameterError]
+    ]),
+    depositOfferingTokens: firstFailure([
+      inState('Pending'),
+      [admin.isOperator, 'Your account is missing OPERATOR_ROLE'],
+      [depositAmount !== null, 'Enter a valid amount'],
+      [depositAmount !== null && depositAmount.gte(admin.requiredDeposit),
+        `The hard cap needs at least ${ethers.utils.formatUnits(admin.requiredDeposit, info.offeringDecimals)} ${info.offeringSymbol}`],
+      [depositAmount !== null && admin.offeringBalance.gte(depositAmount),
+        `Your balance is only ${ethers.utils.formatUnits(admin.offeringBalance, info.offeringDecimals)} ${info.offeringSymbol}`]
+    ]),
+    startPool: firstFailure([
+      inState('Pending'),
+      [admin.isOperator, 'Your account is missing OPERATOR_ROLE'],
+      [admin.tokensDeposited, 'Deposit the offering tokens first'],
+      [admin.liquidityEscrowed, 'Escrow the liquidity tokens in the seeder first'],
+      [start > 0 && end > 0 && refundEnd > 0, 'Pick the start, end and refund end times'],
+      [start > now, 'Start time must be in the future'],
+      [end > start, 'End time must be after start time'],
+      [refundEnd > end, 'Refund end time must be after end time']
+    ]),
+    finalize: firstFailure([
+      inState('Active'),
+      [admin.isOperator, 'Your account is missing OPERATOR_ROLE'],
+      [saleOver, `Sale runs until ${formatTime(info.endTime.toNumber())} unless the hard cap is reached`]
+    ]),
+    enableRefund: firstFailure([
+      inState('Active', 'Completed'),
+      [!admin.raisedFundsWithdrawn, 'Raised funds were already withdrawn'],
+      [state === 'Active' || now <= info.refundEndTime.toNumber(), `Refund period ended ${formatTime(info.refundEndTime.toNumber())}`]
+    ]),
+    // Cancelled pools only release what is not owed as refunds, such as withdrawal penalties
+    withdrawRaisedFunds: firstFailure([
+      inState('Completed', 'Cancelled'),
+      [admin.isTreasury, 'Your account is missing TREASURY_ROLE'],
+      refundWindowOver,
+      [!admin.raisedFundsWithdrawn, 'Raised funds were already withdrawn'],
+      [admin.paymentBalance.gt(admin.outstandingPayments), 'No funds to withdraw']
+    ]),
+    withdrawUnsoldTokens: firstFailure([
+      inState('Completed', 'Cancelled', 'Refunding'),
+      refundWindowOver,
+      [admin.poolOfferingBalance.gt(admin.outstandingTokens), 'No unsold tokens to withdraw']
+    ])
+  };
+};
+
+// Full class names so the CSS build keeps them
+const BUTTON_COLORS = {
+  blue: 'bg-blue-500 hover:bg-blue-700',
+  green: 'bg-green-500 hover:bg-green-700',
+  yellow: 'bg-yellow-500 hover:bg-yellow-700'
+};
+
+// Button that is disabled with an explanation while its preflight fails
+const ActionButton = ({ label, reason, onClick, color = 'blue' }) => (
+  <div className="mb-2">
+    <button
+      className={`${BUTTON_COLORS[color]} text-white font-bold py-2 px-4 rounded disabled:opacity-50`}
+      onClick={onClick}
+      disabled={reason !== null}
+    >
+      {label}
+    </button>
+    {reason && <span className="text-sm text-gray-700 ml-2">{reason}</span>}
+  </div>
+);
+
+const AdminPanel = ({ idoPool, signer, account, onUpdated, onTransaction }) => {
+  const [admin, setAdmin] = useState(null);
+  const [form, setForm] = useState({});
+  
+  // Load the raw values the preflight checks against
+  const loadAdminInfo = async () => {
+    try {
+      const owner = await idoPool.owner();
+      if (owner.toLowerCase() !== account.toLowerCase()) {
+        setAdmin(null);
+        return null;
+      }
+      
+      const info = await idoPool.getPoolInfo();
+      const offeringToken = new ethers.Contract(info.offeringToken, ERC20ABI.abi, signer);
+      const paymentBalance = info.isNativePayment
+        ? await signer.provider.getBalance(idoPool.address)
+        : await new ethers.Contract(info.paymentToken, ERC20ABI.abi, signer).balanceOf(idoPool.address);
+      
+      const adminInfo = {
+        info,
+        now: (await signer.provider.getBlock('latest')).timestamp,
+        isOperator: await idoPool.hasRole(await idoPool.OPERATOR_ROLE(), account),
+        isTreasury: await idoPool.hasRole(await idoPool.TREASURY_ROLE(), account),
+        tokensDeposited: await idoPool.tokensDeposited(),
+        liquidityEscrowed: info.liquiditySeeder === ethers.constants.AddressZero
+          || await new ethers.Contract(info.liquiditySeeder, ILiquiditySeederABI.abi, signer).isFunded(),
+        raisedFundsWithdrawn: await idoPool.raisedFundsWithdrawn(),
+        requiredDeposit: await idoPool.getTokenAmount(info.hardCap),
+        offeringBalance: await offeringToken.balanceOf(account),
+        poolOfferingBalance: await offeringToken.balanceOf(idoPool.address),
+        paymentBalance,
+        outstandingTokens: await idoPool.getOutstandingTokens(),
+        outstandingPayments: await idoPool.getOutstandingPayments()
+      };
+      setAdmin(adminInfo);
+      return adminInfo;
+    } catch (error) {
+      console.error("Error loading admin info:", error);
+      return null;
+    }
+  };
+  
+  // Reset the inputs to the pool's current values whenever another pool is selected
+  useEffect(() => {
+    if (!idoPool || !account) return undefined;
+    
+    loadAdminInfo().then((adminInfo) => {
+      if (!adminInfo) return;
+      const { info } = adminInfo;
+      const formatPayment = (amount) => ethers.utils.formatUnits(amount, info.paymentDecimals);
+      setForm({
+        ...Object.fromEntries(PARAMETERS.map(([name]) => [name, formatPayment(info[name])])),
+        depositAmount: ethers.utils.formatUnits(adminInfo.requiredDeposit, info.offeringDecimals),
+        startTime: toInputTime(info.startTime.toNumber()),
+        endTime: toInputTime(info.endTime.toNumber()),
+        refundEndTime: toInputTime(info.refundEndTime.toNumber())
+      });
+    });
+    
+    // Keep the time-based checks current
+    const interval = setInterval(loadAdminInfo, 15000);
+    return () => clearInterval(interval);
+  }, [idoPool, account]);
+  
+  if (!admin || Object.keys(form).length === 0) return null;
+  
+  const { info } = admin;
+  const preflight = getPreflight(admin, form);
+  const paymentSymbol = info.isNativePayment ? 'ETH' : info.paymentSymbol;
+  const setField = (name) => (e) => setForm({ ...form, [name]: e.target.value });
+  
+  // Sends an admin transaction through the shared transaction layer and refreshes both views
+  const sendAction = async (label, method, args = []) => {
+    if (await runTransaction(label, idoPool, method, args, onTransaction)) {
+      // Refresh data
+      await loadAdminInfo();
+      onUpdated();
+    }
+  };
+  
+  const handleUpdateParameters = () => sendAction(
+    'Update parameters',
+    'updateParameters',
+    PARAMETERS.map(([name]) => ethers.utils.parseUnits(form[name], info.paymentDecimals))
+  );
+  
+  const handleDeposit = async () => {
+    const amount = ethers.utils.parseUnits(form.depositAmount, info.offeringDecimals);
+    const offeringToken = new ethers.Contract(info.offeringToken, ERC20ABI.abi, signer);
+    const allowance = await offeringToken.allowance(account, idoPool.address);
+    if (allowance.lt(amount)) {
+      const approved = await runTransaction(`Approve ${info.offeringSymbol}`, offeringToken, 'approve', [idoPool.address, amount], onTransaction);
+      if (!approved) return;
+    }
+    sendAction('Deposit offering tokens', 'depositOfferingTokens', [amount]);
+  };
+  
+  const handleStartPool = () => sendAction('Start pool', 'startPool', [
+    fromInputTime(form.startTime),
+    fromInputTime(form.endTime),
+    fromInputTime(form.refundEndTime)
+  ]);
+  
+  return (
+    <div className="bg-gray-100 border-2 border-purple-400 p-4 rounded-lg mb-6">
+      <h2 className="text-xl font-semibold mb-4">Admin</h2>
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div>
+          <p><strong>State:</strong> {STATES[info.state]}{info.paused ? ' (paused)' : ''}</p>
+          <p><strong>Latest Block Time:</strong> {formatTime(admin.now)}</p>
+          <p><strong>Roles:</strong> {[admin.isOperator && 'Operator', admin.isTreasury && 'Treasury'].filter(Boolean).join(', ') || 'None'}</p>
+          <p><strong>Offering Tokens Deposited:</strong> {admin.tokensDeposited ? 'Yes' : 'No'}</p>
+        </div>
+        <div>
+          <p><strong>Owed to Buyers:</strong> {ethers.utils.formatUnits(admin.outstandingTokens, info.offeringDecimals)} {info.offeringSymbol}</p>
+          <p><strong>Owed Refunds:</strong> {ethers.utils.formatUnits(admin.outstandingPayments, info.paymentDecimals)} {paymentSymbol}</p>
+          <p><strong>Pool Balance:</strong> {ethers.utils.formatUnits(admin.paymentBalance, info.paymentDecimals)} {paymentSymbol}</p>
+          <p><strong>Raised Funds Withdrawn:</strong> {admin.raisedFundsWithdrawn ? 'Yes' : 'No'}</p>
+        </div>
+      </div>
+      
+      <h3 className="font-semibold mb-2">Parameters ({paymentSymbol})</h3>
+      <div className="grid grid-cols-5 gap-2 mb-2">
+        {PARAMETERS.map(([name, label]) => (
+          <label key={name} className="text-sm">
+            {label}
+            <input
+              type="number"
+              className="border rounded p-2 w-full"
+              value={form[name]}
+              disabled={STATES[info.state] !== 'Pending'}
+              onChange={setField(name)}
+            />
+          </label>
+        ))}
+      </div>
+      <ActionButton label="Update Parameters" reason={preflight.updateParameters} onClick={handleUpdateParameters} />
+      
+      <h3 className="font-semibold mt-4 mb-2">Launch</h3>
+      <div className="flex items-center mb-2">
+        <input
+          type="number"
+          placeholder={`Amount (${info.offeringSymbol})`}
+          className="border rounded p-2 mr-2"
+          value={form.depositAmount}
+          onChange={setField('depositAmount')}
+        />
+      </div>
+      <ActionButton label="Deposit Offering Tokens" reason={preflight.depositOfferingTokens} onClick={handleDeposit} />
+      <div className="grid grid-cols-3 gap-2 mb-2">
+        {[['startTime', 'Start'], ['endTime', 'End'], ['refundEndTime', 'Refund End']].map(([name, label]) => (
+          <label key={name} className="text-sm">
+            {label}
+            <input
+              type="datetime-local"
+              className="border rounded p-2 w-full"
+              value={form[name]}
+              onChange={setField(name)}
+            />
+          </label>
+        ))}
+      </div>
+      <ActionButton label="Start Pool" reason={preflight.startPool} onClick={handleStartPool} color="green" />
+      
+      <h3 className="font-semibold mt-4 mb-2">Close</h3>
+      <ActionButton label="Finalize" reason={preflight.finalize} onClick={() => sendAction('Finalize', 'finalize')} />
+      <ActionButton label="Enable Refund" reason={preflight.enableRefund} onClick={() => sendAction('Enable refund', 'enableRefund')} color="yellow" />
+      <ActionButton label="Withdraw Raised Funds" reason={preflight.withdrawRaisedFunds} onClick={() => sendAction('Withdraw raised funds', 'withdrawRaisedFunds')} />
+      <ActionButton label="Withdraw Unsold Tokens" reason={preflight.withdrawUnsoldTokens} onClick={() => sendAction('Withdraw unsold tokens', 'withdrawUnsoldTokens')} />
+    </div>
+  );
+};
+
+export default AdminPanel;
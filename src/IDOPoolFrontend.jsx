@@ -1,19 +1,131 @@
 import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import IDOPoolABI from '../artifacts/contracts/IDOPool.sol/IDOPool.json';
+import IDOPoolFactoryABI from '../artifacts/contracts/IDOPoolFactory.sol/IDOPoolFactory.json';
+import IDOPoolLiquidityABI from '../artifacts/contracts/IDOPoolLiquidity.sol/IDOPoolLiquidity.json';
+import StakingTiersABI from '../artifacts/contracts/StakingTiers.sol/StakingTiers.json';
 import ERC20ABI from '../artifacts/contracts/MockERC20.sol/MockERC20.json';
+import AdminPanel from './AdminPanel';
+import { decodeError, runTransaction } from './transactions';
+
+// EIP-2612 functions the interface needs to sign permits
+const PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)'
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Returns the token's EIP-712 domain, or null when the token does not support permit
+const detectPermitDomain = async (tokenAddress, web3Signer) => {
+  try {
+    const token = new ethers.Contract(tokenAddress, PERMIT_ABI, web3Signer);
+    const { chainId } = await web3Signer.provider.getNetwork();
+    const domain = {
+      name: await token.name(),
+      version: '1',
+      chainId,
+      verifyingContract: tokenAddress
+    };
+    
+    // Only trust the domain if it reproduces the token's own separator
+    const separator = await token.DOMAIN_SEPARATOR();
+    return ethers.utils._TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Manifests written by scripts/deploy.js, served from /deployments/<network>.json
+const DEPLOYMENT_NETWORKS = {
+  1: 'mainnet',
+  11155111: 'sepolia',
+  31337: 'localhost'
+};
+
+// Reads the deployment manifest for the connected chain
+const loadDeployment = async (web3Provider) => {
+  const { chainId } = await web3Provider.getNetwork();
+  const network = DEPLOYMENT_NETWORKS[chainId];
+  if (!network) {
+    throw new Error(`No deployment for chain ${chainId}`);
+  }
+  
+  const response = await fetch(`/deployments/${network}.json`);
+  if (!response.ok) {
+    throw new Error(`Deployment manifest for ${network} not found`);
+  }
+  const manifest = await response.json();
+  if (manifest.chainId !== chainId) {
+    throw new Error(`Deployment manifest for ${network} is for chain ${manifest.chainId}`);
+  }
+  
+  // Flag manifests deployed from different contracts than the bundled ABIs
+  const abiHash = (abi) => ethers.utils.id(new ethers.utils.Interface(abi).format('json'));
+  if (manifest.contracts.factory.abiHash && manifest.contracts.factory.abiHash !== abiHash(IDOPoolFactoryABI.abi)) {
+    console.warn('IDOPoolFactory ABI differs from the deployed contract');
+  }
+  if (manifest.contracts.pool && manifest.contracts.pool.abiHash !== abiHash(IDOPoolABI.abi)) {
+    console.warn('IDOPool ABI differs from the deployed contract');
+  }
+  return manifest;
+};
+
+// Number of purchases shown in the recent contributions feed
+const RECENT_CONTRIBUTIONS = 10;
+
+// Pool events that change what the page shows, besides purchases
+const LIVE_EVENTS = ['PoolStateChanged', 'TokensClaimed', 'RefundClaimed', 'ExcessRefunded', 'ContributionWithdrawn'];
+
+const toContribution = (event) => ({
+  buyer: event.args.buyer,
+  paymentAmount: event.args.paymentAmount,
+  tokenAmount: event.args.tokenAmount,
+  id: `${event.transactionHash}-${event.logIndex}`
+});
+
+// How each transaction status from runTransaction is shown
+const TRANSACTION_STATUS = {
+  checking: { label: 'Checking', className: 'text-gray-600' },
+  signing: { label: 'Confirm in wallet', className: 'text-blue-700' },
+  pending: { label: 'Pending', className: 'text-blue-700' },
+  confirmed: { label: 'Confirmed', className: 'text-green-700' },
+  failed: { label: 'Failed', className: 'text-red-700' }
+};
+
+// Formats a number of seconds as e.g. "2d 03h 04m 05s"
+const formatDuration = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const pad = (value) => String(value).padStart(2, '0');
+  const clock = `${pad(Math.floor(seconds % 86400 / 3600))}h ${pad(Math.floor(seconds % 3600 / 60))}m ${pad(seconds % 60)}s`;
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
 
 const IDOPoolFrontend = () => {
   // State variables
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState('');
+  const [pools, setPools] = useState([]);
   const [idoPool, setIdoPool] = useState(null);
   const [paymentToken, setPaymentToken] = useState(null);
-  const [offeringToken, setOfferingToken] = useState(null);
   const [poolInfo, setPoolInfo] = useState({
     state: '',
     tokenPrice: 0,
+    dynamicPricing: false,
+    currentPrice: 0,
+    clearingPrice: 0,
+    liquidity: null,
+    stakingTiers: null,
     softCap: 0,
     hardCap: 0,
     totalRaised: 0,
@@ -21,20 +133,53 @@ const IDOPoolFrontend = () => {
     maxContribution: 0,
     startTime: 0,
     endTime: 0,
-    refundEndTime: 0
+    refundEndTime: 0,
+    cancelReason: '',
+    scheduleChanges: [],
+    extensionCount: 0,
+    maxExtensions: 0,
+    contributorCount: 0,
+    paused: false,
+    allowlistOnly: false,
+    isNativePayment: false,
+    paymentSymbol: '',
+    offeringSymbol: '',
+    paymentDecimals: 18,
+    offeringDecimals: 18,
+    overflowMode: false,
+    withdrawalsEnabled: false,
+    withdrawalPenalty: 0,
+    withdrawalPenaltyEnd: 0,
+    withdrawalDeadline: 0
   });
   const [userInfo, setUserInfo] = useState({
     contribution: 0,
     tokensToBuy: 0,
     hasClaimedTokens: false,
     hasClaimedRefund: false,
+    vestedTokens: 0,
+    claimedTokens: 0,
+    claimableTokens: 0,
+    lockedTokens: 0,
+    expectedRefund: 0,
+    hasClaimedExcess: false,
+    withdrawnContribution: 0,
     paymentTokenBalance: 0,
-    offeringTokenBalance: 0
+    offeringTokenBalance: 0,
+    stakingTier: 0,
+    remainingAllocation: 0
   });
+  const [allowlistClaim, setAllowlistClaim] = useState(null);
+  const [permitDomain, setPermitDomain] = useState(null);
   const [buyAmount, setBuyAmount] = useState('');
+  const [purchaseEstimate, setPurchaseEstimate] = useState('');
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [contributions, setContributions] = useState([]);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [transactions, setTransactions] = useState([]);
 
-  // Contract addresses - replace with your deployed contract addresses
-  const idoPoolAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  // Allowlist proofs generated by scripts/generate-allowlist.js, one file per pool
+  const allowlistUrl = (poolAddress) => `/allowlists/${ethers.utils.getAddress(poolAddress)}.json`;
   
   // Connect to wallet
   const connectWallet = async () => {
@@ -48,24 +193,19 @@ const IDOPoolFrontend = () => {
         setSigner(web3Signer);
         setAccount(accounts[0]);
         
-        // Initialize contracts
-        const poolContract = new ethers.Contract(idoPoolAddress, IDOPoolABI.abi, web3Signer);
-        setIdoPool(poolContract);
+        // Load every pool launched through the factory from the deployment manifest
+        const deployment = await loadDeployment(web3Provider);
+        const factoryContract = new ethers.Contract(deployment.contracts.factory.address, IDOPoolFactoryABI.abi, web3Signer);
+        const poolCount = (await factoryContract.allPoolsLength()).toNumber();
+        const poolAddresses = await Promise.all(
+          [...Array(poolCount).keys()].map((index) => factoryContract.allPools(index))
+        );
+        setPools(poolAddresses);
         
-        // Get payment and offering token addresses
-        const paymentTokenAddress = await poolContract.paymentToken();
-        const offeringTokenAddress = await poolContract.offeringToken();
-        
-        // Initialize token contracts
-        const paymentTokenContract = new ethers.Contract(paymentTokenAddress, ERC20ABI.abi, web3Signer);
-        const offeringTokenContract = new ethers.Contract(offeringTokenAddress, ERC20ABI.abi, web3Signer);
-        
-        setPaymentToken(paymentTokenContract);
-        setOfferingToken(offeringTokenContract);
-        
-        // Load initial data
-        loadPoolInfo(poolContract);
-        loadUserInfo(poolContract, paymentTokenContract, offeringTokenContract, accounts[0]);
+        // Default to the most recently launched pool
+        if (poolAddresses.length > 0) {
+          selectPool(poolAddresses[poolAddresses.length - 1], web3Signer, accounts[0]);
+        }
       } catch (error) {
         console.error("Error connecting to wallet:", error);
       }
@@ -74,32 +214,135 @@ const IDOPoolFrontend = () => {
     }
   };
   
+  // Switch the interface to a pool from the registry
+  const selectPool = async (poolAddress, web3Signer = signer, userAddress = account) => {
+    try {
+      // Initialize contracts
+      const poolContract = new ethers.Contract(poolAddress, IDOPoolABI.abi, web3Signer);
+      setIdoPool(poolContract);
+      
+      // Get the payment token address
+      const isNativePayment = await poolContract.isNativePayment();
+      const paymentTokenAddress = await poolContract.paymentToken();
+      
+      // Initialize the payment token contract; native currency pools have none
+      const paymentTokenContract = isNativePayment
+        ? null
+        : new ethers.Contract(paymentTokenAddress, ERC20ABI.abi, web3Signer);
+      
+      setPaymentToken(paymentTokenContract);
+      setPermitDomain(isNativePayment ? null : await detectPermitDomain(paymentTokenAddress, web3Signer));
+      
+      // Load initial data
+      loadPoolInfo(poolContract);
+      loadUserInfo(poolContract, userAddress);
+      
+      // Seed the feed with the latest purchases; new ones arrive through the event listener
+      const purchases = await poolContract.queryFilter(poolContract.filters.TokensPurchased());
+      setContributions(purchases.slice(-RECENT_CONTRIBUTIONS).reverse().map(toContribution));
+    } catch (error) {
+      console.error("Error selecting pool:", error);
+    }
+  };
+  
   // Load pool information
   const loadPoolInfo = async (poolContract) => {
     try {
       const states = ['Pending', 'Active', 'Completed', 'Cancelled', 'Refunding'];
-      const stateIndex = await poolContract.poolState();
-      const tokenPrice = ethers.utils.formatEther(await poolContract.tokenPrice());
-      const softCap = ethers.utils.formatEther(await poolContract.softCap());
-      const hardCap = ethers.utils.formatEther(await poolContract.hardCap());
-      const totalRaised = ethers.utils.formatEther(await poolContract.totalRaised());
-      const minContribution = ethers.utils.formatEther(await poolContract.minContribution());
-      const maxContribution = ethers.utils.formatEther(await poolContract.maxContribution());
-      const startTime = await poolContract.startTime();
-      const endTime = await poolContract.endTime();
-      const refundEndTime = await poolContract.refundEndTime();
+      
+      // Everything except the event history comes back in a single call
+      const info = await poolContract.getPoolInfo();
+      const formatPayment = (amount) => ethers.utils.formatUnits(amount, info.paymentDecimals);
+      
+      // Collect every reschedule so users can see how the timeline moved
+      const scheduleFilters = [
+        ['Start time', poolContract.filters.StartTimeUpdated()],
+        ['End time', poolContract.filters.EndTimeUpdated()],
+        ['Refund end time', poolContract.filters.RefundEndTimeUpdated()]
+      ];
+      const scheduleChanges = [];
+      for (const [label, filter] of scheduleFilters) {
+        const events = await poolContract.queryFilter(filter);
+        events.forEach((event) => {
+          scheduleChanges.push({
+            label,
+            blockNumber: event.blockNumber,
+            oldTime: event.args[0].toString(),
+            newTime: event.args[1].toString()
+          });
+        });
+      }
+      scheduleChanges.sort((a, b) => a.blockNumber - b.blockNumber);
+      
+      // Look up why the pool was cancelled, if it was
+      let cancelReason = '';
+      if (states[info.state] === 'Cancelled') {
+        const cancelEvents = await poolContract.queryFilter(poolContract.filters.PoolCancelled());
+        if (cancelEvents.length > 0) {
+          cancelReason = cancelEvents[cancelEvents.length - 1].args.reason;
+        }
+      }
+      
+      // Pools that commit part of the raise to liquidity show buyers the share and the lock
+      let liquidity = null;
+      if (info.liquiditySeeder !== ethers.constants.AddressZero) {
+        const seeder = new ethers.Contract(info.liquiditySeeder, IDOPoolLiquidityABI.abi, poolContract.provider);
+        const [percentage, lockDuration, unlockTime, seeded] = await Promise.all([
+          seeder.liquidityPercentage(),
+          seeder.lockDuration(),
+          seeder.unlockTime(),
+          seeder.liquiditySeeded()
+        ]);
+        liquidity = { percentage: percentage.toNumber(), lockDuration: lockDuration.toNumber(), unlockTime: unlockTime.toString(), seeded };
+      }
+      
+      // Pools with staking tiers list each tier's allocation and how long it is guaranteed
+      let stakingTiers = null;
+      if (info.stakingTiers !== ethers.constants.AddressZero) {
+        const staking = new ethers.Contract(info.stakingTiers, StakingTiersABI.abi, poolContract.provider);
+        const tiers = await staking.getTiers();
+        stakingTiers = await Promise.all(tiers.map(async (tier, index) => ({
+          name: tier.name,
+          maxAllocation: formatPayment(await staking.getTierAllocation(poolContract.address, index + 1)),
+          window: tier.window.toNumber()
+        })));
+      }
       
       setPoolInfo({
-        state: states[stateIndex],
-        tokenPrice,
-        softCap,
-        hardCap,
-        totalRaised,
-        minContribution,
-        maxContribution,
-        startTime: startTime.toString(),
-        endTime: endTime.toString(),
-        refundEndTime: refundEndTime.toString()
+        state: states[info.state],
+        tokenPrice: formatPayment(info.tokenPrice),
+        // Tiered and Dutch auction pools price each purchase; only Dutch auctions report a clearing price
+        dynamicPricing: info.pricingStrategy !== ethers.constants.AddressZero,
+        currentPrice: formatPayment(info.currentPrice),
+        clearingPrice: formatPayment(info.clearingPrice),
+        liquidity,
+        stakingTiers,
+        softCap: formatPayment(info.softCap),
+        hardCap: formatPayment(info.hardCap),
+        totalRaised: formatPayment(info.totalRaised),
+        minContribution: formatPayment(info.minContribution),
+        maxContribution: formatPayment(info.maxContribution),
+        startTime: info.startTime.toString(),
+        endTime: info.endTime.toString(),
+        refundEndTime: info.refundEndTime.toString(),
+        cancelReason,
+        scheduleChanges,
+        extensionCount: info.extensionCount.toNumber(),
+        maxExtensions: info.maxExtensions.toNumber(),
+        contributorCount: info.contributorCount.toNumber(),
+        paused: info.paused,
+        allowlistOnly: info.allowlistOnly,
+        isNativePayment: info.isNativePayment,
+        paymentSymbol: info.paymentSymbol,
+        offeringSymbol: info.offeringSymbol,
+        paymentDecimals: info.paymentDecimals,
+        offeringDecimals: info.offeringDecimals,
+        overflowMode: info.overflowMode,
+        // Penalties are in basis points; the current one falls to the end penalty by the deadline
+        withdrawalsEnabled: info.withdrawalsEnabled,
+        withdrawalPenalty: info.withdrawalPenalty.toNumber(),
+        withdrawalPenaltyEnd: info.withdrawalPenaltyEnd.toNumber(),
+        withdrawalDeadline: info.withdrawalDeadline.toString()
       });
     } catch (error) {
       console.error("Error loading pool info:", error);
@@ -107,52 +350,123 @@ const IDOPoolFrontend = () => {
   };
   
   // Load user information
-  const loadUserInfo = async (poolContract, paymentTokenContract, offeringTokenContract, userAddress) => {
+  const loadUserInfo = async (poolContract, userAddress) => {
     try {
-      const contribution = ethers.utils.formatEther(await poolContract.contributions(userAddress));
-      const tokenAmount = ethers.utils.formatEther(await poolContract.getUserTokenAmount(userAddress));
-      const hasClaimedTokens = await poolContract.hasClaimedTokens(userAddress);
-      const hasClaimedRefund = await poolContract.hasClaimedRefund(userAddress);
-      const paymentTokenBalance = ethers.utils.formatEther(await paymentTokenContract.balanceOf(userAddress));
-      const offeringTokenBalance = ethers.utils.formatEther(await offeringTokenContract.balanceOf(userAddress));
+      // Contribution, vesting and balances in a single call
+      const [info, paymentDecimals, offeringDecimals] = await Promise.all([
+        poolContract.getUserInfo(userAddress),
+        poolContract.paymentDecimals(),
+        poolContract.offeringDecimals()
+      ]);
+      const formatPayment = (amount) => ethers.utils.formatUnits(amount, paymentDecimals);
+      const formatOffering = (amount) => ethers.utils.formatUnits(amount, offeringDecimals);
+      
+      loadAllowlistClaim(poolContract, userAddress);
       
       setUserInfo({
-        contribution,
-        tokensToBuy: tokenAmount,
-        hasClaimedTokens,
-        hasClaimedRefund,
-        paymentTokenBalance,
-        offeringTokenBalance
+        contribution: formatPayment(info.contribution),
+        tokensToBuy: formatOffering(info.tokenAmount),
+        hasClaimedTokens: info.hasClaimedTokens,
+        hasClaimedRefund: info.hasClaimedRefund,
+        vestedTokens: formatOffering(info.vestedAmount),
+        claimedTokens: formatOffering(info.claimedTokens),
+        claimableTokens: formatOffering(info.claimableAmount),
+        lockedTokens: formatOffering(info.tokenAmount.sub(info.vestedAmount)),
+        // Unused contribution returned on claim, from oversubscription or a lower clearing price
+        expectedRefund: formatPayment(info.refundAmount),
+        hasClaimedExcess: info.hasClaimedExcess,
+        withdrawnContribution: formatPayment(info.withdrawnContribution),
+        paymentTokenBalance: formatPayment(info.paymentBalance),
+        offeringTokenBalance: formatOffering(info.offeringBalance),
+        // One-based index into the pool's staking tiers, zero without a tier
+        stakingTier: info.stakingTier.toNumber(),
+        remainingAllocation: formatPayment(info.remainingAllocation)
       });
     } catch (error) {
       console.error("Error loading user info:", error);
     }
   };
   
+  // Load the user's allowlist allocation and proof for the pool, if they have one
+  const loadAllowlistClaim = async (poolContract, userAddress) => {
+    try {
+      const response = await fetch(allowlistUrl(poolContract.address));
+      if (!response.ok) {
+        setAllowlistClaim(null);
+        return;
+      }
+      const allowlist = await response.json();
+      // Proofs only verify against the root they were built for
+      if (allowlist.root !== await poolContract.merkleRoot()) {
+        setAllowlistClaim(null);
+        return;
+      }
+      const claim = allowlist.claims[ethers.utils.getAddress(userAddress)];
+      setAllowlistClaim(claim ? {
+        maxAllocation: claim.maxAllocation,
+        proof: claim.proof
+      } : null);
+    } catch (error) {
+      console.error("Error loading allowlist:", error);
+      setAllowlistClaim(null);
+    }
+  };
+  
+  // Record a transaction update, replacing the earlier status of the same transaction
+  const trackTransaction = (update) => {
+    setTransactions((current) => [update, ...current.filter((entry) => entry.id !== update.id)].slice(0, 5));
+  };
+  
   // Buy tokens
   const handleBuyTokens = async () => {
-    if (!idoPool || !paymentToken) return;
+    if (!idoPool || (!paymentToken && !poolInfo.isNativePayment) || getPurchaseError()) return;
     
-    try {
-      const amount = ethers.utils.parseEther(buyAmount);
-      
-      // Approve payment token first
-      const approveTx = await paymentToken.approve(idoPoolAddress, amount);
-      await approveTx.wait();
-      
-      // Buy tokens
-      const buyTx = await idoPool.buyTokens(amount);
-      await buyTx.wait();
-      
-      alert("Successfully bought tokens!");
+    const amount = ethers.utils.parseUnits(buyAmount, poolInfo.paymentDecimals);
+    let receipt;
+    if (permitDomain) {
+      // Sign a permit instead of sending a separate approval transaction
+      let permit;
+      try {
+        const deadline = Math.floor(Date.now() / 1000) + 3600;
+        const nonce = await new ethers.Contract(paymentToken.address, PERMIT_ABI, signer).nonces(account);
+        const signature = await signer._signTypedData(permitDomain, PERMIT_TYPES, {
+          owner: account,
+          spender: idoPool.address,
+          value: amount,
+          nonce,
+          deadline
+        });
+        permit = { deadline, ...ethers.utils.splitSignature(signature) };
+      } catch (error) {
+        trackTransaction({ id: `permit-${Date.now()}`, label: 'Sign permit', status: 'failed', hash: null, message: decodeError(error) });
+        return;
+      }
+      const signed = [permit.deadline, permit.v, permit.r, permit.s];
+      receipt = allowlistClaim
+        ? await runTransaction('Buy tokens', idoPool, 'buyTokensWithPermitAndProof', [amount, allowlistClaim.maxAllocation, allowlistClaim.proof, ...signed], trackTransaction)
+        : await runTransaction('Buy tokens', idoPool, 'buyTokensWithPermit', [amount, ...signed], trackTransaction);
+    } else {
+      // Native currency is sent with the purchase; tokens need an approval first
+      const overrides = poolInfo.isNativePayment ? { value: amount } : {};
+      if (!poolInfo.isNativePayment) {
+        const allowance = await paymentToken.allowance(account, idoPool.address);
+        if (allowance.lt(amount)) {
+          const approved = await runTransaction(`Approve ${paymentSymbol}`, paymentToken, 'approve', [idoPool.address, amount], trackTransaction);
+          if (!approved) return;
+        }
+      }
       
+      // Buy tokens, using the allowlist allocation when the user has one
+      receipt = allowlistClaim
+        ? await runTransaction('Buy tokens', idoPool, 'buyTokensWithProof', [amount, allowlistClaim.maxAllocation, allowlistClaim.proof, overrides], trackTransaction)
+        : await runTransaction('Buy tokens', idoPool, 'buyTokens', [amount, overrides], trackTransaction);
+    }
+    
+    if (receipt) {
       // Refresh data
       loadPoolInfo(idoPool);
-      loadUserInfo(idoPool, paymentToken, offeringToken, account);
+      loadUserInfo(idoPool, account);
       setBuyAmount('');
-    } catch (error) {
-      console.error("Error buying tokens:", error);
-      alert(`Error: ${error.message}`);
     }
   };
   
@@ -160,17 +474,9 @@ const IDOPoolFrontend = () => {
   const handleClaimTokens = async () => {
     if (!idoPool) return;
     
-    try {
-      const tx = await idoPool.claimTokens();
-      await tx.wait();
-      
-      alert("Successfully claimed tokens!");
-      
+    if (await runTransaction('Claim tokens', idoPool, 'claimTokens', [], trackTransaction)) {
       // Refresh data
-      loadUserInfo(idoPool, paymentToken, offeringToken, account);
-    } catch (error) {
-      console.error("Error claiming tokens:", error);
-      alert(`Error: ${error.message}`);
+      loadUserInfo(idoPool, account);
     }
   };
   
@@ -178,17 +484,22 @@ const IDOPoolFrontend = () => {
   const handleClaimRefund = async () => {
     if (!idoPool) return;
     
-    try {
-      const tx = await idoPool.claimRefund();
-      await tx.wait();
-      
-      alert("Successfully claimed refund!");
-      
+    if (await runTransaction('Claim refund', idoPool, 'claimRefund', [], trackTransaction)) {
       // Refresh data
-      loadUserInfo(idoPool, paymentToken, offeringToken, account);
-    } catch (error) {
-      console.error("Error claiming refund:", error);
-      alert(`Error: ${error.message}`);
+      loadUserInfo(idoPool, account);
+    }
+  };
+  
+  // Withdraw part or all of the contribution while the sale is running
+  const handleWithdrawContribution = async () => {
+    if (!idoPool || getWithdrawalError()) return;
+    
+    const amount = ethers.utils.parseUnits(withdrawAmount, poolInfo.paymentDecimals);
+    if (await runTransaction('Withdraw contribution', idoPool, 'withdrawContribution', [amount], trackTransaction)) {
+      // Refresh data
+      loadPoolInfo(idoPool);
+      loadUserInfo(idoPool, account);
+      setWithdrawAmount('');
     }
   };
   
@@ -198,10 +509,179 @@ const IDOPoolFrontend = () => {
     return new Date(timestamp * 1000).toLocaleString();
   };
   
+  // Time left until a timestamp, or nothing once it has passed
+  const formatCountdown = (timestamp) => {
+    const remaining = Number(timestamp) - now;
+    return Number(timestamp) > 0 && remaining > 0 ? `(in ${formatDuration(remaining)})` : '';
+  };
+  
+  // Symbol shown for payment amounts
+  const paymentSymbol = poolInfo.isNativePayment ? 'ETH' : poolInfo.paymentSymbol;
+  const offeringSymbol = poolInfo.offeringSymbol;
+  
+  // Users who started claiming before refunds were enabled can finish vesting
+  const canClaimTokens = poolInfo.state === 'Completed' || (poolInfo.state === 'Refunding' && userInfo.hasClaimedTokens);
+  
   // Effect to load data on initial load
   useEffect(() => {
     connectWallet();
   }, []);
+  
+  // Follow account and network switches in the wallet without reloading the page
+  useEffect(() => {
+    if (!window.ethereum) return undefined;
+    
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length === 0) {
+        setAccount('');
+        setIdoPool(null);
+        return;
+      }
+      connectWallet();
+    };
+    const handleChainChanged = () => {
+      setPools([]);
+      setIdoPool(null);
+      setContributions([]);
+      connectWallet();
+    };
+    
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    window.ethereum.on('chainChanged', handleChainChanged);
+    return () => {
+      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+    };
+  }, []);
+  
+  // Refresh on activity from every user, not just our own transactions
+  useEffect(() => {
+    if (!idoPool) return undefined;
+    
+    const refresh = () => {
+      loadPoolInfo(idoPool);
+      loadUserInfo(idoPool, account);
+    };
+    const handlePurchase = (buyer, paymentAmount, tokenAmount, event) => {
+      const contribution = toContribution(event);
+      setContributions((current) => current.some((entry) => entry.id === contribution.id)
+        ? current
+        : [contribution, ...current].slice(0, RECENT_CONTRIBUTIONS));
+      refresh();
+    };
+    
+    idoPool.on('TokensPurchased', handlePurchase);
+    LIVE_EVENTS.forEach((name) => idoPool.on(name, refresh));
+    return () => {
+      idoPool.off('TokensPurchased', handlePurchase);
+      LIVE_EVENTS.forEach((name) => idoPool.off(name, refresh));
+    };
+  }, [idoPool, account]);
+  
+  // Ask the pool what the entered amount buys, since tiered and Dutch auction prices move
+  useEffect(() => {
+    setPurchaseEstimate('');
+    if (!idoPool || !buyAmount) return undefined;
+    
+    let cancelled = false;
+    const estimate = async () => {
+      try {
+        const amount = ethers.utils.parseUnits(String(buyAmount), poolInfo.paymentDecimals);
+        const tokens = await idoPool.getTokenAmount(amount);
+        if (!cancelled) setPurchaseEstimate(ethers.utils.formatUnits(tokens, poolInfo.offeringDecimals));
+      } catch (error) {
+        // Invalid amounts are explained by the purchase preflight
+      }
+    };
+    estimate();
+    return () => {
+      cancelled = true;
+    };
+  }, [idoPool, buyAmount, poolInfo.totalRaised, poolInfo.currentPrice]);
+  
+  // Tick the countdowns
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, []);
+  
+  // Progress toward the caps, as percentages of the hard cap
+  const raisedPercent = Number(poolInfo.hardCap) > 0 ? Number(poolInfo.totalRaised) / Number(poolInfo.hardCap) * 100 : 0;
+  const softCapPercent = Number(poolInfo.hardCap) > 0 ? Number(poolInfo.softCap) / Number(poolInfo.hardCap) * 100 : 0;
+  
+  // Explains why the entered amount would revert, before anything is sent
+  const getPurchaseError = () => {
+    if (!buyAmount) return null;
+    
+    const parsePayment = (value) => ethers.utils.parseUnits(String(value), poolInfo.paymentDecimals);
+    const formatPayment = (amount) => `${ethers.utils.formatUnits(amount, poolInfo.paymentDecimals)} ${paymentSymbol}`;
+    let amount;
+    try {
+      amount = parsePayment(buyAmount);
+    } catch (error) {
+      return 'Enter a valid amount.';
+    }
+    
+    if (poolInfo.state !== 'Active') return 'This pool is not accepting purchases right now.';
+    if (poolInfo.paused) return 'The pool is paused.';
+    if (now < Number(poolInfo.startTime)) return `The sale starts ${formatTimestamp(poolInfo.startTime)}.`;
+    if (now > Number(poolInfo.endTime)) return 'The sale has already ended.';
+    if (amount.lt(parsePayment(poolInfo.minContribution))) {
+      return `The minimum contribution is ${formatPayment(parsePayment(poolInfo.minContribution))}.`;
+    }
+    
+    // Staking tiers decide how much each address can buy outside the allowlist
+    if (!allowlistClaim && poolInfo.stakingTiers && Number(userInfo.remainingAllocation) === 0 && Number(userInfo.contribution) === 0) {
+      return userInfo.stakingTier === 0
+        ? 'Only stakers can buy until the guaranteed tier windows close.'
+        : 'Your tier window has closed; the sale opens to everyone once every tier window closes.';
+    }
+    const room = allowlistClaim
+      ? ethers.BigNumber.from(allowlistClaim.maxAllocation).sub(parsePayment(userInfo.contribution))
+      : poolInfo.stakingTiers
+        ? parsePayment(userInfo.remainingAllocation)
+        : parsePayment(poolInfo.maxContribution).sub(parsePayment(userInfo.contribution));
+    if (amount.gt(room)) return `You can contribute at most ${formatPayment(room.lt(0) ? 0 : room)} more.`;
+    
+    const remaining = parsePayment(poolInfo.hardCap).sub(parsePayment(poolInfo.totalRaised));
+    if (!poolInfo.overflowMode && amount.gt(remaining)) {
+      return `Only ${formatPayment(remaining.lt(0) ? 0 : remaining)} is left before the hard cap.`;
+    }
+    if (amount.gt(parsePayment(userInfo.paymentTokenBalance))) {
+      return `Your balance is only ${formatPayment(parsePayment(userInfo.paymentTokenBalance))}.`;
+    }
+    return null;
+  };
+  const purchaseError = getPurchaseError();
+  
+  // Explains why the entered withdrawal would revert, before anything is sent
+  const getWithdrawalError = () => {
+    if (!withdrawAmount) return null;
+    
+    const parsePayment = (value) => ethers.utils.parseUnits(String(value), poolInfo.paymentDecimals);
+    let amount;
+    try {
+      amount = parsePayment(withdrawAmount);
+    } catch (error) {
+      return 'Enter a valid amount.';
+    }
+    
+    if (poolInfo.state !== 'Active') return 'Contributions can only be withdrawn during the sale.';
+    if (now > Number(poolInfo.withdrawalDeadline)) return 'The window for withdrawing contributions has closed.';
+    
+    const contribution = parsePayment(userInfo.contribution);
+    if (amount.lte(0) || amount.gt(contribution)) return `You can withdraw up to ${userInfo.contribution} ${paymentSymbol}.`;
+    const remaining = contribution.sub(amount);
+    if (remaining.gt(0) && remaining.lt(parsePayment(poolInfo.minContribution))) {
+      return `Withdraw everything, or leave at least ${poolInfo.minContribution} ${paymentSymbol}.`;
+    }
+    return null;
+  };
+  const withdrawalError = getWithdrawalError();
+  
+  // Penalty on the entered withdrawal at the current rate, rounded down like the pool does
+  const withdrawalAmount = withdrawAmount && !withdrawalError ? ethers.utils.parseUnits(withdrawAmount, poolInfo.paymentDecimals) : null;
+  const withdrawalPenalty = withdrawalAmount ? withdrawalAmount.mul(poolInfo.withdrawalPenalty).div(10000) : null;
 
   return (
     <div className="container mx-auto p-4">
@@ -216,24 +696,149 @@ const IDOPoolFrontend = () => {
         </button>
       ) : (
         <div>
+          {transactions.length > 0 && (
+            <div className="bg-white border p-4 rounded-lg mb-6">
+              <h2 className="text-lg font-semibold mb-2">Transactions</h2>
+              <ul>
+                {transactions.map((transaction) => (
+                  <li key={transaction.id} className="text-sm mb-1">
+                    <span className={TRANSACTION_STATUS[transaction.status].className}>
+                      {TRANSACTION_STATUS[transaction.status].label}
+                    </span>
+                    {' '}{transaction.label}
+                    {transaction.hash && <span className="font-mono"> {transaction.hash.substring(0, 10)}...{transaction.hash.substring(transaction.hash.length - 8)}</span>}
+                    {transaction.message && <span>: {transaction.message}</span>}
+                  </li>
+                ))}
+              </ul>
+              <button className="text-sm underline" onClick={() => setTransactions([])}>Clear</button>
+            </div>
+          )}
+          
+          {poolInfo.state === 'Cancelled' && (
+            <div className="bg-red-100 border border-red-400 text-red-700 p-4 rounded-lg mb-6">
+              <p><strong>This IDO has been cancelled.</strong> {poolInfo.cancelReason}</p>
+              <p>You can claim back your full contribution at any time.</p>
+            </div>
+          )}
+          
+          {poolInfo.scheduleChanges.length > 0 && (
+            <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 p-4 rounded-lg mb-6">
+              <p><strong>The schedule of this IDO has changed.</strong></p>
+              <ul className="list-disc ml-6">
+                {poolInfo.scheduleChanges.map((change, index) => (
+                  <li key={index}>
+                    {change.label} moved from {formatTimestamp(change.oldTime)} to {formatTimestamp(change.newTime)}
+                  </li>
+                ))}
+              </ul>
+              <p>
+                Sale extensions used: {poolInfo.extensionCount}
+                {poolInfo.maxExtensions > 0 ? ` of ${poolInfo.maxExtensions}` : ' (no limit)'}
+              </p>
+            </div>
+          )}
+          
+          {pools.length > 0 ? (
+            <div className="mb-6">
+              <label className="mr-2"><strong>Pool:</strong></label>
+              <select
+                className="border rounded p-2"
+                value={idoPool ? idoPool.address : ''}
+                onChange={(e) => selectPool(e.target.value)}
+              >
+                {pools.map((poolAddress, index) => (
+                  <option key={poolAddress} value={poolAddress}>#{index} {poolAddress}</option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <p className="mb-6">No pools have been launched through the factory yet.</p>
+          )}
+          
+          {idoPool && (
+            <AdminPanel
+              idoPool={idoPool}
+              signer={signer}
+              account={account}
+              onUpdated={() => loadPoolInfo(idoPool)}
+              onTransaction={trackTransaction}
+            />
+          )}
+          
           <div className="bg-gray-100 p-4 rounded-lg mb-6">
             <h2 className="text-xl font-semibold mb-4">Pool Information</h2>
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <p><strong>State:</strong> {poolInfo.state}</p>
-                <p><strong>Token Price:</strong> {poolInfo.tokenPrice} PAY per OFF</p>
-                <p><strong>Soft Cap:</strong> {poolInfo.softCap} PAY</p>
-                <p><strong>Hard Cap:</strong> {poolInfo.hardCap} PAY</p>
-                <p><strong>Total Raised:</strong> {poolInfo.totalRaised} PAY</p>
+                {poolInfo.dynamicPricing ? (
+                  <p><strong>Current Price:</strong> {poolInfo.currentPrice} {paymentSymbol} per {offeringSymbol}</p>
+                ) : (
+                  <p><strong>Token Price:</strong> {poolInfo.tokenPrice} {paymentSymbol} per {offeringSymbol}</p>
+                )}
+                {Number(poolInfo.clearingPrice) > 0 && (
+                  <p><strong>Clearing Price:</strong> {poolInfo.clearingPrice} {paymentSymbol} per {offeringSymbol} (paid by every buyer)</p>
+                )}
+                <p><strong>Soft Cap:</strong> {poolInfo.softCap} {paymentSymbol}</p>
+                <p><strong>Hard Cap:</strong> {poolInfo.hardCap} {paymentSymbol}</p>
+                <p><strong>Total Raised:</strong> {poolInfo.totalRaised} {paymentSymbol}</p>
+                <p><strong>Contributors:</strong> {poolInfo.contributorCount}</p>
+                {poolInfo.liquidity && (
+                  <p>
+                    <strong>Liquidity:</strong> {poolInfo.liquidity.percentage / 100}% of the raise {poolInfo.liquidity.seeded ? 'was' : 'will be'} added
+                    at the sale price, {poolInfo.liquidity.seeded
+                      ? `locked until ${formatTimestamp(poolInfo.liquidity.unlockTime)}`
+                      : `locked for ${formatDuration(poolInfo.liquidity.lockDuration)} after it is added`}
+                  </p>
+                )}
+                {poolInfo.stakingTiers && (
+                  <p>
+                    <strong>Staking Tiers:</strong> {poolInfo.stakingTiers.map((tier) =>
+                      `${tier.name} ${tier.maxAllocation} ${paymentSymbol} for ${tier.window / 3600}h`).join(', ')}
+                  </p>
+                )}
+                {poolInfo.overflowMode && (
+                  <p><strong>Oversubscription:</strong> {raisedPercent.toFixed(1)}% of hard cap (pro-rata allocation)</p>
+                )}
               </div>
               <div>
-                <p><strong>Min Contribution:</strong> {poolInfo.minContribution} PAY</p>
-                <p><strong>Max Contribution:</strong> {poolInfo.maxContribution} PAY</p>
-                <p><strong>Start Time:</strong> {formatTimestamp(poolInfo.startTime)}</p>
-                <p><strong>End Time:</strong> {formatTimestamp(poolInfo.endTime)}</p>
-                <p><strong>Refund End Time:</strong> {formatTimestamp(poolInfo.refundEndTime)}</p>
+                <p><strong>Min Contribution:</strong> {poolInfo.minContribution} {paymentSymbol}</p>
+                <p><strong>Max Contribution:</strong> {poolInfo.maxContribution} {paymentSymbol}</p>
+                <p><strong>Start Time:</strong> {formatTimestamp(poolInfo.startTime)} {formatCountdown(poolInfo.startTime)}</p>
+                <p><strong>End Time:</strong> {formatTimestamp(poolInfo.endTime)} {formatCountdown(poolInfo.endTime)}</p>
+                <p><strong>Refund End Time:</strong> {formatTimestamp(poolInfo.refundEndTime)} {formatCountdown(poolInfo.refundEndTime)}</p>
               </div>
             </div>
+            <div className="mt-4">
+              <div className="relative h-4 bg-gray-300 rounded overflow-hidden">
+                <div
+                  className={`h-4 ${Number(poolInfo.totalRaised) >= Number(poolInfo.softCap) ? 'bg-green-500' : 'bg-blue-500'}`}
+                  style={{ width: `${Math.min(raisedPercent, 100)}%` }}
+                />
+                <div className="absolute top-0 h-4 border-l-2 border-gray-800" style={{ left: `${softCapPercent}%` }} title="Soft cap" />
+              </div>
+              <p className="text-sm mt-1">
+                {poolInfo.totalRaised} of {poolInfo.hardCap} {paymentSymbol} raised ({raisedPercent.toFixed(1)}% of hard cap).
+                {Number(poolInfo.totalRaised) >= Number(poolInfo.softCap)
+                  ? ' Soft cap reached.'
+                  : ` ${(Number(poolInfo.softCap) - Number(poolInfo.totalRaised)).toFixed(2)} ${paymentSymbol} to the soft cap.`}
+              </p>
+            </div>
+          </div>
+          
+          <div className="bg-gray-100 p-4 rounded-lg mb-6">
+            <h2 className="text-xl font-semibold mb-4">Recent Contributions</h2>
+            {contributions.length === 0 ? (
+              <p>No contributions yet.</p>
+            ) : (
+              <ul>
+                {contributions.map((contribution) => (
+                  <li key={contribution.id} className="text-sm">
+                    {contribution.buyer.substring(0, 6)}...{contribution.buyer.substring(contribution.buyer.length - 4)} bought {ethers.utils.formatUnits(contribution.tokenAmount, poolInfo.offeringDecimals)} {offeringSymbol} for {ethers.utils.formatUnits(contribution.paymentAmount, poolInfo.paymentDecimals)} {paymentSymbol}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
           
           <div className="bg-gray-100 p-4 rounded-lg mb-6">
@@ -241,24 +846,44 @@ const IDOPoolFrontend = () => {
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <p><strong>Connected Account:</strong> {account.substring(0, 6)}...{account.substring(account.length - 4)}</p>
-                <p><strong>Your Contribution:</strong> {userInfo.contribution} PAY</p>
-                <p><strong>Tokens to Receive:</strong> {userInfo.tokensToBuy} OFF</p>
+                <p><strong>Your Contribution:</strong> {userInfo.contribution} {paymentSymbol}</p>
+                {Number(userInfo.withdrawnContribution) > 0 && (
+                  <p><strong>Withdrawn:</strong> {userInfo.withdrawnContribution} {paymentSymbol}</p>
+                )}
+                <p><strong>Tokens to Receive:</strong> {userInfo.tokensToBuy} {offeringSymbol}</p>
+                {Number(userInfo.expectedRefund) > 0 && (
+                  <p><strong>Expected Refund:</strong> {userInfo.expectedRefund} {paymentSymbol}</p>
+                )}
               </div>
               <div>
-                <p><strong>Payment Token Balance:</strong> {userInfo.paymentTokenBalance} PAY</p>
-                <p><strong>Offering Token Balance:</strong> {userInfo.offeringTokenBalance} OFF</p>
+                <p><strong>Payment Token Balance:</strong> {userInfo.paymentTokenBalance} {paymentSymbol}</p>
+                <p><strong>Offering Token Balance:</strong> {userInfo.offeringTokenBalance} {offeringSymbol}</p>
                 <p><strong>Claimed Tokens:</strong> {userInfo.hasClaimedTokens ? 'Yes' : 'No'}</p>
                 <p><strong>Claimed Refund:</strong> {userInfo.hasClaimedRefund ? 'Yes' : 'No'}</p>
+                {poolInfo.stakingTiers && (
+                  <>
+                    <p><strong>Your Tier:</strong> {userInfo.stakingTier > 0 ? poolInfo.stakingTiers[userInfo.stakingTier - 1].name : 'No tier'}</p>
+                    <p><strong>Remaining Allocation:</strong> {userInfo.remainingAllocation} {paymentSymbol}</p>
+                  </>
+                )}
+                <p><strong>Allowlist Allocation:</strong> {allowlistClaim ? `${ethers.utils.formatUnits(allowlistClaim.maxAllocation, poolInfo.paymentDecimals)} ${paymentSymbol}` : 'Not allowlisted'}</p>
               </div>
             </div>
           </div>
           
           <div className="bg-gray-100 p-4 rounded-lg mb-6">
             <h2 className="text-xl font-semibold mb-4">Buy Tokens</h2>
+            {poolInfo.allowlistOnly && (
+              <p className="text-sm mb-2">
+                {allowlistClaim
+                  ? 'Allowlist phase: you can buy up to your allocation.'
+                  : 'Allowlist phase: only allowlisted addresses can buy right now.'}
+              </p>
+            )}
             <div className="flex items-center mb-4">
               <input
                 type="number"
-                placeholder="Amount (PAY)"
+                placeholder={`Amount (${paymentSymbol})`}
                 className="border rounded p-2 mr-2"
                 value={buyAmount}
                 onChange={(e) => setBuyAmount(e.target.value)}
@@ -266,21 +891,86 @@ const IDOPoolFrontend = () => {
               <button 
                 className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded"
                 onClick={handleBuyTokens}
-                disabled={poolInfo.state !== 'Active'}
+                disabled={!buyAmount || purchaseError !== null || (poolInfo.allowlistOnly && !allowlistClaim)}
               >
                 Buy
               </button>
             </div>
-            {buyAmount && (
-              <p className="text-sm">You will receive approximately {Number(buyAmount) / Number(poolInfo.tokenPrice)} OFF tokens</p>
+            {purchaseError && (
+              <p className="text-sm text-red-700 mb-2">{purchaseError}</p>
+            )}
+            {buyAmount && !purchaseError && purchaseEstimate && (
+              <p className="text-sm">You will receive approximately {purchaseEstimate} {offeringSymbol} tokens</p>
+            )}
+            {buyAmount && !purchaseError && Number(poolInfo.clearingPrice) > 0 && (
+              <p className="text-sm">Every buyer settles at the final clearing price, and anything paid above it is refunded when you claim.</p>
+            )}
+            {permitDomain && (
+              <p className="text-sm">{paymentSymbol} supports permit, so you only sign a message instead of sending a separate approval.</p>
             )}
           </div>
           
+          {poolInfo.withdrawalsEnabled && poolInfo.state === 'Active' && Number(userInfo.contribution) > 0 && (
+            <div className="bg-gray-100 p-4 rounded-lg mb-6">
+              <h2 className="text-xl font-semibold mb-4">Withdraw Contribution</h2>
+              <p className="text-sm mb-2">
+                The penalty is currently {poolInfo.withdrawalPenalty / 100}%
+                {poolInfo.withdrawalPenalty > poolInfo.withdrawalPenaltyEnd && `, falling to ${poolInfo.withdrawalPenaltyEnd / 100}%`}.
+                Withdrawals close {formatTimestamp(poolInfo.withdrawalDeadline)} {formatCountdown(poolInfo.withdrawalDeadline)}.
+              </p>
+              <div className="flex items-center mb-4">
+                <input
+                  type="number"
+                  placeholder={`Amount (${paymentSymbol})`}
+                  className="border rounded p-2 mr-2"
+                  value={withdrawAmount}
+                  onChange={(e) => setWithdrawAmount(e.target.value)}
+                />
+                <button
+                  className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded mr-2"
+                  onClick={handleWithdrawContribution}
+                  disabled={!withdrawAmount || withdrawalError !== null}
+                >
+                  Withdraw
+                </button>
+                <button className="text-sm underline" onClick={() => setWithdrawAmount(String(userInfo.contribution))}>
+                  Max
+                </button>
+              </div>
+              {withdrawalError && (
+                <p className="text-sm text-red-700 mb-2">{withdrawalError}</p>
+              )}
+              {withdrawalAmount && (
+                <p className="text-sm">
+                  You will receive {ethers.utils.formatUnits(withdrawalAmount.sub(withdrawalPenalty), poolInfo.paymentDecimals)} {paymentSymbol} after
+                  a {ethers.utils.formatUnits(withdrawalPenalty, poolInfo.paymentDecimals)} {paymentSymbol} penalty
+                </p>
+              )}
+            </div>
+          )}
+          
+          {canClaimTokens && (
+            <div className="bg-gray-100 p-4 rounded-lg mb-6">
+              <h2 className="text-xl font-semibold mb-4">Token Vesting</h2>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <p><strong>Vested:</strong> {userInfo.vestedTokens} {offeringSymbol}</p>
+                  <p><strong>Claimed:</strong> {userInfo.claimedTokens} {offeringSymbol}</p>
+                </div>
+                <div>
+                  <p><strong>Locked:</strong> {userInfo.lockedTokens} {offeringSymbol}</p>
+                  <p><strong>Claimable Now:</strong> {userInfo.claimableTokens} {offeringSymbol}</p>
+                </div>
+              </div>
+            </div>
+          )}
+          
           <div className="flex space-x-4">
             <button 
               className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
               onClick={handleClaimTokens}
-              disabled={poolInfo.state !== 'Completed' || userInfo.hasClaimedTokens}
+              disabled={!canClaimTokens ||
+                (Number(userInfo.claimableTokens) === 0 && (userInfo.hasClaimedExcess || Number(userInfo.expectedRefund) === 0))}
             >
               Claim Tokens
             </button>
@@ -288,7 +978,7 @@ const IDOPoolFrontend = () => {
             <button 
               className="bg-yellow-500 hover:bg-yellow-700 text-white font-bold py-2 px-4 rounded"
               onClick={handleClaimRefund}
-              disabled={poolInfo.state !== 'Refunding' || userInfo.hasClaimedRefund}
+              disabled={(poolInfo.state !== 'Refunding' && poolInfo.state !== 'Cancelled') || userInfo.hasClaimedRefund}
             >
               Claim Refund
             </button>
@@ -0,0 +1,136 @@
+import { ethers } from 'ethers';
+
+// Friendlier wording for IDOPool and OpenZeppelin revert strings; anything else is shown as is
+const REVERT_MESSAGES = {
+  'Pool is not active': 'The pool is not active right now.',
+  'IDO has not started yet': 'The sale has not started yet.',
+  'IDO has ended': 'The sale has already ended.',
+  'IDO not yet ended': 'The sale has not ended yet.',
+  'Contribution below minimum': 'The amount is below the minimum contribution.',
+  'Exceeds maximum contribution': 'This would take you over your maximum contribution.',
+  'Hard cap reached': 'The amount is more than what is left before the hard cap.',
+  'Incorrect native amount sent': 'The amount sent does not match the contribution.',
+  'Unsupported payment token': 'The pool received more than was sent, so this payment token is not supported.',
+  'Insufficient pool balance': 'The pool does not hold enough payment tokens to cover this payment.',
+  'Allowlist-only phase': 'Only allowlisted addresses can buy during this phase.',
+  'Invalid allowlist proof': 'Your allowlist proof is not valid for this pool.',
+  'No tokens vested yet': 'None of your tokens have vested yet.',
+  'No contribution found': 'You have not contributed to this pool.',
+  'Refunds not available': 'Refunds are not available for this pool.',
+  'Refund period ended': 'The refund window has closed.',
+  'Refund already claimed': 'You already claimed your refund.',
+  'Cannot refund after claiming tokens': 'You cannot refund after claiming tokens.',
+  'Unclaimed balances swept': 'Unclaimed balances were swept by the owner, so claims are closed.',
+  'Wait until refund period ends': 'Wait until the refund window closes.',
+  'Withdrawals not enabled': 'This pool does not allow withdrawing contributions.',
+  'Withdrawal period ended': 'The window for withdrawing contributions has closed.',
+  'Invalid withdrawal amount': 'You can withdraw at most your current contribution.',
+  'Remaining contribution below minimum': 'Withdraw everything, or leave at least the minimum contribution.',
+  'Pausable: paused': 'The pool is paused.',
+  'Ownable: caller is not the owner': 'Only the pool owner can do this.',
+  'ERC20: insufficient allowance': 'The pool is not approved to spend enough of your tokens.',
+  'ERC20: transfer amount exceeds balance': 'Your token balance is too low.'
+};
+
+// Selector of Error(string), the ABI encoding of require messages
+const ERROR_SELECTOR = '0x08c379a0';
+
+// Patterns nodes and wallets use to embed the reason in error messages
+const REASON_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: ([^"\n]*)/
+];
+
+// Looks through the nested errors of ethers, JSON-RPC and wallets for a revert reason
+const findRevertReason = (error, depth = 0) => {
+  if (!error || depth > 5) return null;
+  
+  if (typeof error === 'string') {
+    if (error.startsWith(ERROR_SELECTOR)) {
+      try {
+        return ethers.utils.defaultAbiCoder.decode(['string'], `0x${error.slice(10)}`)[0];
+      } catch (decodeError) {
+        return null;
+      }
+    }
+    for (const pattern of REASON_PATTERNS) {
+      const match = pattern.exec(error);
+      if (match) return match[1];
+    }
+    return null;
+  }
+  
+  if (typeof error !== 'object') return null;
+  for (const key of ['data', 'error', 'body', 'message', 'reason']) {
+    let value = error[key];
+    if (key === 'body' && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (parseError) {
+        continue;
+      }
+    }
+    const reason = findRevertReason(value, depth + 1);
+    if (reason) return reason;
+  }
+  return null;
+};
+
+/**
+ * Turns a wallet, RPC or contract error into a message for users
+ * @param {Error} error Error thrown by ethers
+ * @returns {string} Friendly message
+ */
+export const decodeError = (error) => {
+  if (error.code === 'ACTION_REJECTED' || error.code === 4001) {
+    return 'You rejected the transaction in your wallet.';
+  }
+  
+  const reason = findRevertReason(error);
+  if (reason) {
+    if (REVERT_MESSAGES[reason]) return REVERT_MESSAGES[reason];
+    if (reason.startsWith('AccessControl:')) return 'Your account is missing the role this action needs.';
+    return reason;
+  }
+  
+  if (error.code === 'INSUFFICIENT_FUNDS') return 'Your balance cannot cover the amount and gas.';
+  if (error.code === 'CALL_EXCEPTION' && error.receipt) return 'The transaction reverted.';
+  return error.reason || error.message;
+};
+
+let nextTransactionId = 0;
+
+/**
+ * Simulates a contract call, sends it if the simulation passes and reports its progress
+ * Updates go through the statuses checking, signing, pending, then confirmed or failed.
+ * @param {string} label Description shown to the user
+ * @param {ethers.Contract} contract Contract connected to the user's signer
+ * @param {string} method Name of the function to call
+ * @param {Array} args Function arguments, optionally ending with overrides
+ * @param {Function} onUpdate Receives {id, label, status, hash, message} on every change
+ * @returns {Promise<Object|null>} The receipt, or null when the transaction failed
+ */
+export const runTransaction = async (label, contract, method, args, onUpdate) => {
+  const id = ++nextTransactionId;
+  let hash = null;
+  const update = (status, message = '') => onUpdate({ id, label, status, hash, message });
+  
+  try {
+    // Catch reverts before the wallet asks for a signature
+    update('checking');
+    await contract.callStatic[method](...args);
+    
+    update('signing');
+    const tx = await contract[method](...args);
+    hash = tx.hash;
+    update('pending');
+    
+    const receipt = await tx.wait();
+    update('confirmed');
+    return receipt;
+  } catch (error) {
+    console.error(`Error sending ${label}:`, error);
+    update('failed', decodeError(error));
+    return null;
+  }
+};
@@ -0,0 +1,348 @@
+const { task } = require("hardhat/config");
+
+// Must match IDOPool.PoolState
+const POOL_STATES = ["Pending", "Active", "Completed", "Cancelled", "Refunding"];
+
+// How each event argument is displayed, keyed by event name then argument name
+const EVENT_FORMATS = {
+  Approval: { value: "offering" },
+  TokensDeposited: { amount: "offering" },
+  PoolStateChanged: { state: "state" },
+  RaisedFundsWithdrawn: { amount: "payment" },
+  UnsoldTokensWithdrawn: { amount: "offering" }
+};
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parses a date as unix seconds, an ISO 8601 date or an offset such as +10m from the latest block
+ * @param {string} value Date given on the command line
+ * @param {number} now Timestamp of the latest block
+ * @returns {number} Unix timestamp in seconds
+ */
+function parseTime(value, now) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const offset = /^\+(\d+)([smhd])$/.exec(value);
+  if (offset) {
+    return now + Number(offset[1]) * UNITS[offset[2]];
+  }
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid date "${value}", use unix seconds, ISO 8601 or +<n>[s|m|h|d]`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+const formatTime = (timestamp) =>
+  timestamp === 0 ? "not set" : `${new Date(timestamp * 1000).toISOString()} (${timestamp})`;
+
+// Pool state the tasks read, by the getter it comes from
+const POOL_FIELDS = {
+  state: "poolState",
+  paymentToken: "paymentToken",
+  offeringToken: "offeringToken",
+  paymentDecimals: "paymentDecimals",
+  offeringDecimals: "offeringDecimals",
+  isNativePayment: "isNativePayment",
+  tokenPrice: "tokenPrice",
+  pricingStrategy: "pricingStrategy",
+  clearingPrice: "clearingPrice",
+  softCap: "softCap",
+  hardCap: "hardCap",
+  minContribution: "minContribution",
+  maxContribution: "maxContribution",
+  totalRaised: "totalRaised",
+  startTime: "startTime",
+  endTime: "endTime",
+  refundEndTime: "refundEndTime",
+  overflowMode: "overflowMode",
+  withdrawalPolicy: "withdrawalPolicy",
+  paused: "paused",
+  contributorCount: "getContributorCount"
+};
+
+// Loads the pool with everything needed to check preconditions and format amounts
+async function loadPool(hre, args) {
+  const { ethers } = hre;
+  const signer = args.from ? await ethers.getSigner(ethers.utils.getAddress(args.from)) : (await ethers.getSigners())[0];
+  const pool = await ethers.getContractAt("IDOPool", args.pool, signer);
+  const entries = Object.entries(POOL_FIELDS);
+  const values = await Promise.all(entries.map(([, getter]) => pool[getter]()));
+  const info = Object.fromEntries(entries.map(([name], i) => [name, values[i]]));
+  const offeringToken = await ethers.getContractAt("MockERC20", info.offeringToken, signer);
+  info.offeringSymbol = await offeringToken.symbol();
+  if (!info.isNativePayment) {
+    info.paymentSymbol = await (await ethers.getContractAt("MockERC20", info.paymentToken)).symbol();
+  }
+  const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+  const paymentSymbol = info.isNativePayment ? "native" : info.paymentSymbol;
+  const formatAmount = (amount, kind) => kind === "payment"
+    ? `${ethers.utils.formatUnits(amount, info.paymentDecimals)} ${paymentSymbol}`
+    : `${ethers.utils.formatUnits(amount, info.offeringDecimals)} ${info.offeringSymbol}`;
+
+  return { ethers, signer, pool, info, offeringToken, now, formatAmount };
+}
+
+const requireState = (context, states, message) => {
+  if (!states.includes(context.info.state)) {
+    throw new Error(`${message} (pool is ${POOL_STATES[context.info.state]})`);
+  }
+};
+
+const requireRole = async (context, role) => {
+  const { pool, signer } = context;
+  if (!(await pool.hasRole(await pool[role](), signer.address))) {
+    throw new Error(`${signer.address} is missing ${role}`);
+  }
+};
+
+const requireOwner = async (context) => {
+  const { pool, signer } = context;
+  if ((await pool.owner()) !== signer.address) {
+    throw new Error(`${signer.address} is not the pool owner`);
+  }
+};
+
+const requireRefundWindowOver = (context) => {
+  const { info, now } = context;
+  if (now <= info.refundEndTime.toNumber()) {
+    throw new Error(`Refund period ends at ${formatTime(info.refundEndTime.toNumber())}`);
+  }
+};
+
+// Sends a transaction and prints every event it emitted
+async function send(context, label, txPromise) {
+  const { ethers, pool, offeringToken, formatAmount } = context;
+  const tx = await txPromise;
+  console.log(`${label}: ${tx.hash}`);
+  const receipt = await tx.wait();
+
+  const events = [];
+  for (const log of receipt.logs) {
+    const contract = [pool, offeringToken].find((candidate) => candidate.address === log.address);
+    if (!contract) {
+      continue;
+    }
+
+    const parsed = contract.interface.parseLog(log);
+    const formats = EVENT_FORMATS[parsed.name] || {};
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, index) => {
+      const value = parsed.args[index];
+      if (formats[input.name] === "state") {
+        args[input.name] = POOL_STATES[value];
+      } else if (formats[input.name]) {
+        args[input.name] = formatAmount(value, formats[input.name]);
+      } else {
+        args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+      }
+    });
+
+    console.log(`  ${parsed.name}(${Object.entries(args).map(([name, value]) => `${name}: ${value}`).join(", ")})`);
+    events.push({ name: parsed.name, args });
+  }
+  return events;
+}
+
+// Every pool task targets one pool and can be sent from any configured account
+const poolTask = (name, description) => task(name, description)
+  .addParam("pool", "Address of the IDO pool")
+  .addOptionalParam("from", "Account to send from, defaults to the first configured signer");
+
+poolTask("pool:deposit", "Deposits offering tokens into a pending pool")
+  .addOptionalParam("amount", "Whole offering tokens to deposit, defaults to the hard cap allocation")
+  .addFlag("approve", "Approve the pool first when the allowance is too low")
+  .setAction(async (args, hre) => {
+    const context = await loadPool(hre, args);
+    const { ethers, signer, pool, info, offeringToken, formatAmount } = context;
+    requireState(context, [0], "Can only deposit before the IDO starts");
+    await requireRole(context, "OPERATOR_ROLE");
+
+    const required = await pool.getTokenAmount(info.hardCap);
+    const amount = args.amount ? ethers.utils.parseUnits(args.amount, info.offeringDecimals) : required;
+    if (amount.lt(required)) {
+      throw new Error(`The hard cap needs at least ${formatAmount(required, "offering")}`);
+    }
+    const balance = await offeringToken.balanceOf(signer.address);
+    if (balance.lt(amount)) {
+      throw new Error(`Balance of ${formatAmount(balance, "offering")} is below ${formatAmount(amount, "offering")}`);
+    }
+
+    const allowance = await offeringToken.allowance(signer.address, pool.address);
+    if (allowance.lt(amount)) {
+      if (!args.approve) {
+        throw new Error(`Allowance of ${formatAmount(allowance, "offering")} is too low, rerun with --approve`);
+      }
+      await send(context, "Approve", offeringToken.approve(pool.address, amount));
+    }
+
+    return send(context, "Deposit", pool.depositOfferingTokens(amount));
+  });
+
+poolTask("pool:start", "Schedules the sale of a pool with deposited tokens")
+  .addParam("start", "Sale start, as unix seconds, ISO 8601 or an offset such as +10m")
+  .addParam("end", "Sale end, in the same formats")
+  .addParam("refundEnd", "End of the refund window, in the same formats")
+  .setAction(async (args, hre) => {
+    const context = await loadPool(hre, args);
+    const { pool, now } = context;
+    requireState(context, [0], "Pool must be pending");
+    await requireRole(context, "OPERATOR_ROLE");
+    if (!(await pool.tokensDeposited())) {
+      throw new Error("Offering tokens must be deposited first, run pool:deposit");
+    }
+    const seeder = await pool.liquiditySeeder();
+    if (seeder !== hre.ethers.constants.AddressZero && !(await (await hre.ethers.getContractAt("ILiquiditySeeder", seeder)).isFunded())) {
+      throw new Error(`Liquidity tokens must be escrowed in the seeder ${seeder} first`);
+    }
+
+    const start = parseTime(args.start, now);
+    const end = parseTime(args.end, now);
+    const refundEnd = parseTime(args.refundEnd, now);
+    if (start <= now) {
+      throw new Error(`Start ${formatTime(start)} is not after the latest block ${formatTime(now)}`);
+    }
+    if (end <= start) {
+      throw new Error("End must be after start");
+    }
+    if (refundEnd <= end) {
+      throw new Error("Refund end must be after end");
+    }
+
+    console.log(`Sale opens ${formatTime(start)}, closes ${formatTime(end)}, refunds until ${formatTime(refundEnd)}`);
+    return send(context, "Start", pool.startPool(start, end, refundEnd));
+  });
+
+poolTask("pool:finalize", "Closes the sale as completed or refunding")
+  .setAction(async (args, hre) => {
+    const context = await loadPool(hre, args);
+    const { pool, info, now, formatAmount } = context;
+    requireState(context, [1], "Pool is not active");
+    await requireRole(context, "OPERATOR_ROLE");
+
+    const filled = !info.overflowMode && info.totalRaised.gte(info.hardCap);
+    if (now <= info.endTime.toNumber() && !filled) {
+      throw new Error(`Sale ends at ${formatTime(info.endTime.toNumber())}`);
+    }
+
+    console.log(`Raised ${formatAmount(info.totalRaised, "payment")} of ${formatAmount(info.softCap, "payment")} soft cap`);
+    const events = await send(context, "Finalize", pool.finalize());
+    // Auctions measure the soft cap at the clearing price, so the outcome is read back
+    console.log(`Finalized as ${POOL_STATES[await pool.poolState()]}`);
+    return events;
+  });
+
+poolTask("pool:enable-refund", "Lets contributors reclaim their contributions")
+  .setAction(async (args, hre) => {
+    const context = await loadPool(hre, args);
+    const { pool } = context;
+    requireState(context, [1, 2], "Can only enable refund in active or completed state");
+    await requireOwner(context);
+    if (await pool.raisedFundsWithdrawn()) {
+      throw new Error("Raised funds already withdrawn");
+    }
+    if (context.info.state === 2 && context.now > context.info.refundEndTime.toNumber()) {
+      throw new Error(`Refund period ended at ${formatTime(context.info.refundEndTime.toNumber())}`);
+    }
+
+    return send(context, "Enable refund", pool.enableRefund());
+  });
+
+poolTask("pool:withdraw-funds", "Sends the raised funds to the calling treasury")
+  .setAction(async (args, hre) => {
+    const context = await loadPool(hre, args);
+    const { ethers, pool, info } = context;
+    // Cancelled pools only release what is not owed as refunds, such as withdrawal penalties
+    requireState(context, [2, 3], "IDO not completed or cancelled");
+    await requireRole(context, "TREASURY_ROLE");
+    requireRefundWindowOver(context);
+    if (await pool.raisedFundsWithdrawn()) {
+      throw new Error("Funds already withdrawn");
+    }
+
+    const balance = info.isNativePayment
+      ? await ethers.provider.getBalance(pool.address)
+      : await (await ethers.getContractAt("MockERC20", info.paymentToken)).balanceOf(pool.address);
+    if (balance.lte(await pool.getOutstandingPayments())) {
+      throw new Error("No funds to withdraw");
+    }
+
+    return send(context, "Withdraw funds", pool.withdrawRaisedFunds());
+  });
+
+poolTask("pool:withdraw-unsold", "Returns offering tokens nobody bought to the owner")
+  .setAction(async (args, hre) => {
+    const context = await loadPool(hre, args);
+    const { pool, offeringToken } = context;
+    requireState(context, [2, 3, 4], "IDO must be completed, cancelled or refunding");
+    await requireOwner(context);
+    requireRefundWindowOver(context);
+
+    const balance = await offeringToken.balanceOf(pool.address);
+    if (balance.lte(await pool.getOutstandingTokens())) {
+      throw new Error("No tokens to withdraw");
+    }
+
+    return send(context, "Withdraw unsold", pool.withdrawUnsoldTokens());
+  });
+
+poolTask("pool:status", "Prints the state, schedule and totals of a pool")
+  .setAction(async (args, hre) => {
+    const { pool, info, now, formatAmount } = await loadPool(hre, args);
+    let withdrawals = "disabled";
+    if (info.withdrawalPolicy !== hre.ethers.constants.AddressZero) {
+      const policy = await hre.ethers.getContractAt("IWithdrawalPolicy", info.withdrawalPolicy);
+      const deadline = await policy.getWithdrawalDeadline(pool.address);
+      const [penaltyStart, penaltyEnd] = await Promise.all([
+        policy.getPenaltyAt(pool.address, 10000, info.startTime),
+        policy.getPenaltyAt(pool.address, 10000, deadline)
+      ]);
+      withdrawals = `${penaltyStart.toNumber() / 100}% falling to ${penaltyEnd.toNumber() / 100}% penalty, until ${formatTime(deadline.toNumber())}`;
+    }
+    let price = `${formatAmount(info.tokenPrice, "payment")} per ${info.offeringSymbol}`;
+    if (info.pricingStrategy !== hre.ethers.constants.AddressZero) {
+      const strategy = await hre.ethers.getContractAt("IPricingStrategy", info.pricingStrategy);
+      const [currentPrice, estimatedClearingPrice] = await Promise.all([
+        strategy.getCurrentPrice(pool.address),
+        strategy.getClearingPrice(pool.address)
+      ]);
+      // Finalized pools settle at the clearing price they stored
+      const clearingPrice = POOL_STATES[info.state] === "Active" ? estimatedClearingPrice : info.clearingPrice;
+      price = `${formatAmount(currentPrice, "payment")} per ${info.offeringSymbol} now, from ${info.pricingStrategy}`;
+      if (!clearingPrice.isZero()) {
+        price += `, clearing at ${formatAmount(clearingPrice, "payment")}`;
+      }
+    }
+    const status = {
+      State: POOL_STATES[info.state] + (info.paused ? " (paused)" : ""),
+      Owner: await pool.owner(),
+      "Payment token": info.isNativePayment ? "native currency" : `${info.paymentSymbol} ${info.paymentToken}`,
+      "Offering token": `${info.offeringSymbol} ${info.offeringToken}`,
+      Price: price,
+      "Soft cap": formatAmount(info.softCap, "payment"),
+      "Hard cap": formatAmount(info.hardCap, "payment"),
+      Contributions: `${formatAmount(info.minContribution, "payment")} to ${formatAmount(info.maxContribution, "payment")}`,
+      Raised: `${formatAmount(info.totalRaised, "payment")} from ${info.contributorCount} contributors`,
+      "Tokens deposited": await pool.tokensDeposited() ? "yes" : "no",
+      Start: formatTime(info.startTime.toNumber()),
+      End: formatTime(info.endTime.toNumber()),
+      "Refund end": formatTime(info.refundEndTime.toNumber()),
+      Withdrawals: withdrawals,
+      "Latest block": formatTime(now),
+      "Owed tokens": formatAmount(await pool.getOutstandingTokens(), "offering"),
+      "Owed payments": formatAmount(await pool.getOutstandingPayments(), "payment"),
+      "Funds withdrawn": await pool.raisedFundsWithdrawn() ? "yes" : "no"
+    };
+
+    for (const [label, value] of Object.entries(status)) {
+      console.log(`${label.padEnd(18)}${value}`);
+    }
+    return status;
+  });
+
+module.exports = { parseTime };
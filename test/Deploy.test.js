@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy, validateParameters } = require("../scripts/deploy");
+
+describe("Deploy script", function () {
+  let owner, manifestPath, config;
+
+  const mockToken = (symbol, decimals = 18) => ({
+    deploy: { name: `${symbol} Token`, symbol, decimals, supply: 1000000 }
+  });
+
+  // Runs the deployment with its console output silenced
+  const run = async (runConfig = config) => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await deploy(runConfig, manifestPath);
+    } finally {
+      console.log = log;
+    }
+  };
+
+  // Returns the error message of a deployment, or null if it succeeds
+  const runError = async (runConfig) => {
+    try {
+      await run(runConfig);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+    manifestPath = path.join(os.tmpdir(), `ido-deploy-${process.pid}-${Date.now()}.json`);
+    config = {
+      paymentToken: mockToken("PAY"),
+      offeringToken: mockToken("OFF"),
+      pool: {
+        tokenPrice: "0.1",
+        softCap: "50",
+        hardCap: "100",
+        minContribution: "1",
+        maxContribution: "20"
+      }
+    };
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(manifestPath)) {
+      fs.unlinkSync(manifestPath);
+    }
+  });
+
+  describe("Manifest", function () {
+    it("Should deploy mocks, a factory and a pool and record them", async function () {
+      const manifest = await run();
+
+      expect(manifest.chainId).to.equal(31337);
+      expect(Object.keys(manifest.contracts)).to.deep.equal(
+        ["paymentToken", "offeringToken", "implementation", "factory", "pool"]
+      );
+      expect(JSON.parse(fs.readFileSync(manifestPath, "utf8"))).to.deep.equal(manifest);
+
+      const pool = await ethers.getContractAt("IDOPool", manifest.contracts.pool.address);
+      expect(await pool.paymentToken()).to.equal(manifest.contracts.paymentToken.address);
+      expect(await pool.tokenPrice()).to.equal(ethers.utils.parseEther("0.1"));
+      expect(await pool.owner()).to.equal(owner.address);
+      expect(manifest.params.hardCap).to.equal(ethers.utils.parseEther("100").toString());
+
+      const receipt = await ethers.provider.getTransactionReceipt(manifest.contracts.pool.transactionHash);
+      expect(receipt.to).to.equal(manifest.contracts.factory.address);
+
+      const IDOPool = await ethers.getContractFactory("IDOPool");
+      expect(manifest.contracts.pool.abiHash).to.equal(ethers.utils.id(IDOPool.interface.format("json")));
+      expect((await pool.getPoolInfo()).offeringSymbol).to.equal("OFF");
+    });
+
+    it("Should skip work that is already done on re-runs", async function () {
+      const first = await run();
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const second = await run();
+      expect(second).to.deep.equal(first);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should resume a partially recorded deployment", async function () {
+      const first = await run();
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+      delete manifest.contracts.factory;
+      delete manifest.contracts.pool;
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+      const resumed = await run();
+      expect(resumed.contracts.paymentToken).to.deep.equal(first.contracts.paymentToken);
+      expect(resumed.contracts.implementation).to.deep.equal(first.contracts.implementation);
+      expect(resumed.contracts.factory.address).to.not.equal(first.contracts.factory.address);
+    });
+
+    it("Should start over when recorded contracts no longer exist", async function () {
+      const manifest = await run();
+      manifest.contracts.paymentToken.address = ethers.Wallet.createRandom().address;
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+      const redeployed = await run();
+      expect(redeployed.contracts.paymentToken.address).to.not.equal(manifest.contracts.paymentToken.address);
+      expect(redeployed.contracts.pool.address).to.not.equal(manifest.contracts.pool.address);
+    });
+
+    it("Should refuse to reuse a pool created with other parameters", async function () {
+      await run();
+      const changed = { ...config, pool: { ...config.pool, softCap: "60" } };
+      expect(await runError(changed)).to.include("Pool parameters changed since it was created (softCap)");
+    });
+  });
+
+  describe("Config", function () {
+    it("Should reuse existing tokens and factories", async function () {
+      const TokenFactory = await ethers.getContractFactory("MockERC20");
+      const usdc = await TokenFactory.deploy("USD Coin", "USDC", 6, 1000000);
+      const first = await run();
+      fs.unlinkSync(manifestPath);
+
+      const manifest = await run({
+        ...config,
+        paymentToken: usdc.address,
+        offeringToken: first.contracts.offeringToken.address,
+        factory: first.contracts.factory.address
+      });
+
+      expect(manifest.contracts.paymentToken).to.deep.equal({
+        address: usdc.address,
+        transactionHash: null,
+        existing: true
+      });
+      expect(manifest.contracts.factory.existing).to.equal(true);
+      expect(manifest.contracts.implementation).to.equal(undefined);
+
+      // Parameters are read in the payment token's own decimals
+      const pool = await ethers.getContractAt("IDOPool", manifest.contracts.pool.address);
+      expect(await pool.hardCap()).to.equal(ethers.utils.parseUnits("100", 6));
+    });
+
+    it("Should launch native currency pools", async function () {
+      const manifest = await run({ ...config, paymentToken: "native" });
+      const pool = await ethers.getContractAt("IDOPool", manifest.contracts.pool.address);
+
+      expect(manifest.contracts.paymentToken).to.equal(undefined);
+      expect(await pool.isNativePayment()).to.equal(true);
+    });
+
+    it("Should reject tokens that are not ERC20 contracts", async function () {
+      expect(await runError({ ...config, paymentToken: owner.address })).to.include("is not a contract");
+
+      const first = await run();
+      fs.unlinkSync(manifestPath);
+      expect(await runError({ ...config, paymentToken: first.contracts.factory.address }))
+        .to.include("does not implement ERC20");
+    });
+
+    it("Should validate parameters with the constructor rules", async function () {
+      const withPool = (pool) => ({ ...config, pool: { ...config.pool, ...pool } });
+
+      expect(await runError(withPool({ tokenPrice: "0" }))).to.equal("Token price must be greater than zero");
+      expect(await runError(withPool({ softCap: "0" }))).to.equal("Soft cap must be greater than zero");
+      expect(await runError(withPool({ hardCap: "40" }))).to.equal("Hard cap must be >= soft cap");
+      expect(await runError(withPool({ minContribution: "0" }))).to.equal("Min contribution must be greater than zero");
+      expect(await runError(withPool({ maxContribution: "0.5" }))).to.equal("Max contribution must be >= min contribution");
+      expect(await runError({ ...config, pool: { tokenPrice: "1" } })).to.equal("Missing pool parameter: softCap");
+
+      const one = ethers.BigNumber.from(1);
+      expect(() => validateParameters({
+        tokenPrice: one, softCap: one, hardCap: one, minContribution: one, maxContribution: one
+      })).to.not.throw();
+    });
+  });
+
+  describe("Deposit and start", function () {
+    it("Should deposit and start the pool in the same run", async function () {
+      const manifest = await run({
+        ...config,
+        deposit: true,
+        schedule: { start: "+5m", end: "+7d", refundEnd: "+14d" }
+      });
+      const pool = await ethers.getContractAt("IDOPool", manifest.contracts.pool.address);
+
+      expect(await pool.poolState()).to.equal(1);
+      expect(manifest.transactions.deposit.amount).to.equal(ethers.utils.parseEther("1000").toString());
+      expect(await pool.endTime()).to.equal(manifest.transactions.start.endTime);
+      expect(manifest.transactions.start.refundEndTime - manifest.transactions.start.endTime).to.equal(7 * 86400);
+    });
+
+    it("Should set the pricing strategy before depositing for its prices", async function () {
+      const manifest = await run({
+        ...config,
+        pricing: { mode: "tiered", tiers: [{ cap: "50", price: "0.1" }, { price: "0.2" }] },
+        deposit: true
+      });
+      const pool = await ethers.getContractAt("IDOPool", manifest.contracts.pool.address);
+      const strategy = await ethers.getContractAt("TieredPricing", manifest.contracts.pricing.address);
+
+      expect(await pool.pricingStrategy()).to.equal(strategy.address);
+      const [caps, prices] = await strategy.getTiers();
+      expect(caps).to.deep.equal([ethers.utils.parseEther("50")]);
+      expect(prices).to.deep.equal([ethers.utils.parseEther("0.1"), ethers.utils.parseEther("0.2")]);
+      // 50 at 0.1 and 50 at 0.2
+      expect(manifest.transactions.deposit.amount).to.equal(ethers.utils.parseEther("750").toString());
+
+      // Re-runs keep the strategy that is already set
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await run({ ...config, pricing: { mode: "tiered", tiers: [{ cap: "50", price: "0.1" }, { price: "0.2" }] }, deposit: true });
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should commit the raise to a liquidity seeder before the sale", async function () {
+      const weth = await (await ethers.getContractFactory("MockWETH")).deploy();
+      const uniswapFactory = await (await ethers.getContractFactory("MockUniswapV2Factory")).deploy();
+      const router = await (await ethers.getContractFactory("MockUniswapV2Router")).deploy(uniswapFactory.address, weth.address);
+      const liquidity = { router: router.address, percentage: 5000, lock: 90 * 86400, deposit: true };
+
+      const manifest = await run({ ...config, liquidity, deposit: true });
+      const pool = await ethers.getContractAt("IDOPool", manifest.contracts.pool.address);
+      const seeder = await ethers.getContractAt("IDOPoolLiquidity", manifest.contracts.liquidity.address);
+
+      expect(await pool.liquiditySeeder()).to.equal(seeder.address);
+      expect(await pool.hasRole(await pool.TREASURY_ROLE(), seeder.address)).to.equal(true);
+      expect(await seeder.liquidityPercentage()).to.equal(5000);
+      expect(await seeder.lockDuration()).to.equal(90 * 86400);
+      expect(await seeder.treasury()).to.equal(owner.address);
+      const offeringToken = await ethers.getContractAt("MockERC20", manifest.contracts.offeringToken.address);
+      expect(await offeringToken.balanceOf(seeder.address)).to.equal(ethers.utils.parseEther("500"));
+      expect(await seeder.isFunded()).to.equal(true);
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await run({ ...config, liquidity, deposit: true });
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should deploy staking tiers for the pool or reuse existing ones", async function () {
+      const staking = {
+        token: mockToken("GOV"),
+        lock: 604800,
+        tiers: [
+          { name: "Bronze", minStake: "100", maxAllocation: "5", window: 3600 },
+          { name: "Gold", minStake: "1000", maxAllocation: "20", window: 7200 }
+        ]
+      };
+
+      const first = await run({ ...config, paymentToken: mockToken("USDC", 6), staking });
+      const pool = await ethers.getContractAt("IDOPool", first.contracts.pool.address);
+      const stakingTiers = await ethers.getContractAt("StakingTiers", first.contracts.staking.address);
+
+      expect(await pool.stakingTiers()).to.equal(stakingTiers.address);
+      expect(await stakingTiers.stakingToken()).to.equal(first.contracts.stakingToken.address);
+      expect(await stakingTiers.lockDuration()).to.equal(604800);
+      const [bronze, gold] = await stakingTiers.getTiers();
+      expect(bronze.minStake).to.equal(ethers.utils.parseEther("100"));
+      expect(gold.maxAllocation).to.equal(ethers.utils.parseEther("20"));
+      expect(await stakingTiers.getTierAllocation(pool.address, 2)).to.equal(ethers.utils.parseUnits("20", 6));
+      expect(first.transactions.staking.staking).to.equal(stakingTiers.address);
+
+      fs.unlinkSync(manifestPath);
+      const second = await run({ ...config, staking: stakingTiers.address });
+      const secondPool = await ethers.getContractAt("IDOPool", second.contracts.pool.address);
+      expect(second.contracts.staking.existing).to.equal(true);
+      expect(await secondPool.stakingTiers()).to.equal(stakingTiers.address);
+    });
+
+    it("Should reject unknown pricing modes", async function () {
+      expect(await runError({ ...config, pricing: { mode: "bonding" } })).to.equal("Unknown pricing mode: bonding");
+      expect(await runError({ ...config, pricing: { mode: "tiered", tiers: [{ price: "0.1" }, { price: "0.2" }] } }))
+        .to.equal("Every tier but the last needs a cap");
+    });
+
+    it("Should finish the remaining steps of an earlier run", async function () {
+      await run({ ...config, deposit: "1500" });
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const manifest = await run({ ...config, deposit: "1500", schedule: { start: "+1h", end: "+2h", refundEnd: "+3h" } });
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber + 1);
+      expect(manifest.transactions.deposit.amount).to.equal(ethers.utils.parseEther("1500").toString());
+
+      const pool = await ethers.getContractAt("IDOPool", manifest.contracts.pool.address);
+      expect(await pool.poolState()).to.equal(1);
+    });
+  });
+});
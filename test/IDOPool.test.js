@@ -7,7 +7,7 @@ describe("IDOPool", function () {
   let owner, user1, user2, user3, addrs;
 
   // Constants for the IDO parameters
-  const RATE = 10;
+  const RATE = ethers.utils.parseEther("0.1");
   const SOFT_CAP = ethers.utils.parseEther("50");
   const HARD_CAP = ethers.utils.parseEther("100");
   const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
@@ -24,9 +24,9 @@ describe("IDOPool", function () {
     await offeringToken.deployed();
 
     // Distribute tokens
-    await paymentToken.transfer(user1.address, ethers.utils.parseEther("100"));
-    await paymentToken.transfer(user2.address, ethers.utils.parseEther("100"));
-    await paymentToken.transfer(user3.address, ethers.utils.parseEther("100"));
+    for (const user of [user1, user2, user3, ...addrs.slice(0, 8)]) {
+      await paymentToken.transfer(user.address, ethers.utils.parseEther("100"));
+    }
 
     // Deploy IDO pool
     const IDOPool = await ethers.getContractFactory("IDOPool");
@@ -42,9 +42,9 @@ describe("IDOPool", function () {
     await idoPool.deployed();
 
     // Approvals
-    await paymentToken.connect(user1).approve(idoPool.address, ethers.constants.MaxUint256);
-    await paymentToken.connect(user2).approve(idoPool.address, ethers.constants.MaxUint256);
-    await paymentToken.connect(user3).approve(idoPool.address, ethers.constants.MaxUint256);
+    for (const user of [user1, user2, user3, ...addrs.slice(0, 8)]) {
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
 
     // Deposit offering tokens
     const offeringAmount = ethers.utils.parseEther("1000");
@@ -71,14 +71,15 @@ describe("IDOPool", function () {
     });
     
     it("Should deposit offering tokens correctly", async function () {
-      const initialBalance = await offeringToken.balanceOf(idoPool.address);
-      const additionalTokens = ethers.utils.parseEther("500");
+      expect(await offeringToken.balanceOf(idoPool.address)).to.equal(ethers.utils.parseEther("1000"));
+      expect(await idoPool.tokensDeposited()).to.equal(true);
       
+      // Deposits close once the pool has been started
+      const additionalTokens = ethers.utils.parseEther("500");
       await offeringToken.approve(idoPool.address, additionalTokens);
-      await idoPool.depositOfferingTokens(additionalTokens);
-      
-      const finalBalance = await offeringToken.balanceOf(idoPool.address);
-      expect(finalBalance).to.equal(initialBalance.add(additionalTokens));
+      await expect(
+        idoPool.depositOfferingTokens(additionalTokens)
+      ).to.be.revertedWith("Can only deposit before IDO starts");
     });
     
     it("Should start the pool correctly", async function () {
@@ -118,7 +119,7 @@ describe("IDOPool", function () {
       // Below minimum
       await expect(
         idoPool.connect(user1).buyTokens(ethers.utils.parseEther("0.5"))
-      ).to.be.revertedWith("Below minimum contribution");
+      ).to.be.revertedWith("Contribution below minimum");
       
       // Above maximum
       await expect(
@@ -135,25 +136,18 @@ describe("IDOPool", function () {
     });
     
     it("Should enforce hard cap limit", async function () {
-      // Fill up to just below hard cap
-      await idoPool.connect(user1).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(user2).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(user3).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(addrs[0]).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(addrs[1]).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(addrs[2]).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(addrs[3]).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(addrs[4]).buyTokens(MAX_CONTRIBUTION);
-      await idoPool.connect(addrs[5]).buyTokens(MAX_CONTRIBUTION);
+      // Fill up to the hard cap
+      for (const user of [user1, user2, user3, ...addrs.slice(0, 7)]) {
+        await idoPool.connect(user).buyTokens(MAX_CONTRIBUTION);
+      }
+      expect(await idoPool.totalRaised()).to.equal(HARD_CAP);
       
       // This should exceed the hard cap
       await expect(
-        idoPool.connect(addrs[6]).buyTokens(MAX_CONTRIBUTION)
-      ).to.be.revertedWith("Exceeds hard cap");
+        idoPool.connect(addrs[7]).buyTokens(MIN_CONTRIBUTION)
+      ).to.be.revertedWith("Hard cap reached");
     });
   });
-
-  });
   
   describe("Finalization and Token Distribution", function () {
     beforeEach(async function () {
@@ -174,17 +168,17 @@ describe("IDOPool", function () {
     });
     
     it("Should finalize the pool correctly when soft cap is reached", async function () {
-      // Verify IDO state is ENDED
-      expect(await idoPool.state()).to.equal(2); // ENDED state
+      // The pool stays active until it is finalized
+      expect(await idoPool.poolState()).to.equal(1); // Active state
       
       // Finalize the IDO
       await idoPool.finalize();
       
-      // Verify IDO state is FINALIZED
-      expect(await idoPool.state()).to.equal(3); // FINALIZED state
+      // Verify IDO state is COMPLETED
+      expect(await idoPool.poolState()).to.equal(2); // Completed state
       
-      // Check token distribution
-      const user1Allocation = (await idoPool.contributions(user1.address)).mul(RATE);
+      // Check token distribution: 10 paid at 0.1 per token buys 100 tokens
+      const user1Allocation = ethers.utils.parseEther("100");
       await idoPool.connect(user1).claimTokens();
       expect(await offeringToken.balanceOf(user1.address)).to.equal(user1Allocation);
     });
@@ -208,7 +202,7 @@ describe("IDOPool", function () {
       await idoPool.finalize();
       
       // Verify IDO state is REFUNDING
-      expect(await idoPool.state()).to.equal(4); // REFUNDING state
+      expect(await idoPool.poolState()).to.equal(4); // Refunding state
     });
     
     it("Should allow admin to enable refunds manually", async function () {
@@ -231,7 +225,7 @@ describe("IDOPool", function () {
       await idoPool.enableRefund();
       
       // Verify IDO state is REFUNDING
-      expect(await idoPool.state()).to.equal(4); // REFUNDING state
+      expect(await idoPool.poolState()).to.equal(4); // Refunding state
     });
     
     it("Should allow users to claim refunds when in refunding state", async function () {
@@ -289,7 +283,7 @@ describe("IDOPool", function () {
       // Try to claim refund after tokens claimed
       await expect(
         idoPool.connect(user1).claimRefund()
-      ).to.be.revertedWith("Tokens already claimed");
+      ).to.be.revertedWith("Cannot refund after claiming tokens");
     });
     
     it("Should enforce refund end time", async function () {
@@ -314,7 +308,7 @@ describe("IDOPool", function () {
       // Try to claim refund after refund end time
       await expect(
         idoPool.connect(user1).claimRefund()
-      ).to.be.revertedWith("Refund period has ended");
+      ).to.be.revertedWith("Refund period ended");
     });
   });
   
@@ -339,6 +333,10 @@ describe("IDOPool", function () {
       // Finalize the IDO
       await idoPool.finalize();
       
+      // Funds stay in the pool until the refund period ends
+      const refundEndTime = await idoPool.refundEndTime();
+      await time.increaseTo(refundEndTime.toNumber() + 1);
+      
       // Get owner's initial balance
       const initialBalance = await paymentToken.balanceOf(owner.address);
       
@@ -381,3 +379,89 @@ describe("IDOPool", function () {
       expect(finalBalance).to.equal(initialBalance.add(contractBalance));
     });
   });
+  
+  describe("Cancellation", function () {
+    it("Should let the owner cancel a pending pool and recover deposited tokens", async function () {
+      const IDOPool = await ethers.getContractFactory("IDOPool");
+      const pendingPool = await IDOPool.deploy(
+        paymentToken.address,
+        offeringToken.address,
+        RATE,
+        SOFT_CAP,
+        HARD_CAP,
+        MIN_CONTRIBUTION,
+        MAX_CONTRIBUTION
+      );
+      await pendingPool.deployed();
+      
+      const offeringAmount = ethers.utils.parseEther("1000");
+      await offeringToken.approve(pendingPool.address, offeringAmount);
+      await pendingPool.depositOfferingTokens(offeringAmount);
+      
+      const initialBalance = await offeringToken.balanceOf(owner.address);
+      
+      await expect(pendingPool.cancelPool("Launch postponed"))
+        .to.emit(pendingPool, "PoolStateChanged").withArgs(3)
+        .and.to.emit(pendingPool, "PoolCancelled").withArgs("Launch postponed");
+      
+      expect(await pendingPool.poolState()).to.equal(3); // Cancelled state
+      expect(await offeringToken.balanceOf(pendingPool.address)).to.equal(0);
+      expect(await offeringToken.balanceOf(owner.address)).to.equal(initialBalance.add(offeringAmount));
+    });
+    
+    it("Should refund full contributions after an active pool is cancelled", async function () {
+      // Start the IDO
+      const startTime = await idoPool.startTime();
+      await time.increaseTo(startTime.toNumber());
+      
+      const contributionAmount = ethers.utils.parseEther("10");
+      await idoPool.connect(user1).buyTokens(contributionAmount);
+      
+      await idoPool.cancelPool("Botched launch");
+      
+      // Refunds remain available after the refund deadline
+      const refundEndTime = await idoPool.refundEndTime();
+      await time.increaseTo(refundEndTime.toNumber() + 1);
+      
+      const initialBalance = await paymentToken.balanceOf(user1.address);
+      await idoPool.connect(user1).claimRefund();
+      
+      const finalBalance = await paymentToken.balanceOf(user1.address);
+      expect(finalBalance).to.equal(initialBalance.add(contributionAmount));
+    });
+    
+    it("Should block purchases and claims once cancelled", async function () {
+      const startTime = await idoPool.startTime();
+      await time.increaseTo(startTime.toNumber());
+      
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("10"));
+      await idoPool.cancelPool("Botched launch");
+      
+      await expect(
+        idoPool.connect(user2).buyTokens(ethers.utils.parseEther("10"))
+      ).to.be.revertedWith("Pool is not active");
+      
+      await expect(
+        idoPool.connect(user1).claimTokens()
+      ).to.be.revertedWith("Pool is not completed");
+    });
+    
+    it("Should only allow the owner to cancel from pending or active", async function () {
+      await expect(
+        idoPool.connect(user1).cancelPool("Not the owner")
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      const startTime = await idoPool.startTime();
+      await time.increaseTo(startTime.toNumber());
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("10"));
+      
+      const endTime = await idoPool.endTime();
+      await time.increaseTo(endTime.toNumber() + 1);
+      await idoPool.finalize();
+      
+      await expect(
+        idoPool.cancelPool("Too late")
+      ).to.be.revertedWith("Can only cancel in pending or active state");
+    });
+  });
+});
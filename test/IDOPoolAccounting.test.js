@@ -0,0 +1,322 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Accounting", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, user1, user2, user3, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("100");
+
+  // 1200 deposited against 1000 needed for the hard cap
+  const OFFERING_AMOUNT = ethers.utils.parseEther("1200");
+  const GRACE_PERIOD = 180 * 86400;
+
+  const deployPool = async ({ overflow = false, vesting } = {}) => {
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const pool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await pool.deployed();
+
+    if (overflow) {
+      await pool.setOverflowMode(true);
+    }
+    if (vesting) {
+      await pool.updateVestingSchedule(...vesting);
+    }
+
+    await offeringToken.approve(pool.address, OFFERING_AMOUNT);
+    await pool.depositOfferingTokens(OFFERING_AMOUNT);
+
+    const now = await time.latest();
+    const startTime = now + 3600;
+    const endTime = startTime + 86400;
+    const refundEndTime = endTime + 86400;
+    await pool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+
+    for (const user of [user1, user2, user3]) {
+      await paymentToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    }
+
+    return pool;
+  };
+
+  const endSale = async (pool) => {
+    await time.increaseTo((await pool.endTime()).toNumber() + 1);
+    await pool.finalize();
+  };
+
+  const afterRefundPeriod = async (pool) => {
+    await time.increaseTo((await pool.refundEndTime()).toNumber() + 1);
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Distribute tokens
+    for (const user of [user1, user2, user3]) {
+      await paymentToken.transfer(user.address, ethers.utils.parseEther("200"));
+    }
+  });
+
+  describe("Completed Pools", function () {
+    beforeEach(async function () {
+      idoPool = await deployPool();
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("30"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("30"));
+      await endSale(idoPool);
+    });
+
+    it("Should reserve sold tokens at finalization", async function () {
+      expect(await idoPool.totalTokensSold()).to.equal(ethers.utils.parseEther("600"));
+      expect(await idoPool.getOutstandingTokens()).to.equal(ethers.utils.parseEther("600"));
+
+      await idoPool.connect(user1).claimTokens();
+      expect(await idoPool.getOutstandingTokens()).to.equal(ethers.utils.parseEther("300"));
+    });
+
+    it("Should only withdraw unsold tokens and leave unclaimed allocations", async function () {
+      await afterRefundPeriod(idoPool);
+
+      await expect(idoPool.withdrawUnsoldTokens())
+        .to.emit(idoPool, "UnsoldTokensWithdrawn").withArgs(ethers.utils.parseEther("600"));
+
+      await expect(
+        idoPool.withdrawUnsoldTokens()
+      ).to.be.revertedWith("No tokens to withdraw");
+
+      // Both buyers claim after the owner has withdrawn
+      for (const user of [user1, user2]) {
+        await idoPool.connect(user).claimTokens();
+        expect(await offeringToken.balanceOf(user.address)).to.equal(ethers.utils.parseEther("300"));
+      }
+      expect(await offeringToken.balanceOf(idoPool.address)).to.equal(0);
+    });
+
+    it("Should log the raised funds withdrawal", async function () {
+      await afterRefundPeriod(idoPool);
+
+      await expect(idoPool.withdrawRaisedFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn").withArgs(ethers.utils.parseEther("60"));
+    });
+
+    it("Should not switch to refunds once raised funds are withdrawn", async function () {
+      await afterRefundPeriod(idoPool);
+      await idoPool.withdrawRaisedFunds();
+
+      await expect(
+        idoPool.enableRefund()
+      ).to.be.revertedWith("Raised funds already withdrawn");
+    });
+
+    it("Should not switch to refunds once the refund period is over", async function () {
+      await afterRefundPeriod(idoPool);
+
+      await expect(
+        idoPool.enableRefund()
+      ).to.be.revertedWith("Refund period ended");
+
+      // Every buyer can still get their tokens
+      for (const user of [user1, user2]) {
+        await idoPool.connect(user).claimTokens();
+        expect(await offeringToken.balanceOf(user.address)).to.equal(ethers.utils.parseEther("300"));
+      }
+    });
+  });
+
+  describe("Refunds After Completion", function () {
+    // 20% at TGE, the rest vesting linearly over 100 days after a 30 day cliff
+    const VESTING = [2000, 30 * 86400, 100 * 86400];
+    const VESTING_END = 130 * 86400;
+
+    beforeEach(async function () {
+      idoPool = await deployPool({ vesting: VESTING });
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("30"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("30"));
+      await endSale(idoPool);
+
+      // user1 starts claiming before the owner enables refunds
+      await idoPool.connect(user1).claimTokens();
+      await idoPool.enableRefund();
+    });
+
+    it("Should let users who started claiming finish vesting", async function () {
+      await expect(
+        idoPool.connect(user1).claimRefund()
+      ).to.be.revertedWith("Cannot refund after claiming tokens");
+
+      await time.increaseTo((await idoPool.finalizedAt()).add(VESTING_END));
+      await idoPool.connect(user1).claimTokens();
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("300"));
+    });
+
+    it("Should only refund users who have not claimed tokens", async function () {
+      await expect(
+        idoPool.connect(user2).claimTokens()
+      ).to.be.revertedWith("Pool is not completed");
+
+      expect(await idoPool.getOutstandingPayments()).to.equal(ethers.utils.parseEther("30"));
+      await idoPool.connect(user2).claimRefund();
+      expect(await idoPool.getOutstandingPayments()).to.equal(0);
+    });
+
+    it("Should keep the remaining vesting allocation out of owner withdrawals", async function () {
+      await afterRefundPeriod(idoPool);
+
+      // 300 allocated to user1, of which 20% was claimed at TGE
+      expect(await idoPool.getOutstandingTokens()).to.equal(ethers.utils.parseEther("240"));
+      await idoPool.withdrawUnsoldTokens();
+      expect(await offeringToken.balanceOf(idoPool.address)).to.equal(ethers.utils.parseEther("240"));
+
+      await time.increaseTo((await idoPool.finalizedAt()).add(VESTING_END));
+      await idoPool.connect(user1).claimTokens();
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("300"));
+    });
+  });
+
+  describe("Oversubscribed Pools", function () {
+    beforeEach(async function () {
+      idoPool = await deployPool({ overflow: true });
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("100"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("60"));
+      await idoPool.connect(user3).buyTokens(ethers.utils.parseEther("40"));
+      await endSale(idoPool);
+    });
+
+    it("Should reserve the unclaimed excess", async function () {
+      expect(await idoPool.getOutstandingPayments()).to.equal(ethers.utils.parseEther("100"));
+
+      await idoPool.connect(user1).claimTokens();
+      expect(await idoPool.totalExcessRefunded()).to.equal(ethers.utils.parseEther("50"));
+      expect(await idoPool.getOutstandingPayments()).to.equal(ethers.utils.parseEther("50"));
+    });
+
+    it("Should only withdraw the accepted funds and the unallocated tokens", async function () {
+      await afterRefundPeriod(idoPool);
+
+      await expect(idoPool.withdrawRaisedFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn").withArgs(HARD_CAP);
+      await expect(idoPool.withdrawUnsoldTokens())
+        .to.emit(idoPool, "UnsoldTokensWithdrawn").withArgs(ethers.utils.parseEther("200"));
+
+      for (const user of [user1, user2, user3]) {
+        await idoPool.connect(user).claimTokens();
+      }
+      expect(await paymentToken.balanceOf(idoPool.address)).to.equal(0);
+      expect(await offeringToken.balanceOf(idoPool.address)).to.equal(0);
+    });
+  });
+
+  describe("Failed and Cancelled Pools", function () {
+    it("Should keep every unclaimed refund in a failed pool", async function () {
+      idoPool = await deployPool();
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("20"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("10"));
+      await endSale(idoPool);
+
+      expect(await idoPool.getOutstandingPayments()).to.equal(ethers.utils.parseEther("30"));
+      await idoPool.connect(user1).claimRefund();
+      expect(await idoPool.totalRefunded()).to.equal(ethers.utils.parseEther("20"));
+      expect(await idoPool.getOutstandingPayments()).to.equal(ethers.utils.parseEther("10"));
+
+      // Every offering token is unsold
+      await afterRefundPeriod(idoPool);
+      await idoPool.withdrawUnsoldTokens();
+      expect(await offeringToken.balanceOf(idoPool.address)).to.equal(0);
+    });
+
+    it("Should never allow sweeping a cancelled pool", async function () {
+      idoPool = await deployPool();
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("20"));
+      await idoPool.cancelPool("Project withdrawn");
+
+      await time.increase(400 * 86400);
+      await expect(
+        idoPool.sweepUnclaimed()
+      ).to.be.revertedWith("IDO must be completed or refunding");
+
+      await idoPool.connect(user1).claimRefund();
+      expect(await paymentToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("200"));
+    });
+  });
+
+  describe("Unclaimed Balance Sweep", function () {
+    it("Should only sweep a completed pool after vesting and the grace period", async function () {
+      // Tokens vest for 100 days after the cliff, well past the refund deadline
+      idoPool = await deployPool({ vesting: [0, 86400, 100 * 86400] });
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("30"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("30"));
+      await endSale(idoPool);
+
+      const vestingEnd = (await idoPool.finalizedAt()).add(101 * 86400);
+      const sweepTime = vestingEnd.add(GRACE_PERIOD);
+      expect(await idoPool.getSweepTime()).to.equal(sweepTime);
+
+      await time.setNextBlockTimestamp(sweepTime);
+      await expect(
+        idoPool.sweepUnclaimed()
+      ).to.be.revertedWith("Grace period not over");
+
+      // Buyers can still claim throughout the grace period
+      await idoPool.connect(user1).claimTokens();
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("300"));
+
+      await expect(idoPool.sweepUnclaimed())
+        .to.emit(idoPool, "UnclaimedSwept")
+        .withArgs(ethers.utils.parseEther("60"), ethers.utils.parseEther("900"));
+
+      await expect(
+        idoPool.connect(user2).claimTokens()
+      ).to.be.revertedWith("Unclaimed balances swept");
+      await expect(
+        idoPool.sweepUnclaimed()
+      ).to.be.revertedWith("Unclaimed balances already swept");
+    });
+
+    it("Should sweep expired refunds after the grace period", async function () {
+      idoPool = await deployPool();
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("20"));
+      await endSale(idoPool);
+
+      const sweepTime = (await idoPool.refundEndTime()).add(GRACE_PERIOD);
+      expect(await idoPool.getSweepTime()).to.equal(sweepTime);
+
+      await time.increaseTo(sweepTime.add(1));
+      const initialBalance = await paymentToken.balanceOf(owner.address);
+      await expect(idoPool.sweepUnclaimed())
+        .to.emit(idoPool, "UnclaimedSwept")
+        .withArgs(ethers.utils.parseEther("20"), OFFERING_AMOUNT);
+
+      expect(await paymentToken.balanceOf(owner.address)).to.equal(initialBalance.add(ethers.utils.parseEther("20")));
+      expect(await idoPool.getOutstandingPayments()).to.equal(0);
+    });
+
+    it("Should only let the owner sweep", async function () {
+      idoPool = await deployPool();
+
+      await expect(
+        idoPool.connect(user1).sweepUnclaimed()
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+});
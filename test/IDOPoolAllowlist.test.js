@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAllowlist, parseAllowlistCsv } = require("../scripts/generate-allowlist");
+
+describe("IDOPool Allowlist", function () {
+  let idoPool, paymentToken, offeringToken, allowlist;
+  let owner, user1, user2, user3, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, ethers.utils.parseEther("1000000"));
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, ethers.utils.parseEther("1000000"));
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Distribute tokens
+    await paymentToken.transfer(user1.address, ethers.utils.parseEther("100"));
+    await paymentToken.transfer(user2.address, ethers.utils.parseEther("100"));
+    await paymentToken.transfer(user3.address, ethers.utils.parseEther("100"));
+
+    // Deploy IDO pool
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+
+    // Approvals
+    await paymentToken.connect(user1).approve(idoPool.address, ethers.constants.MaxUint256);
+    await paymentToken.connect(user2).approve(idoPool.address, ethers.constants.MaxUint256);
+    await paymentToken.connect(user3).approve(idoPool.address, ethers.constants.MaxUint256);
+
+    // Deposit offering tokens
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(idoPool.address, offeringAmount);
+    await idoPool.depositOfferingTokens(offeringAmount);
+
+    // Allowlist user1 above the global max and user2 below it
+    allowlist = buildAllowlist(parseAllowlistCsv([
+      "address,maxAllocation",
+      `${user1.address},25`,
+      `${user2.address},3`,
+      `${addrs[0].address},5`
+    ].join("\n"), 18));
+    await idoPool.setMerkleRoot(allowlist.root);
+    await idoPool.setAllowlistOnly(true);
+
+    // Set pool times
+    const now = await time.latest();
+    const startTime = now + 3600;
+    const endTime = startTime + 86400;
+    const refundEndTime = endTime + 86400;
+    await idoPool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+  });
+
+  const buyWithProof = (user, amount) => {
+    const claim = allowlist.claims[user.address];
+    return idoPool.connect(user).buyTokensWithProof(amount, claim.maxAllocation, claim.proof);
+  };
+
+  describe("Allowlist Phase", function () {
+    it("Should let allowlisted users buy up to their own allocation", async function () {
+      await buyWithProof(user1, ethers.utils.parseEther("20"));
+      await buyWithProof(user1, ethers.utils.parseEther("5"));
+      expect(await idoPool.contributions(user1.address)).to.equal(ethers.utils.parseEther("25"));
+
+      await expect(
+        buyWithProof(user1, ethers.utils.parseEther("1"))
+      ).to.be.revertedWith("Exceeds maximum contribution");
+    });
+
+    it("Should enforce allocations below the global maximum", async function () {
+      await expect(
+        buyWithProof(user2, ethers.utils.parseEther("4"))
+      ).to.be.revertedWith("Exceeds maximum contribution");
+
+      await buyWithProof(user2, ethers.utils.parseEther("3"));
+      expect(await idoPool.contributions(user2.address)).to.equal(ethers.utils.parseEther("3"));
+    });
+
+    it("Should still enforce the minimum contribution", async function () {
+      await expect(
+        buyWithProof(user1, ethers.utils.parseEther("0.5"))
+      ).to.be.revertedWith("Contribution below minimum");
+    });
+
+    it("Should reject invalid proofs and inflated allocations", async function () {
+      const claim = allowlist.claims[user2.address];
+
+      // Claiming a larger allocation than the leaf holds
+      await expect(
+        idoPool.connect(user2).buyTokensWithProof(
+          ethers.utils.parseEther("5"),
+          ethers.utils.parseEther("50"),
+          claim.proof
+        )
+      ).to.be.revertedWith("Invalid allowlist proof");
+
+      // Reusing another user's proof
+      await expect(
+        idoPool.connect(user3).buyTokensWithProof(
+          ethers.utils.parseEther("2"),
+          claim.maxAllocation,
+          claim.proof
+        )
+      ).to.be.revertedWith("Invalid allowlist proof");
+    });
+
+    it("Should block public purchases", async function () {
+      await expect(
+        idoPool.connect(user3).buyTokens(ethers.utils.parseEther("5"))
+      ).to.be.revertedWith("Allowlist-only phase");
+    });
+  });
+
+  describe("Public Phase", function () {
+    it("Should open purchases to everyone with the global limits", async function () {
+      await expect(idoPool.setAllowlistOnly(false))
+        .to.emit(idoPool, "AllowlistPhaseUpdated").withArgs(false);
+
+      await idoPool.connect(user3).buyTokens(ethers.utils.parseEther("5"));
+      expect(await idoPool.contributions(user3.address)).to.equal(ethers.utils.parseEther("5"));
+
+      await expect(
+        idoPool.connect(user3).buyTokens(ethers.utils.parseEther("6"))
+      ).to.be.revertedWith("Exceeds maximum contribution");
+
+      // Allowlisted users keep their own cap on the proof path
+      await buyWithProof(user1, ethers.utils.parseEther("25"));
+      expect(await idoPool.contributions(user1.address)).to.equal(ethers.utils.parseEther("25"));
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should only let the owner manage the allowlist", async function () {
+      await expect(
+        idoPool.connect(user1).setMerkleRoot(ethers.constants.HashZero)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(
+        idoPool.connect(user1).setAllowlistOnly(false)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(idoPool.setMerkleRoot(allowlist.root))
+        .to.emit(idoPool, "MerkleRootUpdated").withArgs(allowlist.root);
+    });
+
+    it("Should reject proof purchases while no allowlist is set", async function () {
+      await idoPool.setMerkleRoot(ethers.constants.HashZero);
+
+      await expect(
+        buyWithProof(user1, ethers.utils.parseEther("5"))
+      ).to.be.revertedWith("Allowlist not set");
+    });
+  });
+});
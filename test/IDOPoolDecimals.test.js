@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Decimals", function () {
+  let owner, user1, addrs;
+
+  // Each pair sells offering tokens at 0.1 payment tokens apiece
+  const PAIRS = [
+    { paymentDecimals: 6, offeringDecimals: 18 },
+    { paymentDecimals: 18, offeringDecimals: 6 },
+    { paymentDecimals: 8, offeringDecimals: 18 },
+    { paymentDecimals: 18, offeringDecimals: 18 }
+  ];
+
+  beforeEach(async function () {
+    [owner, user1, ...addrs] = await ethers.getSigners();
+  });
+
+  PAIRS.forEach(({ paymentDecimals, offeringDecimals }) => {
+    describe(`${paymentDecimals}-decimal payment / ${offeringDecimals}-decimal offering`, function () {
+      let idoPool, paymentToken, offeringToken;
+
+      const pay = (amount) => ethers.utils.parseUnits(amount, paymentDecimals);
+      const offer = (amount) => ethers.utils.parseUnits(amount, offeringDecimals);
+
+      beforeEach(async function () {
+        // Deploy tokens
+        const TokenFactory = await ethers.getContractFactory("MockERC20");
+        paymentToken = await TokenFactory.deploy("Payment Token", "PAY", paymentDecimals, 1000000);
+        offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", offeringDecimals, 1000000);
+        await paymentToken.deployed();
+        await offeringToken.deployed();
+
+        // Deploy IDO pool
+        const IDOPool = await ethers.getContractFactory("IDOPool");
+        idoPool = await IDOPool.deploy(
+          paymentToken.address,
+          offeringToken.address,
+          pay("0.1"),
+          pay("50"),
+          pay("100"),
+          pay("1"),
+          pay("10")
+        );
+        await idoPool.deployed();
+
+        await paymentToken.transfer(user1.address, pay("100"));
+        await paymentToken.connect(user1).approve(idoPool.address, ethers.constants.MaxUint256);
+      });
+
+      it("Should read decimals from both tokens", async function () {
+        expect(await idoPool.paymentDecimals()).to.equal(paymentDecimals);
+        expect(await idoPool.offeringDecimals()).to.equal(offeringDecimals);
+      });
+
+      it("Should convert payment amounts into offering token units", async function () {
+        expect(await idoPool.getTokenAmount(pay("10"))).to.equal(offer("100"));
+        expect(await idoPool.getTokenAmount(pay("0.5"))).to.equal(offer("5"));
+      });
+
+      it("Should require enough offering tokens to cover the hard cap", async function () {
+        // The 100 payment token hard cap buys 1000 offering tokens
+        await offeringToken.approve(idoPool.address, offer("1000"));
+        await expect(
+          idoPool.depositOfferingTokens(offer("999"))
+        ).to.be.revertedWith("Insufficient tokens for hard cap");
+
+        await idoPool.depositOfferingTokens(offer("1000"));
+        expect(await offeringToken.balanceOf(idoPool.address)).to.equal(offer("1000"));
+      });
+
+      it("Should allocate and distribute in real token units", async function () {
+        await offeringToken.approve(idoPool.address, offer("1000"));
+        await idoPool.depositOfferingTokens(offer("1000"));
+
+        const now = await time.latest();
+        await idoPool.startPool(now + 100, now + 1000, now + 2000);
+        await time.increaseTo(now + 100);
+
+        await expect(idoPool.connect(user1).buyTokens(pay("10")))
+          .to.emit(idoPool, "TokensPurchased").withArgs(user1.address, pay("10"), offer("100"));
+        expect(await idoPool.getUserTokenAmount(user1.address)).to.equal(offer("100"));
+
+        // Top up to the soft cap so the pool completes
+        for (const user of addrs.slice(0, 4)) {
+          await paymentToken.transfer(user.address, pay("10"));
+          await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+          await idoPool.connect(user).buyTokens(pay("10"));
+        }
+
+        await time.increaseTo(now + 1001);
+        await idoPool.finalize();
+
+        await idoPool.connect(user1).claimTokens();
+        expect(await offeringToken.balanceOf(user1.address)).to.equal(offer("100"));
+      });
+    });
+  });
+
+  describe("Native Currency", function () {
+    it("Should treat native currency as 18 decimals", async function () {
+      const TokenFactory = await ethers.getContractFactory("MockERC20");
+      const offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 6, 1000000);
+      await offeringToken.deployed();
+
+      const IDOPool = await ethers.getContractFactory("IDOPool");
+      const idoPool = await IDOPool.deploy(
+        ethers.constants.AddressZero,
+        offeringToken.address,
+        ethers.utils.parseEther("0.1"),
+        ethers.utils.parseEther("50"),
+        ethers.utils.parseEther("100"),
+        ethers.utils.parseEther("1"),
+        ethers.utils.parseEther("10")
+      );
+      await idoPool.deployed();
+
+      expect(await idoPool.paymentDecimals()).to.equal(18);
+      expect(await idoPool.getTokenAmount(ethers.utils.parseEther("10"))).to.equal(ethers.utils.parseUnits("100", 6));
+    });
+  });
+});
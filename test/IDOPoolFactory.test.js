@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("IDOPoolFactory", function () {
+  let factory, implementation, paymentToken, offeringToken, otherToken;
+  let owner, creator1, creator2;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  const createPool = async (creator, payment, offering) => {
+    const tx = await factory.connect(creator).createPool(
+      payment.address,
+      offering.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    const receipt = await tx.wait();
+    const event = receipt.events.find((e) => e.event === "PoolCreated");
+    return ethers.getContractAt("IDOPool", event.args.pool);
+  };
+
+  beforeEach(async function () {
+    [owner, creator1, creator2] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, ethers.utils.parseEther("1000000"));
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, ethers.utils.parseEther("1000000"));
+    otherToken = await TokenFactory.deploy("Other Token", "OTHER", 18, ethers.utils.parseEther("1000000"));
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+    await otherToken.deployed();
+
+    // Deploy the clone template and the factory
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    implementation = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await implementation.deployed();
+
+    const IDOPoolFactory = await ethers.getContractFactory("IDOPoolFactory");
+    factory = await IDOPoolFactory.deploy(implementation.address);
+    await factory.deployed();
+  });
+
+  describe("Pool Creation", function () {
+    it("Should deploy an initialized pool owned by the caller", async function () {
+      const pool = await createPool(creator1, paymentToken, offeringToken);
+
+      expect(await pool.owner()).to.equal(creator1.address);
+      expect(await pool.hasRole(await pool.DEFAULT_ADMIN_ROLE(), creator1.address)).to.equal(true);
+      expect(await pool.hasRole(await pool.OPERATOR_ROLE(), creator1.address)).to.equal(true);
+      expect(await pool.paymentToken()).to.equal(paymentToken.address);
+      expect(await pool.offeringToken()).to.equal(offeringToken.address);
+      expect(await pool.tokenPrice()).to.equal(TOKEN_PRICE);
+      expect(await pool.hardCap()).to.equal(HARD_CAP);
+      expect(await pool.poolState()).to.equal(0); // Pending state
+      expect(await pool.tgePercentage()).to.equal(10000);
+    });
+
+    it("Should emit PoolCreated with the registry index", async function () {
+      await expect(
+        factory.connect(creator1).createPool(
+          paymentToken.address,
+          offeringToken.address,
+          TOKEN_PRICE,
+          SOFT_CAP,
+          HARD_CAP,
+          MIN_CONTRIBUTION,
+          MAX_CONTRIBUTION
+        )
+      ).to.emit(factory, "PoolCreated");
+
+      const pool = await factory.allPools(0);
+      expect(await factory.isPool(pool)).to.equal(true);
+    });
+
+    it("Should validate pool parameters", async function () {
+      await expect(
+        factory.connect(creator1).createPool(
+          paymentToken.address,
+          offeringToken.address,
+          TOKEN_PRICE,
+          HARD_CAP,
+          SOFT_CAP,
+          MIN_CONTRIBUTION,
+          MAX_CONTRIBUTION
+        )
+      ).to.be.revertedWith("Hard cap must be >= soft cap");
+    });
+
+    it("Should not allow a pool to be initialized twice", async function () {
+      const pool = await createPool(creator1, paymentToken, offeringToken);
+
+      await expect(
+        pool.initialize(
+          creator2.address,
+          paymentToken.address,
+          offeringToken.address,
+          TOKEN_PRICE,
+          SOFT_CAP,
+          HARD_CAP,
+          MIN_CONTRIBUTION,
+          MAX_CONTRIBUTION
+        )
+      ).to.be.revertedWith("Pool already initialized");
+
+      await expect(
+        implementation.initialize(
+          creator2.address,
+          paymentToken.address,
+          offeringToken.address,
+          TOKEN_PRICE,
+          SOFT_CAP,
+          HARD_CAP,
+          MIN_CONTRIBUTION,
+          MAX_CONTRIBUTION
+        )
+      ).to.be.revertedWith("Pool already initialized");
+    });
+
+    it("Should give each clone its own state", async function () {
+      const pool1 = await createPool(creator1, paymentToken, offeringToken);
+      const pool2 = await createPool(creator2, paymentToken, otherToken);
+
+      const offeringAmount = ethers.utils.parseEther("1000");
+      await offeringToken.transfer(creator1.address, offeringAmount);
+      await offeringToken.connect(creator1).approve(pool1.address, offeringAmount);
+      await pool1.connect(creator1).depositOfferingTokens(offeringAmount);
+
+      expect(await pool1.tokensDeposited()).to.equal(true);
+      expect(await pool2.tokensDeposited()).to.equal(false);
+      expect(await pool2.owner()).to.equal(creator2.address);
+    });
+  });
+
+  describe("Registry", function () {
+    it("Should index pools by creator, payment token and offering token", async function () {
+      const pool1 = await createPool(creator1, paymentToken, offeringToken);
+      const pool2 = await createPool(creator1, paymentToken, otherToken);
+      const pool3 = await createPool(creator2, otherToken, offeringToken);
+
+      expect(await factory.allPoolsLength()).to.equal(3);
+      expect(await factory.allPools(2)).to.equal(pool3.address);
+
+      expect(await factory.getPoolsByCreator(creator1.address)).to.deep.equal([pool1.address, pool2.address]);
+      expect(await factory.getPoolsByCreator(creator2.address)).to.deep.equal([pool3.address]);
+
+      expect(await factory.getPoolsByPaymentToken(paymentToken.address)).to.deep.equal([pool1.address, pool2.address]);
+      expect(await factory.getPoolsByPaymentToken(otherToken.address)).to.deep.equal([pool3.address]);
+
+      expect(await factory.getPoolsByOfferingToken(offeringToken.address)).to.deep.equal([pool1.address, pool3.address]);
+      expect(await factory.getPoolsByOfferingToken(otherToken.address)).to.deep.equal([pool2.address]);
+    });
+
+    it("Should index native currency pools under the zero address", async function () {
+      const tx = await factory.connect(creator1).createPool(
+        ethers.constants.AddressZero,
+        offeringToken.address,
+        TOKEN_PRICE,
+        SOFT_CAP,
+        HARD_CAP,
+        MIN_CONTRIBUTION,
+        MAX_CONTRIBUTION
+      );
+      await tx.wait();
+
+      const [pool] = await factory.getPoolsByPaymentToken(ethers.constants.AddressZero);
+      expect(await (await ethers.getContractAt("IDOPool", pool)).isNativePayment()).to.equal(true);
+    });
+
+    it("Should not register unknown addresses as pools", async function () {
+      expect(await factory.isPool(implementation.address)).to.equal(false);
+      expect(await factory.getPoolsByCreator(owner.address)).to.deep.equal([]);
+    });
+  });
+});
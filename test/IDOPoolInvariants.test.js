@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const {
+  generateSequence,
+  runSequence,
+  shrink,
+  saveRegression,
+  loadRegressions
+} = require("./invariants/harness");
+
+// Runs the same seeds every time unless INVARIANT_FUZZ is set, which picks a random base seed
+// and saves shrunk failures as regressions. INVARIANT_SEED repeats a run, INVARIANT_RUNS and
+// INVARIANT_STEPS make it longer.
+const FUZZ = Boolean(process.env.INVARIANT_FUZZ);
+const BASE_SEED = Number(process.env.INVARIANT_SEED || (FUZZ ? Math.floor(Math.random() * 2 ** 31) : 1));
+const RUNS = Number(process.env.INVARIANT_RUNS || 10);
+const STEPS = Number(process.env.INVARIANT_STEPS || 40);
+
+describe("IDOPool Invariants", function () {
+  describe("Random sequences", function () {
+    // Shrinking replays the sequence many times
+    this.timeout(600000);
+
+    for (let run = 0; run < RUNS; run++) {
+      const seed = BASE_SEED + run;
+
+      it(`Should hold the invariants for seed ${seed}`, async function () {
+        const sequence = generateSequence(seed, STEPS);
+        const failure = await runSequence(sequence);
+        if (!failure) return;
+
+        // Nothing after the failing step matters
+        const failing = { ...sequence, steps: sequence.steps.slice(0, failure.step + 1) };
+        const minimal = await shrink(failing, async (candidate) => (await runSequence(candidate)) !== null);
+        const minimalFailure = await runSequence(minimal);
+        const saved = FUZZ ? `, saved to ${saveRegression(minimal, minimalFailure)}` : "";
+
+        expect.fail(
+          `${minimalFailure.violations.join("; ")} after ${minimal.steps.length} steps${saved}:\n` +
+          JSON.stringify(minimal.steps)
+        );
+      });
+    }
+  });
+
+  describe("Regressions", function () {
+    for (const regression of loadRegressions()) {
+      it(`Should hold the invariants for ${regression.file}`, async function () {
+        const failure = await runSequence(regression);
+        expect(failure, failure && failure.violations.join("; ")).to.equal(null);
+      });
+    }
+  });
+
+  describe("Shrinking", function () {
+    it("Should reduce a failing sequence to the steps that matter", async function () {
+      const sequence = generateSequence(1, 30);
+      sequence.steps.push({ action: "buy", actor: 0, amount: "35" }, { action: "refund", actor: 0 });
+
+      // Fails whenever a refund follows a buy of at least 20
+      const fails = async ({ steps }) => {
+        const buy = steps.findIndex((step) => step.action === "buy" && Number(step.amount) >= 20);
+        return buy !== -1 && steps.slice(buy).some((step) => step.action === "refund");
+      };
+
+      const minimal = await shrink(sequence, fails);
+      expect(minimal.steps).to.have.length(2);
+      expect(minimal.steps[0]).to.include({ action: "buy", amount: "20" });
+      expect(minimal.steps[1].action).to.equal("refund");
+    });
+  });
+});
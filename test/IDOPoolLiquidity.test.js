@@ -0,0 +1,357 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Liquidity", function () {
+  let idoPool, paymentToken, offeringToken;
+  let weth, uniswapFactory, router, seeder;
+  let owner, user1, user2, treasury, addrs;
+  let startTime, endTime, refundEndTime;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("60");
+
+  // 40% of the raise is paired with offering tokens
+  const LIQUIDITY_PERCENTAGE = 4000;
+  const LOCK_DURATION = 30 * 86400;
+  const units = (amount) => ethers.utils.parseEther(amount);
+
+  const deployPool = async (paymentAddress) => {
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const pool = await IDOPool.deploy(
+      paymentAddress,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await pool.deployed();
+    return pool;
+  };
+
+  // Deploys a seeder for the pool and commits the raise to it
+  const deploySeeder = async (pool) => {
+    const IDOPoolLiquidity = await ethers.getContractFactory("IDOPoolLiquidity");
+    const liquidity = await IDOPoolLiquidity.deploy(pool.address, router.address, LIQUIDITY_PERCENTAGE, LOCK_DURATION, treasury.address);
+    await pool.setLiquiditySeeder(liquidity.address);
+    await pool.grantRole(await pool.TREASURY_ROLE(), liquidity.address);
+    return liquidity;
+  };
+
+  // Runs a sale that raises 80, or the given amounts, and waits until the refund period is over
+  const runSale = async (pool, buy = (user, amount) => pool.connect(user).buyTokens(amount), amounts = ["50", "30"]) => {
+    await offeringToken.approve(pool.address, units("1000"));
+    await pool.depositOfferingTokens(units("1000"));
+
+    startTime = (await time.latest()) + 3600;
+    endTime = startTime + 86400;
+    refundEndTime = endTime + 86400;
+    await pool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+
+    await buy(user1, units(amounts[0]));
+    await buy(user2, units(amounts[1]));
+    await time.increaseTo(endTime + 1);
+    await pool.finalize();
+    await time.increaseTo(refundEndTime + 1);
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasury, ...addrs] = await ethers.getSigners();
+
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+
+    weth = await (await ethers.getContractFactory("MockWETH")).deploy();
+    uniswapFactory = await (await ethers.getContractFactory("MockUniswapV2Factory")).deploy();
+    router = await (await ethers.getContractFactory("MockUniswapV2Router")).deploy(uniswapFactory.address, weth.address);
+
+    idoPool = await deployPool(paymentToken.address);
+    seeder = await deploySeeder(idoPool);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.transfer(user.address, units("100"));
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  describe("Configuration", function () {
+    it("Should let the owner commit the raise before the sale", async function () {
+      expect(await idoPool.liquiditySeeder()).to.equal(seeder.address);
+      await expect(idoPool.setLiquiditySeeder(ethers.constants.AddressZero))
+        .to.emit(idoPool, "LiquiditySeederUpdated")
+        .withArgs(ethers.constants.AddressZero);
+
+      await expect(idoPool.connect(user1).setLiquiditySeeder(seeder.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await idoPool.setLiquiditySeeder(seeder.address);
+      await offeringToken.transfer(seeder.address, units("400"));
+      await runSale(idoPool);
+      await expect(idoPool.setLiquiditySeeder(ethers.constants.AddressZero))
+        .to.be.revertedWith("Cannot update liquidity after IDO has started");
+    });
+
+    it("Should reject invalid seeders", async function () {
+      const IDOPoolLiquidity = await ethers.getContractFactory("IDOPoolLiquidity");
+
+      await expect(IDOPoolLiquidity.deploy(idoPool.address, router.address, 0, LOCK_DURATION, treasury.address))
+        .to.be.revertedWith("Invalid liquidity percentage");
+      await expect(IDOPoolLiquidity.deploy(idoPool.address, router.address, 10001, LOCK_DURATION, treasury.address))
+        .to.be.revertedWith("Invalid liquidity percentage");
+      await expect(IDOPoolLiquidity.deploy(idoPool.address, router.address, 5000, 0, treasury.address))
+        .to.be.revertedWith("Lock duration must be greater than zero");
+      await expect(IDOPoolLiquidity.deploy(idoPool.address, router.address, 5000, LOCK_DURATION, ethers.constants.AddressZero))
+        .to.be.revertedWith("Treasury cannot be zero address");
+    });
+
+    it("Should require the offering tokens to be escrowed before the sale", async function () {
+      // 40% of the hard cap of 100 is 40, matched by 400 offering tokens at 0.1
+      expect(await seeder.getRequiredTokens()).to.equal(units("400"));
+      await offeringToken.approve(idoPool.address, units("1000"));
+      await idoPool.depositOfferingTokens(units("1000"));
+      const now = await time.latest();
+
+      await offeringToken.transfer(seeder.address, units("399"));
+      expect(await seeder.isFunded()).to.equal(false);
+      await expect(idoPool.startPool(now + 3600, now + 7200, now + 10800))
+        .to.be.revertedWith("Liquidity tokens must be escrowed first");
+
+      await offeringToken.transfer(seeder.address, units("1"));
+      expect(await seeder.isFunded()).to.equal(true);
+      await idoPool.startPool(now + 3600, now + 7200, now + 10800);
+      await expect(seeder.releaseFunds()).to.be.revertedWith("Liquidity not seeded yet");
+    });
+
+    it("Should return the escrow of a seeder the pool no longer uses", async function () {
+      await offeringToken.transfer(seeder.address, units("400"));
+      await expect(seeder.releaseFunds()).to.be.revertedWith("Liquidity not seeded yet");
+
+      await idoPool.setLiquiditySeeder(ethers.constants.AddressZero);
+      await expect(seeder.releaseFunds())
+        .to.emit(seeder, "FundsReleased")
+        .withArgs(0, units("400"));
+      expect(await offeringToken.balanceOf(treasury.address)).to.equal(units("400"));
+    });
+  });
+
+  describe("Seeding", function () {
+    beforeEach(async function () {
+      // 40% of 80 is 32, matched by 320 offering tokens at 0.1
+      await offeringToken.transfer(seeder.address, units("400"));
+    });
+
+    it("Should only seed completed pools that use the seeder", async function () {
+      await expect(seeder.seedLiquidity()).to.be.revertedWith("IDO not completed");
+
+      const other = await deployPool(paymentToken.address);
+      const IDOPoolLiquidity = await ethers.getContractFactory("IDOPoolLiquidity");
+      const unused = await IDOPoolLiquidity.deploy(other.address, router.address, 5000, LOCK_DURATION, treasury.address);
+      await expect(unused.seedLiquidity()).to.be.revertedWith("Pool does not use this seeder");
+    });
+
+    it("Should add the share of the raise at the sale price and send the rest to the treasury", async function () {
+      await runSale(idoPool);
+      expect(await seeder.getLiquidityAmounts()).to.deep.equal([units("32"), units("320")]);
+
+      const treasuryBefore = await paymentToken.balanceOf(treasury.address);
+      await expect(seeder.connect(user1).seedLiquidity())
+        .to.emit(idoPool, "RaisedFundsWithdrawn")
+        .withArgs(units("80"))
+        .and.to.emit(seeder, "LiquiditySeeded");
+
+      const pair = await ethers.getContractAt("MockUniswapV2Pair", await seeder.lpToken());
+      expect(await uniswapFactory.getPair(paymentToken.address, offeringToken.address)).to.equal(pair.address);
+      expect(await paymentToken.balanceOf(pair.address)).to.equal(units("32"));
+      expect(await offeringToken.balanceOf(pair.address)).to.equal(units("320"));
+
+      // sqrt(32 * 320) = 101.19..., less the minimum liquidity burnt by the pair
+      const liquidity = await seeder.lockedLiquidity();
+      expect(await pair.balanceOf(seeder.address)).to.equal(liquidity);
+      expect(liquidity).to.be.closeTo(units("101.19"), units("0.01"));
+
+      expect(await paymentToken.balanceOf(treasury.address)).to.equal(treasuryBefore.add(units("48")));
+      expect(await paymentToken.balanceOf(seeder.address)).to.equal(0);
+      await expect(seeder.seedLiquidity()).to.be.revertedWith("Liquidity already seeded");
+    });
+
+    it("Should receive the raise when a treasury withdraws it", async function () {
+      await runSale(idoPool);
+
+      await expect(idoPool.withdrawRaisedFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn")
+        .withArgs(units("80"));
+      expect(await paymentToken.balanceOf(seeder.address)).to.equal(units("80"));
+
+      await seeder.seedLiquidity();
+      expect(await paymentToken.balanceOf(await seeder.lpToken())).to.equal(units("32"));
+    });
+
+    it("Should return the escrow when the pool does not reach its soft cap", async function () {
+      await runSale(idoPool, undefined, ["10", "10"]);
+      expect(await idoPool.poolState()).to.equal(4); // Refunding state
+
+      await expect(seeder.releaseFunds())
+        .to.emit(seeder, "FundsReleased")
+        .withArgs(0, units("400"));
+      expect(await offeringToken.balanceOf(treasury.address)).to.equal(units("400"));
+    });
+
+    it("Should take the share from the raise an oversubscribed pool keeps", async function () {
+      const pool = await deployPool(paymentToken.address);
+      const overflowSeeder = await deploySeeder(pool);
+      await pool.setOverflowMode(true);
+      await offeringToken.transfer(overflowSeeder.address, units("400"));
+      await paymentToken.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+      await paymentToken.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+
+      // 120 raised against the hard cap of 100, so 20 goes back to the buyers
+      await runSale(pool, undefined, ["60", "60"]);
+      expect(await overflowSeeder.getLiquidityAmounts()).to.deep.equal([units("40"), units("400")]);
+
+      const treasuryBefore = await paymentToken.balanceOf(treasury.address);
+      await expect(overflowSeeder.seedLiquidity())
+        .to.emit(pool, "RaisedFundsWithdrawn")
+        .withArgs(units("100"));
+
+      const pair = await overflowSeeder.lpToken();
+      expect(await paymentToken.balanceOf(pair)).to.equal(units("40"));
+      expect(await offeringToken.balanceOf(pair)).to.equal(units("400"));
+      expect(await paymentToken.balanceOf(treasury.address)).to.equal(treasuryBefore.add(units("60")));
+
+      // Claiming the excess leaves the settled raise where it was
+      await pool.connect(user1).claimTokens();
+      expect(await pool.getOutstandingPayments()).to.equal(units("10"));
+      expect(await overflowSeeder.getLiquidityAmounts()).to.deep.equal([units("40"), units("400")]);
+    });
+
+    it("Should seed native currency pools against wrapped native currency", async function () {
+      const pool = await deployPool(ethers.constants.AddressZero);
+      const nativeSeeder = await deploySeeder(pool);
+      await offeringToken.transfer(nativeSeeder.address, units("400"));
+      await runSale(pool, (user, amount) => pool.connect(user).buyTokens(amount, { value: amount }));
+
+      const treasuryBefore = await ethers.provider.getBalance(treasury.address);
+      await nativeSeeder.connect(user1).seedLiquidity();
+
+      const pair = await nativeSeeder.lpToken();
+      expect(pair).to.equal(await uniswapFactory.getPair(weth.address, offeringToken.address));
+      expect(await weth.balanceOf(pair)).to.equal(units("32"));
+      expect(await offeringToken.balanceOf(pair)).to.equal(units("320"));
+      expect(await ethers.provider.getBalance(treasury.address)).to.equal(treasuryBefore.add(units("48")));
+    });
+  });
+
+  describe("Lock", function () {
+    beforeEach(async function () {
+      await offeringToken.transfer(seeder.address, units("400"));
+      await runSale(idoPool);
+    });
+
+    it("Should keep the LP tokens for the lock duration after seeding", async function () {
+      expect(await seeder.unlockTime()).to.equal(0);
+      await seeder.seedLiquidity();
+      const unlockTime = await seeder.unlockTime();
+      expect(unlockTime).to.equal((await seeder.seededAt()).add(LOCK_DURATION));
+      const liquidity = await seeder.lockedLiquidity();
+      const pair = await ethers.getContractAt("MockUniswapV2Pair", await seeder.lpToken());
+
+      await expect(seeder.withdrawLiquidity()).to.be.revertedWith("Liquidity is locked");
+
+      await time.increaseTo(unlockTime);
+      await expect(seeder.connect(user1).withdrawLiquidity())
+        .to.emit(seeder, "LiquidityWithdrawn")
+        .withArgs(liquidity);
+      expect(await pair.balanceOf(treasury.address)).to.equal(liquidity);
+      await expect(seeder.withdrawLiquidity()).to.be.revertedWith("No liquidity to withdraw");
+    });
+
+    it("Should release leftover offering tokens once liquidity is seeded", async function () {
+      await expect(seeder.releaseFunds()).to.be.revertedWith("Liquidity not seeded yet");
+
+      await seeder.seedLiquidity();
+      await expect(seeder.releaseFunds())
+        .to.emit(seeder, "FundsReleased")
+        .withArgs(0, units("80"));
+      expect(await offeringToken.balanceOf(treasury.address)).to.equal(units("80"));
+    });
+
+    it("Should sweep the payment balance to the seeder for its treasury", async function () {
+      await time.increaseTo((await idoPool.getSweepTime()).add(1));
+
+      const ownerBefore = await paymentToken.balanceOf(owner.address);
+      await expect(idoPool.sweepUnclaimed())
+        .to.emit(idoPool, "UnclaimedSwept")
+        .withArgs(units("80"), units("1000"));
+      expect(await paymentToken.balanceOf(owner.address)).to.equal(ownerBefore);
+      expect(await paymentToken.balanceOf(seeder.address)).to.equal(units("80"));
+      expect(await idoPool.raisedFundsWithdrawn()).to.equal(true);
+
+      await expect(seeder.releaseFunds())
+        .to.emit(seeder, "FundsReleased")
+        .withArgs(units("80"), units("400"));
+      expect(await paymentToken.balanceOf(treasury.address)).to.equal(units("80"));
+    });
+
+    it("Should add to a pair that trades within the slippage tolerance at its price", async function () {
+      // Someone lists the pair first at 10 for 98, about 0.102
+      await paymentToken.approve(router.address, units("10"));
+      await offeringToken.approve(router.address, units("98"));
+      const now = await time.latest();
+      await router.addLiquidity(paymentToken.address, offeringToken.address, units("10"), units("98"), 0, 0, owner.address, now + 100);
+      const pair = await uniswapFactory.getPair(paymentToken.address, offeringToken.address);
+
+      // 32 pairs with 313.6 at the pair's price rather than 320
+      const receipt = await (await seeder.seedLiquidity()).wait();
+      const seeded = receipt.events.find((event) => event.event === "LiquiditySeeded");
+      expect(seeded.args.slice(0, 3)).to.deep.equal([pair, units("32"), units("313.6")]);
+      expect(await paymentToken.balanceOf(pair)).to.equal(units("42"));
+      expect(await offeringToken.balanceOf(pair)).to.equal(units("411.6"));
+
+      await expect(seeder.releaseFunds())
+        .to.emit(seeder, "FundsReleased")
+        .withArgs(0, units("86.4"));
+    });
+
+    it("Should release the raise to the treasury when the pair trades too far from the sale price", async function () {
+      // Someone lists the pair first at 0.2
+      await paymentToken.approve(router.address, units("10"));
+      await offeringToken.approve(router.address, units("50"));
+      const now = await time.latest();
+      await router.addLiquidity(paymentToken.address, offeringToken.address, units("10"), units("50"), 0, 0, owner.address, now + 100);
+
+      await expect(seeder.seedLiquidity()).to.be.revertedWith("UniswapV2Router: INSUFFICIENT_B_AMOUNT");
+      await expect(seeder.releaseFunds()).to.be.revertedWith("Liquidity not seeded yet");
+
+      const deadline = await seeder.seedingDeadline();
+      expect(deadline).to.equal(refundEndTime + 30 * 86400);
+      await time.increaseTo(deadline.add(1));
+      await expect(seeder.seedLiquidity()).to.be.revertedWith("Seeding period over");
+
+      const treasuryBefore = await paymentToken.balanceOf(treasury.address);
+      await expect(seeder.connect(user1).releaseFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn")
+        .withArgs(units("80"))
+        .and.to.emit(seeder, "FundsReleased")
+        .withArgs(units("80"), units("400"));
+      expect(await paymentToken.balanceOf(treasury.address)).to.equal(treasuryBefore.add(units("80")));
+      expect(await offeringToken.balanceOf(treasury.address)).to.equal(units("400"));
+    });
+  });
+
+  describe("Lens", function () {
+    it("Should report the liquidity seeder", async function () {
+      const IDOPoolLens = await ethers.getContractFactory("IDOPoolLens");
+      const lens = await IDOPoolLens.deploy();
+
+      expect((await lens.getPoolInfo(idoPool.address)).liquiditySeeder).to.equal(seeder.address);
+    });
+  });
+});
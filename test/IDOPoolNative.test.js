@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Payment Modes", function () {
+  let offeringToken, paymentToken;
+  let owner, user1, user2, user3, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  const deployPool = async (paymentTokenAddress) => {
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const pool = await IDOPool.deploy(
+      paymentTokenAddress,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await pool.deployed();
+
+    // Deposit offering tokens
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(pool.address, offeringAmount);
+    await pool.depositOfferingTokens(offeringAmount);
+
+    // Set pool times
+    const now = await time.latest();
+    const startTime = now + 3600;
+    const endTime = startTime + 86400;
+    const refundEndTime = endTime + 86400;
+    await pool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+
+    return pool;
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+  });
+
+  describe("Native Currency Pools", function () {
+    let idoPool;
+
+    beforeEach(async function () {
+      idoPool = await deployPool(ethers.constants.AddressZero);
+    });
+
+    it("Should be configured for native payment", async function () {
+      expect(await idoPool.isNativePayment()).to.equal(true);
+      expect(await idoPool.paymentToken()).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should accept contributions sent as native currency", async function () {
+      const contributionAmount = ethers.utils.parseEther("5");
+
+      await expect(
+        idoPool.connect(user1).buyTokens(contributionAmount, { value: contributionAmount })
+      ).to.changeEtherBalances([user1, idoPool], [contributionAmount.mul(-1), contributionAmount]);
+
+      expect(await idoPool.contributions(user1.address)).to.equal(contributionAmount);
+      expect(await idoPool.totalRaised()).to.equal(contributionAmount);
+    });
+
+    it("Should reject a value that does not match the amount", async function () {
+      await expect(
+        idoPool.connect(user1).buyTokens(ethers.utils.parseEther("5"), { value: ethers.utils.parseEther("4") })
+      ).to.be.revertedWith("Incorrect native amount sent");
+
+      await expect(
+        idoPool.connect(user1).buyTokens(ethers.utils.parseEther("5"))
+      ).to.be.revertedWith("Incorrect native amount sent");
+    });
+
+    it("Should refund native currency when the soft cap is missed", async function () {
+      const contributionAmount = ethers.utils.parseEther("10");
+      await idoPool.connect(user1).buyTokens(contributionAmount, { value: contributionAmount });
+
+      await time.increaseTo((await idoPool.endTime()).toNumber() + 1);
+      await idoPool.finalize();
+
+      await expect(
+        idoPool.connect(user1).claimRefund()
+      ).to.changeEtherBalances([user1, idoPool], [contributionAmount, contributionAmount.mul(-1)]);
+    });
+
+    it("Should let the owner withdraw raised native currency", async function () {
+      const contributionAmount = ethers.utils.parseEther("10");
+      for (const user of [user1, user2, user3, addrs[0], addrs[1]]) {
+        await idoPool.connect(user).buyTokens(contributionAmount, { value: contributionAmount });
+      }
+
+      await time.increaseTo((await idoPool.endTime()).toNumber() + 1);
+      await idoPool.finalize();
+      await time.increaseTo((await idoPool.refundEndTime()).toNumber() + 1);
+
+      await expect(
+        idoPool.withdrawRaisedFunds()
+      ).to.changeEtherBalances([owner, idoPool], [SOFT_CAP, SOFT_CAP.mul(-1)]);
+
+      await idoPool.connect(user1).claimTokens();
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("Should reject plain transfers of native currency", async function () {
+      await expect(
+        user1.sendTransaction({ to: idoPool.address, value: ethers.utils.parseEther("1") })
+      ).to.be.reverted;
+    });
+  });
+
+  describe("ERC-20 Pools", function () {
+    let idoPool;
+
+    beforeEach(async function () {
+      idoPool = await deployPool(paymentToken.address);
+      await paymentToken.transfer(user1.address, ethers.utils.parseEther("100"));
+      await paymentToken.connect(user1).approve(idoPool.address, ethers.constants.MaxUint256);
+    });
+
+    it("Should be configured for token payment", async function () {
+      expect(await idoPool.isNativePayment()).to.equal(false);
+      expect(await idoPool.paymentToken()).to.equal(paymentToken.address);
+    });
+
+    it("Should accept contributions paid in the payment token", async function () {
+      const contributionAmount = ethers.utils.parseEther("5");
+
+      await expect(
+        idoPool.connect(user1).buyTokens(contributionAmount)
+      ).to.changeTokenBalances(paymentToken, [user1, idoPool], [contributionAmount.mul(-1), contributionAmount]);
+    });
+
+    it("Should reject native currency sent with a purchase", async function () {
+      const contributionAmount = ethers.utils.parseEther("5");
+
+      await expect(
+        idoPool.connect(user1).buyTokens(contributionAmount, { value: contributionAmount })
+      ).to.be.revertedWith("Pool does not accept native currency");
+    });
+
+    it("Should reject plain transfers of native currency", async function () {
+      await expect(
+        user1.sendTransaction({ to: idoPool.address, value: ethers.utils.parseEther("1") })
+      ).to.be.reverted;
+    });
+  });
+});
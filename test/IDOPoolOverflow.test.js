@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Overflow", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, user1, user2, user3, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("100");
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Deploy IDO pool
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+
+    // Distribute tokens and approve
+    for (const user of [user1, user2, user3]) {
+      await paymentToken.transfer(user.address, ethers.utils.parseEther("200"));
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
+
+    await idoPool.setOverflowMode(true);
+
+    // Deposit exactly enough offering tokens for the hard cap
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(idoPool.address, offeringAmount);
+    await idoPool.depositOfferingTokens(offeringAmount);
+
+    // Set pool times
+    const now = await time.latest();
+    const startTime = now + 3600;
+    const endTime = startTime + 86400;
+    const refundEndTime = endTime + 86400;
+    await idoPool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+  });
+
+  const endSale = async () => {
+    await time.increaseTo((await idoPool.endTime()).toNumber() + 1);
+    await idoPool.finalize();
+  };
+
+  describe("Commitments", function () {
+    it("Should accept commitments beyond the hard cap", async function () {
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("100"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("60"));
+      await idoPool.connect(user3).buyTokens(ethers.utils.parseEther("40"));
+
+      expect(await idoPool.totalRaised()).to.equal(ethers.utils.parseEther("200"));
+    });
+
+    it("Should not allow finalizing before the end time once the hard cap is hit", async function () {
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("100"));
+
+      await expect(idoPool.finalize()).to.be.revertedWith("IDO not yet ended");
+    });
+
+    it("Should only let the owner change overflow mode before the sale", async function () {
+      await expect(
+        idoPool.setOverflowMode(false)
+      ).to.be.revertedWith("Cannot update overflow mode after IDO has started");
+
+      await expect(
+        idoPool.connect(user1).setOverflowMode(false)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Pro-rata Allocation", function () {
+    beforeEach(async function () {
+      // 200 committed against a 100 hard cap
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("100"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("60"));
+      await idoPool.connect(user3).buyTokens(ethers.utils.parseEther("40"));
+    });
+
+    it("Should report expected allocations and refunds", async function () {
+      expect(await idoPool.getUserTokenAmount(user1.address)).to.equal(ethers.utils.parseEther("500"));
+      expect(await idoPool.getUserRefundAmount(user1.address)).to.equal(ethers.utils.parseEther("50"));
+
+      expect(await idoPool.getUserTokenAmount(user2.address)).to.equal(ethers.utils.parseEther("300"));
+      expect(await idoPool.getUserRefundAmount(user2.address)).to.equal(ethers.utils.parseEther("30"));
+    });
+
+    it("Should send tokens and the unused payment in a single claim", async function () {
+      await endSale();
+
+      const initialBalance = await paymentToken.balanceOf(user1.address);
+      await expect(idoPool.connect(user1).claimTokens())
+        .to.emit(idoPool, "TokensClaimed").withArgs(user1.address, ethers.utils.parseEther("500"))
+        .and.to.emit(idoPool, "ExcessRefunded").withArgs(user1.address, ethers.utils.parseEther("50"));
+
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("500"));
+      expect(await paymentToken.balanceOf(user1.address)).to.equal(initialBalance.add(ethers.utils.parseEther("50")));
+
+      await expect(
+        idoPool.connect(user1).claimTokens()
+      ).to.be.revertedWith("Tokens already claimed");
+    });
+
+    it("Should return excess even before any tokens vest", async function () {
+      // Deploy a fresh pool with everything locked behind a cliff
+      const IDOPool = await ethers.getContractFactory("IDOPool");
+      const vestedPool = await IDOPool.deploy(
+        paymentToken.address,
+        offeringToken.address,
+        TOKEN_PRICE,
+        SOFT_CAP,
+        HARD_CAP,
+        MIN_CONTRIBUTION,
+        MAX_CONTRIBUTION
+      );
+      await vestedPool.setOverflowMode(true);
+      await vestedPool.updateVestingSchedule(0, 86400, 0);
+      await offeringToken.approve(vestedPool.address, ethers.utils.parseEther("1000"));
+      await vestedPool.depositOfferingTokens(ethers.utils.parseEther("1000"));
+
+      const now = await time.latest();
+      await vestedPool.startPool(now + 100, now + 1000, now + 2000);
+      await time.increaseTo(now + 100);
+
+      await paymentToken.connect(user1).approve(vestedPool.address, ethers.constants.MaxUint256);
+      await paymentToken.connect(user2).approve(vestedPool.address, ethers.constants.MaxUint256);
+      await vestedPool.connect(user1).buyTokens(ethers.utils.parseEther("100"));
+      await vestedPool.connect(user2).buyTokens(ethers.utils.parseEther("100"));
+
+      await time.increaseTo(now + 1001);
+      await vestedPool.finalize();
+
+      await expect(vestedPool.connect(user1).claimTokens())
+        .to.emit(vestedPool, "ExcessRefunded").withArgs(user1.address, ethers.utils.parseEther("50"))
+        .and.not.to.emit(vestedPool, "TokensClaimed");
+
+      await expect(
+        vestedPool.connect(user1).claimTokens()
+      ).to.be.revertedWith("No tokens vested yet");
+    });
+
+    it("Should only release the capped amount to the owner", async function () {
+      await endSale();
+      await time.increaseTo((await idoPool.refundEndTime()).toNumber() + 1);
+
+      const initialBalance = await paymentToken.balanceOf(owner.address);
+      await idoPool.withdrawRaisedFunds();
+      expect(await paymentToken.balanceOf(owner.address)).to.equal(initialBalance.add(HARD_CAP));
+
+      await expect(
+        idoPool.withdrawRaisedFunds()
+      ).to.be.revertedWith("Funds already withdrawn");
+
+      // Every user can still collect their excess after the owner withdraws
+      for (const user of [user1, user2, user3]) {
+        await idoPool.connect(user).claimTokens();
+      }
+      expect(await paymentToken.balanceOf(idoPool.address)).to.equal(0);
+      expect(await offeringToken.balanceOf(idoPool.address)).to.equal(0);
+    });
+
+    it("Should keep the pool solvent when shares do not divide evenly", async function () {
+      await paymentToken.transfer(addrs[0].address, ethers.utils.parseEther("10"));
+      await paymentToken.connect(addrs[0]).approve(idoPool.address, ethers.constants.MaxUint256);
+      await idoPool.connect(addrs[0]).buyTokens(ethers.utils.parseEther("3.333333333333333333"));
+
+      await endSale();
+      await time.increaseTo((await idoPool.refundEndTime()).toNumber() + 1);
+      await idoPool.withdrawRaisedFunds();
+
+      for (const user of [user1, user2, user3, addrs[0]]) {
+        await idoPool.connect(user).claimTokens();
+      }
+      expect(await idoPool.totalDistributed()).to.be.lte(ethers.utils.parseEther("1000"));
+    });
+  });
+
+  describe("Undersubscribed", function () {
+    it("Should give full allocations and no refunds when below the hard cap", async function () {
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("30"));
+      await idoPool.connect(user2).buyTokens(ethers.utils.parseEther("30"));
+      await endSale();
+
+      expect(await idoPool.getUserTokenAmount(user1.address)).to.equal(ethers.utils.parseEther("300"));
+      expect(await idoPool.getUserRefundAmount(user1.address)).to.equal(0);
+
+      await expect(idoPool.connect(user1).claimTokens())
+        .to.not.emit(idoPool, "ExcessRefunded");
+    });
+  });
+});
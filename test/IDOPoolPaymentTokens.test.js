@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Payment Tokens", function () {
+  let offeringToken;
+  let owner, user1, user2, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("50");
+
+  const ONE = ethers.utils.parseEther("1");
+  const units = (amount) => ethers.utils.parseEther(amount);
+
+  // Deploys and starts a pool, running setup while it is still pending
+  const deployPool = async (paymentToken, setup = async () => {}) => {
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const pool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await pool.deployed();
+    await setup(pool);
+
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(pool.address, offeringAmount);
+    await pool.depositOfferingTokens(offeringAmount);
+
+    const now = await time.latest();
+    const startTime = now + 3600;
+    const endTime = startTime + 86400;
+    const refundEndTime = endTime + 86400;
+    await pool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.transfer(user.address, units("200"));
+      await paymentToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    }
+
+    return pool;
+  };
+
+  const endSale = async (pool) => {
+    await time.increaseTo((await pool.endTime()).toNumber() + 1);
+    await pool.finalize();
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, ...addrs] = await ethers.getSigners();
+
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await offeringToken.deployed();
+  });
+
+  describe("Fee-on-transfer tokens", function () {
+    let idoPool, feeToken;
+
+    beforeEach(async function () {
+      // 1% of every transfer is burned
+      const FeeFactory = await ethers.getContractFactory("MockFeeERC20");
+      feeToken = await FeeFactory.deploy("Fee Token", "FEE", 18, 1000000, 100);
+      await feeToken.deployed();
+      idoPool = await deployPool(feeToken);
+    });
+
+    it("Should credit the amount received after the fee", async function () {
+      await expect(idoPool.connect(user1).buyTokens(units("10")))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(user1.address, units("9.9"), units("99"));
+
+      expect(await idoPool.contributions(user1.address)).to.equal(units("9.9"));
+      expect(await idoPool.totalRaised()).to.equal(units("9.9"));
+      expect(await feeToken.balanceOf(idoPool.address)).to.equal(units("9.9"));
+    });
+
+    it("Should check the limits against the amount received", async function () {
+      // 50.5 arrives as 49.995, under the maximum contribution
+      await idoPool.connect(user1).buyTokens(units("50.5"));
+      expect(await idoPool.contributions(user1.address)).to.equal(units("49.995"));
+
+      await expect(idoPool.connect(user2).buyTokens(units("51")))
+        .to.be.revertedWith("Exceeds maximum contribution");
+      await expect(idoPool.connect(user2).buyTokens(units("1")))
+        .to.be.revertedWith("Contribution below minimum");
+    });
+
+    it("Should be able to refund every contribution", async function () {
+      await idoPool.connect(user1).buyTokens(units("10"));
+      await idoPool.connect(user2).buyTokens(units("20"));
+      await endSale(idoPool);
+      expect(await idoPool.poolState()).to.equal(4); // Refunding state
+
+      await idoPool.connect(user1).claimRefund();
+      await idoPool.connect(user2).claimRefund();
+      expect(await feeToken.balanceOf(idoPool.address)).to.equal(0);
+      expect(await idoPool.getOutstandingPayments()).to.equal(0);
+    });
+  });
+
+  describe("Rebasing tokens", function () {
+    let idoPool, rebasingToken;
+
+    beforeEach(async function () {
+      const RebasingFactory = await ethers.getContractFactory("MockRebasingERC20");
+      rebasingToken = await RebasingFactory.deploy("Rebasing Token", "REB", 18, 1000000);
+      await rebasingToken.deployed();
+      idoPool = await deployPool(rebasingToken);
+    });
+
+    it("Should reject tokens that deliver more than was sent", async function () {
+      await rebasingToken.rebaseOnNextTransfer(ONE.mul(11).div(10));
+
+      await expect(idoPool.connect(user1).buyTokens(units("10")))
+        .to.be.revertedWith("Unsupported payment token");
+      expect(await idoPool.totalRaised()).to.equal(0);
+    });
+
+    it("Should share a shortfall equally between refunds", async function () {
+      await idoPool.connect(user1).buyTokens(units("10"));
+      await idoPool.connect(user2).buyTokens(units("30"));
+      await endSale(idoPool);
+
+      // Shrinking every balance by a quarter leaves 30 for the 40 owed
+      await rebasingToken.rebase(ONE.mul(3).div(4));
+      await expect(idoPool.connect(user2).claimRefund())
+        .to.emit(idoPool, "RefundClaimed")
+        .withArgs(user2.address, units("22.5"));
+      await expect(idoPool.connect(user1).claimRefund())
+        .to.emit(idoPool, "RefundClaimed")
+        .withArgs(user1.address, units("7.5"));
+
+      // Both were paid three quarters of their contribution, whoever claimed first
+      expect(await rebasingToken.balanceOf(idoPool.address)).to.equal(0);
+      expect(await idoPool.getOutstandingPayments()).to.equal(0);
+    });
+
+    it("Should cut withdrawals by a rebase after purchase like refunds", async function () {
+      const LinearWithdrawalPenalty = await ethers.getContractFactory("LinearWithdrawalPenalty");
+      const withdrawalPolicy = await LinearWithdrawalPenalty.deploy(0, 0, 0);
+      idoPool = await deployPool(rebasingToken, (pool) =>
+        pool.setWithdrawalPolicy(withdrawalPolicy.address, ethers.constants.AddressZero)
+      );
+
+      await idoPool.connect(user1).buyTokens(units("10"));
+      await idoPool.connect(user2).buyTokens(units("30"));
+      expect(await idoPool.getOutstandingPayments()).to.equal(units("40"));
+
+      // Shrinking every balance by a quarter leaves 30 for the 40 contributed
+      await rebasingToken.rebase(ONE.mul(3).div(4));
+      const balanceBefore = await rebasingToken.balanceOf(user1.address);
+      await idoPool.connect(user1).withdrawContribution(units("10"));
+      expect(await rebasingToken.balanceOf(user1.address)).to.equal(balanceBefore.add(units("7.5")));
+
+      // The contributor who stays is owed the same share
+      await endSale(idoPool);
+      await expect(idoPool.connect(user2).claimRefund())
+        .to.emit(idoPool, "RefundClaimed")
+        .withArgs(user2.address, units("22.5"));
+    });
+
+    it("Should pass positive rebases on to the treasury", async function () {
+      await idoPool.connect(user1).buyTokens(units("30"));
+      await idoPool.connect(user2).buyTokens(units("20"));
+      await endSale(idoPool);
+      await time.increaseTo((await idoPool.refundEndTime()).toNumber() + 1);
+
+      await rebasingToken.rebase(ONE.mul(11).div(10));
+      await expect(idoPool.withdrawRaisedFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn")
+        .withArgs(units("55"));
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAllowlist, parseAllowlistCsv } = require("../scripts/generate-allowlist");
+
+describe("IDOPool Permit", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, user1, user2, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  const deployPool = async (paymentTokenAddress) => {
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const pool = await IDOPool.deploy(
+      paymentTokenAddress,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await pool.deployed();
+
+    // Deposit offering tokens
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(pool.address, offeringAmount);
+    await pool.depositOfferingTokens(offeringAmount);
+
+    // Set pool times
+    const now = await time.latest();
+    const startTime = now + 3600;
+    await pool.startPool(startTime, startTime + 86400, startTime + 2 * 86400);
+    await time.increaseTo(startTime);
+
+    return pool;
+  };
+
+  // Signs an EIP-2612 permit for the pool and returns the split signature
+  const signPermit = async (token, signer, spender, value, deadline) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId,
+      verifyingContract: token.address
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const message = {
+      owner: signer.address,
+      spender,
+      value,
+      nonce: await token.nonces(signer.address),
+      deadline
+    };
+
+    const signature = await signer._signTypedData(domain, types, message);
+    return ethers.utils.splitSignature(signature);
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const PermitTokenFactory = await ethers.getContractFactory("MockERC20Permit");
+    paymentToken = await PermitTokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Distribute tokens without any approvals
+    await paymentToken.transfer(user1.address, ethers.utils.parseEther("100"));
+    await paymentToken.transfer(user2.address, ethers.utils.parseEther("100"));
+
+    idoPool = await deployPool(paymentToken.address);
+  });
+
+  describe("Permit Purchases", function () {
+    it("Should buy tokens without a separate approval", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(paymentToken, user1, idoPool.address, amount, deadline);
+
+      await expect(idoPool.connect(user1).buyTokensWithPermit(amount, deadline, v, r, s))
+        .to.emit(idoPool, "TokensPurchased").withArgs(user1.address, amount, ethers.utils.parseEther("50"));
+
+      expect(await idoPool.contributions(user1.address)).to.equal(amount);
+      expect(await paymentToken.allowance(user1.address, idoPool.address)).to.equal(0);
+      expect(await paymentToken.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should still buy when the permit was front-run", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(paymentToken, user1, idoPool.address, amount, deadline);
+
+      // Someone else submits the signature first
+      await paymentToken.connect(user2).permit(user1.address, idoPool.address, amount, deadline, v, r, s);
+
+      await idoPool.connect(user1).buyTokensWithPermit(amount, deadline, v, r, s);
+      expect(await idoPool.contributions(user1.address)).to.equal(amount);
+    });
+
+    it("Should reject signatures that do not grant an allowance", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const deadline = (await time.latest()) + 3600;
+
+      // Signed by a different account
+      const forged = await signPermit(paymentToken, user2, idoPool.address, amount, deadline);
+      await expect(
+        idoPool.connect(user1).buyTokensWithPermit(amount, deadline, forged.v, forged.r, forged.s)
+      ).to.be.revertedWith("ERC20: insufficient allowance");
+
+      // Expired
+      const expiredDeadline = await time.latest();
+      const expired = await signPermit(paymentToken, user1, idoPool.address, amount, expiredDeadline);
+      await expect(
+        idoPool.connect(user1).buyTokensWithPermit(amount, expiredDeadline, expired.v, expired.r, expired.s)
+      ).to.be.revertedWith("ERC20: insufficient allowance");
+    });
+
+    it("Should enforce the usual purchase rules", async function () {
+      const amount = ethers.utils.parseEther("11");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(paymentToken, user1, idoPool.address, amount, deadline);
+
+      await expect(
+        idoPool.connect(user1).buyTokensWithPermit(amount, deadline, v, r, s)
+      ).to.be.revertedWith("Exceeds maximum contribution");
+    });
+
+    it("Should be blocked during the allowlist-only phase", async function () {
+      await idoPool.setAllowlistOnly(true);
+
+      const amount = ethers.utils.parseEther("5");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(paymentToken, user1, idoPool.address, amount, deadline);
+
+      await expect(
+        idoPool.connect(user1).buyTokensWithPermit(amount, deadline, v, r, s)
+      ).to.be.revertedWith("Allowlist-only phase");
+    });
+  });
+
+  describe("Allowlist Purchases", function () {
+    let allowlist;
+
+    beforeEach(async function () {
+      // user1 is allowed above the global max, user2 below it
+      allowlist = buildAllowlist(parseAllowlistCsv([
+        "address,maxAllocation",
+        `${user1.address},25`,
+        `${user2.address},3`
+      ].join("\n"), 18));
+      await idoPool.setMerkleRoot(allowlist.root);
+      await idoPool.setAllowlistOnly(true);
+    });
+
+    const buyWithPermitAndProof = async (user, amount, claim = allowlist.claims[user.address]) => {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(paymentToken, user, idoPool.address, amount, deadline);
+      return idoPool.connect(user).buyTokensWithPermitAndProof(
+        amount, claim.maxAllocation, claim.proof, deadline, v, r, s
+      );
+    };
+
+    it("Should buy up to the allocation without a separate approval", async function () {
+      const amount = ethers.utils.parseEther("25");
+      await expect(buyWithPermitAndProof(user1, amount))
+        .to.emit(idoPool, "TokensPurchased").withArgs(user1.address, amount, ethers.utils.parseEther("250"));
+
+      expect(await idoPool.contributions(user1.address)).to.equal(amount);
+      expect(await paymentToken.allowance(user1.address, idoPool.address)).to.equal(0);
+      await expect(buyWithPermitAndProof(user1, ethers.utils.parseEther("1")))
+        .to.be.revertedWith("Exceeds maximum contribution");
+    });
+
+    it("Should check the proof like buyTokensWithProof", async function () {
+      const amount = ethers.utils.parseEther("5");
+
+      // user2 claiming user1's allocation
+      await expect(buyWithPermitAndProof(user2, amount, allowlist.claims[user1.address]))
+        .to.be.revertedWith("Invalid allowlist proof");
+      await expect(buyWithPermitAndProof(user2, amount))
+        .to.be.revertedWith("Exceeds maximum contribution");
+
+      await idoPool.setMerkleRoot(ethers.constants.HashZero);
+      await expect(buyWithPermitAndProof(user1, amount))
+        .to.be.revertedWith("Allowlist not set");
+    });
+  });
+
+  describe("Fallback", function () {
+    it("Should fall back to a plain approval for tokens without permit", async function () {
+      const TokenFactory = await ethers.getContractFactory("MockERC20");
+      const plainToken = await TokenFactory.deploy("Plain Token", "PLAIN", 18, 1000000);
+      await plainToken.deployed();
+      const pool = await deployPool(plainToken.address);
+
+      const amount = ethers.utils.parseEther("5");
+      await plainToken.transfer(user1.address, amount);
+      await plainToken.connect(user1).approve(pool.address, amount);
+
+      await pool.connect(user1).buyTokensWithPermit(amount, 0, 0, ethers.constants.HashZero, ethers.constants.HashZero);
+      expect(await pool.contributions(user1.address)).to.equal(amount);
+    });
+
+    it("Should not be available for native currency pools", async function () {
+      const pool = await deployPool(ethers.constants.AddressZero);
+
+      await expect(
+        pool.connect(user1).buyTokensWithPermit(ethers.utils.parseEther("5"), 0, 0, ethers.constants.HashZero, ethers.constants.HashZero)
+      ).to.be.revertedWith("Permit not available for native currency");
+    });
+  });
+});
@@ -0,0 +1,322 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Pricing", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, user1, user2, treasury, addrs;
+  let startTime, endTime;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("60");
+
+  const SALE_DURATION = 2000;
+  const units = (amount) => ethers.utils.parseEther(amount);
+
+  // Deposits what the hard cap requires at the pool's prices, so the next block opens the sale
+  const startSale = async () => {
+    const offeringAmount = await idoPool.getTokenAmount(HARD_CAP);
+    await offeringToken.approve(idoPool.address, offeringAmount);
+    await idoPool.depositOfferingTokens(offeringAmount);
+
+    startTime = (await time.latest()) + 3600;
+    endTime = startTime + SALE_DURATION;
+    await idoPool.startPool(startTime, endTime, endTime + 86400);
+    await time.increaseTo(startTime - 1);
+  };
+
+  // Buys at an exact time, so auction prices are predictable
+  const buyAt = async (user, amount, timestamp) => {
+    await time.setNextBlockTimestamp(timestamp);
+    return idoPool.connect(user).buyTokens(amount);
+  };
+
+  const deployTiered = async (caps, prices) => {
+    const TieredPricing = await ethers.getContractFactory("TieredPricing");
+    return TieredPricing.deploy(caps.map(units), prices.map(units));
+  };
+
+  const deployDutch = async (startPrice, floorPrice, duration) => {
+    const DutchAuctionPricing = await ethers.getContractFactory("DutchAuctionPricing");
+    return DutchAuctionPricing.deploy(units(startPrice), units(floorPrice), duration);
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasury, ...addrs] = await ethers.getSigners();
+
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+    await idoPool.grantRole(await idoPool.TREASURY_ROLE(), treasury.address);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.transfer(user.address, units("100"));
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  describe("Strategy", function () {
+    it("Should let the owner set a strategy before the sale", async function () {
+      const pricing = await deployTiered(["40"], ["0.1", "0.2"]);
+      await expect(idoPool.setPricingStrategy(pricing.address))
+        .to.emit(idoPool, "PricingStrategyUpdated")
+        .withArgs(pricing.address);
+      expect(await idoPool.pricingStrategy()).to.equal(pricing.address);
+
+      await expect(idoPool.connect(user1).setPricingStrategy(ethers.constants.AddressZero))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await startSale();
+      await expect(idoPool.setPricingStrategy(ethers.constants.AddressZero))
+        .to.be.revertedWith("Cannot update pricing after IDO has started");
+    });
+
+    it("Should not combine strategies with overflow mode", async function () {
+      const pricing = await deployTiered(["40"], ["0.1", "0.2"]);
+
+      await idoPool.setOverflowMode(true);
+      await expect(idoPool.setPricingStrategy(pricing.address))
+        .to.be.revertedWith("Overflow mode requires fixed pricing");
+
+      await idoPool.setOverflowMode(false);
+      await idoPool.setPricingStrategy(pricing.address);
+      await expect(idoPool.setOverflowMode(true))
+        .to.be.revertedWith("Overflow mode requires fixed pricing");
+    });
+
+    it("Should require the deposit to cover the hard cap at the prices the sale starts with", async function () {
+      await offeringToken.approve(idoPool.address, units("1400"));
+      await idoPool.depositOfferingTokens(units("1000"));
+
+      // 800 at 0.05 for the first 40 and 600 at 0.1 for the rest
+      const pricing = await deployTiered(["40"], ["0.05", "0.1"]);
+      await idoPool.setPricingStrategy(pricing.address);
+      const now = await time.latest();
+      await expect(idoPool.startPool(now + 3600, now + 7200, now + 10800))
+        .to.be.revertedWith("Insufficient tokens for hard cap");
+
+      await expect(idoPool.depositOfferingTokens(units("399")))
+        .to.be.revertedWith("Insufficient tokens for hard cap");
+      await idoPool.depositOfferingTokens(units("400"));
+      await idoPool.startPool(now + 3600, now + 7200, now + 10800);
+    });
+
+    it("Should reject invalid tiers and auctions", async function () {
+      await expect(deployTiered(["40"], ["0.1"])).to.be.revertedWith("Invalid tier count");
+      await expect(deployTiered([], ["0"])).to.be.revertedWith("Token price must be greater than zero");
+      await expect(deployTiered(["40", "40"], ["0.1", "0.2", "0.3"])).to.be.revertedWith("Tier caps must increase");
+      await expect(deployTiered(["40"], ["0.2", "0.1"])).to.be.revertedWith("Tier prices cannot decrease");
+
+      await expect(deployDutch("0.2", "0", 100)).to.be.revertedWith("Token price must be greater than zero");
+      await expect(deployDutch("0.1", "0.2", 100)).to.be.revertedWith("Start price below floor price");
+      await expect(deployDutch("0.2", "0.1", 0)).to.be.revertedWith("Duration must be greater than zero");
+    });
+  });
+
+  describe("Tiered", function () {
+    let pricing;
+
+    beforeEach(async function () {
+      // 40 at 0.1, 40 at 0.125 and the rest at 0.2
+      pricing = await deployTiered(["40", "80"], ["0.1", "0.125", "0.2"]);
+      await idoPool.setPricingStrategy(pricing.address);
+    });
+
+    it("Should require enough tokens to sell the hard cap through every tier", async function () {
+      // 400 + 320 + 100
+      expect(await idoPool.getTokenAmount(HARD_CAP)).to.equal(units("820"));
+
+      await offeringToken.approve(idoPool.address, units("820"));
+      await expect(idoPool.depositOfferingTokens(units("819")))
+        .to.be.revertedWith("Insufficient tokens for hard cap");
+      await idoPool.depositOfferingTokens(units("820"));
+    });
+
+    it("Should split purchases that cross a tier cap", async function () {
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("30"));
+      expect(await pricing.getCurrentPrice(idoPool.address)).to.equal(units("0.1"));
+
+      // 10 at 0.1 and 10 at 0.125
+      await expect(idoPool.connect(user2).buyTokens(units("20")))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(user2.address, units("20"), units("180"));
+      expect(await pricing.getCurrentPrice(idoPool.address)).to.equal(units("0.125"));
+      expect(await idoPool.getTokenAmount(units("1"))).to.equal(units("8"));
+
+      expect(await idoPool.getUserTokenAmount(user1.address)).to.equal(units("300"));
+      expect(await idoPool.getUserTokenAmount(user2.address)).to.equal(units("180"));
+    });
+
+    it("Should reserve and deliver the tokens each purchase bought", async function () {
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("30"));
+      await idoPool.connect(user2).buyTokens(units("20"));
+
+      await time.increaseTo(endTime + 1);
+      await idoPool.finalize();
+      expect(await idoPool.totalTokensSold()).to.equal(units("480"));
+      expect(await idoPool.getOutstandingTokens()).to.equal(units("480"));
+      expect(await idoPool.getOutstandingPayments()).to.equal(0);
+
+      await idoPool.connect(user2).claimTokens();
+      expect(await offeringToken.balanceOf(user2.address)).to.equal(units("180"));
+      expect(await idoPool.getUserRefundAmount(user2.address)).to.equal(0);
+
+      await time.increaseTo(endTime + 86401);
+      await expect(idoPool.withdrawUnsoldTokens())
+        .to.emit(idoPool, "UnsoldTokensWithdrawn")
+        .withArgs(units("340"));
+    });
+
+    it("Should shrink the tokens of withdrawn contributions in proportion", async function () {
+      const LinearWithdrawalPenalty = await ethers.getContractFactory("LinearWithdrawalPenalty");
+      const withdrawalPolicy = await LinearWithdrawalPenalty.deploy(0, 0, 0);
+      await idoPool.setWithdrawalPolicy(withdrawalPolicy.address, ethers.constants.AddressZero);
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("50"));
+      expect(await idoPool.getUserTokenAmount(user1.address)).to.equal(units("480"));
+
+      await idoPool.connect(user1).withdrawContribution(units("25"));
+      expect(await idoPool.getUserTokenAmount(user1.address)).to.equal(units("240"));
+
+      // The tier prices follow totalRaised back down
+      await expect(idoPool.connect(user2).buyTokens(units("15")))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(user2.address, units("15"), units("150"));
+    });
+  });
+
+  describe("Dutch auction", function () {
+    it("Should fall from the start price to the floor price", async function () {
+      const pricing = await deployDutch("0.2", "0.1", SALE_DURATION);
+      await idoPool.setPricingStrategy(pricing.address);
+
+      // Pools that have not started are priced at the floor, for the deposit
+      expect(await idoPool.getTokenAmount(HARD_CAP)).to.equal(units("1000"));
+      await startSale();
+
+      expect(await pricing.getPriceAt(idoPool.address, startTime)).to.equal(units("0.2"));
+      expect(await pricing.getPriceAt(idoPool.address, startTime + 500)).to.equal(units("0.175"));
+      expect(await pricing.getPriceAt(idoPool.address, endTime)).to.equal(units("0.1"));
+      expect(await pricing.getPriceAt(idoPool.address, endTime + 1000)).to.equal(units("0.1"));
+    });
+
+    it("Should settle every buyer at the end price and refund the difference", async function () {
+      // Still falling when the sale ends, at 0.15
+      const pricing = await deployDutch("0.2", "0.1", 2 * SALE_DURATION);
+      await idoPool.setPricingStrategy(pricing.address);
+      await startSale();
+
+      await expect(buyAt(user1, units("60"), startTime))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(user1.address, units("60"), units("300"));
+      await expect(buyAt(user2, units("35"), startTime + 1000))
+        .to.emit(idoPool, "TokensPurchased")
+        .withArgs(user2.address, units("35"), units("200"));
+
+      await time.increaseTo(endTime + 1);
+      expect(await idoPool.clearingPrice()).to.equal(0);
+      await idoPool.finalize();
+      expect(await idoPool.clearingPrice()).to.equal(units("0.15"));
+
+      // 60 - 300 * 0.15 and 35 - 200 * 0.15
+      expect(await idoPool.getUserRefundAmount(user1.address)).to.equal(units("15"));
+      expect(await idoPool.getUserRefundAmount(user2.address)).to.equal(units("5"));
+      expect(await idoPool.getOutstandingPayments()).to.equal(units("20"));
+
+      const balanceBefore = await paymentToken.balanceOf(user2.address);
+      await expect(idoPool.connect(user2).claimTokens())
+        .to.emit(idoPool, "ExcessRefunded")
+        .withArgs(user2.address, units("5"));
+      expect(await offeringToken.balanceOf(user2.address)).to.equal(units("200"));
+      expect(await paymentToken.balanceOf(user2.address)).to.equal(balanceBefore.add(units("5")));
+    });
+
+    it("Should settle a sold out sale at the price of the last purchase", async function () {
+      const pricing = await deployDutch("0.2", "0.1", SALE_DURATION);
+      await idoPool.setPricingStrategy(pricing.address);
+      await startSale();
+
+      await buyAt(user1, units("60"), startTime);
+      // Sells out at 0.16
+      await buyAt(user2, units("40"), startTime + 800);
+      await idoPool.finalize();
+
+      await time.increaseTo(endTime + 1000);
+      expect(await idoPool.clearingPrice()).to.equal(units("0.16"));
+      expect(await idoPool.totalTokensSold()).to.equal(units("550"));
+      expect(await idoPool.getUserRefundAmount(user1.address)).to.equal(units("12"));
+      expect(await idoPool.getUserRefundAmount(user2.address)).to.equal(0);
+      expect(await idoPool.getOutstandingPayments()).to.equal(units("12"));
+
+      await idoPool.connect(user1).claimTokens();
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(units("300"));
+      expect(await idoPool.getOutstandingPayments()).to.equal(0);
+
+      // 550 * 0.16 is kept as raised funds
+      await time.increaseTo(endTime + 86401);
+      await expect(idoPool.connect(treasury).withdrawRaisedFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn")
+        .withArgs(units("88"));
+    });
+
+    it("Should measure the soft cap at the clearing price", async function () {
+      const pricing = await deployDutch("0.2", "0.1", SALE_DURATION);
+      await idoPool.setPricingStrategy(pricing.address);
+      await startSale();
+
+      // 55 raised, but only 275 tokens at 0.1 are kept
+      await buyAt(user1, units("55"), startTime);
+      await time.increaseTo(endTime + 1);
+      await idoPool.finalize();
+
+      expect(await idoPool.poolState()).to.equal(4); // Refunding
+      await idoPool.connect(user1).claimRefund();
+      expect(await paymentToken.balanceOf(user1.address)).to.equal(units("100"));
+    });
+  });
+
+  describe("Lens", function () {
+    it("Should report the strategy with its current and clearing prices", async function () {
+      const IDOPoolLens = await ethers.getContractFactory("IDOPoolLens");
+      const lens = await IDOPoolLens.deploy();
+
+      let info = await lens.getPoolInfo(idoPool.address);
+      expect(info.pricingStrategy).to.equal(ethers.constants.AddressZero);
+      expect(info.currentPrice).to.equal(TOKEN_PRICE);
+      expect(info.clearingPrice).to.equal(0);
+
+      const pricing = await deployDutch("0.2", "0.1", SALE_DURATION);
+      await idoPool.setPricingStrategy(pricing.address);
+      await startSale();
+      await time.increaseTo(startTime + 1000);
+
+      info = await lens.getPoolInfo(idoPool.address);
+      expect(info.pricingStrategy).to.equal(pricing.address);
+      expect(info.currentPrice).to.equal(units("0.15"));
+      expect(info.clearingPrice).to.equal(units("0.1"));
+
+      await idoPool.connect(user1).buyTokens(units("60"));
+      await time.increaseTo(endTime + 1);
+      await idoPool.finalize();
+      expect((await lens.getPoolInfo(idoPool.address)).clearingPrice).to.equal(await idoPool.clearingPrice());
+    });
+  });
+});
@@ -0,0 +1,305 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Roles", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, operator, treasury, pauser, stranger, user1, addrs;
+  let OPERATOR_ROLE, TREASURY_ROLE, PAUSER_ROLE, DEFAULT_ADMIN_ROLE;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  const OWNER_ERROR = "Ownable: caller is not the owner";
+  const roleError = (account, role) =>
+    `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
+  // Returns the revert message of a call, or null if it succeeds
+  const callError = async (promise) => {
+    try {
+      await promise;
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  beforeEach(async function () {
+    [owner, operator, treasury, pauser, stranger, user1, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Deploy IDO pool
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+
+    OPERATOR_ROLE = await idoPool.OPERATOR_ROLE();
+    TREASURY_ROLE = await idoPool.TREASURY_ROLE();
+    PAUSER_ROLE = await idoPool.PAUSER_ROLE();
+    DEFAULT_ADMIN_ROLE = await idoPool.DEFAULT_ADMIN_ROLE();
+
+    // Hand each role to its own account so the owner only keeps admin rights
+    await idoPool.grantRole(OPERATOR_ROLE, operator.address);
+    await idoPool.grantRole(TREASURY_ROLE, treasury.address);
+    await idoPool.grantRole(PAUSER_ROLE, pauser.address);
+    for (const role of [OPERATOR_ROLE, TREASURY_ROLE, PAUSER_ROLE]) {
+      await idoPool.revokeRole(role, owner.address);
+    }
+
+    await offeringToken.transfer(operator.address, ethers.utils.parseEther("1000"));
+    await offeringToken.connect(operator).approve(idoPool.address, ethers.constants.MaxUint256);
+
+    for (const user of [user1, ...addrs.slice(0, 4)]) {
+      await paymentToken.transfer(user.address, ethers.utils.parseEther("100"));
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  const startSale = async () => {
+    await idoPool.connect(operator).depositOfferingTokens(ethers.utils.parseEther("1000"));
+    const now = await time.latest();
+    await idoPool.connect(operator).startPool(now + 100, now + 1000, now + 2000);
+    await time.increaseTo(now + 100);
+  };
+
+  describe("Initial Roles", function () {
+    it("Should give the deployer every role", async function () {
+      const IDOPool = await ethers.getContractFactory("IDOPool");
+      const pool = await IDOPool.deploy(
+        paymentToken.address,
+        offeringToken.address,
+        TOKEN_PRICE,
+        SOFT_CAP,
+        HARD_CAP,
+        MIN_CONTRIBUTION,
+        MAX_CONTRIBUTION
+      );
+
+      for (const role of [DEFAULT_ADMIN_ROLE, OPERATOR_ROLE, TREASURY_ROLE, PAUSER_ROLE]) {
+        expect(await pool.hasRole(role, owner.address)).to.equal(true);
+      }
+    });
+  });
+
+  describe("Access Matrix", function () {
+    // Every restricted function, the role allowed to call it and sample arguments
+    const FUNCTIONS = [
+      { name: "updateParameters", role: "owner", args: () => [TOKEN_PRICE, SOFT_CAP, HARD_CAP, MIN_CONTRIBUTION, MAX_CONTRIBUTION] },
+      { name: "updateVestingSchedule", role: "owner", args: () => [10000, 0, 0] },
+      { name: "setOverflowMode", role: "owner", args: () => [true] },
+      { name: "setMaxExtensions", role: "owner", args: () => [1] },
+      { name: "updateStartTime", role: "owner", args: () => [1] },
+      { name: "updateEndTime", role: "owner", args: () => [1] },
+      { name: "updateRefundEndTime", role: "owner", args: () => [1] },
+      { name: "setMerkleRoot", role: "owner", args: () => [ethers.constants.HashZero] },
+      { name: "setAllowlistOnly", role: "owner", args: () => [true] },
+      { name: "enableRefund", role: "owner", args: () => [] },
+      { name: "cancelPool", role: "owner", args: () => ["Reason"] },
+      { name: "withdrawUnsoldTokens", role: "owner", args: () => [] },
+      { name: "sweepUnclaimed", role: "owner", args: () => [] },
+      { name: "transferOwnership", role: "owner", args: () => [stranger.address] },
+      { name: "renounceOwnership", role: "owner", args: () => [] },
+      { name: "grantRole", role: "admin", args: () => [OPERATOR_ROLE, stranger.address] },
+      { name: "revokeRole", role: "admin", args: () => [OPERATOR_ROLE, operator.address] },
+      { name: "depositOfferingTokens", role: "operator", args: () => [ethers.utils.parseEther("1000")] },
+      { name: "startPool", role: "operator", args: () => [1, 2, 3] },
+      { name: "finalize", role: "operator", args: () => [] },
+      { name: "withdrawRaisedFunds", role: "treasury", args: () => [] },
+      { name: "pause", role: "pauser", args: () => [] },
+      { name: "unpause", role: "pauser", args: () => [] }
+    ];
+
+    const expectedError = (role, account) => {
+      switch (role) {
+        case "owner":
+          return OWNER_ERROR;
+        case "admin":
+          return roleError(account, DEFAULT_ADMIN_ROLE);
+        case "operator":
+          return roleError(account, OPERATOR_ROLE);
+        case "treasury":
+          return roleError(account, TREASURY_ROLE);
+        default:
+          return roleError(account, PAUSER_ROLE);
+      }
+    };
+
+    FUNCTIONS.forEach(({ name, role, args }) => {
+      it(`Should only let the ${role} call ${name}`, async function () {
+        const accounts = { owner, admin: owner, operator, treasury, pauser };
+
+        for (const account of [owner, operator, treasury, pauser, stranger]) {
+          const message = await callError(idoPool.connect(account).callStatic[name](...args()));
+          const authorized = account === accounts[role];
+
+          if (authorized) {
+            // Allowed callers may still hit state checks, but never an access check
+            expect(message || "").to.not.include(OWNER_ERROR);
+            expect(message || "").to.not.include("is missing role");
+          } else {
+            expect(message).to.include(expectedError(role, account));
+          }
+        }
+      });
+    });
+  });
+
+  describe("Operator", function () {
+    it("Should run the sale lifecycle", async function () {
+      await startSale();
+      for (const user of [user1, ...addrs.slice(0, 4)]) {
+        await idoPool.connect(user).buyTokens(MAX_CONTRIBUTION);
+      }
+      await time.increase(1000);
+
+      await expect(idoPool.connect(operator).finalize())
+        .to.emit(idoPool, "PoolStateChanged").withArgs(2);
+    });
+  });
+
+  describe("Treasury", function () {
+    it("Should receive the raised funds", async function () {
+      await startSale();
+      for (const user of [user1, ...addrs.slice(0, 4)]) {
+        await idoPool.connect(user).buyTokens(MAX_CONTRIBUTION);
+      }
+      await time.increase(1000);
+      await idoPool.connect(operator).finalize();
+      await time.increase(1000);
+
+      await expect(
+        idoPool.connect(treasury).withdrawRaisedFunds()
+      ).to.changeTokenBalances(paymentToken, [treasury, idoPool], [SOFT_CAP, SOFT_CAP.mul(-1)]);
+    });
+  });
+
+  describe("Pauser", function () {
+    beforeEach(async function () {
+      await startSale();
+    });
+
+    it("Should freeze purchases while paused", async function () {
+      await expect(idoPool.connect(pauser).pause())
+        .to.emit(idoPool, "Paused").withArgs(pauser.address);
+
+      await expect(
+        idoPool.connect(user1).buyTokens(MIN_CONTRIBUTION)
+      ).to.be.revertedWith("Pausable: paused");
+
+      await expect(idoPool.connect(pauser).unpause())
+        .to.emit(idoPool, "Unpaused").withArgs(pauser.address);
+      await idoPool.connect(user1).buyTokens(MIN_CONTRIBUTION);
+    });
+
+    it("Should freeze token claims while paused", async function () {
+      for (const user of [user1, ...addrs.slice(0, 4)]) {
+        await idoPool.connect(user).buyTokens(MAX_CONTRIBUTION);
+      }
+      await time.increase(1000);
+      await idoPool.connect(operator).finalize();
+
+      await idoPool.connect(pauser).pause();
+      await expect(
+        idoPool.connect(user1).claimTokens()
+      ).to.be.revertedWith("Pausable: paused");
+
+      await idoPool.connect(pauser).unpause();
+      await idoPool.connect(user1).claimTokens();
+    });
+
+    it("Should keep refunds available while paused", async function () {
+      await idoPool.connect(user1).buyTokens(MAX_CONTRIBUTION);
+      await time.increase(1000);
+      await idoPool.connect(operator).finalize();
+
+      await idoPool.connect(pauser).pause();
+      await expect(
+        idoPool.connect(user1).claimRefund()
+      ).to.changeTokenBalance(paymentToken, user1, MAX_CONTRIBUTION);
+    });
+  });
+
+  describe("Role Management", function () {
+    it("Should emit events when roles are granted and revoked", async function () {
+      await expect(idoPool.grantRole(PAUSER_ROLE, stranger.address))
+        .to.emit(idoPool, "RoleGranted").withArgs(PAUSER_ROLE, stranger.address, owner.address);
+
+      await expect(idoPool.revokeRole(PAUSER_ROLE, stranger.address))
+        .to.emit(idoPool, "RoleRevoked").withArgs(PAUSER_ROLE, stranger.address, owner.address);
+
+      expect(await idoPool.hasRole(PAUSER_ROLE, stranger.address)).to.equal(false);
+    });
+
+    it("Should let role holders renounce their own role", async function () {
+      await idoPool.connect(pauser).renounceRole(PAUSER_ROLE, pauser.address);
+
+      await expect(
+        idoPool.connect(pauser).pause()
+      ).to.be.revertedWith(roleError(pauser, PAUSER_ROLE));
+    });
+  });
+
+  describe("Two-Step Ownership", function () {
+    it("Should only transfer ownership once the new owner accepts", async function () {
+      await expect(idoPool.transferOwnership(stranger.address))
+        .to.emit(idoPool, "OwnershipTransferStarted").withArgs(owner.address, stranger.address);
+
+      expect(await idoPool.owner()).to.equal(owner.address);
+      expect(await idoPool.pendingOwner()).to.equal(stranger.address);
+
+      await expect(
+        idoPool.connect(user1).acceptOwnership()
+      ).to.be.revertedWith("Ownable2Step: caller is not the new owner");
+
+      await expect(idoPool.connect(stranger).acceptOwnership())
+        .to.emit(idoPool, "OwnershipTransferred").withArgs(owner.address, stranger.address);
+      expect(await idoPool.owner()).to.equal(stranger.address);
+    });
+
+    it("Should move role admin rights with ownership", async function () {
+      await idoPool.transferOwnership(stranger.address);
+      await idoPool.connect(stranger).acceptOwnership();
+
+      expect(await idoPool.hasRole(DEFAULT_ADMIN_ROLE, stranger.address)).to.equal(true);
+      expect(await idoPool.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(false);
+
+      await idoPool.connect(stranger).revokeRole(OPERATOR_ROLE, operator.address);
+      await expect(
+        idoPool.grantRole(OPERATOR_ROLE, owner.address)
+      ).to.be.revertedWith(roleError(owner, DEFAULT_ADMIN_ROLE));
+    });
+
+    it("Should only grant the admin role to the owner", async function () {
+      await expect(idoPool.grantRole(DEFAULT_ADMIN_ROLE, stranger.address))
+        .to.be.revertedWith("Admin role follows ownership");
+      await expect(idoPool.connect(stranger).grantRole(DEFAULT_ADMIN_ROLE, stranger.address))
+        .to.be.revertedWith("Admin role follows ownership");
+
+      // A renounced admin role comes back by handing ownership to the owner again
+      await idoPool.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+      await expect(idoPool.grantRole(DEFAULT_ADMIN_ROLE, owner.address))
+        .to.be.revertedWith(roleError(owner, DEFAULT_ADMIN_ROLE));
+      await idoPool.transferOwnership(owner.address);
+      await idoPool.acceptOwnership();
+      expect(await idoPool.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(true);
+    });
+  });
+});
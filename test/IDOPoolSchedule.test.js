@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Schedule", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, user1, addrs;
+  let startTime, endTime, refundEndTime;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  const deployPool = async (maxExtensions) => {
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const pool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await pool.deployed();
+
+    if (maxExtensions !== undefined) {
+      await pool.setMaxExtensions(maxExtensions);
+    }
+
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(pool.address, offeringAmount);
+    await pool.depositOfferingTokens(offeringAmount);
+
+    const now = await time.latest();
+    startTime = now + 3600;
+    endTime = startTime + 86400;
+    refundEndTime = endTime + 86400;
+    await pool.startPool(startTime, endTime, refundEndTime);
+
+    return pool;
+  };
+
+  beforeEach(async function () {
+    [owner, user1, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    idoPool = await deployPool();
+  });
+
+  describe("Start Time", function () {
+    it("Should move the start time before the sale opens", async function () {
+      await expect(idoPool.updateStartTime(startTime + 600))
+        .to.emit(idoPool, "StartTimeUpdated").withArgs(startTime, startTime + 600);
+      expect(await idoPool.startTime()).to.equal(startTime + 600);
+    });
+
+    it("Should reject start times in the past or after the end time", async function () {
+      await expect(
+        idoPool.updateStartTime(await time.latest())
+      ).to.be.revertedWith("Start time must be in the future");
+
+      await expect(
+        idoPool.updateStartTime(endTime)
+      ).to.be.revertedWith("End time must be after start time");
+    });
+
+    it("Should lock the start time once the sale opens", async function () {
+      await time.increaseTo(startTime);
+
+      await expect(
+        idoPool.updateStartTime(startTime + 600)
+      ).to.be.revertedWith("IDO has already started");
+    });
+  });
+
+  describe("End Time", function () {
+    it("Should extend and shorten the sale", async function () {
+      await expect(idoPool.updateEndTime(endTime + 3600))
+        .to.emit(idoPool, "EndTimeUpdated").withArgs(endTime, endTime + 3600);
+      expect(await idoPool.extensionCount()).to.equal(1);
+
+      await expect(idoPool.updateEndTime(endTime - 3600))
+        .to.emit(idoPool, "EndTimeUpdated").withArgs(endTime + 3600, endTime - 3600);
+      expect(await idoPool.endTime()).to.equal(endTime - 3600);
+      expect(await idoPool.extensionCount()).to.equal(1);
+    });
+
+    it("Should not move the end time into the past", async function () {
+      await time.increaseTo(startTime + 7200);
+
+      await expect(
+        idoPool.updateEndTime(startTime + 3600)
+      ).to.be.revertedWith("End time cannot be in the past");
+    });
+
+    it("Should keep the end time between the start and refund end times", async function () {
+      await expect(
+        idoPool.updateEndTime(startTime)
+      ).to.be.revertedWith("End time must be after start time");
+
+      await expect(
+        idoPool.updateEndTime(refundEndTime)
+      ).to.be.revertedWith("Refund end time must be after end time");
+    });
+
+    it("Should not reopen a sale that has ended", async function () {
+      await time.increaseTo(endTime + 1);
+
+      await expect(
+        idoPool.updateEndTime(endTime + 3600)
+      ).to.be.revertedWith("IDO has ended");
+    });
+
+    it("Should accept purchases during an extension", async function () {
+      await paymentToken.transfer(user1.address, ethers.utils.parseEther("10"));
+      await paymentToken.connect(user1).approve(idoPool.address, ethers.constants.MaxUint256);
+
+      await idoPool.updateEndTime(endTime + 3600);
+      await time.increaseTo(endTime + 1);
+
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseEther("5"));
+      expect(await idoPool.contributions(user1.address)).to.equal(ethers.utils.parseEther("5"));
+    });
+  });
+
+  describe("Refund End Time", function () {
+    it("Should move the refund deadline", async function () {
+      await expect(idoPool.updateRefundEndTime(refundEndTime + 3600))
+        .to.emit(idoPool, "RefundEndTimeUpdated").withArgs(refundEndTime, refundEndTime + 3600);
+      expect(await idoPool.refundEndTime()).to.equal(refundEndTime + 3600);
+    });
+
+    it("Should keep the refund deadline after the end time", async function () {
+      await expect(
+        idoPool.updateRefundEndTime(endTime)
+      ).to.be.revertedWith("Refund end time must be after end time");
+    });
+
+    it("Should not move the refund deadline into the past", async function () {
+      await time.increaseTo(endTime + 7200);
+
+      await expect(
+        idoPool.updateRefundEndTime(endTime + 3600)
+      ).to.be.revertedWith("Refund end time cannot be in the past");
+    });
+
+    it("Should lock the schedule once the pool is finalized", async function () {
+      await time.increaseTo(endTime + 1);
+      await idoPool.finalize();
+
+      await expect(
+        idoPool.updateRefundEndTime(refundEndTime + 3600)
+      ).to.be.revertedWith("Pool is not active");
+    });
+  });
+
+  describe("Extension Limit", function () {
+    it("Should cap the number of extensions", async function () {
+      const pool = await deployPool(2);
+
+      await pool.updateEndTime(endTime + 3600);
+      await pool.updateEndTime(endTime + 7200);
+      await expect(
+        pool.updateEndTime(endTime + 10800)
+      ).to.be.revertedWith("Maximum extensions reached");
+
+      // Shortening is still allowed
+      await pool.updateEndTime(endTime);
+      expect(await pool.endTime()).to.equal(endTime);
+    });
+
+    it("Should only be configurable before the pool starts", async function () {
+      await expect(
+        idoPool.setMaxExtensions(1)
+      ).to.be.revertedWith("Cannot update extension limit after IDO has started");
+    });
+
+    it("Should only let the owner manage the schedule", async function () {
+      await expect(
+        idoPool.connect(user1).updateEndTime(endTime + 3600)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(
+        idoPool.connect(user1).updateRefundEndTime(refundEndTime + 3600)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+});
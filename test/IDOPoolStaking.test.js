@@ -0,0 +1,321 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Staking Tiers", function () {
+  let idoPool, paymentToken, offeringToken, governanceToken, stakingTiers;
+  let owner, gold, silver, bronze, outsider, addrs;
+  let startTime, endTime;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("200");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("20");
+
+  const HOUR = 3600;
+  const LOCK_DURATION = 7 * 86400;
+  const units = (amount) => ethers.utils.parseEther(amount);
+
+  // Bronze, Silver and Gold guarantee larger allocations for longer
+  const TIERS = [
+    { name: "Bronze", minStake: units("100"), maxAllocation: units("10"), window: HOUR },
+    { name: "Silver", minStake: units("500"), maxAllocation: units("25"), window: 2 * HOUR },
+    { name: "Gold", minStake: units("1000"), maxAllocation: units("50"), window: 3 * HOUR }
+  ];
+
+  const deployStaking = async (tiers = TIERS, token = governanceToken.address) => {
+    const StakingTiers = await ethers.getContractFactory("StakingTiers");
+    return StakingTiers.deploy(token, LOCK_DURATION, tiers);
+  };
+
+  const stake = async (user, amount) => {
+    await governanceToken.connect(user).approve(stakingTiers.address, units(amount));
+    return stakingTiers.connect(user).stake(units(amount));
+  };
+
+  // Starts the pool so the next block opens the sale, returning the startPool transaction
+  const startSale = async () => {
+    await offeringToken.approve(idoPool.address, units("2000"));
+    await idoPool.depositOfferingTokens(units("2000"));
+
+    startTime = (await time.latest()) + HOUR;
+    endTime = startTime + 86400;
+    const tx = await idoPool.startPool(startTime, endTime, endTime + 86400);
+    await time.increaseTo(startTime - 1);
+    return tx;
+  };
+
+  beforeEach(async function () {
+    [owner, gold, silver, bronze, outsider, ...addrs] = await ethers.getSigners();
+
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    governanceToken = await TokenFactory.deploy("Governance Token", "GOV", 18, 1000000);
+
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+
+    stakingTiers = await deployStaking();
+    await idoPool.setStakingTiers(stakingTiers.address);
+
+    for (const user of [gold, silver, bronze, outsider]) {
+      await governanceToken.transfer(user.address, units("2000"));
+      await paymentToken.transfer(user.address, units("100"));
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  describe("Configuration", function () {
+    it("Should let the owner set the staking contract before the sale", async function () {
+      expect(await idoPool.stakingTiers()).to.equal(stakingTiers.address);
+      await expect(idoPool.setStakingTiers(ethers.constants.AddressZero))
+        .to.emit(idoPool, "StakingTiersUpdated")
+        .withArgs(ethers.constants.AddressZero);
+
+      await expect(idoPool.connect(gold).setStakingTiers(stakingTiers.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await idoPool.setStakingTiers(stakingTiers.address);
+      await startSale();
+      await expect(idoPool.setStakingTiers(ethers.constants.AddressZero))
+        .to.be.revertedWith("Cannot update staking tiers after IDO has started");
+    });
+
+    it("Should reject invalid tiers", async function () {
+      await expect(deployStaking(TIERS, ethers.constants.AddressZero))
+        .to.be.revertedWith("Staking token cannot be zero address");
+      await expect(deployStaking([]))
+        .to.be.revertedWith("Staking needs at least one tier");
+      await expect(deployStaking([TIERS[1], TIERS[0]]))
+        .to.be.revertedWith("Tiers must be in ascending order of stake");
+      await expect(deployStaking([{ ...TIERS[0], minStake: 0 }]))
+        .to.be.revertedWith("Tiers must be in ascending order of stake");
+      await expect(deployStaking([{ ...TIERS[0], maxAllocation: 0 }]))
+        .to.be.revertedWith("Max allocation must be greater than zero");
+
+      const tiers = await stakingTiers.getTiers();
+      expect(tiers.map((tier) => tier.name)).to.deep.equal(["Bronze", "Silver", "Gold"]);
+      expect(await stakingTiers.guaranteedPeriod()).to.equal(3 * HOUR);
+    });
+  });
+
+  describe("Staking", function () {
+    it("Should lock stakes and return them once the lock is over", async function () {
+      await expect(stakingTiers.connect(gold).stake(0)).to.be.revertedWith("Amount must be greater than zero");
+
+      await governanceToken.connect(gold).approve(stakingTiers.address, units("1000"));
+      await expect(stakingTiers.connect(gold).stake(units("1000")))
+        .to.emit(stakingTiers, "Staked")
+        .withArgs(gold.address, units("1000"), (await time.latest()) + 1 + LOCK_DURATION);
+      expect(await stakingTiers.stakedBalance(gold.address)).to.equal(units("1000"));
+      expect(await stakingTiers.totalStaked()).to.equal(units("1000"));
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(3);
+
+      await expect(stakingTiers.connect(gold).unstake(units("1"))).to.be.revertedWith("Stake is locked");
+
+      await time.increaseTo(await stakingTiers.lockedUntil(gold.address));
+      await expect(stakingTiers.connect(gold).unstake(units("1001"))).to.be.revertedWith("Invalid unstake amount");
+      await expect(stakingTiers.connect(gold).unstake(units("600")))
+        .to.emit(stakingTiers, "Unstaked")
+        .withArgs(gold.address, units("600"));
+
+      expect(await governanceToken.balanceOf(gold.address)).to.equal(units("1600"));
+      expect(await stakingTiers.totalStaked()).to.equal(units("400"));
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(1);
+    });
+
+    it("Should extend the lock when more is staked", async function () {
+      await stake(gold, "100");
+      const firstLock = await stakingTiers.lockedUntil(gold.address);
+
+      await time.increase(86400);
+      await stake(gold, "100");
+      const secondLock = await stakingTiers.lockedUntil(gold.address);
+      expect(secondLock).to.equal((await time.latest()) + LOCK_DURATION);
+      expect(secondLock).to.be.gt(firstLock.add(86400));
+    });
+  });
+
+  describe("Snapshot", function () {
+    it("Should fix the tiers when the pool starts", async function () {
+      await stake(gold, "1000");
+      await stake(bronze, "100");
+
+      const tx = await startSale();
+      await expect(tx)
+        .to.emit(stakingTiers, "SnapshotTaken")
+        .withArgs(idoPool.address, tx.blockNumber);
+      expect(await stakingTiers.snapshotBlocks(idoPool.address)).to.equal(tx.blockNumber);
+
+      // Stakes after the snapshot do not count towards this pool
+      await stake(bronze, "900");
+      await stake(outsider, "1000");
+      expect(await stakingTiers.getTier(idoPool.address, bronze.address)).to.equal(1);
+      expect(await stakingTiers.getTier(idoPool.address, outsider.address)).to.equal(0);
+      expect(await stakingTiers.getStakeAt(idoPool.address, bronze.address)).to.equal(units("100"));
+
+      // Neither do withdrawals once the lock is over
+      await time.increaseTo(await stakingTiers.lockedUntil(gold.address));
+      await stakingTiers.connect(gold).unstake(units("1000"));
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(3);
+    });
+
+    it("Should only give tiers to stakes locked until the pool ends", async function () {
+      // Gold's lock ends during the sale, Silver's lasts past it
+      await stake(gold, "1000");
+      await time.increase(LOCK_DURATION - HOUR);
+      await stake(silver, "500");
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(3);
+
+      await startSale();
+      expect(await stakingTiers.getLockAt(idoPool.address, gold.address)).to.be.lt(endTime);
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(0);
+      expect(await stakingTiers.getTier(idoPool.address, silver.address)).to.equal(2);
+      await expect(idoPool.connect(gold).buyTokens(units("1")))
+        .to.be.revertedWith("No staking tier");
+
+      // Extending the lock after the snapshot does not bring the tier back
+      await stake(gold, "1");
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(0);
+    });
+
+    it("Should not let a tiered pool be extended past the locks it checked", async function () {
+      // Gold's lock lasts about an hour past the end time, but not past an extension of two
+      await stake(gold, "1000");
+      await time.increase(LOCK_DURATION - 86400 - 2 * HOUR);
+      await startSale();
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(3);
+
+      await expect(idoPool.updateEndTime(endTime + 2 * HOUR))
+        .to.be.revertedWith("Cannot extend a pool with staking tiers");
+      expect(await idoPool.endTime()).to.equal(endTime);
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(3);
+
+      // Shortening the sale keeps every tier
+      await idoPool.updateEndTime(endTime - HOUR);
+      expect(await stakingTiers.getTier(idoPool.address, gold.address)).to.equal(3);
+    });
+
+    it("Should only take one snapshot per pool", async function () {
+      await stakingTiers.connect(outsider).snapshot();
+      await expect(stakingTiers.connect(outsider).snapshot()).to.be.revertedWith("Snapshot already taken");
+    });
+  });
+
+  describe("Allocation", function () {
+    beforeEach(async function () {
+      await stake(gold, "1000");
+      await stake(silver, "500");
+      await stake(bronze, "100");
+      await startSale();
+    });
+
+    it("Should guarantee each tier its allocation during its window", async function () {
+      await idoPool.connect(gold).buyTokens(units("50"));
+      await idoPool.connect(silver).buyTokens(units("20"));
+      await expect(idoPool.connect(silver).buyTokens(units("6")))
+        .to.be.revertedWith("Exceeds maximum contribution");
+      await idoPool.connect(bronze).buyTokens(units("10"));
+
+      await expect(idoPool.connect(outsider).buyTokens(units("1")))
+        .to.be.revertedWith("No staking tier");
+    });
+
+    it("Should close shorter windows first", async function () {
+      await time.increaseTo(startTime + HOUR);
+      await expect(idoPool.connect(bronze).buyTokens(units("1")))
+        .to.be.revertedWith("Tier window closed");
+      await idoPool.connect(silver).buyTokens(units("25"));
+
+      await time.increaseTo(startTime + 2 * HOUR);
+      await expect(idoPool.connect(silver).buyTokens(units("1")))
+        .to.be.revertedWith("Tier window closed");
+      await idoPool.connect(gold).buyTokens(units("1"));
+    });
+
+    it("Should open the sale to everyone after the guaranteed period", async function () {
+      await time.increaseTo(startTime + 3 * HOUR);
+
+      await idoPool.connect(outsider).buyTokens(units("20"));
+      await expect(idoPool.connect(outsider).buyTokens(units("1")))
+        .to.be.revertedWith("Exceeds maximum contribution");
+
+      // Bronze allocations are below the public maximum, Gold allocations are kept
+      await idoPool.connect(bronze).buyTokens(units("20"));
+      await idoPool.connect(gold).buyTokens(units("50"));
+      await expect(idoPool.connect(gold).buyTokens(units("1")))
+        .to.be.revertedWith("Exceeds maximum contribution");
+    });
+
+    it("Should scale allocations to the pool's payment decimals", async function () {
+      const TokenFactory = await ethers.getContractFactory("MockERC20");
+      const usdc = await TokenFactory.deploy("USD Coin", "USDC", 6, 1000000);
+      const IDOPool = await ethers.getContractFactory("IDOPool");
+      const usdcPool = await IDOPool.deploy(
+        usdc.address,
+        offeringToken.address,
+        ethers.utils.parseUnits("0.1", 6),
+        ethers.utils.parseUnits("50", 6),
+        ethers.utils.parseUnits("200", 6),
+        ethers.utils.parseUnits("1", 6),
+        ethers.utils.parseUnits("20", 6)
+      );
+      await usdcPool.setStakingTiers(stakingTiers.address);
+      await offeringToken.approve(usdcPool.address, units("2000"));
+      await usdcPool.depositOfferingTokens(units("2000"));
+      const usdcStart = (await time.latest()) + HOUR;
+      await usdcPool.startPool(usdcStart, usdcStart + 86400, usdcStart + 2 * 86400);
+      await time.increaseTo(usdcStart);
+
+      // Gold's 50 tokens mean 50 USDC, not 50e18 base units
+      expect(await stakingTiers.getTierAllocation(usdcPool.address, 3)).to.equal(ethers.utils.parseUnits("50", 6));
+      await usdc.transfer(gold.address, ethers.utils.parseUnits("100", 6));
+      await usdc.connect(gold).approve(usdcPool.address, ethers.constants.MaxUint256);
+      await usdcPool.connect(gold).buyTokens(ethers.utils.parseUnits("50", 6));
+      await expect(usdcPool.connect(gold).buyTokens(ethers.utils.parseUnits("1", 6)))
+        .to.be.revertedWith("Exceeds maximum contribution");
+    });
+
+    it("Should still respect the allowlist-only phase", async function () {
+      await idoPool.setAllowlistOnly(true);
+      await expect(idoPool.connect(gold).buyTokens(units("1")))
+        .to.be.revertedWith("Allowlist-only phase");
+    });
+  });
+
+  describe("Lens", function () {
+    it("Should report the tier and remaining allocation", async function () {
+      const IDOPoolLens = await ethers.getContractFactory("IDOPoolLens");
+      const lens = await IDOPoolLens.deploy();
+
+      await stake(silver, "500");
+      await startSale();
+      await idoPool.connect(silver).buyTokens(units("10"));
+
+      expect((await lens.getPoolInfo(idoPool.address)).stakingTiers).to.equal(stakingTiers.address);
+
+      const silverInfo = await lens.getUserInfo(idoPool.address, silver.address);
+      expect(silverInfo.stakingTier).to.equal(2);
+      expect(silverInfo.remainingAllocation).to.equal(units("15"));
+
+      const outsiderInfo = await lens.getUserInfo(idoPool.address, outsider.address);
+      expect(outsiderInfo.stakingTier).to.equal(0);
+      expect(outsiderInfo.remainingAllocation).to.equal(0);
+
+      await time.increaseTo(startTime + 3 * HOUR);
+      expect((await lens.getUserInfo(idoPool.address, outsider.address)).remainingAllocation).to.equal(MAX_CONTRIBUTION);
+    });
+  });
+});
@@ -0,0 +1,384 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("../scripts/deploy");
+const { upgrade, checkStorageLayout } = require("../scripts/upgrade");
+const { readImplementation } = require("../scripts/manifest");
+
+describe("IDOPool Upgrades", function () {
+  let factory, proxyAdmin, paymentToken, offeringToken;
+  let owner, user1, user2, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("30");
+
+  const UPGRADE_DELAY = 86400;
+  const units = (amount) => ethers.utils.parseEther(amount);
+  const poolArgs = () => [
+    paymentToken.address,
+    offeringToken.address,
+    TOKEN_PRICE,
+    SOFT_CAP,
+    HARD_CAP,
+    MIN_CONTRIBUTION,
+    MAX_CONTRIBUTION
+  ];
+
+  // Creates a proxied pool through the factory, owned by the caller
+  const createPool = async (admin = proxyAdmin) => {
+    const tx = await factory.createUpgradeablePool(admin.address, ...poolArgs());
+    const receipt = await tx.wait();
+    const created = receipt.events.find((event) => event.event === "PoolCreated");
+    return ethers.getContractAt("IDOPool", created.args.pool);
+  };
+
+  const deployV2 = async () => {
+    const MockIDOPoolV2 = await ethers.getContractFactory("MockIDOPoolV2");
+    return MockIDOPoolV2.deploy(...poolArgs());
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, ...addrs] = await ethers.getSigners();
+
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const implementation = await IDOPool.deploy(...poolArgs());
+    const IDOPoolFactory = await ethers.getContractFactory("IDOPoolFactory");
+    factory = await IDOPoolFactory.deploy(implementation.address);
+
+    const IDOPoolProxyAdmin = await ethers.getContractFactory("IDOPoolProxyAdmin");
+    proxyAdmin = await IDOPoolProxyAdmin.deploy(owner.address, 0);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.transfer(user.address, units("100"));
+    }
+  });
+
+  describe("Creation", function () {
+    it("Should create an initialized pool behind a proxy", async function () {
+      const pool = await createPool();
+
+      expect(await pool.owner()).to.equal(owner.address);
+      expect(await pool.paymentToken()).to.equal(paymentToken.address);
+      expect(await pool.hardCap()).to.equal(HARD_CAP);
+      expect(await readImplementation(pool.address)).to.equal(await factory.implementation());
+      expect(await factory.isPool(pool.address)).to.equal(true);
+
+      await expect(pool.initialize(user1.address, ...poolArgs()))
+        .to.be.revertedWith("Pool already initialized");
+    });
+
+    it("Should validate parameters with the constructor rules", async function () {
+      await expect(factory.createUpgradeablePool(proxyAdmin.address, paymentToken.address, offeringToken.address,
+        TOKEN_PRICE, SOFT_CAP, SOFT_CAP.sub(1), MIN_CONTRIBUTION, MAX_CONTRIBUTION))
+        .to.be.revertedWith("Hard cap must be >= soft cap");
+    });
+
+    it("Should reject an account as proxy admin", async function () {
+      await expect(factory.createUpgradeablePool(user1.address, ...poolArgs()))
+        .to.be.revertedWith("Proxy admin is not a contract");
+    });
+  });
+
+  describe("Upgrading", function () {
+    let pool;
+
+    beforeEach(async function () {
+      pool = await createPool();
+
+      const offeringAmount = units("1000");
+      await offeringToken.approve(pool.address, offeringAmount);
+      await pool.depositOfferingTokens(offeringAmount);
+
+      const startTime = (await time.latest()) + 60;
+      await pool.startPool(startTime, startTime + 86400, startTime + 2 * 86400);
+      await time.increaseTo(startTime);
+
+      for (const user of [user1, user2]) {
+        await paymentToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+      }
+    });
+
+    it("Should keep contributions and state through an upgrade mid-sale", async function () {
+      await pool.connect(user1).buyTokens(units("30"));
+      await pool.connect(user2).buyTokens(units("10"));
+
+      const v2 = await deployV2();
+      const migrate = v2.interface.encodeFunctionData("migrate");
+      await proxyAdmin.scheduleUpgrade(pool.address, v2.address, migrate);
+      await expect(proxyAdmin.executeUpgrade(pool.address))
+        .to.emit(proxyAdmin, "UpgradeExecuted")
+        .withArgs(pool.address, v2.address);
+
+      const upgraded = await ethers.getContractAt("MockIDOPoolV2", pool.address);
+      expect(await readImplementation(pool.address)).to.equal(v2.address);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.migratedAt()).to.be.gt(0);
+
+      expect(await upgraded.owner()).to.equal(owner.address);
+      expect(await upgraded.poolState()).to.equal(1); // Active state
+      expect(await upgraded.totalRaised()).to.equal(units("40"));
+      expect(await upgraded.contributions(user1.address)).to.equal(units("30"));
+      expect(await upgraded.contributions(user2.address)).to.equal(units("10"));
+      expect(await upgraded.getContributorCount()).to.equal(2);
+      expect(await upgraded.tokensDeposited()).to.equal(true);
+      expect(await paymentToken.balanceOf(pool.address)).to.equal(units("40"));
+
+      // The sale carries on under the new implementation
+      await upgraded.connect(user2).buyTokens(units("20"));
+      await time.increaseTo((await upgraded.endTime()).toNumber() + 1);
+      await upgraded.finalize();
+      expect(await upgraded.poolState()).to.equal(2); // Completed state
+
+      await upgraded.connect(user1).claimTokens();
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(units("300"));
+    });
+
+    it("Should only let the proxy admin upgrade the pool", async function () {
+      const v2 = await deployV2();
+
+      await expect(proxyAdmin.connect(user1).scheduleUpgrade(pool.address, v2.address, "0x"))
+        .to.be.revertedWith(/AccessControl: account .* is missing role/);
+
+      // The proxy admin itself can only upgrade through its schedule
+      const proxy = await ethers.getContractAt("ITransparentUpgradeableProxy", pool.address);
+      await expect(proxy.upgradeTo(v2.address)).to.be.reverted;
+      expect(await readImplementation(pool.address)).to.equal(await factory.implementation());
+    });
+
+    it("Should only accept contracts as implementations", async function () {
+      await expect(proxyAdmin.scheduleUpgrade(pool.address, user1.address, "0x"))
+        .to.be.revertedWith("Implementation is not a contract");
+    });
+
+    it("Should let upgraders cancel a scheduled upgrade", async function () {
+      const v2 = await deployV2();
+      await proxyAdmin.scheduleUpgrade(pool.address, v2.address, "0x");
+      await expect(proxyAdmin.scheduleUpgrade(pool.address, v2.address, "0x"))
+        .to.be.revertedWith("Upgrade already scheduled");
+
+      await expect(proxyAdmin.cancelUpgrade(pool.address))
+        .to.emit(proxyAdmin, "UpgradeCancelled")
+        .withArgs(pool.address, v2.address);
+      await expect(proxyAdmin.executeUpgrade(pool.address))
+        .to.be.revertedWith("No upgrade scheduled");
+    });
+  });
+
+  describe("Timelock", function () {
+    let pool;
+
+    beforeEach(async function () {
+      await proxyAdmin.setUpgradeDelay(UPGRADE_DELAY);
+      pool = await createPool();
+    });
+
+    it("Should hold upgrades until the delay has passed", async function () {
+      const v2 = await deployV2();
+      await proxyAdmin.scheduleUpgrade(pool.address, v2.address, "0x");
+      const { readyAt } = await proxyAdmin.pendingUpgrades(pool.address);
+      expect(readyAt).to.equal((await time.latest()) + UPGRADE_DELAY);
+
+      await expect(proxyAdmin.executeUpgrade(pool.address))
+        .to.be.revertedWith("Upgrade is still timelocked");
+
+      await time.increaseTo(readyAt);
+      await proxyAdmin.executeUpgrade(pool.address);
+      expect(await readImplementation(pool.address)).to.equal(v2.address);
+    });
+
+    it("Should never shorten the delay", async function () {
+      await expect(proxyAdmin.setUpgradeDelay(UPGRADE_DELAY - 1))
+        .to.be.revertedWith("Upgrade delay can only increase");
+      await expect(proxyAdmin.connect(user1).setUpgradeDelay(UPGRADE_DELAY * 2))
+        .to.be.revertedWith(/AccessControl: account .* is missing role/);
+
+      await expect(proxyAdmin.setUpgradeDelay(UPGRADE_DELAY * 2))
+        .to.emit(proxyAdmin, "UpgradeDelayUpdated")
+        .withArgs(UPGRADE_DELAY, UPGRADE_DELAY * 2);
+    });
+  });
+
+  describe("Upgrade script", function () {
+    let manifestPath, config;
+
+    // Runs a script with its console output silenced
+    const quietly = async (action) => {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        return await action();
+      } finally {
+        console.log = log;
+      }
+    };
+
+    const readManifestFile = () => JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+
+    beforeEach(async function () {
+      manifestPath = path.join(os.tmpdir(), `ido-upgrade-${process.pid}-${Date.now()}.json`);
+      const mockToken = (symbol) => ({ deploy: { name: `${symbol} Token`, symbol, decimals: 18, supply: 1000000 } });
+      config = {
+        paymentToken: mockToken("PAY"),
+        offeringToken: mockToken("OFF"),
+        upgradeable: true,
+        pool: {
+          tokenPrice: "0.1",
+          softCap: "50",
+          hardCap: "100",
+          minContribution: "1",
+          maxContribution: "20"
+        },
+        deposit: true,
+        schedule: { start: "+1m", end: "+1d", refundEnd: "+2d" }
+      };
+    });
+
+    afterEach(function () {
+      if (fs.existsSync(manifestPath)) {
+        fs.unlinkSync(manifestPath);
+      }
+    });
+
+    it("Should deploy the pool behind a proxy and record its layout", async function () {
+      const manifest = await quietly(() => deploy(config, manifestPath));
+
+      const entry = manifest.contracts.pool;
+      expect(manifest.contracts.proxyAdmin).to.not.equal(undefined);
+      expect(entry.proxy).to.equal(true);
+      expect(entry.implementation).to.equal(manifest.contracts.implementation.address);
+      expect(entry.storageLayout.map((variable) => variable.label)).to.include.members(["contributions", "totalRaised"]);
+      expect(entry.storageLayout.every((variable) => !/\)\d/.test(variable.type))).to.equal(true);
+    });
+
+    it("Should upgrade a live pool and keep its state", async function () {
+      const { contracts } = await quietly(() => deploy(config, manifestPath));
+      const pool = await ethers.getContractAt("IDOPool", contracts.pool.address);
+      const payToken = await ethers.getContractAt("MockERC20", contracts.paymentToken.address);
+      await time.increaseTo((await pool.startTime()).toNumber());
+      await payToken.transfer(user1.address, units("20"));
+      await payToken.connect(user1).approve(pool.address, units("20"));
+      await pool.connect(user1).buyTokens(units("20"));
+
+      const manifest = await quietly(() => upgrade(manifestPath, { contract: "MockIDOPoolV2", call: "migrate" }));
+
+      const entry = manifest.contracts.pool;
+      expect(entry.implementation).to.not.equal(contracts.pool.implementation);
+      expect(await readImplementation(pool.address)).to.equal(entry.implementation);
+      expect(entry.storageLayout.map((variable) => variable.label)).to.include("migratedAt");
+      expect(readManifestFile()).to.deep.equal(manifest);
+
+      const upgraded = await ethers.getContractAt("MockIDOPoolV2", pool.address);
+      expect(await upgraded.migratedAt()).to.be.gt(0);
+      expect(await upgraded.contributions(user1.address)).to.equal(units("20"));
+      expect(await upgraded.poolState()).to.equal(1); // Active state
+
+      // Re-running with the same code does nothing
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await quietly(() => upgrade(manifestPath, { contract: "MockIDOPoolV2" }));
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should schedule timelocked upgrades and execute them on a later run", async function () {
+      config.upgradeable = { delay: UPGRADE_DELAY };
+      const { contracts } = await quietly(() => deploy(config, manifestPath));
+      expect(await proxyAdmin.attach(contracts.proxyAdmin.address).upgradeDelay()).to.equal(UPGRADE_DELAY);
+
+      let manifest = await quietly(() => upgrade(manifestPath, { contract: "MockIDOPoolV2" }));
+      const { pendingUpgrade } = manifest;
+      expect(pendingUpgrade.contract).to.equal("MockIDOPoolV2");
+      expect(manifest.contracts.pool.implementation).to.equal(contracts.pool.implementation);
+
+      // Too early, the upgrade stays pending
+      manifest = await quietly(() => upgrade(manifestPath));
+      expect(manifest.pendingUpgrade).to.deep.equal(pendingUpgrade);
+      expect(await readImplementation(contracts.pool.address)).to.equal(contracts.pool.implementation);
+
+      await time.increaseTo(pendingUpgrade.readyAt);
+      manifest = await quietly(() => upgrade(manifestPath));
+      expect(manifest.pendingUpgrade).to.equal(undefined);
+      expect(manifest.contracts.pool.implementation).to.equal(pendingUpgrade.implementation);
+      expect(await readImplementation(contracts.pool.address)).to.equal(pendingUpgrade.implementation);
+    });
+
+    it("Should refuse implementations with an incompatible storage layout", async function () {
+      await quietly(() => deploy(config, manifestPath));
+
+      // Pretend the deployed pool had a variable the new code no longer has
+      const manifest = readManifestFile();
+      const { storageLayout } = manifest.contracts.pool;
+      const last = storageLayout[storageLayout.length - 1];
+      storageLayout.push({ label: "retired", slot: last.slot + 1, offset: 0, type: "t_address" });
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      let message = null;
+      try {
+        await quietly(() => upgrade(manifestPath, { contract: "MockIDOPoolV2" }));
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).to.include("MockIDOPoolV2 is not storage compatible");
+      expect(message).to.include(`retired at slot ${last.slot + 1} changed type from t_address to t_uint256`);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should refuse to upgrade pools that are not behind a proxy", async function () {
+      delete config.upgradeable;
+      await quietly(() => deploy(config, manifestPath));
+
+      let message = null;
+      try {
+        await quietly(() => upgrade(manifestPath));
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).to.equal(`No upgradeable pool in ${manifestPath}`);
+    });
+  });
+
+  describe("Storage layout check", function () {
+    const layout = [
+      { label: "owner", slot: 0, offset: 0, type: "t_address" },
+      { label: "paused", slot: 0, offset: 20, type: "t_bool" },
+      { label: "totalRaised", slot: 1, offset: 0, type: "t_uint256" }
+    ];
+
+    it("Should accept appended variables", async function () {
+      const next = [...layout, { label: "migratedAt", slot: 2, offset: 0, type: "t_uint256" }];
+      expect(checkStorageLayout(layout, next)).to.deep.equal([]);
+    });
+
+    it("Should report retyped, renamed and removed variables", async function () {
+      const next = [
+        { label: "owner", slot: 0, offset: 0, type: "t_uint160" },
+        { label: "isPaused", slot: 0, offset: 20, type: "t_bool" }
+      ];
+      expect(checkStorageLayout(layout, next)).to.deep.equal([
+        "owner at slot 0 changed type from t_address to t_uint160",
+        "paused at slot 0 was renamed to isPaused",
+        "totalRaised (t_uint256) at slot 1, offset 0 was removed or moved"
+      ]);
+    });
+
+    it("Should report variables shifted by an insertion", async function () {
+      const next = [
+        layout[0],
+        layout[1],
+        { label: "inserted", slot: 1, offset: 0, type: "t_uint256" },
+        { ...layout[2], slot: 2 }
+      ];
+      expect(checkStorageLayout(layout, next)).to.deep.equal(["totalRaised at slot 1 was renamed to inserted"]);
+    });
+  });
+});
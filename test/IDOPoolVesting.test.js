@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Vesting", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, user1, user2, user3, addrs;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  // Vesting schedule: 20% at TGE, 30 day cliff, then 100 days linear
+  const TGE_PERCENTAGE = 2000;
+  const CLIFF_DURATION = 30 * 86400;
+  const VESTING_DURATION = 100 * 86400;
+
+  // 10 PAY at 0.1 PAY per token
+  const USER_ALLOCATION = ethers.utils.parseEther("100");
+
+  const deployPool = async () => {
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    const pool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await pool.deployed();
+    return pool;
+  };
+
+  const runSale = async (pool) => {
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(pool.address, offeringAmount);
+    await pool.depositOfferingTokens(offeringAmount);
+
+    const now = await time.latest();
+    const startTime = now + 3600;
+    const endTime = startTime + 86400;
+    const refundEndTime = endTime + 86400;
+    await pool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+
+    // Reach soft cap
+    for (const user of [user1, user2, user3, addrs[0], addrs[1]]) {
+      await paymentToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(user).buyTokens(MAX_CONTRIBUTION);
+    }
+
+    await time.increaseTo(endTime + 1);
+    await pool.finalize();
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Distribute tokens
+    for (const user of [user1, user2, user3, addrs[0], addrs[1]]) {
+      await paymentToken.transfer(user.address, ethers.utils.parseEther("100"));
+    }
+
+    idoPool = await deployPool();
+    await idoPool.updateVestingSchedule(TGE_PERCENTAGE, CLIFF_DURATION, VESTING_DURATION);
+  });
+
+  describe("Schedule Configuration", function () {
+    it("Should default to a full unlock at finalization", async function () {
+      const pool = await deployPool();
+      await runSale(pool);
+
+      expect(await pool.claimableAmount(user1.address)).to.equal(USER_ALLOCATION);
+      await pool.connect(user1).claimTokens();
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(USER_ALLOCATION);
+
+      await expect(
+        pool.connect(user1).claimTokens()
+      ).to.be.revertedWith("Tokens already claimed");
+    });
+
+    it("Should validate the vesting schedule", async function () {
+      await expect(
+        idoPool.updateVestingSchedule(10001, 0, 0)
+      ).to.be.revertedWith("TGE percentage exceeds 100%");
+
+      await expect(
+        idoPool.updateVestingSchedule(5000, 0, 0)
+      ).to.be.revertedWith("Locked tokens need a cliff or vesting duration");
+
+      await expect(
+        idoPool.connect(user1).updateVestingSchedule(5000, 0, 86400)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should lock the schedule once the pool starts", async function () {
+      await runSale(idoPool);
+
+      await expect(
+        idoPool.updateVestingSchedule(10000, 0, 0)
+      ).to.be.revertedWith("Cannot update vesting after IDO has started");
+    });
+  });
+
+  describe("Vested Claims", function () {
+    beforeEach(async function () {
+      await runSale(idoPool);
+    });
+
+    it("Should unlock the TGE share at finalization", async function () {
+      const tgeTokens = USER_ALLOCATION.mul(TGE_PERCENTAGE).div(10000);
+      expect(await idoPool.vestedAmount(user1.address)).to.equal(tgeTokens);
+
+      await expect(idoPool.connect(user1).claimTokens())
+        .to.emit(idoPool, "TokensClaimed").withArgs(user1.address, tgeTokens);
+
+      expect(await idoPool.claimedTokens(user1.address)).to.equal(tgeTokens);
+      expect(await idoPool.hasClaimedTokens(user1.address)).to.equal(true);
+    });
+
+    it("Should release nothing more during the cliff", async function () {
+      await idoPool.connect(user1).claimTokens();
+
+      const finalizedAt = await idoPool.finalizedAt();
+      await time.increaseTo(finalizedAt.add(CLIFF_DURATION - 10));
+
+      expect(await idoPool.claimableAmount(user1.address)).to.equal(0);
+      await expect(
+        idoPool.connect(user1).claimTokens()
+      ).to.be.revertedWith("No tokens vested yet");
+    });
+
+    it("Should vest linearly after the cliff and allow repeated claims", async function () {
+      await idoPool.connect(user1).claimTokens();
+
+      const finalizedAt = await idoPool.finalizedAt();
+      const halfway = finalizedAt.add(CLIFF_DURATION + VESTING_DURATION / 2);
+      await time.setNextBlockTimestamp(halfway);
+      await idoPool.connect(user1).claimTokens();
+
+      // 20% at TGE plus half of the remaining 80%
+      expect(await idoPool.claimedTokens(user1.address)).to.equal(ethers.utils.parseEther("60"));
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("60"));
+
+      await time.increaseTo(finalizedAt.add(CLIFF_DURATION + VESTING_DURATION));
+      await idoPool.connect(user1).claimTokens();
+
+      expect(await offeringToken.balanceOf(user1.address)).to.equal(USER_ALLOCATION);
+      expect(await idoPool.claimableAmount(user1.address)).to.equal(0);
+      await expect(
+        idoPool.connect(user1).claimTokens()
+      ).to.be.revertedWith("Tokens already claimed");
+    });
+
+    it("Should let late claimers collect everything vested in one claim", async function () {
+      const finalizedAt = await idoPool.finalizedAt();
+      await time.increaseTo(finalizedAt.add(CLIFF_DURATION + VESTING_DURATION + 1));
+
+      await idoPool.connect(user2).claimTokens();
+      expect(await offeringToken.balanceOf(user2.address)).to.equal(USER_ALLOCATION);
+      expect(await idoPool.totalDistributed()).to.equal(USER_ALLOCATION);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Views", function () {
+  let idoPool, lens, paymentToken, offeringToken;
+  let owner, user1, user2, user3, addrs;
+  let startTime, endTime, refundEndTime;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseUnits("0.1", 6);
+  const SOFT_CAP = ethers.utils.parseUnits("50", 6);
+  const HARD_CAP = ethers.utils.parseUnits("100", 6);
+  const MIN_CONTRIBUTION = ethers.utils.parseUnits("1", 6);
+  const MAX_CONTRIBUTION = ethers.utils.parseUnits("10", 6);
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("USD Coin", "USDC", 6, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Deploy IDO pool
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+
+    const IDOPoolLens = await ethers.getContractFactory("IDOPoolLens");
+    lens = await IDOPoolLens.deploy();
+    await lens.deployed();
+
+    for (const user of [user1, user2, user3, ...addrs.slice(0, 4)]) {
+      await paymentToken.transfer(user.address, ethers.utils.parseUnits("100", 6));
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
+
+    // Deposit offering tokens
+    const offeringAmount = ethers.utils.parseEther("1000");
+    await offeringToken.approve(idoPool.address, offeringAmount);
+    await idoPool.depositOfferingTokens(offeringAmount);
+
+    // Set pool times
+    const now = await time.latest();
+    startTime = now + 3600;
+    endTime = startTime + 86400;
+    refundEndTime = endTime + 86400;
+    await idoPool.startPool(startTime, endTime, refundEndTime);
+    await time.increaseTo(startTime);
+  });
+
+  describe("Pool Info", function () {
+    it("Should return the pool configuration and state in one call", async function () {
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseUnits("5", 6));
+
+      const info = await idoPool.getPoolInfo();
+      expect(info.state).to.equal(1); // Active state
+      expect(info.paymentToken).to.equal(paymentToken.address);
+      expect(info.offeringToken).to.equal(offeringToken.address);
+      expect(info.paymentSymbol).to.equal("USDC");
+      expect(info.offeringSymbol).to.equal("OFFER");
+      expect(info.paymentDecimals).to.equal(6);
+      expect(info.offeringDecimals).to.equal(18);
+      expect(info.isNativePayment).to.equal(false);
+      expect(info.tokenPrice).to.equal(TOKEN_PRICE);
+      expect(info.softCap).to.equal(SOFT_CAP);
+      expect(info.hardCap).to.equal(HARD_CAP);
+      expect(info.minContribution).to.equal(MIN_CONTRIBUTION);
+      expect(info.maxContribution).to.equal(MAX_CONTRIBUTION);
+      expect(info.totalRaised).to.equal(ethers.utils.parseUnits("5", 6));
+      expect(info.startTime).to.equal(startTime);
+      expect(info.endTime).to.equal(endTime);
+      expect(info.refundEndTime).to.equal(refundEndTime);
+      expect(info.tgePercentage).to.equal(10000);
+      expect(info.overflowMode).to.equal(false);
+      expect(info.allowlistOnly).to.equal(false);
+      expect(info.paused).to.equal(false);
+      expect(info.contributorCount).to.equal(1);
+    });
+
+    it("Should report an empty payment symbol for native currency pools", async function () {
+      const IDOPool = await ethers.getContractFactory("IDOPool");
+      const pool = await IDOPool.deploy(
+        ethers.constants.AddressZero,
+        offeringToken.address,
+        ethers.utils.parseEther("0.1"),
+        ethers.utils.parseEther("50"),
+        ethers.utils.parseEther("100"),
+        ethers.utils.parseEther("1"),
+        ethers.utils.parseEther("10")
+      );
+
+      const info = await pool.getPoolInfo();
+      expect(info.isNativePayment).to.equal(true);
+      expect(info.paymentSymbol).to.equal("");
+      expect(info.paymentDecimals).to.equal(18);
+      expect(info.state).to.equal(0); // Pending state
+    });
+  });
+
+  describe("User Info", function () {
+    it("Should return a user's position in one call", async function () {
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseUnits("10", 6));
+      for (const user of addrs.slice(0, 4)) {
+        await idoPool.connect(user).buyTokens(ethers.utils.parseUnits("10", 6));
+      }
+      await time.increaseTo(endTime + 1);
+      await idoPool.finalize();
+      await idoPool.connect(user1).claimTokens();
+
+      const info = await idoPool.getUserInfo(user1.address);
+      expect(info.contribution).to.equal(ethers.utils.parseUnits("10", 6));
+      expect(info.tokenAmount).to.equal(ethers.utils.parseEther("100"));
+      expect(info.refundAmount).to.equal(0);
+      expect(info.vestedAmount).to.equal(ethers.utils.parseEther("100"));
+      expect(info.claimedTokens).to.equal(ethers.utils.parseEther("100"));
+      expect(info.claimableAmount).to.equal(0);
+      expect(info.hasClaimedTokens).to.equal(true);
+      expect(info.hasClaimedRefund).to.equal(false);
+      expect(info.hasClaimedExcess).to.equal(false);
+      expect(info.paymentBalance).to.equal(ethers.utils.parseUnits("90", 6));
+      expect(info.offeringBalance).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("Should return an empty position for non-contributors", async function () {
+      const info = await idoPool.getUserInfo(user2.address);
+      expect(info.contribution).to.equal(0);
+      expect(info.tokenAmount).to.equal(0);
+      expect(info.paymentBalance).to.equal(ethers.utils.parseUnits("100", 6));
+    });
+
+    it("Should match what the lens returns for the pool", async function () {
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseUnits("10", 6));
+
+      expect(await idoPool.getPoolInfo()).to.deep.equal(await lens.getPoolInfo(idoPool.address));
+      expect(await idoPool.getUserInfo(user1.address)).to.deep.equal(await lens.getUserInfo(idoPool.address, user1.address));
+    });
+  });
+
+  describe("Contributors", function () {
+    beforeEach(async function () {
+      for (const user of [user1, user2, user3]) {
+        await idoPool.connect(user).buyTokens(ethers.utils.parseUnits("2", 6));
+      }
+    });
+
+    it("Should record each contributor once", async function () {
+      await idoPool.connect(user1).buyTokens(ethers.utils.parseUnits("2", 6));
+
+      expect(await idoPool.getContributorCount()).to.equal(3);
+      expect(await idoPool.getContributors(0, 10)).to.deep.equal([user1.address, user2.address, user3.address]);
+    });
+
+    it("Should paginate the contributor list", async function () {
+      expect(await idoPool.getContributors(0, 2)).to.deep.equal([user1.address, user2.address]);
+      expect(await idoPool.getContributors(2, 2)).to.deep.equal([user3.address]);
+      expect(await idoPool.getContributors(3, 2)).to.deep.equal([]);
+      expect(await idoPool.getContributors(1, 0)).to.deep.equal([]);
+    });
+  });
+});
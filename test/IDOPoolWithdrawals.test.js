@@ -0,0 +1,279 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("IDOPool Withdrawals", function () {
+  let idoPool, paymentToken, offeringToken, withdrawalPolicy;
+  let owner, user1, user2, treasury, addrs;
+  let startTime, endTime;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("60");
+
+  const SALE_DURATION = 10 * 86400;
+  const CUTOFF = 2 * 86400;
+  const units = (amount) => ethers.utils.parseEther(amount);
+
+  const deployPolicy = async (penaltyStart, penaltyEnd, cutoff) => {
+    const LinearWithdrawalPenalty = await ethers.getContractFactory("LinearWithdrawalPenalty");
+    return LinearWithdrawalPenalty.deploy(penaltyStart, penaltyEnd, cutoff);
+  };
+
+  // Deploys a linear penalty policy and lets the pool's contributors withdraw under it
+  const enableWithdrawals = async (penaltyStart, penaltyEnd, cutoff, recipient = ethers.constants.AddressZero) => {
+    withdrawalPolicy = await deployPolicy(penaltyStart, penaltyEnd, cutoff);
+    await idoPool.setWithdrawalPolicy(withdrawalPolicy.address, recipient);
+  };
+
+  // Starts the sale and waits until it opens
+  const startSale = async () => {
+    const offeringAmount = units("1000");
+    await offeringToken.approve(idoPool.address, offeringAmount);
+    await idoPool.depositOfferingTokens(offeringAmount);
+
+    startTime = (await time.latest()) + 3600;
+    endTime = startTime + SALE_DURATION;
+    await idoPool.startPool(startTime, endTime, endTime + 86400);
+    await time.increaseTo(startTime);
+  };
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasury, ...addrs] = await ethers.getSigners();
+
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+    await idoPool.grantRole(await idoPool.TREASURY_ROLE(), treasury.address);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.transfer(user.address, units("100"));
+      await paymentToken.connect(user).approve(idoPool.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  describe("Policy", function () {
+    it("Should be disabled by default", async function () {
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("10"));
+
+      await expect(idoPool.connect(user1).withdrawContribution(units("5")))
+        .to.be.revertedWith("Withdrawals not enabled");
+    });
+
+    it("Should let the owner configure withdrawals before the sale", async function () {
+      withdrawalPolicy = await deployPolicy(1000, 200, CUTOFF);
+      await expect(idoPool.setWithdrawalPolicy(withdrawalPolicy.address, treasury.address))
+        .to.emit(idoPool, "WithdrawalPolicyUpdated")
+        .withArgs(withdrawalPolicy.address, treasury.address);
+
+      expect(await idoPool.withdrawalPolicy()).to.equal(withdrawalPolicy.address);
+      expect(await idoPool.penaltyRecipient()).to.equal(treasury.address);
+      expect(await withdrawalPolicy.penaltyStart()).to.equal(1000);
+      expect(await withdrawalPolicy.penaltyEnd()).to.equal(200);
+      expect(await withdrawalPolicy.cutoff()).to.equal(CUTOFF);
+
+      await expect(idoPool.connect(user1).setWithdrawalPolicy(ethers.constants.AddressZero, ethers.constants.AddressZero))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await startSale();
+      await expect(idoPool.setWithdrawalPolicy(ethers.constants.AddressZero, ethers.constants.AddressZero))
+        .to.be.revertedWith("Cannot update withdrawals after IDO has started");
+    });
+
+    it("Should reject invalid penalties and recipients", async function () {
+      await expect(deployPolicy(10001, 0, 0))
+        .to.be.revertedWith("Penalty exceeds 100%");
+      await expect(deployPolicy(100, 200, 0))
+        .to.be.revertedWith("Penalty cannot increase over time");
+
+      withdrawalPolicy = await deployPolicy(100, 0, 0);
+      await expect(idoPool.setWithdrawalPolicy(withdrawalPolicy.address, user1.address))
+        .to.be.revertedWith("Penalty recipient is not a treasury");
+    });
+  });
+
+  describe("Withdrawing", function () {
+    beforeEach(async function () {
+      // 10% at the start, falling to 2% when withdrawals close two days before the end
+      await enableWithdrawals(1000, 200, CUTOFF);
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("40"));
+    });
+
+    it("Should return the contribution minus the penalty and reduce totalRaised", async function () {
+      const balanceBefore = await paymentToken.balanceOf(user1.address);
+      await time.setNextBlockTimestamp(startTime + 10);
+
+      await expect(idoPool.connect(user1).withdrawContribution(units("10")))
+        .to.emit(idoPool, "ContributionWithdrawn")
+        .withArgs(user1.address, units("10"), units("1"));
+
+      expect(await paymentToken.balanceOf(user1.address)).to.equal(balanceBefore.add(units("9")));
+      expect(await idoPool.contributions(user1.address)).to.equal(units("30"));
+      expect(await idoPool.withdrawnContributions(user1.address)).to.equal(units("10"));
+      expect(await idoPool.totalRaised()).to.equal(units("30"));
+
+      // The penalty stays in the pool on top of the contributions
+      expect(await paymentToken.balanceOf(idoPool.address)).to.equal(units("31"));
+    });
+
+    it("Should lower the penalty linearly until withdrawals close", async function () {
+      const deadline = endTime - CUTOFF;
+      const halfway = startTime + (deadline - startTime) / 2;
+
+      await time.increaseTo(halfway);
+      expect(await withdrawalPolicy.getPenalty(idoPool.address, 10000)).to.equal(600);
+
+      await time.setNextBlockTimestamp(deadline);
+      await expect(idoPool.connect(user1).withdrawContribution(units("10")))
+        .to.emit(idoPool, "ContributionWithdrawn")
+        .withArgs(user1.address, units("10"), units("0.2"));
+      expect(await withdrawalPolicy.getPenalty(idoPool.address, 10000)).to.equal(200);
+
+      await expect(idoPool.connect(user1).withdrawContribution(units("10")))
+        .to.be.revertedWith("Withdrawal period ended");
+    });
+
+    it("Should keep the remaining contribution within the limits", async function () {
+      await expect(idoPool.connect(user1).withdrawContribution(units("40.5")))
+        .to.be.revertedWith("Invalid withdrawal amount");
+      await expect(idoPool.connect(user1).withdrawContribution(0))
+        .to.be.revertedWith("Invalid withdrawal amount");
+      await expect(idoPool.connect(user1).withdrawContribution(units("39.5")))
+        .to.be.revertedWith("Remaining contribution below minimum");
+
+      await idoPool.connect(user1).withdrawContribution(units("40"));
+      expect(await idoPool.contributions(user1.address)).to.equal(0);
+      expect(await idoPool.totalRaised()).to.equal(0);
+    });
+
+    it("Should keep contributors listed once after withdrawing everything", async function () {
+      await idoPool.connect(user1).withdrawContribution(units("40"));
+      await idoPool.connect(user1).buyTokens(units("5"));
+      await idoPool.connect(user2).buyTokens(units("5"));
+
+      expect(await idoPool.getContributorCount()).to.equal(2);
+      expect(await idoPool.getContributors(0, 10)).to.deep.equal([user1.address, user2.address]);
+    });
+
+    it("Should free room below the caps for new purchases", async function () {
+      await idoPool.connect(user1).buyTokens(units("20"));
+      await idoPool.connect(user2).buyTokens(units("40"));
+      await expect(idoPool.connect(user2).buyTokens(units("1")))
+        .to.be.revertedWith("Hard cap reached");
+
+      await idoPool.connect(user1).withdrawContribution(units("30"));
+      await idoPool.connect(user2).buyTokens(units("20"));
+      expect(await idoPool.contributions(user2.address)).to.equal(MAX_CONTRIBUTION);
+    });
+
+    it("Should stay available while the pool is paused", async function () {
+      await idoPool.pause();
+      await idoPool.connect(user1).withdrawContribution(units("10"));
+      expect(await idoPool.contributions(user1.address)).to.equal(units("30"));
+    });
+
+    it("Should evaluate the soft cap on what is left after withdrawals", async function () {
+      await idoPool.connect(user2).buyTokens(units("20"));
+      await idoPool.connect(user1).withdrawContribution(units("20"));
+      expect(await idoPool.isSoftCapReached()).to.equal(false);
+
+      await time.increaseTo(endTime + 1);
+      await expect(idoPool.connect(user1).withdrawContribution(units("10")))
+        .to.be.revertedWith("Withdrawal period ended");
+      await idoPool.finalize();
+      expect(await idoPool.poolState()).to.equal(4); // Refunding state
+
+      // Refunds cover the remaining contributions, and the penalty is left over
+      await expect(idoPool.connect(user1).claimRefund())
+        .to.emit(idoPool, "RefundClaimed")
+        .withArgs(user1.address, units("20"));
+      await idoPool.connect(user2).claimRefund();
+      expect(await idoPool.getOutstandingPayments()).to.equal(0);
+      expect(await paymentToken.balanceOf(idoPool.address)).to.be.gt(0);
+    });
+  });
+
+  describe("Penalties", function () {
+    it("Should send penalties to the treasury recipient", async function () {
+      await enableWithdrawals(500, 500, 0, treasury.address);
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("40"));
+
+      await idoPool.connect(user1).withdrawContribution(units("20"));
+      expect(await paymentToken.balanceOf(treasury.address)).to.equal(units("1"));
+      expect(await paymentToken.balanceOf(idoPool.address)).to.equal(units("20"));
+    });
+
+    it("Should pay out kept penalties with the raised funds", async function () {
+      await enableWithdrawals(500, 500, 0);
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("40"));
+      await idoPool.connect(user2).buyTokens(units("30"));
+      await idoPool.connect(user1).withdrawContribution(units("20"));
+
+      await time.increaseTo(endTime + 86400 + 1);
+      await idoPool.finalize();
+      await expect(idoPool.connect(treasury).withdrawRaisedFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn")
+        .withArgs(units("51"));
+    });
+
+    it("Should release kept penalties of a cancelled pool without touching refunds", async function () {
+      await enableWithdrawals(500, 500, 0);
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("40"));
+      await idoPool.connect(user1).withdrawContribution(units("20"));
+      await idoPool.cancelPool("Project withdrawn");
+
+      await time.increaseTo(endTime + 86400 + 1);
+      await expect(idoPool.connect(treasury).withdrawRaisedFunds())
+        .to.emit(idoPool, "RaisedFundsWithdrawn")
+        .withArgs(units("1"));
+
+      await expect(idoPool.connect(user1).claimRefund())
+        .to.emit(idoPool, "RefundClaimed")
+        .withArgs(user1.address, units("20"));
+    });
+  });
+
+  describe("Lens", function () {
+    it("Should report the policy, the current penalty and withdrawn amounts", async function () {
+      await enableWithdrawals(1000, 200, CUTOFF, treasury.address);
+      await startSale();
+      await idoPool.connect(user1).buyTokens(units("40"));
+      await idoPool.connect(user1).withdrawContribution(units("10"));
+
+      const IDOPoolLens = await ethers.getContractFactory("IDOPoolLens");
+      const lens = await IDOPoolLens.deploy();
+      const info = await lens.getPoolInfo(idoPool.address);
+      expect(info.withdrawalsEnabled).to.equal(true);
+      expect(info.withdrawalPolicy).to.equal(withdrawalPolicy.address);
+      expect(info.withdrawalPenalty).to.equal(await withdrawalPolicy.getPenalty(idoPool.address, 10000));
+      expect(info.withdrawalPenaltyStart).to.equal(1000);
+      expect(info.withdrawalPenaltyEnd).to.equal(200);
+      expect(info.withdrawalDeadline).to.equal(endTime - CUTOFF);
+      expect(info.penaltyRecipient).to.equal(treasury.address);
+
+      const user = await lens.getUserInfo(idoPool.address, user1.address);
+      expect(user.contribution).to.equal(units("30"));
+      expect(user.withdrawnContribution).to.equal(units("10"));
+    });
+  });
+});
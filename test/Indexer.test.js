@@ -0,0 +1,378 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { createStore } = require("../indexer/store");
+const { createIndexer } = require("../indexer/indexer");
+const { createApiServer } = require("../indexer/api");
+const { getUserHistory, getPoolSummary } = require("../indexer/queries");
+
+// Runs against a real `hardhat node` started on its own port
+const NODE_PORT = 18545;
+const RPC_URL = `http://127.0.0.1:${NODE_PORT}`;
+
+describe("Indexer", function () {
+  let node, provider, server, apiUrl, storePath;
+  let factory, pool, paymentToken, offeringToken;
+  let owner, users;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("10");
+
+  const deploy = async (name, ...args) => {
+    const artifact = await artifacts.readArtifact(name);
+    const contractFactory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner);
+    const contract = await contractFactory.deploy(...args);
+    await contract.deployed();
+    return contract;
+  };
+
+  const increaseTime = async (seconds) => {
+    await provider.send("evm_increaseTime", [seconds]);
+    await provider.send("evm_mine", []);
+  };
+
+  const get = (urlPath, baseUrl = apiUrl) => new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${urlPath}`, (response) => {
+      let body = "";
+      response.on("data", (chunk) => { body += chunk; });
+      response.on("end", () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on("error", reject);
+  });
+
+  const waitForNode = async () => {
+    for (let attempt = 0; attempt < 120; attempt++) {
+      try {
+        return await provider.getBlockNumber();
+      } catch (error) {
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+    }
+    throw new Error("Hardhat node did not start");
+  };
+
+  before(async function () {
+    this.timeout(120000);
+
+    node = spawn(process.execPath, [require.resolve("hardhat/internal/cli/cli.js"), "node", "--port", String(NODE_PORT)], {
+      cwd: path.join(__dirname, ".."),
+      stdio: "ignore"
+    });
+    provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+    await waitForNode();
+
+    owner = provider.getSigner(0);
+    users = [1, 2, 3, 4, 5].map((index) => provider.getSigner(index));
+
+    // Deploy tokens, a factory and one pool through it
+    paymentToken = await deploy("MockERC20", "Payment Token", "PAY", 18, 1000000);
+    offeringToken = await deploy("MockERC20", "Offering Token", "OFFER", 18, 1000000);
+    const implementation = await deploy(
+      "IDOPool",
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    factory = await deploy("IDOPoolFactory", implementation.address);
+
+    await (await factory.createPool(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    )).wait();
+    const poolArtifact = await artifacts.readArtifact("IDOPool");
+    pool = new ethers.Contract(await factory.allPools(0), poolArtifact.abi, owner);
+
+    // Run a sale: five buyers reach the soft cap and two of them claim
+    await (await offeringToken.approve(pool.address, ethers.utils.parseEther("1000"))).wait();
+    await (await pool.depositOfferingTokens(ethers.utils.parseEther("1000"))).wait();
+    const now = (await provider.getBlock("latest")).timestamp;
+    await (await pool.startPool(now + 100, now + 1000, now + 2000)).wait();
+    await increaseTime(100);
+
+    for (const user of users) {
+      await (await paymentToken.transfer(await user.getAddress(), ethers.utils.parseEther("100"))).wait();
+      await (await paymentToken.connect(user).approve(pool.address, ethers.constants.MaxUint256)).wait();
+      await (await pool.connect(user).buyTokens(MAX_CONTRIBUTION)).wait();
+    }
+
+    await increaseTime(1000);
+    await (await pool.finalize()).wait();
+    await (await pool.connect(users[0]).claimTokens()).wait();
+    await (await pool.connect(users[1]).claimTokens()).wait();
+  });
+
+  after(async function () {
+    if (server) {
+      server.close();
+    }
+    if (node) {
+      node.kill();
+    }
+  });
+
+  beforeEach(function () {
+    storePath = path.join(os.tmpdir(), `ido-indexer-${process.pid}-${Date.now()}.json`);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(storePath)) {
+      fs.unlinkSync(storePath);
+    }
+  });
+
+  const openIndexer = (options = {}) => {
+    const store = createStore(storePath);
+    const indexer = createIndexer({ provider, store, factoryAddress: factory.address, ...options });
+    return { store, indexer };
+  };
+
+  describe("Indexing", function () {
+    it("Should discover factory pools and replay their events", async function () {
+      const { store, indexer } = openIndexer({ batchSize: 5 });
+      const result = await indexer.sync();
+
+      expect(result.toBlock).to.equal(await provider.getBlockNumber());
+      expect(indexer.getPools()).to.deep.equal([pool.address]);
+
+      const names = store.state.events.map((event) => event.event);
+      expect(names.filter((name) => name === "PoolCreated")).to.have.length(1);
+      expect(names.filter((name) => name === "TokensDeposited")).to.have.length(1);
+      expect(names.filter((name) => name === "TokensPurchased")).to.have.length(5);
+      expect(names.filter((name) => name === "TokensClaimed")).to.have.length(2);
+      expect(names.filter((name) => name === "PoolStateChanged")).to.have.length(2);
+    });
+
+    it("Should resume from the last indexed block", async function () {
+      const first = openIndexer();
+      await first.indexer.sync();
+      const eventCount = first.store.state.events.length;
+
+      // A fresh process reopens the same store
+      const second = openIndexer();
+      const result = await second.indexer.sync();
+      expect(result.fromBlock).to.equal(first.store.state.lastBlock + 1);
+      expect(result.events).to.equal(0);
+
+      await (await pool.connect(users[2]).claimTokens()).wait();
+      const next = await second.indexer.sync();
+      expect(next.events).to.equal(1);
+      expect(second.store.state.events).to.have.length(eventCount + 1);
+    });
+
+    it("Should roll back events from blocks that were reorged away", async function () {
+      const { store, indexer } = openIndexer();
+      await indexer.sync();
+
+      // Claim on a branch that is later abandoned
+      const snapshot = await provider.send("evm_snapshot", []);
+      await (await pool.connect(users[3]).claimTokens()).wait();
+      await indexer.sync();
+      const claimer = await users[3].getAddress();
+      expect(store.state.events.some((event) => event.args.user === claimer)).to.equal(true);
+
+      // Replace that block with a different claim at the same height
+      await provider.send("evm_revert", [snapshot]);
+      await (await pool.connect(users[4]).claimTokens()).wait();
+
+      const result = await indexer.sync();
+      expect(result.reorgedTo).to.not.equal(null);
+      expect(store.state.events.some((event) => event.args.user === claimer)).to.equal(false);
+      const replacement = await users[4].getAddress();
+      expect(store.state.events.some((event) => event.args.user === replacement)).to.equal(true);
+    });
+  });
+
+  describe("HTTP API", function () {
+    before(async function () {
+      const store = createStore(null);
+      await createIndexer({ provider, store, factoryAddress: factory.address }).sync();
+
+      server = createApiServer(store);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    it("Should serve per-pool totals", async function () {
+      const response = await get(`/pools/${pool.address}`);
+      expect(response.status).to.equal(200);
+
+      const summary = JSON.parse(response.body);
+      expect(summary.state).to.equal("Completed");
+      expect(summary.totalRaised).to.equal(ethers.utils.parseEther("50").toString());
+      expect(summary.tokensDeposited).to.equal(ethers.utils.parseEther("1000").toString());
+      expect(summary.contributorCount).to.equal(5);
+      expect(summary.claimerCount).to.be.at.least(2);
+
+      const pools = JSON.parse((await get("/pools")).body);
+      expect(pools.map((entry) => entry.address)).to.deep.equal([pool.address]);
+    });
+
+    it("Should serve per-user history", async function () {
+      const user = await users[0].getAddress();
+      const response = await get(`/pools/${pool.address}/users/${user.toLowerCase()}`);
+      const history = JSON.parse(response.body);
+
+      expect(history.address).to.equal(user);
+      expect(history.contributed).to.equal(MAX_CONTRIBUTION.toString());
+      expect(history.tokensClaimed).to.equal(ethers.utils.parseEther("100").toString());
+      expect(history.events.map((event) => event.event)).to.deep.equal(["TokensPurchased", "TokensClaimed"]);
+    });
+
+    it("Should export contributors and events as CSV", async function () {
+      const contributors = await get(`/pools/${pool.address}/contributors.csv`);
+      expect(contributors.headers["content-type"]).to.equal("text/csv");
+
+      const rows = contributors.body.trim().split("\n");
+      expect(rows[0]).to.equal("address,contributed,tokensPurchased,tokensClaimed,refunded,withdrawn,excessRefunded");
+      expect(rows).to.have.length(6);
+      expect(rows[1]).to.equal(
+        `${await users[0].getAddress()},${MAX_CONTRIBUTION},${ethers.utils.parseEther("100")},${ethers.utils.parseEther("100")},0,0,0`
+      );
+
+      const events = await get(`/pools/${pool.address}/events.csv`);
+      expect(events.body.split("\n")[0]).to.equal(
+        "blockNumber,transactionHash,logIndex,event,account,paymentAmount,tokenAmount,state"
+      );
+      expect(events.body).to.include(",PoolStateChanged,,,,Completed");
+    });
+
+    it("Should serve configured pools that have no events yet", async function () {
+      const idlePool = ethers.Wallet.createRandom().address;
+      const store = createStore(null);
+      await createIndexer({ provider, store, poolAddresses: [idlePool.toLowerCase()] }).sync();
+      expect(store.state.events).to.have.length(0);
+
+      const idleServer = createApiServer(store);
+      await new Promise((resolve) => idleServer.listen(0, "127.0.0.1", resolve));
+      try {
+        const url = `http://127.0.0.1:${idleServer.address().port}`;
+        const pools = JSON.parse((await get("/pools", url)).body);
+        expect(pools.map((entry) => entry.address)).to.deep.equal([idlePool]);
+
+        const response = await get(`/pools/${idlePool}`, url);
+        expect(response.status).to.equal(200);
+        expect(JSON.parse(response.body)).to.include({ state: "Pending", totalRaised: "0", eventCount: 0 });
+      } finally {
+        idleServer.close();
+      }
+    });
+
+    it("Should reject unknown pools and routes", async function () {
+      expect((await get("/pools/not-an-address")).status).to.equal(400);
+      expect((await get(`/pools/${ethers.constants.AddressZero}`)).status).to.equal(404);
+      expect((await get("/unknown")).status).to.equal(404);
+      expect(JSON.parse((await get("/status")).body).poolCount).to.equal(1);
+    });
+  });
+
+  describe("Queries", function () {
+    it("Should net contributions withdrawn during the sale", function () {
+      const account = ethers.Wallet.createRandom().address;
+      const poolAddress = ethers.Wallet.createRandom().address;
+      const event = (name, args) => ({ pool: poolAddress, event: name, args });
+      const state = {
+        events: [
+          event("TokensPurchased", { buyer: account, paymentAmount: "40", tokenAmount: "400" }),
+          event("ContributionWithdrawn", { user: account, amount: "10", penalty: "1" })
+        ]
+      };
+
+      const history = getUserHistory(state, poolAddress, account);
+      expect(history.contributed).to.equal("30");
+      expect(history.withdrawn).to.equal("10");
+      expect(history.penalties).to.equal("1");
+
+      const summary = getPoolSummary(state, poolAddress);
+      expect(summary.totalRaised).to.equal("30");
+      expect(summary.totalWithdrawn).to.equal("10");
+      expect(summary.withdrawalPenalties).to.equal("1");
+    });
+
+    it("Should report the cancellation reason", function () {
+      const poolAddress = ethers.Wallet.createRandom().address;
+      const event = (name, args) => ({ pool: poolAddress, event: name, args });
+      const state = {
+        events: [
+          event("PoolStateChanged", { state: "3" }),
+          event("PoolCancelled", { reason: "Team request" })
+        ]
+      };
+
+      const summary = getPoolSummary(state, poolAddress);
+      expect(summary.state).to.equal("Cancelled");
+      expect(summary.cancelReason).to.equal("Team request");
+      expect(getPoolSummary({ events: [] }, poolAddress).cancelReason).to.equal(null);
+    });
+  });
+
+  describe("Overflow Pools", function () {
+    let overflowPool;
+
+    before(async function () {
+      this.timeout(120000);
+
+      // Five buyers commit 50 against a hard cap of 30, so each gets 4 back when claiming
+      await (await factory.createPool(
+        paymentToken.address,
+        offeringToken.address,
+        TOKEN_PRICE,
+        ethers.utils.parseEther("20"),
+        ethers.utils.parseEther("30"),
+        MIN_CONTRIBUTION,
+        MAX_CONTRIBUTION
+      )).wait();
+      overflowPool = pool.attach(await factory.allPools(1));
+      await (await overflowPool.setOverflowMode(true)).wait();
+      await (await offeringToken.approve(overflowPool.address, ethers.utils.parseEther("300"))).wait();
+      await (await overflowPool.depositOfferingTokens(ethers.utils.parseEther("300"))).wait();
+      const now = (await provider.getBlock("latest")).timestamp;
+      await (await overflowPool.startPool(now + 100, now + 1000, now + 2000)).wait();
+      await increaseTime(100);
+
+      for (const user of users) {
+        await (await paymentToken.connect(user).approve(overflowPool.address, ethers.constants.MaxUint256)).wait();
+        await (await overflowPool.connect(user).buyTokens(MAX_CONTRIBUTION)).wait();
+      }
+
+      await increaseTime(1000);
+      await (await overflowPool.finalize()).wait();
+      await (await overflowPool.connect(users[0]).claimTokens()).wait();
+    });
+
+    it("Should net refunded excess out of contributions", async function () {
+      const { store, indexer } = openIndexer();
+      await indexer.sync();
+
+      const user = await users[0].getAddress();
+      const history = getUserHistory(store.state, overflowPool.address, user);
+      expect(history.contributed).to.equal(ethers.utils.parseEther("6").toString());
+      expect(history.excessRefunded).to.equal(ethers.utils.parseEther("4").toString());
+      expect(history.tokensClaimed).to.equal(ethers.utils.parseEther("60").toString());
+      expect(history.events.map((event) => event.event)).to.deep.equal(["TokensPurchased", "TokensClaimed", "ExcessRefunded"]);
+
+      // Buyers who have not claimed yet still show their whole commitment
+      const other = getUserHistory(store.state, overflowPool.address, await users[1].getAddress());
+      expect(other.contributed).to.equal(MAX_CONTRIBUTION.toString());
+
+      const summary = getPoolSummary(store.state, overflowPool.address);
+      expect(summary.totalRaised).to.equal(ethers.utils.parseEther("50").toString());
+      expect(summary.excessRefunded).to.equal(ethers.utils.parseEther("4").toString());
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseTime } = require("../tasks/pool");
+
+const { ethers } = hre;
+
+describe("Pool tasks", function () {
+  let idoPool, paymentToken, offeringToken;
+  let owner, treasury, user1, user2, addrs;
+  let output;
+
+  // Constants for the IDO parameters
+  const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+  const SOFT_CAP = ethers.utils.parseEther("50");
+  const HARD_CAP = ethers.utils.parseEther("100");
+  const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+  const MAX_CONTRIBUTION = ethers.utils.parseEther("50");
+
+  // Runs a task with its console output captured
+  const run = async (name, args = {}) => {
+    const log = console.log;
+    output = [];
+    console.log = (...parts) => output.push(parts.join(" "));
+    try {
+      return await hre.run(name, { pool: idoPool.address, ...args });
+    } finally {
+      console.log = log;
+    }
+  };
+
+  // Returns the error message of a task, or null if it succeeds
+  const runError = async (name, args) => {
+    try {
+      await run(name, args);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  const startSale = async () => {
+    await run("pool:deposit", { approve: true });
+    await run("pool:start", { start: "+100s", end: "+1h", refundEnd: "+2h" });
+    await time.increase(100);
+  };
+
+  const buy = async (user, amount) => {
+    await paymentToken.transfer(user.address, amount);
+    await paymentToken.connect(user).approve(idoPool.address, amount);
+    await idoPool.connect(user).buyTokens(amount);
+  };
+
+  beforeEach(async function () {
+    [owner, treasury, user1, user2, ...addrs] = await ethers.getSigners();
+
+    // Deploy tokens
+    const TokenFactory = await ethers.getContractFactory("MockERC20");
+    paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+    offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+    await paymentToken.deployed();
+    await offeringToken.deployed();
+
+    // Deploy IDO pool
+    const IDOPool = await ethers.getContractFactory("IDOPool");
+    idoPool = await IDOPool.deploy(
+      paymentToken.address,
+      offeringToken.address,
+      TOKEN_PRICE,
+      SOFT_CAP,
+      HARD_CAP,
+      MIN_CONTRIBUTION,
+      MAX_CONTRIBUTION
+    );
+    await idoPool.deployed();
+  });
+
+  describe("Dates", function () {
+    it("Should parse unix seconds, ISO dates and offsets", function () {
+      expect(parseTime("1700000000", 0)).to.equal(1700000000);
+      expect(parseTime("2030-01-01T00:00:00Z", 0)).to.equal(1893456000);
+      expect(parseTime("+90s", 1000)).to.equal(1090);
+      expect(parseTime("+2d", 1000)).to.equal(1000 + 2 * 86400);
+      expect(() => parseTime("tomorrow", 0)).to.throw("Invalid date");
+    });
+  });
+
+  describe("pool:deposit", function () {
+    it("Should require an allowance unless asked to approve", async function () {
+      expect(await runError("pool:deposit")).to.include("rerun with --approve");
+
+      const events = await run("pool:deposit", { approve: true });
+      expect(events.map((event) => event.name)).to.deep.equal(["Approval", "Transfer", "TokensDeposited"]);
+      expect(events[2].args.amount).to.equal("1000.0 OFFER");
+      expect(output).to.include("  TokensDeposited(amount: 1000.0 OFFER)");
+      expect(await idoPool.tokensDeposited()).to.equal(true);
+    });
+
+    it("Should take human-readable amounts", async function () {
+      await offeringToken.approve(idoPool.address, ethers.utils.parseEther("1500"));
+      await run("pool:deposit", { amount: "1500" });
+      expect(await offeringToken.balanceOf(idoPool.address)).to.equal(ethers.utils.parseEther("1500"));
+    });
+
+    it("Should check the amount, balance, role and state before sending", async function () {
+      expect(await runError("pool:deposit", { amount: "999.5", approve: true })).to.include("at least 1000.0 OFFER");
+      expect(await runError("pool:deposit", { from: user1.address, approve: true })).to.include("missing OPERATOR_ROLE");
+
+      await idoPool.grantRole(await idoPool.OPERATOR_ROLE(), user1.address);
+      expect(await runError("pool:deposit", { from: user1.address, approve: true })).to.include("Balance of 0.0 OFFER");
+
+      await startSale();
+      expect(await runError("pool:deposit", { approve: true })).to.include("pool is Active");
+    });
+  });
+
+  describe("pool:start", function () {
+    it("Should schedule the sale from offsets", async function () {
+      await run("pool:deposit", { approve: true });
+      const now = await time.latest();
+
+      const events = await run("pool:start", { start: "+100s", end: "+1h", refundEnd: "+1d" });
+      expect(events).to.deep.equal([{ name: "PoolStateChanged", args: { state: "Active" } }]);
+      expect(await idoPool.startTime()).to.equal(now + 100);
+      expect(await idoPool.endTime()).to.equal(now + 3600);
+      expect(await idoPool.refundEndTime()).to.equal(now + 86400);
+    });
+
+    it("Should check the deposit and schedule before sending", async function () {
+      const schedule = { start: "+100s", end: "+1h", refundEnd: "+2h" };
+      expect(await runError("pool:start", schedule)).to.include("run pool:deposit");
+
+      await run("pool:deposit", { approve: true });
+      expect(await runError("pool:start", { ...schedule, start: String(await time.latest()) }))
+        .to.include("is not after the latest block");
+      expect(await runError("pool:start", { ...schedule, end: "+50s" })).to.equal("End must be after start");
+      expect(await runError("pool:start", { ...schedule, refundEnd: "+1h" })).to.equal("Refund end must be after end");
+      expect(await idoPool.poolState()).to.equal(0);
+    });
+  });
+
+  describe("pool:finalize", function () {
+    beforeEach(async function () {
+      await startSale();
+    });
+
+    it("Should wait for the end time", async function () {
+      await buy(user1, SOFT_CAP);
+      expect(await runError("pool:finalize")).to.include("Sale ends at");
+
+      await time.increase(3600);
+      const events = await run("pool:finalize");
+      expect(events[0].args.state).to.equal("Completed");
+      expect(output[0]).to.include("soft cap");
+      expect(output[output.length - 1]).to.equal("Finalized as Completed");
+    });
+
+    it("Should finalize a filled pool early", async function () {
+      await buy(user1, MAX_CONTRIBUTION);
+      await buy(user2, MAX_CONTRIBUTION);
+
+      await run("pool:finalize");
+      expect(await idoPool.poolState()).to.equal(2);
+    });
+
+    it("Should report pools that missed the soft cap", async function () {
+      await buy(user1, MIN_CONTRIBUTION);
+      await time.increase(3600);
+
+      const events = await run("pool:finalize");
+      expect(events[0].args.state).to.equal("Refunding");
+      expect(output[output.length - 1]).to.equal("Finalized as Refunding");
+    });
+  });
+
+  describe("pool:enable-refund", function () {
+    it("Should be limited to the owner of an active or completed pool", async function () {
+      expect(await runError("pool:enable-refund")).to.include("pool is Pending");
+
+      await startSale();
+      expect(await runError("pool:enable-refund", { from: user1.address })).to.include("is not the pool owner");
+
+      const events = await run("pool:enable-refund");
+      expect(events.map((event) => event.name)).to.deep.equal(["PoolStateChanged", "AdminRefundEnabled"]);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    beforeEach(async function () {
+      await startSale();
+      await buy(user1, SOFT_CAP);
+      await time.increase(3600);
+      await run("pool:finalize");
+    });
+
+    it("Should wait for the refund window", async function () {
+      expect(await runError("pool:withdraw-funds")).to.include("Refund period ends at");
+      expect(await runError("pool:withdraw-unsold")).to.include("Refund period ends at");
+    });
+
+    it("Should send the raised funds to a treasury", async function () {
+      await time.increase(3600);
+      await idoPool.grantRole(await idoPool.TREASURY_ROLE(), treasury.address);
+      expect(await runError("pool:withdraw-funds", { from: user1.address })).to.include("missing TREASURY_ROLE");
+
+      const events = await run("pool:withdraw-funds", { from: treasury.address });
+      expect(events.map((event) => event.args.amount)).to.deep.equal(["50.0 PAY"]);
+      expect(await paymentToken.balanceOf(treasury.address)).to.equal(SOFT_CAP);
+      expect(await runError("pool:withdraw-funds")).to.equal("Funds already withdrawn");
+    });
+
+    it("Should return only the unsold tokens", async function () {
+      await time.increase(3600);
+
+      const events = await run("pool:withdraw-unsold");
+      expect(events[events.length - 1]).to.deep.equal({
+        name: "UnsoldTokensWithdrawn",
+        args: { amount: "500.0 OFFER" }
+      });
+      expect(await runError("pool:withdraw-unsold")).to.equal("No tokens to withdraw");
+    });
+
+    it("Should refuse refunds once funds are withdrawn", async function () {
+      await time.increase(3600);
+      await run("pool:withdraw-funds");
+      expect(await runError("pool:enable-refund")).to.equal("Raised funds already withdrawn");
+    });
+  });
+
+  describe("pool:status", function () {
+    it("Should print the pool state, schedule and totals", async function () {
+      await startSale();
+      await buy(user1, ethers.utils.parseEther("20"));
+
+      const status = await run("pool:status");
+      expect(status.State).to.equal("Active");
+      expect(status.Price).to.equal("0.1 PAY per OFFER");
+      expect(status.Raised).to.equal("20.0 PAY from 1 contributors");
+      expect(status.Start).to.include(`(${await idoPool.startTime()})`);
+      expect(output).to.include(`State             Active`);
+
+      await idoPool.pause();
+      expect((await run("pool:status")).State).to.equal("Active (paused)");
+    });
+
+    it("Should print the current price of strategy pools", async function () {
+      const TieredPricing = await ethers.getContractFactory("TieredPricing");
+      const pricing = await TieredPricing.deploy([ethers.utils.parseEther("10")], [TOKEN_PRICE, ethers.utils.parseEther("0.2")]);
+      await idoPool.setPricingStrategy(pricing.address);
+      await startSale();
+      await buy(user1, ethers.utils.parseEther("20"));
+
+      expect((await run("pool:status")).Price).to.equal(`0.2 PAY per OFFER now, from ${pricing.address}`);
+    });
+  });
+});
@@ -0,0 +1,363 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Randomized action sequences against IDOPool, checked against its accounting invariants
+// after every step. Sequences are plain JSON so failures can be saved and replayed.
+
+const REGRESSIONS_DIR = path.join(__dirname, "regressions");
+
+// Constants for the IDO parameters
+const TOKEN_PRICE = ethers.utils.parseEther("0.1");
+const SOFT_CAP = ethers.utils.parseEther("50");
+const HARD_CAP = ethers.utils.parseEther("100");
+const MIN_CONTRIBUTION = ethers.utils.parseEther("1");
+const MAX_CONTRIBUTION = ethers.utils.parseEther("30");
+
+const ACTOR_COUNT = 4;
+
+// Buy and withdrawal amounts and time jumps the generator picks from, smallest first for shrinking
+const AMOUNTS = ["0.5", "1", "5", "10", "20", "30", "35"];
+const DELAYS = [600, 3600, 43200, 86400, 172800];
+
+// Relative weight of each action in the first half of a sequence, while the sale runs,
+// and in the second half, once it is settled. Ending a sale early is left to the second
+// half, where it can still happen before finalize.
+const SALE_WEIGHTS = {
+  buy: 8,
+  withdraw: 2,
+  advance: 1,
+  finalize: 1
+};
+const SETTLEMENT_WEIGHTS = {
+  buy: 1,
+  advance: 3,
+  finalize: 4,
+  enableRefund: 1,
+  cancel: 1,
+  claim: 8,
+  refund: 6,
+  withdrawFunds: 2,
+  withdrawUnsold: 2
+};
+
+/**
+ * Returns a seeded generator of numbers in [0, 1), so a run can be repeated from its seed
+ * @param {number} seed 32-bit seed
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates a random sequence of pool actions
+ * @param {number} seed Seed the sequence is derived from
+ * @param {number} length Number of steps
+ * @returns {Object} Sequence with the pool mode and its steps
+ */
+function generateSequence(seed, length) {
+  const random = createRandom(seed);
+  const pick = (values) => values[Math.floor(random() * values.length)];
+  const expand = (weights) => Object.entries(weights).flatMap(([action, weight]) => Array(weight).fill(action));
+  const saleActions = expand(SALE_WEIGHTS);
+  const settlementActions = expand(SETTLEMENT_WEIGHTS);
+
+  const steps = [];
+  for (let i = 0; i < length; i++) {
+    const action = pick(i < length / 2 ? saleActions : settlementActions);
+    const actor = Math.floor(random() * ACTOR_COUNT);
+    if (action === "buy" || action === "withdraw") {
+      steps.push({ action, actor, amount: pick(AMOUNTS) });
+    } else if (action === "advance") {
+      steps.push({ action, seconds: pick(DELAYS) });
+    } else if (action === "claim" || action === "refund") {
+      steps.push({ action, actor });
+    } else {
+      steps.push({ action });
+    }
+  }
+  return { seed, overflow: random() < 0.3, steps };
+}
+
+// Deploys a started pool with funded actors; loadFixture needs a named function per mode
+async function deployPool(overflow) {
+  const [owner, ...signers] = await ethers.getSigners();
+  const actors = signers.slice(0, ACTOR_COUNT);
+
+  const TokenFactory = await ethers.getContractFactory("MockERC20");
+  const paymentToken = await TokenFactory.deploy("Payment Token", "PAY", 18, 1000000);
+  const offeringToken = await TokenFactory.deploy("Offering Token", "OFFER", 18, 1000000);
+
+  const IDOPool = await ethers.getContractFactory("IDOPool");
+  const pool = await IDOPool.deploy(
+    paymentToken.address,
+    offeringToken.address,
+    TOKEN_PRICE,
+    SOFT_CAP,
+    HARD_CAP,
+    MIN_CONTRIBUTION,
+    MAX_CONTRIBUTION
+  );
+  if (overflow) {
+    await pool.setOverflowMode(true);
+  }
+  // Early withdrawals with a decaying penalty that stays in the pool
+  const LinearWithdrawalPenalty = await ethers.getContractFactory("LinearWithdrawalPenalty");
+  const withdrawalPolicy = await LinearWithdrawalPenalty.deploy(500, 100, 0);
+  await pool.setWithdrawalPolicy(withdrawalPolicy.address, ethers.constants.AddressZero);
+
+  const offeringAmount = ethers.utils.parseEther("1000");
+  await offeringToken.approve(pool.address, offeringAmount);
+  await pool.depositOfferingTokens(offeringAmount);
+
+  for (const actor of actors) {
+    await paymentToken.transfer(actor.address, ethers.utils.parseEther("200"));
+    await paymentToken.connect(actor).approve(pool.address, ethers.constants.MaxUint256);
+  }
+
+  const startTime = (await time.latest()) + 60;
+  await pool.startPool(startTime, startTime + 86400, startTime + 2 * 86400);
+  await time.increaseTo(startTime);
+
+  return { owner, actors, pool, paymentToken, offeringToken, overflow };
+}
+
+async function cappedPoolFixture() {
+  return deployPool(false);
+}
+
+async function overflowPoolFixture() {
+  return deployPool(true);
+}
+
+// Sends one step; reverts are expected and only reported, anything else is a harness error
+async function executeStep(context, step) {
+  const { pool, actors } = context;
+  const calls = {
+    buy: () => pool.connect(actors[step.actor]).buyTokens(ethers.utils.parseEther(step.amount)),
+    withdraw: () => pool.connect(actors[step.actor]).withdrawContribution(ethers.utils.parseEther(step.amount)),
+    advance: () => time.increase(step.seconds),
+    finalize: () => pool.finalize(),
+    enableRefund: () => pool.enableRefund(),
+    cancel: () => pool.cancelPool("Invariant test"),
+    claim: () => pool.connect(actors[step.actor]).claimTokens(),
+    refund: () => pool.connect(actors[step.actor]).claimRefund(),
+    withdrawFunds: () => pool.withdrawRaisedFunds(),
+    withdrawUnsold: () => pool.withdrawUnsoldTokens()
+  };
+
+  try {
+    await calls[step.action]();
+    return null;
+  } catch (error) {
+    if (!error.message.includes("reverted")) {
+      throw error;
+    }
+    return error.message;
+  }
+}
+
+/**
+ * Checks the pool's accounting invariants
+ * @param {Object} context Pool, tokens and actors from the fixture
+ * @returns {Promise<string[]>} Descriptions of every broken invariant
+ */
+async function checkInvariants(context) {
+  try {
+    return await findViolations(context);
+  } catch (error) {
+    // Views that revert, such as an accounting underflow, are violations too
+    if (!error.message.includes("reverted")) {
+      throw error;
+    }
+    return [`pool views reverted: ${error.reason || error.message}`];
+  }
+}
+
+async function findViolations(context) {
+  const { pool, paymentToken, offeringToken, actors, overflow } = context;
+  const violations = [];
+  const format = (amount) => ethers.utils.formatEther(amount);
+
+  const [
+    state, refundEndTime, totalRaised, claimedContributions, raisedFundsWithdrawn,
+    outstandingPayments, outstandingTokens, paymentBalance, offeringBalance
+  ] = await Promise.all([
+    pool.poolState(),
+    pool.refundEndTime(),
+    pool.totalRaised(),
+    pool.claimedContributions(),
+    pool.raisedFundsWithdrawn(),
+    pool.getOutstandingPayments(),
+    pool.getOutstandingTokens(),
+    paymentToken.balanceOf(pool.address),
+    offeringToken.balanceOf(pool.address)
+  ]);
+
+  // Once the sale is settled, and while a Refunding pool's window is open, every buyer
+  // who has done neither must still be able to claim or refund. Static calls run in the
+  // next block, so the window has to outlast the current one.
+  const settled = state === 2 || state === 3 || (state === 4 && refundEndTime.gt(await time.latest()));
+
+  let contributionSum = ethers.constants.Zero;
+  for (const [index, actor] of actors.entries()) {
+    const [contribution, refunded, claimed] = await Promise.all([
+      pool.contributions(actor.address),
+      pool.hasClaimedRefund(actor.address),
+      pool.hasClaimedTokens(actor.address)
+    ]);
+    contributionSum = contributionSum.add(contribution);
+    if (refunded && claimed) {
+      violations.push(`actor ${index} both refunded and claimed tokens`);
+    }
+    if (settled && contribution.gt(0) && !refunded && !claimed && !(await canSettle(pool.connect(actor)))) {
+      violations.push(`actor ${index} can neither claim tokens nor refund`);
+    }
+  }
+
+  if (!contributionSum.eq(totalRaised)) {
+    violations.push(`contributions sum to ${format(contributionSum)} but totalRaised is ${format(totalRaised)}`);
+  }
+  if (!overflow && totalRaised.gt(HARD_CAP)) {
+    violations.push(`totalRaised ${format(totalRaised)} is over the hard cap`);
+  }
+
+  // Until the raised funds leave, the owner can still switch to refunds for everyone who has not claimed
+  let owedPayments = outstandingPayments;
+  if (state === 1) {
+    owedPayments = totalRaised;
+  } else if (state === 2 && !raisedFundsWithdrawn) {
+    owedPayments = totalRaised.sub(claimedContributions);
+  }
+  if (paymentBalance.lt(owedPayments)) {
+    violations.push(`pool holds ${format(paymentBalance)} payment tokens but owes ${format(owedPayments)}`);
+  }
+  if (offeringBalance.lt(outstandingTokens)) {
+    violations.push(`pool holds ${format(offeringBalance)} offering tokens but owes ${format(outstandingTokens)}`);
+  }
+  return violations;
+}
+
+// Whether the caller's claimTokens or claimRefund would go through in the current block
+async function canSettle(pool) {
+  for (const call of [pool.callStatic.claimTokens, pool.callStatic.claimRefund]) {
+    try {
+      await call();
+      return true;
+    } catch (error) {
+      if (!error.message.includes("reverted")) {
+        throw error;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Replays a sequence on a fresh pool and checks the invariants after every step
+ * @param {Object} sequence Sequence from generateSequence or a saved regression
+ * @returns {Promise<Object|null>} The first failing step and its violations, or null
+ */
+async function runSequence(sequence) {
+  const context = await loadFixture(sequence.overflow ? overflowPoolFixture : cappedPoolFixture);
+
+  for (const [index, step] of sequence.steps.entries()) {
+    await executeStep(context, step);
+    const violations = await checkInvariants(context);
+    if (violations.length > 0) {
+      return { step: index, violations };
+    }
+  }
+  return null;
+}
+
+/**
+ * Shrinks a failing sequence by dropping steps and lowering amounts while it keeps failing
+ * @param {Object} sequence Failing sequence
+ * @param {Function} fails Resolves to true when a candidate sequence still fails
+ * @returns {Promise<Object>} The smallest failing sequence found
+ */
+async function shrink(sequence, fails) {
+  let current = sequence;
+  const attempt = async (candidate) => {
+    if (await fails(candidate)) {
+      current = candidate;
+      return true;
+    }
+    return false;
+  };
+
+  // Drop chunks of halving size, down to single steps
+  for (let size = Math.ceil(current.steps.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    let start = 0;
+    while (start < current.steps.length) {
+      const steps = [...current.steps.slice(0, start), ...current.steps.slice(start + size)];
+      if (steps.length === 0 || !(await attempt({ ...current, steps }))) {
+        start += size;
+      }
+    }
+  }
+
+  // Prefer the plain capped pool and the smallest amounts and delays
+  if (current.overflow) {
+    await attempt({ ...current, overflow: false });
+  }
+  for (let index = 0; index < current.steps.length; index++) {
+    const step = current.steps[index];
+    const [field, values] = step.action === "advance" ? ["seconds", DELAYS] : ["amount", AMOUNTS];
+    if (step[field] === undefined) continue;
+
+    for (const value of values.slice(0, values.indexOf(step[field]))) {
+      const steps = current.steps.map((other, i) => (i === index ? { ...step, [field]: value } : other));
+      if (await attempt({ ...current, steps })) break;
+    }
+  }
+  return current;
+}
+
+/**
+ * Saves a shrunk failing sequence so the regression suite replays it
+ * @param {Object} sequence Shrunk sequence
+ * @param {Object} failure Result of runSequence for the sequence
+ * @returns {string} Path of the saved file
+ */
+function saveRegression(sequence, failure) {
+  fs.mkdirSync(REGRESSIONS_DIR, { recursive: true });
+  const file = path.join(REGRESSIONS_DIR, `seed-${sequence.seed}.json`);
+  const regression = {
+    description: failure.violations.join("; "),
+    seed: sequence.seed,
+    overflow: sequence.overflow,
+    steps: sequence.steps
+  };
+  fs.writeFileSync(file, JSON.stringify(regression, null, 2) + "\n");
+  return file;
+}
+
+// Saved regressions, in file name order
+function loadRegressions() {
+  if (!fs.existsSync(REGRESSIONS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(REGRESSIONS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => ({ file, ...JSON.parse(fs.readFileSync(path.join(REGRESSIONS_DIR, file), "utf8")) }));
+}
+
+module.exports = {
+  generateSequence,
+  runSequence,
+  shrink,
+  saveRegression,
+  loadRegressions
+};